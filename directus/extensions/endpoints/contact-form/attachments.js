@@ -0,0 +1,283 @@
+/**
+ * @file attachments.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description File attachments on contact submissions
+ *              (e.g. floor plans, PDF proposals). Files
+ *              are checked against a MIME whitelist,
+ *              verified by their content signature, and
+ *              stored in directus_files in a private
+ *              folder linked to the submission through
+ *              contact_submissions_files.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { Readable } from 'node:stream';
+import { ERROR_CODES, sanitizeText } from './validation.js';
+
+export const ATTACHMENTS_COLLECTION = 'contact_submissions_files';
+
+/**
+ * Limits from env: allowed types, size per file and
+ * number of files.
+ */
+export const ATTACHMENT_LIMITS =
+{
+  enabled: process.env.CONTACT_ATTACHMENTS !== 'false',
+  types: (
+    process.env.CONTACT_ATTACHMENT_TYPES ||
+    'application/pdf,image/jpeg,image/png,image/webp'
+  ).split(',').map((type) => type.trim()).filter(Boolean),
+  maxBytes:
+    Number(process.env.CONTACT_ATTACHMENT_MAX_BYTES) ||
+    10 * 1024 * 1024,
+  maxFiles:
+    Number(process.env.CONTACT_ATTACHMENT_MAX_FILES) || 3,
+};
+
+/**
+ * Private folder in the file library (not readable by
+ * the public policy).
+ */
+export const ATTACHMENT_FOLDER =
+  process.env.CONTACT_ATTACHMENT_FOLDER ||
+  'Contact attachments';
+
+/**
+ * Leading bytes per MIME type. Types without an entry
+ * are accepted on their declared type alone.
+ */
+const SIGNATURES =
+{
+  'application/pdf': [[0, '25504446']],
+  'image/png': [[0, '89504e470d0a1a0a']],
+  'image/jpeg': [[0, 'ffd8ff']],
+  'image/webp': [[0, '52494646'], [8, '57454250']],
+  'image/gif': [[0, '47494638']],
+};
+
+/**
+ * @description Detects a file type from its leading
+ *              bytes.
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} MIME type or null if unknown
+ * @update 2026-10-19
+ */
+export function sniffMimeType(buffer)
+{
+  for (const [type, parts] of Object.entries(SIGNATURES))
+  {
+    const matches = parts.every(([offset, hex]) =>
+      buffer.subarray(offset, offset + hex.length / 2)
+        .toString('hex') === hex
+    );
+
+    if (matches)
+    {
+      return type;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @description Reduces a client file name to a safe
+ *              base name.
+ * @param {*} name - Submitted file name
+ * @returns {string} File name
+ * @update 2026-10-19
+ */
+export function safeFilename(name)
+{
+  const base = sanitizeText(name)
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[^\p{L}\p{N} ._\-()]/gu, '_')
+    .replace(/^\.+/, '')
+    .slice(-100);
+
+  return base || 'attachment';
+}
+
+/**
+ * @description Checks uploaded files against the
+ *              limits.
+ * @param {object[]} files - { mimeType, buffer,
+ *                   truncated } from the parser
+ * @param {object} [options]
+ * @param {boolean} [options.tooMany] - Parser dropped
+ *                  files over the count limit
+ * @param {object} [options.limits] - ATTACHMENT_LIMITS
+ * @returns {string|null} Error code or null if valid
+ * @update 2026-10-19
+ */
+export function checkAttachments(
+  files,
+  { tooMany = false, limits = ATTACHMENT_LIMITS } = {}
+)
+{
+  if (tooMany || files.length > limits.maxFiles)
+  {
+    return ERROR_CODES.tooMany;
+  }
+
+  for (const file of files)
+  {
+    if (file.truncated || file.buffer.length > limits.maxBytes)
+    {
+      return ERROR_CODES.tooLarge;
+    }
+
+    const declared = file.mimeType?.toLowerCase();
+
+    if (
+      !limits.types.includes(declared) ||
+      (SIGNATURES[declared] &&
+        sniffMimeType(file.buffer) !== declared)
+    )
+    {
+      return ERROR_CODES.invalidFormat;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @description Finds the private attachment folder,
+ *              creating it when missing.
+ * @param {object} services - Directus services
+ * @param {object} schema - Directus schema
+ * @returns {Promise<string>} Folder id
+ * @update 2026-10-19
+ */
+async function resolveFolder(services, schema)
+{
+  const foldersService = new services.FoldersService(
+  {
+    schema,
+    accountability: { admin: true },
+  });
+
+  const [folder] = await foldersService.readByQuery(
+  {
+    fields: ['id'],
+    filter: { name: { _eq: ATTACHMENT_FOLDER } },
+    limit: 1,
+  });
+
+  return folder?.id ??
+    foldersService.createOne({ name: ATTACHMENT_FOLDER });
+}
+
+/**
+ * @description Stores files in the private folder and
+ *              links them to a submission.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Directus schema
+ * @param {number} options.submissionId - Submission id
+ * @param {object[]} options.files - Checked files
+ * @returns {Promise<object[]>} { id, filename }
+ * @update 2026-10-19
+ */
+export async function storeAttachments(
+  { services, schema, submissionId, files }
+)
+{
+  if (files.length === 0)
+  {
+    return [];
+  }
+
+  const serviceOptions =
+  {
+    schema,
+    accountability: { admin: true },
+  };
+  const filesService = new services.FilesService(serviceOptions);
+  const links = new services.ItemsService(
+    ATTACHMENTS_COLLECTION,
+    serviceOptions
+  );
+  const folder = await resolveFolder(services, schema);
+  const storage =
+    (process.env.STORAGE_LOCATIONS || 'local').split(',')[0];
+  const stored = [];
+
+  for (const file of files)
+  {
+    const filename = safeFilename(file.filename);
+    const id = await filesService.uploadOne(
+      Readable.from(file.buffer),
+      {
+        storage,
+        folder,
+        filename_download: filename,
+        title: filename,
+        type: file.mimeType.toLowerCase(),
+      }
+    );
+
+    stored.push({ id, filename });
+  }
+
+  await links.createMany(stored.map((file) => ({
+    contact_submissions_id: submissionId,
+    directus_files_id: file.id,
+  })));
+
+  return stored;
+}
+
+/**
+ * @description Deletes the files attached to
+ *              submissions (links go with them).
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Directus schema
+ * @param {number[]} options.submissionIds - Submissions
+ * @returns {Promise<number>} Files deleted
+ * @update 2026-10-19
+ */
+export async function deleteAttachments(
+  { services, schema, submissionIds }
+)
+{
+  if (submissionIds.length === 0)
+  {
+    return 0;
+  }
+
+  const serviceOptions =
+  {
+    schema,
+    accountability: { admin: true },
+  };
+  const links = new services.ItemsService(
+    ATTACHMENTS_COLLECTION,
+    serviceOptions
+  );
+
+  const fileIds = (await links.readByQuery(
+  {
+    fields: ['directus_files_id'],
+    filter: { contact_submissions_id: { _in: submissionIds } },
+    limit: -1,
+  }))
+    .map((link) => link.directus_files_id)
+    .filter(Boolean);
+
+  if (fileIds.length > 0)
+  {
+    const filesService = new services.FilesService(
+      serviceOptions
+    );
+    await filesService.deleteMany(fileIds);
+  }
+
+  return fileIds.length;
+}
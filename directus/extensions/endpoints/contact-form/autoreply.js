@@ -0,0 +1,88 @@
+/**
+ * @file autoreply.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Localized confirmation email sent to the
+ *              visitor after a contact form submission.
+ *              Wording comes from the contact_autoreply
+ *              singleton so Content Managers can edit
+ *              it per language. The address is not
+ *              verified, so the email carries only that
+ *              staff-written wording: no visitor name
+ *              and no copy of the message.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Build email for the outbox instead
+ *                of sending directly
+ *   2026-10-19 - pickTranslation moved to locale.js
+ *   2026-10-19 - Fixed wording only, so the form
+ *                cannot relay visitor text
+ */
+
+import { pickTranslation } from './locale.js';
+
+/**
+ * @description Builds the confirmation email for the
+ *              visitor in their locale. Returns null
+ *              when the auto-reply is disabled or has
+ *              no usable translation.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Schema overview
+ * @param {object} options.submission - Sanitized data
+ * @returns {Promise<object|null>} Email for the outbox
+ * @update 2026-10-19
+ */
+export async function buildAutoReply(
+  { services, schema, submission }
+)
+{
+  const settingsService = new services.ItemsService(
+    'contact_autoreply',
+    {
+      schema,
+      accountability: { admin: true },
+    }
+  );
+
+  const settings = await settingsService.readSingleton(
+  {
+    fields: ['enabled', 'translations.*'],
+  });
+
+  if (!settings?.enabled)
+  {
+    return null;
+  }
+
+  const wording = pickTranslation(
+    settings.translations,
+    submission.locale
+  );
+
+  if (!wording?.email_subject)
+  {
+    console.error(
+      'Auto-reply skipped: no wording for locale',
+      submission.locale
+    );
+    return null;
+  }
+
+  return {
+    to: submission.email,
+    subject: wording.email_subject,
+    template:
+    {
+      name: 'contact-autoreply',
+      data:
+      {
+        locale: submission.locale,
+        greeting: wording.greeting,
+        body: wording.body,
+        signature: wording.signature,
+      },
+    },
+  };
+}
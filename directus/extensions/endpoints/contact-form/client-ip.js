@@ -0,0 +1,403 @@
+/**
+ * @file client-ip.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Trusted-proxy aware client IP resolution
+ *              for the contact-form endpoint. Walks
+ *              X-Forwarded-For right to left, skipping
+ *              only configured proxy CIDRs, so clients
+ *              cannot spoof their address. Normalizes
+ *              IPv6 (incl. IPv4-mapped) and derives
+ *              rate limit keys by IPv6 prefix.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - truncateIp() for retention
+ */
+
+import { isIP } from 'node:net';
+
+/**
+ * @description Parses an IPv6 address into its eight
+ *              16-bit groups.
+ * @param {string} ip - Valid IPv6 address
+ * @returns {number[]} Eight hextets
+ * @update 2026-10-19
+ */
+function parseIPv6(ip)
+{
+  let address = ip;
+
+  // Embedded IPv4 (e.g. ::ffff:192.0.2.1) -> two hextets
+  const v4Match = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4Match)
+  {
+    const octets = v4Match[2].split('.').map(Number);
+    address = v4Match[1] +
+      ((octets[0] << 8) | octets[1]).toString(16) + ':' +
+      ((octets[2] << 8) | octets[3]).toString(16);
+  }
+
+  const toGroups = (part) =>
+    (part ? part.split(':') : []).map(
+      (group) => Number.parseInt(group, 16)
+    );
+
+  const [head, rest] = address.split('::');
+  const headGroups = toGroups(head);
+
+  if (rest === undefined)
+  {
+    return headGroups;
+  }
+
+  const restGroups = toGroups(rest);
+  const missing = 8 - headGroups.length - restGroups.length;
+
+  return [
+    ...headGroups,
+    ...new Array(missing).fill(0),
+    ...restGroups,
+  ];
+}
+
+/**
+ * @description Formats eight hextets in canonical
+ *              RFC 5952 form (lowercase, longest zero
+ *              run compressed).
+ * @param {number[]} hextets - Eight 16-bit groups
+ * @returns {string} Canonical IPv6 address
+ * @update 2026-10-19
+ */
+function formatIPv6(hextets)
+{
+  let bestStart = -1;
+  let bestLength = 0;
+
+  for (let i = 0; i < 8; i += 1)
+  {
+    let length = 0;
+    while (i + length < 8 && hextets[i + length] === 0)
+    {
+      length += 1;
+    }
+    if (length > bestLength && length > 1)
+    {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+
+  const parts = hextets.map((group) => group.toString(16));
+
+  if (bestStart === -1)
+  {
+    return parts.join(':');
+  }
+
+  const head = parts.slice(0, bestStart).join(':');
+  const tail = parts.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+
+/**
+ * @description Normalizes an address: strips ports,
+ *              brackets and zone ids, unwraps
+ *              IPv4-mapped IPv6 and canonicalizes
+ *              IPv6.
+ * @param {string} value - Raw address
+ * @returns {string|null} Normalized IP or null
+ * @update 2026-10-19
+ */
+export function normalizeIp(value)
+{
+  if (typeof value !== 'string')
+  {
+    return null;
+  }
+
+  let ip = value.trim();
+
+  const bracketed = ip.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed)
+  {
+    ip = bracketed[1];
+  }
+  else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(ip))
+  {
+    ip = ip.split(':')[0];
+  }
+
+  ip = ip.replace(/%.*$/, '').toLowerCase();
+
+  const version = isIP(ip);
+
+  if (version === 4)
+  {
+    return ip;
+  }
+
+  if (version !== 6)
+  {
+    return null;
+  }
+
+  const hextets = parseIPv6(ip);
+  const isMapped =
+    hextets.slice(0, 5).every((group) => group === 0) &&
+    hextets[5] === 0xffff;
+
+  if (isMapped)
+  {
+    return [
+      hextets[6] >> 8,
+      hextets[6] & 0xff,
+      hextets[7] >> 8,
+      hextets[7] & 0xff,
+    ].join('.');
+  }
+
+  return formatIPv6(hextets);
+}
+
+/**
+ * @description Converts a normalized IP to bytes.
+ * @param {string} ip - Normalized IP
+ * @returns {number[]} 4 or 16 bytes
+ * @update 2026-10-19
+ */
+function toBytes(ip)
+{
+  if (isIP(ip) === 4)
+  {
+    return ip.split('.').map(Number);
+  }
+
+  return parseIPv6(ip).flatMap(
+    (group) => [group >> 8, group & 0xff]
+  );
+}
+
+/**
+ * @description Parses a CIDR (or bare IP) entry.
+ * @param {string} cidr - e.g. "10.0.0.0/8", "::1"
+ * @returns {object|null} { bytes, prefix } or null
+ * @update 2026-10-19
+ */
+export function parseCidr(cidr)
+{
+  const [address, prefixPart] = String(cidr).trim().split('/');
+  const ip = normalizeIp(address);
+
+  if (!ip)
+  {
+    return null;
+  }
+
+  const bytes = toBytes(ip);
+  const maxPrefix = bytes.length * 8;
+  const prefix = prefixPart === undefined
+    ? maxPrefix
+    : Number(prefixPart);
+
+  if (
+    !Number.isInteger(prefix) ||
+    prefix < 0 ||
+    prefix > maxPrefix
+  )
+  {
+    return null;
+  }
+
+  return { bytes, prefix };
+}
+
+/**
+ * @description Checks whether an IP lies in a parsed
+ *              CIDR range of the same family.
+ * @param {string} ip - Normalized IP
+ * @param {object} range - Result of parseCidr()
+ * @returns {boolean} True if contained
+ * @update 2026-10-19
+ */
+function inRange(ip, range)
+{
+  const bytes = toBytes(ip);
+
+  if (bytes.length !== range.bytes.length)
+  {
+    return false;
+  }
+
+  for (let bit = 0; bit < range.prefix; bit += 1)
+  {
+    const index = bit >> 3;
+    const mask = 0x80 >> (bit & 7);
+    if ((bytes[index] & mask) !== (range.bytes[index] & mask))
+    {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * @description Builds a matcher for a comma-separated
+ *              list of trusted proxy CIDRs. Invalid
+ *              entries are logged and ignored.
+ * @param {string} list - e.g. "127.0.0.0/8,::1"
+ * @returns {Function} (ip) => boolean
+ * @update 2026-10-19
+ */
+export function createProxyMatcher(list)
+{
+  const ranges = [];
+
+  for (const entry of String(list || '').split(','))
+  {
+    if (!entry.trim())
+    {
+      continue;
+    }
+
+    const range = parseCidr(entry);
+    if (range)
+    {
+      ranges.push(range);
+    }
+    else
+    {
+      console.error(
+        'Ignoring invalid trusted proxy:',
+        entry.trim()
+      );
+    }
+  }
+
+  return (ip) => ranges.some((range) => inRange(ip, range));
+}
+
+/**
+ * @description Resolves the client IP. Starting from
+ *              the socket peer, X-Forwarded-For hops
+ *              are only followed while the current
+ *              hop is a trusted proxy.
+ * @param {object} options
+ * @param {string} options.remoteAddress - Socket peer
+ * @param {string} [options.forwardedFor] - XFF header
+ * @param {Function} options.isTrustedProxy - Matcher
+ * @returns {string} Client IP or 'unknown'
+ * @update 2026-10-19
+ */
+export function resolveClientIp(
+  { remoteAddress, forwardedFor, isTrustedProxy }
+)
+{
+  let client = normalizeIp(remoteAddress);
+
+  if (!client)
+  {
+    return 'unknown';
+  }
+
+  const hops = typeof forwardedFor === 'string'
+    ? forwardedFor.split(',')
+    : [];
+
+  while (hops.length && isTrustedProxy(client))
+  {
+    const hop = normalizeIp(hops.pop());
+
+    // A malformed hop cannot be trusted further
+    if (!hop)
+    {
+      break;
+    }
+
+    client = hop;
+  }
+
+  return client;
+}
+
+/**
+ * @description Returns the rate limit key for an IP.
+ *              IPv6 addresses are grouped by network
+ *              prefix when ipv6Prefix is set, so one
+ *              client cannot rotate through its /64.
+ * @param {string} ip - Normalized IP
+ * @param {number} [ipv6Prefix] - Prefix length or 0
+ * @returns {string} Rate limit key
+ * @update 2026-10-19
+ */
+export function rateLimitKey(ip, ipv6Prefix = 0)
+{
+  if (isIP(ip) !== 6 || !ipv6Prefix || ipv6Prefix >= 128)
+  {
+    return ip;
+  }
+
+  const hextets = parseIPv6(ip).map((group, index) =>
+  {
+    const bits = ipv6Prefix - index * 16;
+    if (bits >= 16)
+    {
+      return group;
+    }
+    if (bits <= 0)
+    {
+      return 0;
+    }
+    return group & ((0xffff << (16 - bits)) & 0xffff);
+  });
+
+  return `${formatIPv6(hextets)}/${ipv6Prefix}`;
+}
+
+/**
+ * @description Truncates an IP to its network prefix
+ *              for anonymized storage, e.g.
+ *              "203.0.113.57" -> "203.0.113.0/24".
+ *              The "/" suffix marks it as truncated.
+ * @param {string} ip - Normalized IP
+ * @param {object} [options]
+ * @param {number} [options.ipv4Prefix] - Bits kept
+ * @param {number} [options.ipv6Prefix] - Bits kept
+ * @returns {string|null} Truncated IP or null if the
+ *          value is not an IP
+ * @update 2026-10-19
+ */
+export function truncateIp(
+  ip,
+  { ipv4Prefix = 24, ipv6Prefix = 48 } = {}
+)
+{
+  const version = isIP(ip);
+
+  if (version === 6)
+  {
+    return rateLimitKey(ip, ipv6Prefix);
+  }
+
+  if (version !== 4)
+  {
+    return null;
+  }
+
+  const octets = ip.split('.').map((octet, index) =>
+  {
+    const bits = ipv4Prefix - index * 8;
+    if (bits >= 8)
+    {
+      return octet;
+    }
+    if (bits <= 0)
+    {
+      return 0;
+    }
+    return Number(octet) & ((0xff << (8 - bits)) & 0xff);
+  });
+
+  return `${octets.join('.')}/${ipv4Prefix}`;
+}
@@ -0,0 +1,719 @@
+/**
+ * @file data-subject.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description GDPR data subject requests (access and
+ *              erasure) for contact form data. A person
+ *              asks by email, receives a signed link
+ *              "<requestId>.<issuedAt>.<signature>"
+ *              (Directus SECRET). Following it shows a
+ *              confirmation page; confirming returns
+ *              a JSON export or erases their records.
+ *              Every request is audited in
+ *              data_subject_requests.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Staff replies in the export
+ *   2026-10-19 - Attachments listed and erased
+ *   2026-10-19 - Webhook deliveries listed
+ *   2026-10-19 - Confirmation page before the request
+ *                is carried out
+ *   2026-10-19 - Webhook names and URLs left out of the
+ *                export
+ *   2026-10-19 - Verification emails deleted with the
+ *                request's address; explicit export
+ *                fields
+ */
+
+import {
+  createHash,
+  createHmac,
+  timingSafeEqual,
+} from 'node:crypto';
+import { DEFAULT_LOCALE } from './locale.js';
+import { OUTBOX_COLLECTION } from './outbox.js';
+import { deleteAttachments } from './attachments.js';
+import { DELIVERIES_COLLECTION } from './webhooks.js';
+
+export const DATA_REQUEST_COLLECTION = 'data_subject_requests';
+
+export const DATA_REQUEST_ACTIONS = ['export', 'erase'];
+
+/**
+ * Lifetime of the verification link; pending requests
+ * older than this are expired by the retention job.
+ */
+export const DATA_REQUEST_MAX_AGE_MS =
+  Number(process.env.CONTACT_DATA_REQUEST_MAX_AGE_MS) ||
+  24 * 60 * 60 * 1000;
+
+/**
+ * Submission fields included in an export. Spam
+ * scoring, the IP address, triage and retention
+ * fields are staff data.
+ */
+const EXPORTED_SUBMISSION_FIELDS = [
+  'id',
+  'date_created',
+  'name',
+  'email',
+  'phone',
+  'phone_original',
+  'subject',
+  'message',
+  'locale',
+  'status',
+  'replied_at',
+  'consent_at',
+  'consent_version',
+  'consent_locale',
+  'anonymized_at',
+  'messages.subject',
+  'messages.body',
+  'messages.date_created',
+  'attachments.directus_files_id.filename_download',
+  'attachments.directus_files_id.type',
+  'attachments.directus_files_id.filesize',
+];
+
+/**
+ * Outbox fields included in an export. CC and BCC
+ * are left out as they hold staff addresses.
+ */
+const EXPORTED_EMAIL_FIELDS = [
+  'id',
+  'subject',
+  'template',
+  'payload',
+  'status',
+  'date_created',
+  'sent_at',
+];
+
+/**
+ * Verification email wording per locale.
+ */
+export const DATA_REQUEST_EMAILS =
+{
+  it:
+  {
+    export: 'Conferma la richiesta di accesso ai tuoi dati',
+    erase: 'Conferma la richiesta di cancellazione dei tuoi dati',
+    intro: 'Abbiamo ricevuto una richiesta per questo indirizzo '
+      + 'email. Per confermarla apri il link:',
+    ignore: 'Se non hai fatto tu la richiesta, ignora '
+      + 'questa email.',
+  },
+  en:
+  {
+    export: 'Confirm your data access request',
+    erase: 'Confirm your data erasure request',
+    intro: 'We received a request for this email address. '
+      + 'Open the link to confirm it:',
+    ignore: 'If you did not make this request, ignore '
+      + 'this email.',
+  },
+  de:
+  {
+    export: 'Bestätigen Sie Ihre Anfrage auf Datenauskunft',
+    erase: 'Bestätigen Sie Ihre Anfrage auf Datenlöschung',
+    intro: 'Wir haben eine Anfrage für diese E-Mail-Adresse '
+      + 'erhalten. Öffnen Sie den Link, um sie zu bestätigen:',
+    ignore: 'Wenn Sie diese Anfrage nicht gestellt haben, '
+      + 'ignorieren Sie diese E-Mail.',
+  },
+  fr:
+  {
+    export: 'Confirmez votre demande d\'accès à vos données',
+    erase: 'Confirmez votre demande d\'effacement de vos données',
+    intro: 'Nous avons reçu une demande pour cette adresse '
+      + 'e-mail. Ouvrez le lien pour la confirmer :',
+    ignore: 'Si vous n\'êtes pas à l\'origine de cette '
+      + 'demande, ignorez cet e-mail.',
+  },
+};
+
+/**
+ * Confirmation and result page wording per locale.
+ */
+export const DATA_REQUEST_PAGES =
+{
+  it:
+  {
+    export:
+    {
+      title: 'Scarica i tuoi dati',
+      text: 'Conferma per scaricare una copia dei dati che '
+        + 'conserviamo per questo indirizzo email.',
+      button: 'Scarica i dati',
+    },
+    erase:
+    {
+      title: 'Cancella i tuoi dati',
+      text: 'Conferma per cancellare i messaggi inviati con '
+        + 'questo indirizzo email. L\'operazione non può '
+        + 'essere annullata.',
+      button: 'Cancella i dati',
+    },
+    erased:
+    {
+      title: 'Dati cancellati',
+      text: 'I tuoi dati sono stati cancellati.',
+    },
+    invalid:
+    {
+      title: 'Link non valido',
+      text: 'Il link non è valido o è scaduto. Invia una '
+        + 'nuova richiesta.',
+    },
+    used:
+    {
+      title: 'Link già usato',
+      text: 'Questa richiesta è già stata completata o è '
+        + 'scaduta.',
+    },
+  },
+  en:
+  {
+    export:
+    {
+      title: 'Download your data',
+      text: 'Confirm to download a copy of the data we hold '
+        + 'for this email address.',
+      button: 'Download data',
+    },
+    erase:
+    {
+      title: 'Erase your data',
+      text: 'Confirm to erase the messages sent with this '
+        + 'email address. This cannot be undone.',
+      button: 'Erase data',
+    },
+    erased:
+    {
+      title: 'Data erased',
+      text: 'Your data has been erased.',
+    },
+    invalid:
+    {
+      title: 'Invalid link',
+      text: 'The link is invalid or has expired. Please send '
+        + 'a new request.',
+    },
+    used:
+    {
+      title: 'Link already used',
+      text: 'This request has already been completed or has '
+        + 'expired.',
+    },
+  },
+  de:
+  {
+    export:
+    {
+      title: 'Ihre Daten herunterladen',
+      text: 'Bestätigen Sie, um eine Kopie der Daten '
+        + 'herunterzuladen, die wir zu dieser E-Mail-Adresse '
+        + 'speichern.',
+      button: 'Daten herunterladen',
+    },
+    erase:
+    {
+      title: 'Ihre Daten löschen',
+      text: 'Bestätigen Sie, um die mit dieser E-Mail-Adresse '
+        + 'gesendeten Nachrichten zu löschen. Dies kann nicht '
+        + 'rückgängig gemacht werden.',
+      button: 'Daten löschen',
+    },
+    erased:
+    {
+      title: 'Daten gelöscht',
+      text: 'Ihre Daten wurden gelöscht.',
+    },
+    invalid:
+    {
+      title: 'Ungültiger Link',
+      text: 'Der Link ist ungültig oder abgelaufen. Bitte '
+        + 'senden Sie eine neue Anfrage.',
+    },
+    used:
+    {
+      title: 'Link bereits verwendet',
+      text: 'Diese Anfrage wurde bereits abgeschlossen oder '
+        + 'ist abgelaufen.',
+    },
+  },
+  fr:
+  {
+    export:
+    {
+      title: 'Télécharger vos données',
+      text: 'Confirmez pour télécharger une copie des données '
+        + 'que nous conservons pour cette adresse e-mail.',
+      button: 'Télécharger les données',
+    },
+    erase:
+    {
+      title: 'Effacer vos données',
+      text: 'Confirmez pour effacer les messages envoyés avec '
+        + 'cette adresse e-mail. Cette action est '
+        + 'irréversible.',
+      button: 'Effacer les données',
+    },
+    erased:
+    {
+      title: 'Données effacées',
+      text: 'Vos données ont été effacées.',
+    },
+    invalid:
+    {
+      title: 'Lien non valide',
+      text: 'Le lien n\'est pas valide ou a expiré. Veuillez '
+        + 'envoyer une nouvelle demande.',
+    },
+    used:
+    {
+      title: 'Lien déjà utilisé',
+      text: 'Cette demande a déjà été traitée ou a expiré.',
+    },
+  },
+};
+
+/**
+ * @description Escapes text for HTML content and
+ *              attribute values.
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ * @update 2026-10-19
+ */
+function escapeHtml(value)
+{
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * @description Renders a data request page. Pages with
+ *              a button post back to the link, so
+ *              opening the link (or a mail scanner
+ *              prefetching it) changes nothing.
+ * @param {object} options
+ * @param {string} options.locale - Requester locale
+ * @param {string} options.page - Key in
+ *                 DATA_REQUEST_PAGES (export, erase,
+ *                 erased, invalid, used)
+ * @param {string} [options.link] - Form action
+ * @returns {string} HTML document
+ * @update 2026-10-19
+ */
+export function dataRequestPage({ locale, page, link })
+{
+  const pages =
+    DATA_REQUEST_PAGES[locale] ||
+    DATA_REQUEST_PAGES[DEFAULT_LOCALE];
+  const wording = pages[page];
+  const lang = DATA_REQUEST_PAGES[locale] ? locale : DEFAULT_LOCALE;
+
+  const form = wording.button && link
+    ? `<form method="post" action="${escapeHtml(link)}">`
+      + `<button type="submit">${escapeHtml(wording.button)}`
+      + '</button></form>'
+    : '';
+
+  return '<!DOCTYPE html>\n'
+    + `<html lang="${lang}">\n`
+    + '<head>\n'
+    + '<meta charset="utf-8">\n'
+    + '<meta name="viewport" '
+    + 'content="width=device-width, initial-scale=1">\n'
+    + '<meta name="robots" content="noindex">\n'
+    + `<title>${escapeHtml(wording.title)}</title>\n`
+    + '</head>\n'
+    + '<body>\n'
+    + `<h1>${escapeHtml(wording.title)}</h1>\n`
+    + `<p>${escapeHtml(wording.text)}</p>\n`
+    + form
+    + '\n</body>\n'
+    + '</html>\n';
+}
+
+/**
+ * @description Signs the token payload.
+ * @param {string} payload - "<requestId>.<issuedAt>"
+ * @param {string} secret - Signing secret
+ * @returns {string} base64url HMAC-SHA256
+ * @update 2026-10-19
+ */
+function sign(payload, secret)
+{
+  return createHmac('sha256', secret)
+    .update(`data-request:${payload}`)
+    .digest('base64url');
+}
+
+/**
+ * @description Issues the verification token for an
+ *              audited request.
+ * @param {number|string} requestId - Request item id
+ * @param {string} secret - Signing secret
+ * @param {number} [now] - Issue time in ms
+ * @returns {string} Signed token
+ * @update 2026-10-19
+ */
+export function issueRequestToken(
+  requestId,
+  secret,
+  now = Date.now()
+)
+{
+  if (!secret)
+  {
+    throw new Error('Data request secret is not configured');
+  }
+
+  const payload = `${requestId}.${now}`;
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * @description Verifies a token's signature and age.
+ *              Single use is enforced by the request
+ *              status.
+ * @param {*} token - Token from the link
+ * @param {string} secret - Signing secret
+ * @param {object} options
+ * @param {number} options.maxAgeMs - Link lifetime
+ * @param {number} [options.now] - Current time in ms
+ * @returns {object} { valid, reason, requestId }
+ * @update 2026-10-19
+ */
+export function verifyRequestToken(
+  token,
+  secret,
+  { maxAgeMs, now = Date.now() }
+)
+{
+  if (typeof token !== 'string' || !token)
+  {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const parts = token.split('.');
+
+  if (
+    parts.length !== 3 ||
+    !/^\d+$/.test(parts[0]) ||
+    !/^\d+$/.test(parts[1])
+  )
+  {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [requestId, issuedAt, signature] = parts;
+  const expected = Buffer.from(
+    sign(`${requestId}.${issuedAt}`, secret)
+  );
+  const actual = Buffer.from(signature);
+
+  if (
+    actual.length !== expected.length ||
+    !timingSafeEqual(actual, expected)
+  )
+  {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  if (now - Number(issuedAt) > maxAgeMs)
+  {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    requestId: Number(requestId),
+  };
+}
+
+/**
+ * @description Hashes an email address so the audit
+ *              trail can outlive an erasure.
+ * @param {string} email - Normalized email address
+ * @returns {string} SHA-256 hex digest
+ * @update 2026-10-19
+ */
+export function emailHash(email)
+{
+  return createHash('sha256').update(email).digest('hex');
+}
+
+/**
+ * @description Builds the verification email for the
+ *              outbox.
+ * @param {object} options
+ * @param {string} options.email - Requester address
+ * @param {string} options.action - export or erase
+ * @param {string} options.locale - Requester locale
+ * @param {string} options.link - Verification link
+ * @param {number} options.expiresInHours - Lifetime
+ * @param {number} options.requestId - Request id
+ * @returns {object} Email for the outbox
+ * @update 2026-10-19
+ */
+export function verificationEmail(
+  { email, action, locale, link, expiresInHours, requestId }
+)
+{
+  const wording =
+    DATA_REQUEST_EMAILS[locale] ||
+    DATA_REQUEST_EMAILS[DEFAULT_LOCALE];
+
+  return {
+    to: email,
+    subject: wording[action],
+    template:
+    {
+      name: 'data-request-verify',
+      data:
+      {
+        locale,
+        title: wording[action],
+        intro: wording.intro,
+        ignore: wording.ignore,
+        link,
+        expires_in_hours: expiresInHours,
+      },
+    },
+    dataRequest: requestId,
+  };
+}
+
+/**
+ * @description Deletes the verification emails of
+ *              data requests, which hold the address
+ *              and the request link.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Directus schema
+ * @param {number[]} options.requestIds - Requests
+ * @returns {Promise<number>} Emails deleted
+ * @update 2026-10-19
+ */
+export async function deleteVerificationEmails(
+  { services, schema, requestIds }
+)
+{
+  if (requestIds.length === 0)
+  {
+    return 0;
+  }
+
+  const outbox = new services.ItemsService(
+    OUTBOX_COLLECTION,
+    {
+      schema,
+      accountability: { admin: true },
+    }
+  );
+
+  const emailIds = (await outbox.readByQuery(
+  {
+    fields: ['id'],
+    filter: { data_request: { _in: requestIds } },
+    limit: -1,
+  })).map((item) => item.id);
+
+  if (emailIds.length > 0)
+  {
+    await outbox.deleteMany(emailIds, { emitEvents: false });
+  }
+
+  return emailIds.length;
+}
+
+/**
+ * @description Creates access to a person's contact
+ *              form records.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Directus schema
+ * @returns {object} { exportRecords, eraseRecords }
+ * @update 2026-10-19
+ */
+export function createDataSubjectRecords({ services, schema })
+{
+  const serviceOptions =
+  {
+    schema,
+    accountability: { admin: true },
+  };
+  const submissions = new services.ItemsService(
+    'contact_submissions',
+    serviceOptions
+  );
+  const outbox = new services.ItemsService(
+    OUTBOX_COLLECTION,
+    serviceOptions
+  );
+  const requests = new services.ItemsService(
+    DATA_REQUEST_COLLECTION,
+    serviceOptions
+  );
+
+  async function readSubmissions(email, fields)
+  {
+    return submissions.readByQuery(
+    {
+      fields,
+      filter: { email: { _eq: email } },
+      sort: ['date_created'],
+      limit: -1,
+    });
+  }
+
+  // Notifications and auto-replies about the person's
+  // submissions, plus any email sent to them
+  async function readEmails(email, submissionIds, fields)
+  {
+    const filter = submissionIds.length > 0
+      ? {
+        _or: [
+          { recipient: { _eq: email } },
+          { submission: { _in: submissionIds } },
+        ],
+      }
+      : { recipient: { _eq: email } };
+
+    return outbox.readByQuery(
+    {
+      fields,
+      filter,
+      sort: ['date_created'],
+      limit: -1,
+    });
+  }
+
+  // Submissions forwarded to third-party systems; the
+  // receiving endpoints are staff configuration and
+  // stay out of the export
+  async function readDeliveries(submissionIds)
+  {
+    if (submissionIds.length === 0)
+    {
+      return [];
+    }
+
+    const deliveries = new services.ItemsService(
+      DELIVERIES_COLLECTION,
+      serviceOptions
+    );
+
+    return deliveries.readByQuery(
+    {
+      fields: [
+        'submission',
+        'status',
+        'date_created',
+        'delivered_at',
+      ],
+      filter: { submission: { _in: submissionIds } },
+      sort: ['date_created'],
+      limit: -1,
+    });
+  }
+
+  return {
+    /**
+     * @description Collects everything held about an
+     *              email address.
+     * @param {string} email - Normalized address
+     * @returns {Promise<object>} Export document
+     * @update 2026-10-19
+     */
+    async exportRecords(email)
+    {
+      const submissionItems = await readSubmissions(
+        email,
+        EXPORTED_SUBMISSION_FIELDS
+      );
+      const deliveries = await readDeliveries(
+        submissionItems.map((item) => item.id)
+      );
+      const emails = await readEmails(
+        email,
+        submissionItems.map((item) => item.id),
+        EXPORTED_EMAIL_FIELDS
+      );
+      const requestItems = await requests.readByQuery(
+      {
+        fields: [
+          'id',
+          'action',
+          'status',
+          'date_created',
+          'completed_at',
+        ],
+        filter: { email_hash: { _eq: emailHash(email) } },
+        sort: ['date_created'],
+        limit: -1,
+      });
+
+      return {
+        email,
+        generated_at: new Date().toISOString(),
+        contact_submissions: submissionItems,
+        emails,
+        webhook_deliveries: deliveries,
+        data_requests: requestItems,
+      };
+    },
+
+    /**
+     * @description Deletes the submissions of an email
+     *              address, their files and the emails
+     *              about them; replies and webhook
+     *              deliveries go with their submission
+     *              (cascade). Audit entries
+     *              are kept, identified by email hash
+     *              only.
+     * @param {string} email - Normalized address
+     * @returns {Promise<object>} Erased counts
+     * @update 2026-10-19
+     */
+    async eraseRecords(email)
+    {
+      const ids = (await readSubmissions(email, ['id']))
+        .map((item) => item.id);
+      const emailIds = (await readEmails(email, ids, ['id']))
+        .map((item) => item.id);
+
+      if (emailIds.length > 0)
+      {
+        await outbox.deleteMany(emailIds, { emitEvents: false });
+      }
+
+      const files = await deleteAttachments(
+      {
+        services,
+        schema,
+        submissionIds: ids,
+      });
+
+      if (ids.length > 0)
+      {
+        await submissions.deleteMany(ids, { emitEvents: false });
+      }
+
+      return {
+        contact_submissions: ids.length,
+        emails: emailIds.length,
+        attachments: files,
+      };
+    },
+  };
+}
@@ -0,0 +1,311 @@
+/**
+ * @file dedupe.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Protection against duplicate contact
+ *              submissions from double-clicks and
+ *              browser retries: Idempotency-Key replay
+ *              of the first response (Redis or memory)
+ *              and near-duplicate detection by content
+ *              hash stored on contact_submissions.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Idempotency records keep a hash of the
+ *                request they answered
+ */
+
+import { createHash } from 'node:crypto';
+import { getRedisClient } from './redis.js';
+
+/**
+ * Prefix for idempotency records in Redis.
+ */
+const REDIS_KEY_PREFIX = 'lares:contact-form:idempotency:';
+
+/**
+ * Upper bound on records held in memory.
+ */
+const MEMORY_MAX_KEYS = 10000;
+
+/**
+ * Marker stored while the first request is running,
+ * and how long it holds if that request never ends.
+ */
+const PENDING = { pending: true };
+const PENDING_TTL_MS = 60 * 1000;
+
+/**
+ * @description Checks an Idempotency-Key header value:
+ *              1-255 visible ASCII characters.
+ * @param {*} key - Header value
+ * @returns {boolean} True if usable
+ * @update 2026-10-19
+ */
+export function isValidIdempotencyKey(key)
+{
+  return typeof key === 'string' &&
+    /^[\x21-\x7e]{1,255}$/.test(key);
+}
+
+/**
+ * @description Hashes the fields and files of a request,
+ *              so a reused Idempotency-Key can be told
+ *              apart from a retry of the same request.
+ * @param {object} fields - Request body fields
+ * @param {object[]} [files] - Uploaded files with
+ *                   { filename, buffer }
+ * @returns {string} Hex SHA-256
+ * @update 2026-10-19
+ */
+export function requestHash(fields, files = [])
+{
+  const hash = createHash('sha256');
+  const entries = Object.entries(fields || {})
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  hash.update(JSON.stringify(entries));
+
+  for (const file of files)
+  {
+    hash.update(`\n${file.filename}\n`).update(file.buffer);
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * @description Hashes the normalized email and message
+ *              so resubmissions with different casing
+ *              or whitespace still match.
+ * @param {object} submission - { email, message }
+ * @returns {string} Hex SHA-256
+ * @update 2026-10-19
+ */
+export function contentHash({ email, message })
+{
+  const normalize = (value) => String(value || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return createHash('sha256')
+    .update(`${normalize(email)}\n${normalize(message)}`)
+    .digest('hex');
+}
+
+/**
+ * @description Finds a submission with the same content
+ *              hash created within the window.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Directus schema
+ * @param {string} options.hash - contentHash() value
+ * @param {number} options.windowMs - Lookback window
+ * @param {number} [options.now] - Current time in ms
+ * @returns {Promise<object|null>} { id, status } or null
+ * @update 2026-10-19
+ */
+export async function findDuplicate(
+  { services, schema, hash, windowMs, now = Date.now() }
+)
+{
+  const itemsService = new services.ItemsService(
+    'contact_submissions',
+    {
+      schema,
+      accountability: { admin: true },
+    }
+  );
+
+  const [duplicate] = await itemsService.readByQuery(
+  {
+    fields: ['id', 'status'],
+    filter:
+    {
+      content_hash: { _eq: hash },
+      date_created:
+      {
+        _gte: new Date(now - windowMs).toISOString(),
+      },
+    },
+    sort: ['-date_created'],
+    limit: 1,
+  });
+
+  return duplicate || null;
+}
+
+/**
+ * @description Creates the store of responses keyed by
+ *              Idempotency-Key, in Redis when available
+ *              and in memory otherwise.
+ * @param {object} options
+ * @param {number} options.ttlMs - How long to keep keys
+ * @param {string} [options.redisUrl] - Redis URL
+ * @returns {object} { begin, complete, release }
+ * @update 2026-10-19
+ */
+export function createIdempotencyStore(
+  { ttlMs, redisUrl }
+)
+{
+  /**
+   * Key: hashed key, Value: { record, expiresAt }
+   */
+  const records = new Map();
+
+  function storageKey(key)
+  {
+    return createHash('sha256').update(key).digest('hex');
+  }
+
+  function sweep(now)
+  {
+    for (const [key, entry] of records)
+    {
+      if (entry.expiresAt <= now)
+      {
+        records.delete(key);
+      }
+    }
+  }
+
+  async function withRedis(fn, fallback)
+  {
+    const client = await getRedisClient(redisUrl);
+
+    if (client)
+    {
+      try
+      {
+        return await fn(client);
+      }
+      catch (err)
+      {
+        console.error(
+          'Idempotency store Redis fallback:',
+          err.message
+        );
+      }
+    }
+
+    return fallback();
+  }
+
+  return {
+    /**
+     * @description Claims a key for a new request.
+     * @param {string} key - Idempotency-Key value,
+     *                 scoped to the client
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<object|null>} Null if claimed,
+     *          otherwise { pending } or the stored
+     *          { status, body, requestHash }
+     * @update 2026-10-19
+     */
+    async begin(key, now = Date.now())
+    {
+      const id = storageKey(key);
+
+      return withRedis(async (client) =>
+      {
+        const redisKey = `${REDIS_KEY_PREFIX}${id}`;
+        const claimed = await client.set(
+          redisKey,
+          JSON.stringify(PENDING),
+          'PX',
+          PENDING_TTL_MS,
+          'NX'
+        );
+
+        if (claimed === 'OK')
+        {
+          return null;
+        }
+
+        const stored = await client.get(redisKey);
+        return stored ? JSON.parse(stored) : PENDING;
+      }, () =>
+      {
+        sweep(now);
+
+        if (records.has(id))
+        {
+          return records.get(id).record;
+        }
+
+        records.set(id,
+        {
+          record: PENDING,
+          expiresAt: now + PENDING_TTL_MS,
+        });
+
+        if (records.size > MEMORY_MAX_KEYS)
+        {
+          records.delete(records.keys().next().value);
+        }
+
+        return null;
+      });
+    },
+
+    /**
+     * @description Stores the response of a claimed key.
+     * @param {string} key - Idempotency-Key value,
+     *                 scoped to the client
+     * @param {object} response
+     * @param {number} response.status - HTTP status
+     * @param {object} response.body - Response body
+     * @param {string} response.requestHash -
+     *                 requestHash() of the request
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<void>}
+     * @update 2026-10-19
+     */
+    async complete(
+      key,
+      { status, body, requestHash: hash },
+      now = Date.now()
+    )
+    {
+      const id = storageKey(key);
+      const record = { status, body, requestHash: hash };
+
+      await withRedis(async (client) =>
+      {
+        await client.set(
+          `${REDIS_KEY_PREFIX}${id}`,
+          JSON.stringify(record),
+          'PX',
+          ttlMs
+        );
+      }, () =>
+      {
+        records.set(id, { record, expiresAt: now + ttlMs });
+      });
+    },
+
+    /**
+     * @description Frees a claimed key so the request
+     *              can be retried (e.g. after a 5xx).
+     * @param {string} key - Idempotency-Key value,
+     *                 scoped to the client
+     * @returns {Promise<void>}
+     * @update 2026-10-19
+     */
+    async release(key)
+    {
+      const id = storageKey(key);
+
+      await withRedis(async (client) =>
+      {
+        await client.del(`${REDIS_KEY_PREFIX}${id}`);
+      }, () =>
+      {
+        records.delete(id);
+      });
+    },
+  };
+}
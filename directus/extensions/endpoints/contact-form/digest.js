@@ -0,0 +1,642 @@
+/**
+ * @file digest.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Periodic digest of contact activity for
+ *              people who prefer a summary to one email
+ *              per submission. Submissions of the period
+ *              are counted by subject and status, and
+ *              open ones older than stale_days are
+ *              listed. Recipients are the list in the
+ *              contact_digest singleton plus Directus
+ *              users who opted in (contact_digest field
+ *              on their profile). Run by the
+ *              contact-digest hook; emails go through
+ *              the outbox, in each recipient's
+ *              language as for admin notifications.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Localized per recipient language
+ *   2026-10-19 - Open submissions listed by id, without
+ *                visitor names
+ */
+
+import { SUBMISSION_STATUSES } from './triage.js';
+import { toAddressList } from './routing.js';
+import { createOutbox } from './outbox.js';
+import { DEFAULT_LOCALE, pickTranslation } from './locale.js';
+import { loadSubjects } from './subjects.js';
+import {
+  NOTIFICATION_LOCALE,
+  notificationLocale,
+} from './notification.js';
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+/**
+ * Digest wording per locale. {placeholders} are
+ * filled in by the templates and the subject line.
+ */
+export const DIGEST_EMAILS =
+{
+  it:
+  {
+    daily: 'Riepilogo giornaliero dei contatti',
+    weekly: 'Riepilogo settimanale dei contatti',
+    summary: '{total} nuovi, {waiting} in attesa',
+    new_count: 'Nuovi messaggi nel periodo: {total}',
+    subject: 'Argomento',
+    total: 'Totale',
+    waiting: 'In attesa di risposta da più di {days} giorni '
+      + '({count})',
+    age: '{days} giorni',
+    more: 'E altri {count}.',
+    open: 'Apri i messaggi di contatto',
+    login_required: 'Accesso a Directus richiesto',
+    footer: 'Riepilogo automatico. Gli utenti Directus '
+      + 'possono disattivarlo con l\'impostazione "Contact '
+      + 'digest" del proprio profilo.',
+    statuses:
+    {
+      new: 'Nuovo',
+      in_progress: 'In lavorazione',
+      replied: 'Risposto',
+      archived: 'Archiviato',
+      spam: 'Spam',
+    },
+  },
+  en:
+  {
+    daily: 'Daily contact digest',
+    weekly: 'Weekly contact digest',
+    summary: '{total} new, {waiting} waiting',
+    new_count: 'New submissions in this period: {total}',
+    subject: 'Subject',
+    total: 'Total',
+    waiting: 'Waiting for an answer for more than {days} '
+      + 'days ({count})',
+    age: '{days} days',
+    more: 'And {count} more.',
+    open: 'Open contact submissions',
+    login_required: 'Directus login required',
+    footer: 'Automated digest. Directus users can change '
+      + 'the "Contact digest" setting on their profile to '
+      + 'stop it.',
+    statuses:
+    {
+      new: 'New',
+      in_progress: 'In progress',
+      replied: 'Replied',
+      archived: 'Archived',
+      spam: 'Spam',
+    },
+  },
+  de:
+  {
+    daily: 'Tägliche Kontaktübersicht',
+    weekly: 'Wöchentliche Kontaktübersicht',
+    summary: '{total} neu, {waiting} offen',
+    new_count: 'Neue Nachrichten in diesem Zeitraum: {total}',
+    subject: 'Thema',
+    total: 'Gesamt',
+    waiting: 'Seit mehr als {days} Tagen unbeantwortet '
+      + '({count})',
+    age: '{days} Tage',
+    more: 'Und {count} weitere.',
+    open: 'Kontaktnachrichten öffnen',
+    login_required: 'Directus-Anmeldung erforderlich',
+    footer: 'Automatische Übersicht. Directus-Benutzer '
+      + 'können sie mit der Einstellung "Contact digest" '
+      + 'in ihrem Profil abbestellen.',
+    statuses:
+    {
+      new: 'Neu',
+      in_progress: 'In Bearbeitung',
+      replied: 'Beantwortet',
+      archived: 'Archiviert',
+      spam: 'Spam',
+    },
+  },
+  fr:
+  {
+    daily: 'Récapitulatif quotidien des contacts',
+    weekly: 'Récapitulatif hebdomadaire des contacts',
+    summary: '{total} nouveaux, {waiting} en attente',
+    new_count: 'Nouveaux messages sur la période : {total}',
+    subject: 'Sujet',
+    total: 'Total',
+    waiting: 'En attente de réponse depuis plus de {days} '
+      + 'jours ({count})',
+    age: '{days} jours',
+    more: 'Et {count} de plus.',
+    open: 'Ouvrir les messages de contact',
+    login_required: 'Connexion à Directus requise',
+    footer: 'Récapitulatif automatique. Les utilisateurs '
+      + 'Directus peuvent le désactiver avec le paramètre '
+      + '"Contact digest" de leur profil.',
+    statuses:
+    {
+      new: 'Nouveau',
+      in_progress: 'En cours',
+      replied: 'Répondu',
+      archived: 'Archivé',
+      spam: 'Spam',
+    },
+  },
+};
+
+/**
+ * Statuses still waiting for an answer.
+ */
+export const UNANSWERED_STATUSES = ['new', 'in_progress'];
+
+/**
+ * Defaults from env. weekday: 0 = Sunday ... 6 =
+ * Saturday, the day weekly digests go out.
+ */
+export const DIGEST_DEFAULTS =
+{
+  enabled: process.env.CONTACT_DIGEST_ENABLED !== 'false',
+  frequency: process.env.CONTACT_DIGEST_FREQUENCY || 'weekly',
+  recipients: toAddressList(process.env.CONTACT_DIGEST_RECIPIENTS),
+  stale_days: Number(process.env.CONTACT_DIGEST_STALE_DAYS) || 3,
+  weekday: /^[0-6]$/.test(process.env.CONTACT_DIGEST_WEEKDAY)
+    ? Number(process.env.CONTACT_DIGEST_WEEKDAY)
+    : 1,
+};
+
+/**
+ * Open submissions listed in one digest; the rest
+ * are only counted.
+ */
+const MAX_UNANSWERED = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Base URL of the Directus app for item links.
+ */
+const PUBLIC_URL =
+  process.env.PUBLIC_URL || 'http://localhost:8055';
+
+/**
+ * @description Merges the settings singleton over the
+ *              env defaults, ignoring empty or invalid
+ *              values.
+ * @param {object|null} row - contact_digest item
+ * @param {object} [defaults] - Env defaults
+ * @returns {object} Effective settings
+ * @update 2026-10-19
+ */
+export function resolveDigestSettings(
+  row,
+  defaults = DIGEST_DEFAULTS
+)
+{
+  const settings = { ...defaults };
+
+  if (typeof row?.enabled === 'boolean')
+  {
+    settings.enabled = row.enabled;
+  }
+
+  if (DIGEST_FREQUENCIES.includes(row?.frequency))
+  {
+    settings.frequency = row.frequency;
+  }
+
+  if (!DIGEST_FREQUENCIES.includes(settings.frequency))
+  {
+    settings.frequency = 'weekly';
+  }
+
+  if (toAddressList(row?.recipients).length > 0)
+  {
+    settings.recipients = toAddressList(row.recipients);
+  }
+
+  if (Number.isInteger(row?.stale_days) && row.stale_days > 0)
+  {
+    settings.stale_days = row.stale_days;
+  }
+
+  if (
+    Number.isInteger(row?.weekday) &&
+    row.weekday >= 0 &&
+    row.weekday <= 6
+  )
+  {
+    settings.weekday = row.weekday;
+  }
+
+  return settings;
+}
+
+/**
+ * @description Returns the digests due on a day: the
+ *              daily one always, the weekly one on the
+ *              configured weekday.
+ * @param {number} weekday - Weekly digest day (0-6)
+ * @param {Date} now - Current time
+ * @returns {string[]} Due frequencies
+ * @update 2026-10-19
+ */
+export function dueFrequencies(weekday, now)
+{
+  return now.getDay() === weekday
+    ? ['daily', 'weekly']
+    : ['daily'];
+}
+
+/**
+ * @description Returns the start of the period a
+ *              digest covers.
+ * @param {string} frequency - daily or weekly
+ * @param {Date} now - Current time
+ * @returns {Date} Period start
+ * @update 2026-10-19
+ */
+export function periodStart(frequency, now)
+{
+  const days = frequency === 'weekly' ? 7 : 1;
+  return new Date(now.getTime() - days * DAY_MS);
+}
+
+/**
+ * @description Collects the recipients of a digest:
+ *              the configured list when its frequency
+ *              matches, and active users who opted in
+ *              to that frequency. Addresses with a
+ *              Directus account get their profile
+ *              language, others
+ *              CONTACT_NOTIFICATION_LOCALE.
+ * @param {object} settings - Effective settings
+ * @param {object[]} users - { email, status, language,
+ *                   contact_digest } items
+ * @param {string} frequency - daily or weekly
+ * @returns {object[]} De-duplicated { email, locale }
+ * @update 2026-10-19
+ */
+export function digestRecipients(settings, users, frequency)
+{
+  const configured = settings.frequency === frequency
+    ? settings.recipients
+    : [];
+  const optedIn = users
+    .filter((user) =>
+      user.status === 'active' &&
+      user.contact_digest === frequency
+    )
+    .map((user) => user.email);
+  const languages = new Map(
+    users.map((user) => [
+      String(user.email).toLowerCase(),
+      notificationLocale(user.language),
+    ])
+  );
+
+  return toAddressList(
+    [...configured, ...optedIn].map((address) =>
+      String(address || '').toLowerCase()
+    )
+  ).map((email) => (
+  {
+    email,
+    locale: languages.get(email) ||
+      notificationLocale(NOTIFICATION_LOCALE) ||
+      DEFAULT_LOCALE,
+  }));
+}
+
+/**
+ * @description Fills {placeholders} in a wording.
+ * @param {string} text - Wording from DIGEST_EMAILS
+ * @param {object} values - Placeholder values
+ * @returns {string} Text
+ * @update 2026-10-19
+ */
+function fill(text, values)
+{
+  return text.replace(
+    /\{(\w+)\}/g,
+    (match, key) => String(values[key] ?? match)
+  );
+}
+
+/**
+ * @description Builds the digest email for one
+ *              recipient.
+ * @param {object} options
+ * @param {object} options.recipient - { email, locale }
+ * @param {string} options.frequency - daily or weekly
+ * @param {object} options.data - Template data shared
+ *                 by all recipients
+ * @param {object[]} [options.subjects] - Subject items
+ *                   with translations
+ * @returns {object} Email for the outbox
+ * @update 2026-10-19
+ */
+export function digestEmail(
+  { recipient, frequency, data, subjects = [] }
+)
+{
+  const labels =
+    DIGEST_EMAILS[recipient.locale] ||
+    DIGEST_EMAILS[DEFAULT_LOCALE];
+  const subjectLabels = Object.fromEntries(
+    subjects.map((item) => [
+      item.code,
+      pickTranslation(item.translations, recipient.locale)
+        ?.label || item.code,
+    ])
+  );
+
+  return {
+    to: recipient.email,
+    subject: `${labels[frequency]}: ` + fill(labels.summary,
+    {
+      total: data.total,
+      waiting: data.unanswered_count,
+    }),
+    template:
+    {
+      name: 'contact-digest',
+      data:
+      {
+        ...data,
+        locale: recipient.locale,
+        labels,
+        subject_labels: subjectLabels,
+      },
+    },
+  };
+}
+
+/**
+ * @description Counts submissions by status, overall
+ *              and per subject.
+ * @param {object[]} submissions - { subject, status }
+ * @returns {object} { total, statuses, subjects } where
+ *          subjects is [{ subject, total, statuses }],
+ *          busiest first
+ * @update 2026-10-19
+ */
+export function summarizeSubmissions(submissions)
+{
+  const emptyCounts = () => Object.fromEntries(
+    SUBMISSION_STATUSES.map((status) => [status, 0])
+  );
+  const statuses = emptyCounts();
+  const bySubject = new Map();
+
+  for (const item of submissions)
+  {
+    const subject = item.subject || 'other';
+
+    if (!bySubject.has(subject))
+    {
+      bySubject.set(subject,
+      {
+        subject,
+        total: 0,
+        statuses: emptyCounts(),
+      });
+    }
+
+    const group = bySubject.get(subject);
+    group.total += 1;
+
+    if (item.status in statuses)
+    {
+      group.statuses[item.status] += 1;
+      statuses[item.status] += 1;
+    }
+  }
+
+  return {
+    total: submissions.length,
+    statuses,
+    subjects: [...bySubject.values()].sort(
+      (a, b) => b.total - a.total ||
+        a.subject.localeCompare(b.subject)
+    ),
+  };
+}
+
+/**
+ * @description Whole days between a date and now.
+ * @param {string} date - ISO timestamp
+ * @param {Date} now - Current time
+ * @returns {number} Age in days
+ * @update 2026-10-19
+ */
+export function ageInDays(date, now)
+{
+  return Math.floor((now.getTime() - Date.parse(date)) / DAY_MS);
+}
+
+/**
+ * @description Creates the digest job.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Directus schema
+ * @param {object} options.database - Knex instance
+ * @returns {object} { run }
+ * @update 2026-10-19
+ */
+export function createDigestJob({ services, schema, database })
+{
+  const serviceOptions =
+  {
+    schema,
+    accountability: { admin: true },
+  };
+  const submissions = new services.ItemsService(
+    'contact_submissions',
+    serviceOptions
+  );
+
+  async function loadSettings()
+  {
+    try
+    {
+      const settingsService = new services.ItemsService(
+        'contact_digest',
+        serviceOptions
+      );
+      return resolveDigestSettings(
+        await settingsService.readSingleton({})
+      );
+    }
+    catch (err)
+    {
+      console.error(
+        'Contact digest settings unavailable:',
+        err.message
+      );
+      return resolveDigestSettings(null);
+    }
+  }
+
+  // Opted-in users, plus accounts of configured
+  // addresses for their language
+  async function loadUsers(recipients)
+  {
+    const usersService = new services.UsersService(
+      serviceOptions
+    );
+
+    return usersService.readByQuery(
+    {
+      fields: ['email', 'status', 'language', 'contact_digest'],
+      filter:
+      {
+        _or: [
+          { contact_digest: { _in: DIGEST_FREQUENCIES } },
+          { email: { _in: recipients } },
+        ],
+      },
+      limit: -1,
+    });
+  }
+
+  // Open submissions of any age, oldest first. Digests
+  // are not linked to a submission, so retention never
+  // purges them: they carry ids and links only
+  async function loadUnanswered(staleDays, now)
+  {
+    const cutoff = new Date(now.getTime() - staleDays * DAY_MS);
+    const filter =
+    {
+      _and: [
+        { status: { _in: UNANSWERED_STATUSES } },
+        { date_created: { _lt: cutoff.toISOString() } },
+      ],
+    };
+
+    const [items, [{ count }]] = await Promise.all([
+      submissions.readByQuery(
+      {
+        fields: ['id', 'subject', 'status', 'date_created'],
+        filter,
+        sort: ['date_created'],
+        limit: MAX_UNANSWERED,
+      }),
+      submissions.readByQuery(
+      {
+        aggregate: { count: ['id'] },
+        filter,
+      }),
+    ]);
+
+    return {
+      count: Number(count.id),
+      items: items.map((item) => ({
+        id: item.id,
+        subject: item.subject,
+        status: item.status,
+        age_days: ageInDays(item.date_created, now),
+        url: `${PUBLIC_URL}/admin/content/contact_submissions/`
+          + item.id,
+      })),
+    };
+  }
+
+  return {
+    /**
+     * @description Sends the digests due today.
+     * @param {Date} [now] - Current time
+     * @returns {Promise<object[]|null>} Per frequency
+     *          { frequency, total, unanswered,
+     *          recipients }, or null when disabled
+     * @update 2026-10-19
+     */
+    async run(now = new Date())
+    {
+      const settings = await loadSettings();
+
+      if (!settings.enabled)
+      {
+        return null;
+      }
+
+      const users = await loadUsers(settings.recipients);
+      const subjects = await loadSubjects(services, schema);
+      const unanswered = await loadUnanswered(
+        settings.stale_days,
+        now
+      );
+      const outbox = createOutbox({ services, schema, database });
+      const results = [];
+
+      for (const frequency of dueFrequencies(settings.weekday, now))
+      {
+        const recipients = digestRecipients(
+          settings,
+          users,
+          frequency
+        );
+
+        if (recipients.length === 0)
+        {
+          continue;
+        }
+
+        const start = periodStart(frequency, now);
+        const summary = summarizeSubmissions(
+          await submissions.readByQuery(
+          {
+            fields: ['subject', 'status'],
+            filter:
+            {
+              date_created: { _gte: start.toISOString() },
+            },
+            limit: -1,
+          })
+        );
+
+        results.push(
+        {
+          frequency,
+          total: summary.total,
+          unanswered: unanswered.count,
+          recipients: recipients.length,
+        });
+
+        // Nothing new and nothing waiting
+        if (summary.total === 0 && unanswered.count === 0)
+        {
+          continue;
+        }
+
+        const data =
+        {
+          frequency,
+          period_start: start.toISOString(),
+          period_end: now.toISOString(),
+          ...summary,
+          status_names: SUBMISSION_STATUSES,
+          stale_days: settings.stale_days,
+          unanswered: unanswered.items,
+          unanswered_count: unanswered.count,
+          admin_url: `${PUBLIC_URL}/admin/content/`
+            + 'contact_submissions',
+        };
+
+        for (const recipient of recipients)
+        {
+          await outbox.enqueue(digestEmail(
+          {
+            recipient,
+            frequency,
+            data,
+            subjects,
+          }));
+        }
+      }
+
+      return results;
+    },
+  };
+}
@@ -0,0 +1,66 @@
+/**
+ * @file disposable-domains.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Offline list of disposable / throwaway
+ *              email domains used by the spam scorer.
+ *              Subdomains of these domains match too.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+export const DISPOSABLE_DOMAINS = [
+  '10minutemail.com',
+  '10minutemail.net',
+  '20minutemail.com',
+  'anonbox.net',
+  'burnermail.io',
+  'discard.email',
+  'discardmail.com',
+  'dispostable.com',
+  'dropmail.me',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'fakemail.net',
+  'getairmail.com',
+  'getnada.com',
+  'guerrillamail.biz',
+  'guerrillamail.com',
+  'guerrillamail.de',
+  'guerrillamail.net',
+  'guerrillamail.org',
+  'guerrillamailblock.com',
+  'harakirimail.com',
+  'inboxkitten.com',
+  'jetable.org',
+  'mailcatch.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailinator.net',
+  'mailnesia.com',
+  'mailpoof.com',
+  'mintemail.com',
+  'mohmal.com',
+  'mytemp.email',
+  'nada.email',
+  'sharklasers.com',
+  'spam4.me',
+  'spamgourmet.com',
+  'temp-mail.io',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.com',
+  'tempmail.net',
+  'tempmailo.com',
+  'tempr.email',
+  'throwawaymail.com',
+  'trash-mail.com',
+  'trashmail.com',
+  'trashmail.de',
+  'trashmail.net',
+  'wegwerfmail.de',
+  'yopmail.com',
+  'yopmail.fr',
+  'yopmail.net',
+];
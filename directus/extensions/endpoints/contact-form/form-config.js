@@ -0,0 +1,115 @@
+/**
+ * @file form-config.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Public contact form configuration for
+ *              the frontend: field rules, patterns and
+ *              localized subject options, built from
+ *              the same FIELD_RULES / ALLOWED_PATTERNS
+ *              the POST route validates against.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Privacy consent with current policy
+ *   2026-10-19 - Attachment limits
+ */
+
+import { ALLOWED_PATTERNS, FIELD_RULES } from './validation.js';
+import { pickTranslation } from './locale.js';
+import { ATTACHMENT_LIMITS } from './attachments.js';
+
+/**
+ * Version of the JSON shape. Bump on breaking change.
+ */
+export const FORM_CONFIG_VERSION = 1;
+
+/**
+ * @description Serializes a pattern so the frontend
+ *              can rebuild it with new RegExp().
+ * @param {RegExp} pattern - Server-side pattern
+ * @returns {object} { source, flags }
+ * @update 2026-10-19
+ */
+function toPattern(pattern)
+{
+  return {
+    source: pattern.source,
+    flags: pattern.flags,
+  };
+}
+
+/**
+ * @description Builds the form config for a locale.
+ * @param {object} options
+ * @param {object[]} options.subjects - Active subjects
+ *                   with translations
+ * @param {string} options.locale - Resolved locale
+ * @param {object} [options.policy] - Current privacy
+ *                 policy with translations
+ * @param {object} [options.attachments] - Attachment
+ *                 limits (ATTACHMENT_LIMITS)
+ * @returns {object} Form config
+ * @update 2026-10-19
+ */
+export function buildFormConfig(
+  { subjects, locale, policy, attachments = ATTACHMENT_LIMITS }
+)
+{
+  return {
+    version: FORM_CONFIG_VERSION,
+    locale,
+    fields:
+    {
+      name:
+      {
+        ...FIELD_RULES.name,
+        pattern: toPattern(ALLOWED_PATTERNS.name),
+      },
+      email:
+      {
+        ...FIELD_RULES.email,
+        pattern: toPattern(ALLOWED_PATTERNS.email),
+      },
+      phone:
+      {
+        ...FIELD_RULES.phone,
+        pattern: toPattern(ALLOWED_PATTERNS.phone),
+      },
+      subject:
+      {
+        ...FIELD_RULES.subject,
+        options: subjects.map((subject) => ({
+          value: subject.code,
+          label:
+            pickTranslation(subject.translations, locale)
+              ?.label || subject.code,
+        })),
+      },
+      message:
+      {
+        ...FIELD_RULES.message,
+      },
+      privacy_consent:
+      {
+        ...FIELD_RULES.privacy_consent,
+        policy: policy
+          ? {
+            version: policy.version,
+            title:
+              pickTranslation(policy.translations, locale)
+                ?.title || null,
+          }
+          : null,
+      },
+      // null when uploads are turned off
+      attachments: attachments.enabled
+        ? {
+          ...FIELD_RULES.attachments,
+          maxFiles: attachments.maxFiles,
+          maxBytes: attachments.maxBytes,
+          types: attachments.types,
+        }
+        : null,
+    },
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * @file form-post.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Support for plain HTML form posts
+ *              (application/x-www-form-urlencoded) from
+ *              visitors without JavaScript. Parses the
+ *              body and maps endpoint outcomes to 303
+ *              redirects to localized thank-you and
+ *              error pages under FRONTEND_URL. Only
+ *              field names and error codes travel in
+ *              the URL, never submitted values.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - key_reused reason for a reused
+ *                Idempotency-Key
+ */
+
+import { ERROR_CODES, FIELD_RULES } from './validation.js';
+
+export const FORM_CONTENT_TYPE =
+  'application/x-www-form-urlencoded';
+
+/**
+ * Error page reason per HTTP status; anything else
+ * is reported as "server".
+ */
+const STATUS_REASONS =
+{
+  400: 'validation',
+  403: 'challenge',
+  409: 'in_progress',
+  413: 'too_large',
+  422: 'key_reused',
+  429: 'rate_limited',
+};
+
+/**
+ * @description Reads and parses a urlencoded body.
+ *              Uses req.body when Directus already
+ *              parsed it. Repeated fields keep their
+ *              first value.
+ * @param {object} req - Express request
+ * @param {number} limitBytes - Maximum body size
+ * @returns {Promise<object>} Parsed fields
+ * @update 2026-10-19
+ */
+export async function readFormBody(req, limitBytes)
+{
+  if (req.body && Object.keys(req.body).length > 0)
+  {
+    return req.body;
+  }
+
+  if (req.readableEnded)
+  {
+    return {};
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req)
+  {
+    size += chunk.length;
+
+    if (size > limitBytes)
+    {
+      const err = new Error('Form body too large');
+      err.status = 413;
+      throw err;
+    }
+
+    chunks.push(chunk);
+  }
+
+  const fields = new Map();
+  const params = new URLSearchParams(
+    Buffer.concat(chunks).toString('utf8')
+  );
+
+  for (const [key, value] of params)
+  {
+    if (!fields.has(key))
+    {
+      fields.set(key, value);
+    }
+  }
+
+  return Object.fromEntries(fields);
+}
+
+/**
+ * @description Builds the redirect target for an
+ *              endpoint response.
+ * @param {object} options
+ * @param {string} options.frontendUrl - FRONTEND_URL
+ * @param {string} options.successPath - Path template
+ *                 with {locale}
+ * @param {string} options.errorPath - Path template
+ *                 with {locale}
+ * @param {string} options.locale - Visitor locale
+ * @param {number} options.status - HTTP status
+ * @param {object} [options.body] - JSON response body
+ * @returns {string} Absolute redirect URL
+ * @update 2026-10-19
+ */
+export function redirectUrl(
+  { frontendUrl, successPath, errorPath, locale, status, body }
+)
+{
+  const success = status >= 200 && status < 300;
+  const path = (success ? successPath : errorPath)
+    .replace('{locale}', encodeURIComponent(locale));
+  const url = new URL(path, frontendUrl);
+
+  if (success)
+  {
+    return url.toString();
+  }
+
+  url.searchParams.set(
+    'reason',
+    STATUS_REASONS[status] || 'server'
+  );
+
+  // Whitelisted field names and codes only
+  const codes = Object.values(ERROR_CODES);
+
+  for (const [field, code] of Object.entries(
+    body?.errors || {}
+  ))
+  {
+    if (field in FIELD_RULES && codes.includes(code))
+    {
+      url.searchParams.set(field, code);
+    }
+  }
+
+  return url.toString();
+}
@@ -0,0 +1,224 @@
+/**
+ * @file form-token.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description HMAC-signed form tokens against bots.
+ *              The frontend fetches a token when the
+ *              form is shown; the POST route rejects
+ *              missing, forged, expired, replayed or
+ *              too-quickly submitted tokens. Token:
+ *              "<issuedAt>.<nonce>.<signature>" signed
+ *              with the Directus SECRET. Tokens for
+ *              plain form posts, which cannot solve the
+ *              proof-of-work, are signed with
+ *              CONTACT_FORM_POST_SECRET and issued only
+ *              to the frontend server.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Form post key check
+ */
+
+import {
+  createHash,
+  createHmac,
+  randomBytes,
+  timingSafeEqual,
+} from 'node:crypto';
+import { getRedisClient } from './redis.js';
+
+/**
+ * Prefix for used nonces in Redis.
+ */
+const REDIS_KEY_PREFIX = 'lares:contact-form:nonce:';
+
+/**
+ * @description Signs the token payload.
+ * @param {string} payload - "<issuedAt>.<nonce>"
+ * @param {string} secret - Signing secret
+ * @returns {string} base64url HMAC-SHA256
+ * @update 2026-10-19
+ */
+function sign(payload, secret)
+{
+  return createHmac('sha256', secret)
+    .update(`contact-form:${payload}`)
+    .digest('base64url');
+}
+
+/**
+ * @description Issues a new form token.
+ * @param {string} secret - Signing secret
+ * @param {number} [now] - Issue time in ms
+ * @returns {string} Signed token
+ * @update 2026-10-19
+ */
+export function issueToken(secret, now = Date.now())
+{
+  if (!secret)
+  {
+    throw new Error('Form token secret is not configured');
+  }
+
+  const nonce = randomBytes(16).toString('base64url');
+  const payload = `${now}.${nonce}`;
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * @description Checks the key the frontend server
+ *              sends to get form post tokens, in
+ *              constant time.
+ * @param {*} value - X-Contact-Form-Key header
+ * @param {string} secret - CONTACT_FORM_POST_SECRET
+ * @returns {boolean} True if the key matches
+ * @update 2026-10-19
+ */
+export function isFormPostKey(value, secret)
+{
+  if (!secret || typeof value !== 'string')
+  {
+    return false;
+  }
+
+  const digest = (text) =>
+    createHash('sha256').update(text).digest();
+
+  return timingSafeEqual(digest(value), digest(secret));
+}
+
+/**
+ * @description Verifies a token's signature and age.
+ *              Does not check replay; see
+ *              createNonceStore().
+ * @param {*} token - Submitted token
+ * @param {string} secret - Signing secret
+ * @param {object} options
+ * @param {number} options.minFillMs - Minimum time
+ *                 between issue and submit
+ * @param {number} options.maxAgeMs - Token lifetime
+ * @param {number} [options.now] - Current time in ms
+ * @returns {object} { valid, reason, nonce }
+ * @update 2026-10-19
+ */
+export function verifyToken(
+  token,
+  secret,
+  { minFillMs, maxAgeMs, now = Date.now() }
+)
+{
+  if (typeof token !== 'string' || !token)
+  {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const parts = token.split('.');
+
+  if (parts.length !== 3 || !/^\d+$/.test(parts[0]))
+  {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [issuedAt, nonce, signature] = parts;
+  const expected = Buffer.from(
+    sign(`${issuedAt}.${nonce}`, secret)
+  );
+  const actual = Buffer.from(signature);
+
+  if (
+    actual.length !== expected.length ||
+    !timingSafeEqual(actual, expected)
+  )
+  {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  const age = now - Number(issuedAt);
+
+  if (age < minFillMs)
+  {
+    return { valid: false, reason: 'too_fast', nonce };
+  }
+
+  if (age > maxAgeMs)
+  {
+    return { valid: false, reason: 'expired', nonce };
+  }
+
+  return { valid: true, reason: null, nonce };
+}
+
+/**
+ * @description Creates a store of used token nonces,
+ *              in Redis when available and in memory
+ *              otherwise (expired entries evicted).
+ * @param {object} options
+ * @param {string} [options.redisUrl] - Redis URL
+ * @returns {object} { markUsed }
+ * @update 2026-10-19
+ */
+export function createNonceStore({ redisUrl })
+{
+  /**
+   * Key: nonce, Value: expiry time in ms
+   */
+  const used = new Map();
+
+  function markUsedInMemory(nonce, ttlMs, now)
+  {
+    for (const [key, expiresAt] of used)
+    {
+      if (expiresAt <= now)
+      {
+        used.delete(key);
+      }
+    }
+
+    if (used.has(nonce))
+    {
+      return false;
+    }
+
+    used.set(nonce, now + ttlMs);
+    return true;
+  }
+
+  return {
+    /**
+     * @description Marks a nonce as used.
+     * @param {string} nonce - Token nonce
+     * @param {number} ttlMs - How long to remember it
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<boolean>} False if already used
+     * @update 2026-10-19
+     */
+    async markUsed(nonce, ttlMs, now = Date.now())
+    {
+      const client = await getRedisClient(redisUrl);
+
+      if (client)
+      {
+        try
+        {
+          const result = await client.set(
+            `${REDIS_KEY_PREFIX}${nonce}`,
+            '1',
+            'PX',
+            ttlMs,
+            'NX'
+          );
+          return result === 'OK';
+        }
+        catch (err)
+        {
+          console.error(
+            'Form token Redis fallback:',
+            err.message
+          );
+        }
+      }
+
+      return markUsedInMemory(nonce, ttlMs, now);
+    },
+  };
+}
@@ -11,284 +11,1505 @@
  *
  * @update_history
  *   2026-02-11 - Initial creation
+ *   2026-10-19 - Initial status from triage lifecycle
+ *   2026-10-19 - Redis-backed sliding-window rate
+ *                limiter, limits configurable via env
+ *   2026-10-19 - Trusted-proxy aware client IP
+ *                resolution, IPv6 prefix rate limiting
+ *   2026-10-19 - Visitor locale, localized auto-reply
+ *   2026-10-19 - Emails sent through persisted outbox
+ *   2026-10-19 - Subject-based notification routing
+ *   2026-10-19 - Subjects from contact_subjects
+ *                collection; validation moved to
+ *                validation.js
+ *   2026-10-19 - Public GET /config for the frontend
+ *   2026-10-19 - Validation error codes with localized
+ *                messages
+ *   2026-10-19 - Signed form token with minimum fill
+ *                time and replay protection
+ *   2026-10-19 - Content-based spam scoring; spam is
+ *                stored without notifications
+ *   2026-10-19 - Proof-of-work challenge/verify routes,
+ *                solution required on submit
+ *   2026-10-19 - Idempotency-Key support and
+ *                near-duplicate detection
+ *   2026-10-19 - No-JavaScript urlencoded form posts
+ *                with 303 redirects to localized pages
+ *   2026-10-19 - Origin check, content type and body
+ *                size limits, strict field checks
+ *   2026-10-19 - Punycode email domains, E.164 phone
+ *                with original input kept
+ *   2026-10-19 - Text sanitized (NFC, control and bidi
+ *                characters) before validation instead
+ *                of stripping tags
+ *   2026-10-19 - Required privacy consent, recorded
+ *                with policy version and locale
+ *   2026-10-19 - Data subject access and erasure
+ *                requests with signed email links
+ *   2026-10-19 - Staff replies to submissions
+ *   2026-10-19 - Multipart posts with file attachments
+ *   2026-10-19 - Signed outbound webhooks
+ *   2026-10-19 - Admin notification per recipient
+ *                language with Reply-To the visitor
+ *   2026-10-19 - Form posts need a token signed with
+ *                CONTACT_FORM_POST_SECRET
+ *   2026-10-19 - Idempotency and rate limit checked
+ *                before reading the body
+ *   2026-10-19 - Unknown privacy policy versions are
+ *                rejected; no policy closes the form
+ *   2026-10-19 - Data requests need a form token and
+ *                proof-of-work, are capped per address
+ *                and confirmed by POST
+ *   2026-10-19 - Auto-reply sent with the thread's root
+ *                Message-ID
+ *   2026-10-19 - Verification email deleted once a data
+ *                request is completed
+ *   2026-10-19 - Malformed multipart bodies answered with
+ *                400, a missing parser with 503
+ *   2026-10-19 - Idempotency-Key scoped to the client and
+ *                bound to the request body (422 on reuse)
+ *   2026-10-19 - Challenge check errors answered with 500
+ *   2026-10-19 - Email length checked after punycode
+ *                conversion
  */
 
+import { INITIAL_STATUSES } from './triage.js';
+import { createRateLimiter } from './rate-limiter.js';
+import {
+  createProxyMatcher,
+  rateLimitKey,
+  resolveClientIp,
+} from './client-ip.js';
+import { loadLanguageCodes, resolveLocale } from './locale.js';
+import { buildAutoReply } from './autoreply.js';
+import { createOutbox } from './outbox.js';
+import { contactMessageId } from './mail.js';
+import { resolveRecipients } from './routing.js';
+import {
+  ALLOWED_PATTERNS,
+  ERROR_CODES,
+  FIELD_RULES,
+  normalizeEmail,
+  sanitizeFormData,
+  sanitizeText,
+  validateFormData,
+} from './validation.js';
+import { toE164 } from './phone.js';
+import {
+  consentRecord,
+  loadPrivacyPolicies,
+  pickPolicy,
+} from './privacy.js';
+import {
+  createSubjectCache,
+  loadSubjects,
+  subjectCodes,
+} from './subjects.js';
+import { buildFormConfig } from './form-config.js';
+import { localizeErrors } from './messages.js';
+import {
+  createNonceStore,
+  isFormPostKey,
+  issueToken,
+  verifyToken,
+} from './form-token.js';
+import { scoreSubmission } from './spam-score.js';
+import {
+  POW_ALGORITHM,
+  issueChallenge,
+  verifySolution,
+} from './proof-of-work.js';
+import {
+  contentHash,
+  createIdempotencyStore,
+  findDuplicate,
+  isValidIdempotencyKey,
+  requestHash,
+} from './dedupe.js';
+import {
+  FORM_CONTENT_TYPE,
+  readFormBody,
+  redirectUrl,
+} from './form-post.js';
+import {
+  bodySize,
+  checkFields,
+  isAllowedOrigin,
+  parseAllowedOrigins,
+} from './request-guard.js';
+import {
+  DATA_REQUEST_ACTIONS,
+  DATA_REQUEST_COLLECTION,
+  DATA_REQUEST_MAX_AGE_MS,
+  createDataSubjectRecords,
+  dataRequestPage,
+  deleteVerificationEmails,
+  emailHash,
+  issueRequestToken,
+  verificationEmail,
+  verifyRequestToken,
+} from './data-subject.js';
+import { sendReply, validateReply } from './reply.js';
+import {
+  ATTACHMENT_LIMITS,
+  checkAttachments,
+  storeAttachments,
+} from './attachments.js';
+import { readMultipartBody } from './multipart.js';
+import { createWebhooks } from './webhooks.js';
+import { buildNotifications } from './notification.js';
+
 /**
- * Whitelist patterns for allowed input values.
- * Only values matching these patterns are accepted.
+ * Rate limit: max submissions per IP within a
+ * sliding window. Configurable via env.
  */
-const ALLOWED_PATTERNS =
-{
-  name: /^[a-zA-ZÀ-ÿ\s'\-]{2,100}$/,
-  email:
-    /^[a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,254}$/,
-  phone: /^[\d\s+\-()]{0,20}$/,
-  message: /^[\s\S]{10,2000}$/,
-};
+const RATE_LIMIT_MAX =
+  Number(process.env.CONTACT_RATE_LIMIT_MAX) || 3;
+const RATE_LIMIT_WINDOW_MS =
+  Number(process.env.CONTACT_RATE_LIMIT_WINDOW_MS) ||
+  15 * 60 * 1000;
 
 /**
- * Whitelist of allowed subject values.
+ * Proxies allowed to set X-Forwarded-For (CIDR list)
+ * and optional IPv6 prefix length used to group
+ * addresses for rate limiting (e.g. 64).
  */
-const ALLOWED_SUBJECTS = [
-  'info',
-  'visit',
-  'partnership',
-  'other',
-];
+const TRUSTED_PROXIES =
+  process.env.CONTACT_TRUSTED_PROXIES ?? '127.0.0.0/8,::1';
+const RATE_LIMIT_IPV6_PREFIX =
+  Number(process.env.CONTACT_RATE_LIMIT_IPV6_PREFIX) || 0;
 
 /**
- * Rate limit: max submissions per IP within window.
+ * Form token: minimum time between fetching the token
+ * and submitting, and token lifetime. Signed with the
+ * Directus SECRET (DIRECTUS_SECRET in docker-compose).
  */
-const RATE_LIMIT_MAX = 3;
-const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+const TOKEN_MIN_FILL_MS =
+  Number(process.env.CONTACT_TOKEN_MIN_FILL_MS) || 3000;
+const TOKEN_MAX_AGE_MS =
+  Number(process.env.CONTACT_TOKEN_MAX_AGE_MS) ||
+  2 * 60 * 60 * 1000;
 
 /**
- * In-memory rate limit store.
- * Key: IP address, Value: { count, firstRequest }
+ * Proof-of-work: required leading zero bits of the
+ * solution hash (each extra bit doubles the work) and
+ * challenge lifetime.
  */
-const rateLimitStore = new Map();
+const POW_DIFFICULTY =
+  Number(process.env.CONTACT_POW_DIFFICULTY) || 18;
+const POW_MAX_AGE_MS =
+  Number(process.env.CONTACT_POW_MAX_AGE_MS) ||
+  30 * 60 * 1000;
 
 /**
- * @description Strips all HTML tags from a string
- *              to prevent stored XSS.
- * @param {string} str - Input string
- * @returns {string} Sanitized string without HTML
- * @update 2026-02-11
+ * Duplicates: how long Idempotency-Key responses are
+ * kept, and the window in which the same email and
+ * message count as a resubmission.
  */
-function stripHTML(str)
-{
-  if (typeof str !== 'string')
-  {
-    return '';
-  }
-  return str.replace(/<[^>]*>/g, '');
-}
+const IDEMPOTENCY_TTL_MS =
+  Number(process.env.CONTACT_IDEMPOTENCY_TTL_MS) ||
+  24 * 60 * 60 * 1000;
+const DUPLICATE_WINDOW_MS =
+  Number(process.env.CONTACT_DUPLICATE_WINDOW_MS) ||
+  60 * 60 * 1000;
 
 /**
- * @description Checks if the given IP has exceeded
- *              the rate limit for form submissions.
- * @param {string} ip - Client IP address
- * @returns {boolean} True if rate limited
- * @update 2026-02-11
+ * Plain HTML form posts (no JavaScript): can be turned
+ * off, and the thank-you / error pages under
+ * FRONTEND_URL ({locale} is replaced). They cannot
+ * solve the proof-of-work, so their form token must
+ * be signed with CONTACT_FORM_POST_SECRET, which only
+ * the frontend server can get tokens for; without it
+ * form posts are off.
  */
-function isRateLimited(ip)
-{
-  const now = Date.now();
-  const entry = rateLimitStore.get(ip);
+const FORM_POST_SECRET =
+  process.env.CONTACT_FORM_POST_SECRET || '';
+const FORM_POSTS_ENABLED =
+  process.env.CONTACT_FORM_POSTS !== 'false' &&
+  Boolean(FORM_POST_SECRET) &&
+  FORM_POST_SECRET !== process.env.SECRET;
+const FRONTEND_URL =
+  process.env.FRONTEND_URL || 'http://localhost:4321';
+const SUCCESS_PATH =
+  process.env.CONTACT_SUCCESS_PATH ||
+  '/{locale}/contact/thank-you';
+const ERROR_PATH =
+  process.env.CONTACT_ERROR_PATH ||
+  '/{locale}/contact/error';
 
-  if (!entry)
-  {
-    rateLimitStore.set(ip,
-    {
-      count: 1,
-      firstRequest: now,
-    });
-    return false;
-  }
+/**
+ * Request guards: origins allowed to post (from
+ * CORS_ORIGIN and FRONTEND_URL) and max body size.
+ */
+const ALLOWED_ORIGINS = parseAllowedOrigins(
+  process.env.CORS_ORIGIN,
+  FRONTEND_URL
+);
+const MAX_BODY_BYTES =
+  Number(process.env.CONTACT_MAX_BODY_BYTES) || 32 * 1024;
 
-  if (now - entry.firstRequest > RATE_LIMIT_WINDOW_MS)
-  {
-    rateLimitStore.set(ip,
-    {
-      count: 1,
-      firstRequest: now,
-    });
-    return false;
-  }
+/**
+ * Multipart bodies may add the attachments (limits in
+ * attachments.js) on top of the fields.
+ */
+const MAX_MULTIPART_BYTES = MAX_BODY_BYTES +
+  ATTACHMENT_LIMITS.maxFiles * ATTACHMENT_LIMITS.maxBytes;
 
-  if (entry.count >= RATE_LIMIT_MAX)
-  {
-    return true;
-  }
+/**
+ * Data subject requests: verification links point at
+ * this endpoint under PUBLIC_URL (lifetime in
+ * data-subject.js). Verification emails per address
+ * are capped within a window.
+ */
+const PUBLIC_URL =
+  process.env.PUBLIC_URL || 'http://localhost:8055';
+const DATA_REQUEST_EMAIL_MAX =
+  Number(process.env.CONTACT_DATA_REQUEST_EMAIL_MAX) || 3;
+const DATA_REQUEST_EMAIL_WINDOW_MS =
+  Number(process.env.CONTACT_DATA_REQUEST_EMAIL_WINDOW_MS) ||
+  24 * 60 * 60 * 1000;
 
-  entry.count += 1;
-  return false;
+/**
+ * @description Builds the verification link of a data
+ *              subject request.
+ * @param {string} token - Signed request token
+ * @returns {string} Absolute URL
+ * @update 2026-10-19
+ */
+function dataRequestLink(token)
+{
+  return `${PUBLIC_URL}/contact-form/data-request/${token}`;
 }
 
 /**
- * @description Validates form data against whitelist
- *              patterns. Returns object with errors
- *              for any field that fails validation.
- * @param {object} data - Form data to validate
- * @returns {object} { valid: boolean, errors: object }
- * @update 2026-02-11
+ * @description Responds exactly like the honeypot path
+ *              so bots learn nothing from rejection.
+ * @param {object} res - Express response
+ * @returns {object} Express response
+ * @update 2026-10-19
  */
-function validateFormData(data)
+function fakeSuccess(res)
 {
-  const errors = {};
-
-  if (
-    !data.name ||
-    typeof data.name !== 'string' ||
-    !ALLOWED_PATTERNS.name.test(data.name.trim())
-  )
+  return res.status(200).json(
   {
-    errors.name = 'Invalid name';
-  }
+    message: 'Thank you for your message.',
+  });
+}
 
-  if (
-    !data.email ||
-    typeof data.email !== 'string' ||
-    !ALLOWED_PATTERNS.email.test(data.email.trim())
-  )
+/**
+ * @description Responds to an accepted submission.
+ *              Also returned for duplicates so
+ *              retries see the original outcome.
+ * @param {object} res - Express response
+ * @returns {object} Express response
+ * @update 2026-10-19
+ */
+function accepted(res)
+{
+  return res.status(200).json(
   {
-    errors.email = 'Invalid email';
-  }
+    message: 'Message received successfully.',
+  });
+}
 
-  if (
-    data.phone &&
-    typeof data.phone === 'string' &&
-    data.phone.trim() &&
-    !ALLOWED_PATTERNS.phone.test(data.phone.trim())
-  )
-  {
-    errors.phone = 'Invalid phone';
-  }
+/**
+ * @description Stores the response for an
+ *              Idempotency-Key once it is sent, with
+ *              the hash of the request it answers. Only
+ *              successful outcomes are kept; other
+ *              responses free the key for a retry.
+ * @param {object} res - Express response
+ * @param {object} store - Idempotency store
+ * @param {string} key - Scoped Idempotency-Key
+ * @param {Function} getRequestHash - Returns the
+ *                   requestHash() of the body
+ * @returns {void}
+ * @update 2026-10-19
+ */
+function recordResponse(res, store, key, getRequestHash)
+{
+  const send = res.json.bind(res);
 
-  if (
-    !data.subject ||
-    !ALLOWED_SUBJECTS.includes(data.subject)
-  )
+  res.json = (body) =>
   {
-    errors.subject = 'Invalid subject';
-  }
+    const saved = res.statusCode < 300
+      ? store.complete(key,
+      {
+        status: res.statusCode,
+        body,
+        requestHash: getRequestHash(),
+      })
+      : store.release(key);
 
-  if (
-    !data.message ||
-    typeof data.message !== 'string' ||
-    !ALLOWED_PATTERNS.message.test(
-      data.message.trim()
-    )
-  )
-  {
-    errors.message = 'Invalid message';
-  }
+    saved.catch((err) =>
+    {
+      console.error('Idempotency store error:', err.message);
+    });
 
-  return {
-    valid: Object.keys(errors).length === 0,
-    errors,
+    return send(body);
   };
 }
 
+/**
+ * @description Turns JSON responses into 303 redirects
+ *              to the thank-you or error page, for
+ *              plain HTML form posts.
+ * @param {object} res - Express response
+ * @param {Function} getLocale - Returns the visitor
+ *                   locale when the response is sent
+ * @returns {void}
+ * @update 2026-10-19
+ */
+function redirectResponse(res, getLocale)
+{
+  res.json = (body) => res.redirect(303, redirectUrl(
+  {
+    frontendUrl: FRONTEND_URL,
+    successPath: SUCCESS_PATH,
+    errorPath: ERROR_PATH,
+    locale: getLocale(),
+    status: res.statusCode,
+    body,
+  }));
+}
+
 /**
  * @description Registers the /contact-form endpoint
  *              with Directus. Handles POST requests
- *              with full validation pipeline.
+ *              with full validation pipeline and
+ *              serves the public form config.
  * @param {object} router - Express router instance
  * @param {object} context - Directus extension context
  * @returns {void}
- * @update 2026-02-11
+ * @update 2026-10-19
  */
 export default (router, context) =>
 {
-  const { services, getSchema } = context;
+  const { services, getSchema, database, logger } = context;
 
-  router.post('/', async (req, res) =>
+  const rateLimiter = createRateLimiter(
+  {
+    max: RATE_LIMIT_MAX,
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    redisUrl: process.env.REDIS,
+  });
+
+  const emailLimiter = createRateLimiter(
+  {
+    max: DATA_REQUEST_EMAIL_MAX,
+    windowMs: DATA_REQUEST_EMAIL_WINDOW_MS,
+    redisUrl: process.env.REDIS,
+  });
+
+  const isTrustedProxy = createProxyMatcher(TRUSTED_PROXIES);
+
+  const nonceStore = createNonceStore(
+  {
+    redisUrl: process.env.REDIS,
+  });
+
+  const idempotencyStore = createIdempotencyStore(
+  {
+    ttlMs: IDEMPOTENCY_TTL_MS,
+    redisUrl: process.env.REDIS,
+  });
+
+  const subjectCache = createSubjectCache(
+  {
+    load: async () =>
+      loadSubjects(services, await getSchema()),
+  });
+
+  router.get('/config', async (req, res) =>
   {
     try
     {
-      const clientIp =
-        req.headers['x-forwarded-for']?.split(',')[0] ||
-        req.ip ||
-        'unknown';
+      const schema = await getSchema();
 
-      if (isRateLimited(clientIp))
+      const locale = resolveLocale(
       {
-        return res.status(429).json(
+        requested: req.query.locale,
+        acceptLanguage: req.headers['accept-language'],
+        supported: await loadLanguageCodes(services, schema),
+      });
+
+      const subjects = await subjectCache.get();
+      const policy = pickPolicy(
+        await loadPrivacyPolicies(services, schema)
+      );
+
+      res.set('Cache-Control', 'public, max-age=300');
+      res.set('Vary', 'Accept-Language');
+
+      return res.json(
+        buildFormConfig({ subjects, locale, policy })
+      );
+    }
+    catch (err)
+    {
+      console.error(
+        'Contact form config error:',
+        err.message
+      );
+      return res.status(500).json(
+      {
+        message: 'Internal server error.',
+      });
+    }
+  });
+
+  router.get('/token', (req, res) =>
+  {
+    try
+    {
+      res.set('Cache-Control', 'no-store');
+
+      // The frontend server renders form post tokens
+      // into the no-JavaScript form with the shared key
+      const formPostToken = FORM_POSTS_ENABLED && isFormPostKey(
+        req.headers['x-contact-form-key'],
+        FORM_POST_SECRET
+      );
+
+      return res.json(
+      {
+        token: issueToken(formPostToken
+          ? FORM_POST_SECRET
+          : process.env.SECRET),
+        expiresIn: TOKEN_MAX_AGE_MS,
+      });
+    }
+    catch (err)
+    {
+      console.error(
+        'Contact form token error:',
+        err.message
+      );
+      return res.status(500).json(
+      {
+        message: 'Internal server error.',
+      });
+    }
+  });
+
+  router.get('/challenge', (req, res) =>
+  {
+    try
+    {
+      res.set('Cache-Control', 'no-store');
+
+      return res.json(
+      {
+        challenge: issueChallenge(
+          process.env.SECRET,
+          POW_DIFFICULTY
+        ),
+        difficulty: POW_DIFFICULTY,
+        algorithm: POW_ALGORITHM,
+        expiresIn: POW_MAX_AGE_MS,
+      });
+    }
+    catch (err)
+    {
+      console.error(
+        'Contact form challenge error:',
+        err.message
+      );
+      return res.status(500).json(
+      {
+        message: 'Internal server error.',
+      });
+    }
+  });
+
+  router.post('/challenge/verify', (req, res) =>
+  {
+    try
+    {
+      const body = req.body || {};
+
+      // Lets the frontend check a solution before submit;
+      // does not consume the challenge
+      const result = verifySolution(
+        body.challenge,
+        body.solution,
+        process.env.SECRET,
+        { maxAgeMs: POW_MAX_AGE_MS }
+      );
+
+      return res.status(result.valid ? 200 : 400).json(
+      {
+        valid: result.valid,
+        reason: result.reason,
+      });
+    }
+    catch (err)
+    {
+      console.error(
+        'Contact form challenge error:',
+        err.message
+      );
+      return res.status(500).json(
+      {
+        message: 'Internal server error.',
+      });
+    }
+  });
+
+  router.post('/', async (req, res) =>
+  {
+    try
+    {
+      if (!isAllowedOrigin(req.headers, ALLOWED_ORIGINS))
+      {
+        return res.status(403).json(
         {
-          message: 'Too many requests. Try again later.',
+          message: 'Origin not allowed.',
         });
       }
 
-      const body = req.body || {};
+      const multipart = ATTACHMENT_LIMITS.enabled &&
+        Boolean(req.is('multipart/form-data'));
 
-      if (body.honeypot)
+      // Multipart posts from a plain HTML form (browser
+      // navigation prefers HTML) get redirects too
+      const formPost = FORM_POSTS_ENABLED && (
+        Boolean(req.is(FORM_CONTENT_TYPE)) ||
+        (multipart && req.accepts(['json', 'html']) === 'html')
+      );
+
+      if (
+        !formPost &&
+        !multipart &&
+        !req.is('application/json')
+      )
       {
-        return res.status(200).json(
+        return res.status(415).json(
         {
-          message: 'Thank you for your message.',
+          message: 'Unsupported content type.',
         });
       }
 
-      const validation = validateFormData(body);
+      // Form posts answer with redirects; the locale
+      // is refined once the fields are read
+      let formLocale = null;
+      let supportedLocales = [];
 
-      if (!validation.valid)
+      if (formPost)
       {
-        return res.status(400).json(
+        supportedLocales = await loadLanguageCodes(
+          services,
+          await getSchema()
+        );
+        formLocale = resolveLocale(
         {
-          message: 'Validation failed',
-          errors: validation.errors,
+          acceptLanguage: req.headers['accept-language'],
+          supported: supportedLocales,
         });
+        redirectResponse(res, () => formLocale);
       }
 
-      const sanitizedData =
+      const clientIp = resolveClientIp(
       {
-        name: stripHTML(body.name.trim()),
-        email: body.email.trim().toLowerCase(),
-        phone: body.phone
-          ? stripHTML(body.phone.trim())
-          : '',
-        subject: body.subject,
-        message: stripHTML(body.message.trim()),
-        ip_address: clientIp,
-        status: 'new',
-      };
+        remoteAddress: req.socket?.remoteAddress,
+        forwardedFor: req.headers['x-forwarded-for'],
+        isTrustedProxy,
+      });
+      const clientKey = rateLimitKey(
+        clientIp,
+        RATE_LIMIT_IPV6_PREFIX
+      );
 
-      const schema = await getSchema();
-      const itemsService = new services.ItemsService(
-        'contact_submissions',
+      // Replays and rate limits are settled from the
+      // headers, before reading a body of up to
+      // MAX_MULTIPART_BYTES; a replay is answered once
+      // its body matches the first request
+      const idempotencyKey = req.headers['idempotency-key'];
+      let replay = null;
+      let bodyHash = null;
+
+      if (idempotencyKey !== undefined)
+      {
+        if (!isValidIdempotencyKey(idempotencyKey))
         {
-          schema,
-          accountability: { admin: true },
+          return res.status(400).json(
+          {
+            message: 'Invalid Idempotency-Key header.',
+          });
         }
-      );
 
-      await itemsService.createOne(sanitizedData);
+        // Scoped to the client: a guessed key does not
+        // return another visitor's response
+        const scopedKey = `${clientKey}\n${idempotencyKey}`;
+        const previous = await idempotencyStore.begin(scopedKey);
 
-      try
+        if (previous?.pending)
+        {
+          return res.status(409).json(
+          {
+            message: 'Request already in progress.',
+          });
+        }
+
+        if (previous)
+        {
+          replay = previous;
+        }
+        else
+        {
+          recordResponse(
+            res,
+            idempotencyStore,
+            scopedKey,
+            () => bodyHash
+          );
+        }
+      }
+
+      if (!replay && await rateLimiter.isRateLimited(clientKey))
       {
-        const mailService = new services.MailService(
+        return res.status(429).json(
         {
-          schema,
-          accountability: { admin: true },
+          message: 'Too many requests. Try again later.',
         });
+      }
+
+      let attachments = { files: [], tooMany: false };
+
+      if (formPost || multipart)
+      {
+        let fields = {};
+        let tooLarge = bodySize(req) > (multipart
+          ? MAX_MULTIPART_BYTES
+          : MAX_BODY_BYTES);
+
+        try
+        {
+          if (!tooLarge && multipart)
+          {
+            const upload = await readMultipartBody(req,
+            {
+              fieldBytes: MAX_BODY_BYTES,
+              maxFiles: ATTACHMENT_LIMITS.maxFiles,
+              maxBytes: ATTACHMENT_LIMITS.maxBytes,
+            });
 
-        await mailService.send(
+            fields = upload.fields;
+            attachments = upload;
+          }
+          else if (!tooLarge)
+          {
+            fields = await readFormBody(req, MAX_BODY_BYTES);
+          }
+        }
+        catch (err)
         {
-          to: process.env.ADMIN_EMAIL,
-          subject:
-            `[Lares] New contact: ${sanitizedData.subject}`,
-          template:
+          if (err.status === 400)
+          {
+            return res.status(400).json(
+            {
+              message: 'Invalid request body.',
+            });
+          }
+
+          // Parser missing from the runtime
+          if (err.status === 503)
           {
-            name: 'contact-notification',
-            data:
+            console.error('Contact form error:', err.message);
+            return res.status(503).json(
             {
-              name: sanitizedData.name,
-              email: sanitizedData.email,
-              phone: sanitizedData.phone,
-              subject: sanitizedData.subject,
-              message: sanitizedData.message,
-            },
-          },
+              message: 'Contact form temporarily unavailable.',
+            });
+          }
+
+          if (err.status !== 413)
+          {
+            throw err;
+          }
+          tooLarge = true;
+        }
+
+        if (formPost)
+        {
+          formLocale = resolveLocale(
+          {
+            requested: fields.locale,
+            acceptLanguage: req.headers['accept-language'],
+            supported: supportedLocales,
+          });
+        }
+
+        if (tooLarge)
+        {
+          return res.status(413).json(
+          {
+            message: 'Payload too large.',
+          });
+        }
+
+        req.body = fields;
+      }
+      else if (bodySize(req) > MAX_BODY_BYTES)
+      {
+        return res.status(413).json(
+        {
+          message: 'Payload too large.',
         });
       }
-      catch (mailErr)
+
+      if (idempotencyKey !== undefined)
       {
-        console.error(
-          'Email notification failed:',
-          mailErr.message
-        );
+        bodyHash = requestHash(req.body, attachments.files);
+
+        if (replay && replay.requestHash !== bodyHash)
+        {
+          return res.status(422).json(
+          {
+            message: 'Idempotency-Key reused with a ' +
+              'different request.',
+          });
+        }
+
+        if (replay)
+        {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(replay.status).json(replay.body);
+        }
       }
 
-      return res.status(200).json(
+      const fieldCheck = checkFields(req.body);
+
+      if (!fieldCheck.valid)
       {
-        message: 'Message received successfully.',
-      });
-    }
-    catch (err)
-    {
-      console.error(
-        'Contact form error:',
+        return res.status(400).json(
+        {
+          message: 'Invalid request body.',
+          unexpected: fieldCheck.unexpected,
+          invalid: fieldCheck.invalid,
+        });
+      }
+
+      const body = sanitizeFormData(req.body);
+
+      if (body.honeypot)
+      {
+        return fakeSuccess(res);
+      }
+
+      // Form posts only accept frontend-issued tokens
+      const token = verifyToken(
+        body.form_token,
+        formPost ? FORM_POST_SECRET : process.env.SECRET,
+        {
+          minFillMs: TOKEN_MIN_FILL_MS,
+          maxAgeMs: TOKEN_MAX_AGE_MS,
+        }
+      );
+
+      if (!token.valid)
+      {
+        return fakeSuccess(res);
+      }
+
+      // Proof-of-work needs JavaScript; plain form posts
+      // carry the frontend-issued token instead
+      const pow = formPost
+        ? null
+        : verifySolution(
+          body.pow_challenge,
+          body.pow_solution,
+          process.env.SECRET,
+          { maxAgeMs: POW_MAX_AGE_MS }
+        );
+
+      if (pow && !pow.valid)
+      {
+        return res.status(403).json(
+        {
+          message: 'Challenge verification failed',
+          reason: pow.reason,
+        });
+      }
+
+      const schema = await getSchema();
+
+      const locale = resolveLocale(
+      {
+        requested: body.locale,
+        acceptLanguage: req.headers['accept-language'],
+        supported: await loadLanguageCodes(services, schema),
+      });
+
+      const subjects = await subjectCache.get();
+      const validation = validateFormData(
+        body,
+        subjectCodes(subjects)
+      );
+
+      const attachmentError = checkAttachments(
+        attachments.files,
+        { tooMany: attachments.tooMany }
+      );
+
+      if (attachmentError)
+      {
+        validation.valid = false;
+        validation.errors.attachments = attachmentError;
+      }
+
+      // Consent is only recorded against a published
+      // policy, exactly the version the visitor saw
+      const policies = await loadPrivacyPolicies(services, schema);
+
+      if (policies.length === 0)
+      {
+        console.error(
+          'Contact form closed: no published privacy policy'
+        );
+        return res.status(503).json(
+        {
+          message: 'Contact form temporarily unavailable.',
+        });
+      }
+
+      const policy = pickPolicy(
+        policies,
+        body.privacy_version ?? null
+      );
+
+      if (!policy && !validation.errors.privacy_consent)
+      {
+        validation.valid = false;
+        validation.errors.privacy_consent = ERROR_CODES.outdated;
+      }
+
+      if (!validation.valid)
+      {
+        return res.status(400).json(
+        {
+          message: 'Validation failed',
+          locale,
+          errors: validation.errors,
+          messages: localizeErrors(validation.errors, locale),
+        });
+      }
+
+      const hash = contentHash(body);
+      const duplicate = await findDuplicate(
+      {
+        services,
+        schema,
+        hash,
+        windowMs: DUPLICATE_WINDOW_MS,
+      });
+
+      if (duplicate)
+      {
+        return accepted(res);
+      }
+
+      // Consume the token and challenge only once the
+      // data is valid, so visitors can fix errors and
+      // resubmit
+      const firstUse = await nonceStore.markUsed(
+        token.nonce,
+        TOKEN_MAX_AGE_MS
+      );
+      const firstSolve = !pow || await nonceStore.markUsed(
+        `pow:${pow.id}`,
+        POW_MAX_AGE_MS
+      );
+
+      if (!firstUse || !firstSolve)
+      {
+        return fakeSuccess(res);
+      }
+
+      const sanitizedData =
+      {
+        name: body.name,
+        email: normalizeEmail(body.email),
+        phone: body.phone ? toE164(body.phone) : '',
+        phone_original: body.phone || '',
+        subject: body.subject,
+        message: body.message,
+        locale,
+        ip_address: clientIp,
+        status: INITIAL_STATUSES[0],
+        content_hash: hash,
+        ...consentRecord({ policy, locale }),
+      };
+
+      const spam = scoreSubmission(sanitizedData);
+
+      sanitizedData.spam_score = spam.score;
+      sanitizedData.spam_reasons = spam.reasons;
+
+      if (spam.isSpam)
+      {
+        sanitizedData.status = 'spam';
+      }
+
+      const itemsService = new services.ItemsService(
+        'contact_submissions',
+        {
+          schema,
+          accountability: { admin: true },
+        }
+      );
+
+      const submissionId =
+        await itemsService.createOne(sanitizedData);
+
+      // Spam is kept for review in Directus but triggers
+      // neither the admin notification nor an auto-reply
+      // to a possibly forged address; its files are
+      // discarded
+      if (spam.isSpam)
+      {
+        return accepted(res);
+      }
+
+      let storedFiles = [];
+
+      try
+      {
+        storedFiles = await storeAttachments(
+        {
+          services,
+          schema,
+          submissionId,
+          files: attachments.files,
+        });
+      }
+      catch (fileErr)
+      {
+        console.error(
+          `Attachments of submission ${submissionId} ` +
+          'not stored:',
+          fileErr.message
+        );
+      }
+
+      const outbox = createOutbox(
+      {
+        services,
+        schema,
+        database,
+      });
+
+      try
+      {
+        const recipients = await resolveRecipients(
+        {
+          services,
+          schema,
+          subject: sanitizedData.subject,
+          fallbackEmail: process.env.ADMIN_EMAIL,
+        });
+
+        const notifications = await buildNotifications(
+        {
+          services,
+          schema,
+          recipients,
+          submission: sanitizedData,
+          subjects: await subjectCache.get(),
+          // Links open the Directus app (login needed)
+          attachments: storedFiles.map((file) => ({
+            filename: file.filename,
+            url: `${PUBLIC_URL}/admin/files/${file.id}`,
+          })),
+        });
+
+        for (const notification of notifications)
+        {
+          await outbox.enqueue(
+          {
+            ...notification,
+            submission: submissionId,
+          });
+        }
+      }
+      catch (mailErr)
+      {
+        console.error(
+          'Email notification failed:',
+          mailErr.message
+        );
+      }
+
+      try
+      {
+        const autoReply = await buildAutoReply(
+        {
+          services,
+          schema,
+          submission: sanitizedData,
+        });
+
+        if (autoReply)
+        {
+          // Root of the thread staff replies join
+          await outbox.enqueue(
+          {
+            ...autoReply,
+            messageId: contactMessageId('submission', submissionId),
+            submission: submissionId,
+          });
+        }
+      }
+      catch (mailErr)
+      {
+        console.error(
+          'Auto-reply failed:',
+          mailErr.message
+        );
+      }
+
+      try
+      {
+        await createWebhooks(
+        {
+          services,
+          schema,
+          database,
+        }).enqueue(submissionId, sanitizedData);
+      }
+      catch (hookErr)
+      {
+        console.error(
+          'Webhook queueing failed:',
+          hookErr.message
+        );
+      }
+
+      return accepted(res);
+    }
+    catch (err)
+    {
+      console.error(
+        'Contact form error:',
+        err.message
+      );
+      return res.status(500).json(
+      {
+        message: 'Internal server error.',
+      });
+    }
+  });
+
+  router.post('/data-request', async (req, res) =>
+  {
+    try
+    {
+      if (!isAllowedOrigin(req.headers, ALLOWED_ORIGINS))
+      {
+        return res.status(403).json(
+        {
+          message: 'Origin not allowed.',
+        });
+      }
+
+      const clientIp = resolveClientIp(
+      {
+        remoteAddress: req.socket?.remoteAddress,
+        forwardedFor: req.headers['x-forwarded-for'],
+        isTrustedProxy,
+      });
+
+      const limited = await rateLimiter.isRateLimited(
+        'data-request:' +
+        rateLimitKey(clientIp, RATE_LIMIT_IPV6_PREFIX)
+      );
+
+      if (limited)
+      {
+        return res.status(429).json(
+        {
+          message: 'Too many requests. Try again later.',
+        });
+      }
+
+      const body = req.body || {};
+      const address = sanitizeText(body.email);
+      const email = ALLOWED_PATTERNS.email.test(address)
+        ? normalizeEmail(address)
+        : null;
+
+      if (
+        !email ||
+        email.length > FIELD_RULES.email.maxLength ||
+        !DATA_REQUEST_ACTIONS.includes(body.action)
+      )
+      {
+        return res.status(400).json(
+        {
+          message: 'Invalid request body.',
+        });
+      }
+
+      // Same answer whether or not an email goes out, so
+      // the reply does not reveal who has contacted us
+      const linkSent = () => res.status(202).json(
+      {
+        message: 'A verification link has been sent ' +
+          'to the email address.',
+      });
+
+      // Same form token and proof-of-work as the
+      // contact form, so the route cannot be used to
+      // send mail to arbitrary addresses in bulk
+      const token = verifyToken(
+        body.form_token,
+        process.env.SECRET,
+        {
+          minFillMs: TOKEN_MIN_FILL_MS,
+          maxAgeMs: TOKEN_MAX_AGE_MS,
+        }
+      );
+
+      if (!token.valid)
+      {
+        return linkSent();
+      }
+
+      const pow = verifySolution(
+        body.pow_challenge,
+        body.pow_solution,
+        process.env.SECRET,
+        { maxAgeMs: POW_MAX_AGE_MS }
+      );
+
+      if (!pow.valid)
+      {
+        return res.status(403).json(
+        {
+          message: 'Challenge verification failed',
+          reason: pow.reason,
+        });
+      }
+
+      const firstUse = await nonceStore.markUsed(
+        token.nonce,
+        TOKEN_MAX_AGE_MS
+      );
+      const firstSolve = await nonceStore.markUsed(
+        `pow:${pow.id}`,
+        POW_MAX_AGE_MS
+      );
+
+      if (!firstUse || !firstSolve)
+      {
+        return linkSent();
+      }
+
+      // Caps verification emails per address across IPs
+      const hash = emailHash(email);
+
+      const emailLimited = await emailLimiter.isRateLimited(
+        `data-request-email:${hash}`
+      );
+
+      if (emailLimited)
+      {
+        return linkSent();
+      }
+
+      const schema = await getSchema();
+
+      const locale = resolveLocale(
+      {
+        requested: body.locale,
+        acceptLanguage: req.headers['accept-language'],
+        supported: await loadLanguageCodes(services, schema),
+      });
+
+      const requestsService = new services.ItemsService(
+        DATA_REQUEST_COLLECTION,
+        {
+          schema,
+          accountability: { admin: true },
+        }
+      );
+
+      const requestId = await requestsService.createOne(
+      {
+        action: body.action,
+        status: 'pending',
+        email,
+        email_hash: hash,
+        locale,
+        ip_address: clientIp,
+      });
+
+      const requestToken = issueRequestToken(
+        requestId,
+        process.env.SECRET
+      );
+
+      const outbox = createOutbox(
+      {
+        services,
+        schema,
+        database,
+      });
+
+      // Sent whether or not data exists
+      await outbox.enqueue(verificationEmail(
+      {
+        email,
+        action: body.action,
+        locale,
+        link: dataRequestLink(requestToken),
+        expiresInHours: Math.round(
+          DATA_REQUEST_MAX_AGE_MS / (60 * 60 * 1000)
+        ),
+        requestId,
+      }));
+
+      return linkSent();
+    }
+    catch (err)
+    {
+      console.error(
+        'Data request error:',
+        err.message
+      );
+      return res.status(500).json(
+      {
+        message: 'Internal server error.',
+      });
+    }
+  });
+
+  /**
+   * Looks up the pending request of a verification
+   * link. Sends the error page and returns null when
+   * the link is invalid, used or expired.
+   */
+  async function pendingRequest(req, res)
+  {
+    res.set('Cache-Control', 'no-store');
+
+    const schema = await getSchema();
+    const result = verifyRequestToken(
+      req.params.token,
+      process.env.SECRET,
+      { maxAgeMs: DATA_REQUEST_MAX_AGE_MS }
+    );
+
+    const sendPage = async (status, page) =>
+    {
+      const locale = resolveLocale(
+      {
+        acceptLanguage: req.headers['accept-language'],
+        supported: await loadLanguageCodes(services, schema),
+      });
+
+      res.status(status).type('html')
+        .send(dataRequestPage({ locale, page }));
+      return null;
+    };
+
+    if (!result.valid)
+    {
+      return sendPage(400, 'invalid');
+    }
+
+    const requestsService = new services.ItemsService(
+      DATA_REQUEST_COLLECTION,
+      {
+        schema,
+        accountability: { admin: true },
+      }
+    );
+
+    const [request] = await requestsService.readByQuery(
+    {
+      filter:
+      {
+        id: { _eq: result.requestId },
+        status: { _eq: 'pending' },
+      },
+      limit: 1,
+    });
+
+    if (!request)
+    {
+      return sendPage(410, 'used');
+    }
+
+    return { schema, request, requestsService };
+  }
+
+  // Opening the link only asks for confirmation
+  router.get('/data-request/:token', async (req, res) =>
+  {
+    try
+    {
+      const pending = await pendingRequest(req, res);
+
+      if (!pending)
+      {
+        return res;
+      }
+
+      return res.type('html').send(dataRequestPage(
+      {
+        locale: pending.request.locale,
+        page: pending.request.action,
+        link: dataRequestLink(req.params.token),
+      }));
+    }
+    catch (err)
+    {
+      console.error(
+        'Data request error:',
+        err.message
+      );
+      return res.status(500).json(
+      {
+        message: 'Internal server error.',
+      });
+    }
+  });
+
+  router.post('/data-request/:token', async (req, res) =>
+  {
+    try
+    {
+      const pending = await pendingRequest(req, res);
+
+      if (!pending)
+      {
+        return res;
+      }
+
+      const { schema, request, requestsService } = pending;
+
+      const records = createDataSubjectRecords(
+      {
+        services,
+        schema,
+      });
+
+      const complete = async (counts) =>
+      {
+        await requestsService.updateOne(
+          request.id,
+          {
+            status: 'completed',
+            completed_at: new Date().toISOString(),
+            email: null,
+            result: counts,
+          }
+        );
+        await deleteVerificationEmails(
+        {
+          services,
+          schema,
+          requestIds: [request.id],
+        });
+      };
+
+      if (request.action === 'export')
+      {
+        const data = await records.exportRecords(request.email);
+
+        await complete(
+        {
+          contact_submissions: data.contact_submissions.length,
+          emails: data.emails.length,
+        });
+
+        logger.info(`Data request ${request.id}: exported`);
+
+        res.set(
+          'Content-Disposition',
+          'attachment; filename="lares-data-export.json"'
+        );
+        return res.json(data);
+      }
+
+      const erased = await records.eraseRecords(request.email);
+
+      await complete(erased);
+
+      logger.info(
+        `Data request ${request.id}: erased ` +
+        `${erased.contact_submissions} submission(s), ` +
+        `${erased.emails} email(s)`
+      );
+
+      return res.type('html').send(dataRequestPage(
+      {
+        locale: request.locale,
+        page: 'erased',
+      }));
+    }
+    catch (err)
+    {
+      console.error(
+        'Data request error:',
+        err.message
+      );
+      return res.status(500).json(
+      {
+        message: 'Internal server error.',
+      });
+    }
+  });
+
+  router.post('/submissions/:id/reply', async (req, res) =>
+  {
+    // Staff only: Directus permissions on
+    // contact_submissions and contact_messages apply
+    if (!req.accountability?.user)
+    {
+      return res.status(401).json(
+      {
+        message: 'Authentication required.',
+      });
+    }
+
+    const check = validateReply(req.body);
+
+    if (!check.valid)
+    {
+      return res.status(400).json(
+      {
+        message: 'Invalid reply.',
+        errors: check.errors,
+      });
+    }
+
+    try
+    {
+      const result = await sendReply(
+      {
+        services,
+        schema: await getSchema(),
+        accountability: req.accountability,
+        submissionId: req.params.id,
+        reply: check.reply,
+      });
+
+      return res.status(201).json(result);
+    }
+    catch (err)
+    {
+      // Reply and Directus permission errors
+      if (err.status)
+      {
+        return res.status(err.status).json(
+        {
+          message: err.message,
+        });
+      }
+
+      console.error(
+        'Contact reply error:',
         err.message
       );
       return res.status(500).json(
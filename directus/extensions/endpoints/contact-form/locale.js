@@ -0,0 +1,140 @@
+/**
+ * @file locale.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Visitor locale resolution for the
+ *              contact-form endpoint. Matches the
+ *              requested locale (body field or
+ *              Accept-Language header) against the
+ *              codes of the languages collection.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - pickTranslation shared by auto-reply
+ *                and form config
+ */
+
+/**
+ * Locale used when nothing else matches.
+ */
+export const DEFAULT_LOCALE = 'it';
+
+/**
+ * @description Picks the first supported language
+ *              from a locale value or an
+ *              Accept-Language header.
+ * @param {string} value - e.g. "de", "fr-CH",
+ *                         "de-CH,de;q=0.9,en;q=0.8"
+ * @param {string[]} supported - Language codes
+ * @returns {string|null} Matching code or null
+ * @update 2026-10-19
+ */
+export function matchLocale(value, supported)
+{
+  if (typeof value !== 'string' || !value.trim())
+  {
+    return null;
+  }
+
+  const candidates = value
+    .split(',')
+    .map((part) =>
+    {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params
+        .map((p) => p.trim())
+        .find((p) => p.startsWith('q='));
+      return {
+        tag: tag.trim().toLowerCase().replace('_', '-'),
+        q: q ? Number(q.slice(2)) || 0 : 1,
+      };
+    })
+    .filter((c) => c.tag && c.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of candidates)
+  {
+    const base = tag.split('-')[0];
+    const match = supported.find(
+      (code) => code === tag || code === base
+    );
+    if (match)
+    {
+      return match;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @description Resolves the visitor locale from the
+ *              body value first, then the
+ *              Accept-Language header, then the
+ *              default locale.
+ * @param {object} options
+ * @param {string} [options.requested] - Body locale
+ * @param {string} [options.acceptLanguage] - Header
+ * @param {string[]} options.supported - Language codes
+ * @returns {string} Resolved language code
+ * @update 2026-10-19
+ */
+export function resolveLocale(
+  { requested, acceptLanguage, supported }
+)
+{
+  return (
+    matchLocale(requested, supported) ||
+    matchLocale(acceptLanguage, supported) ||
+    DEFAULT_LOCALE
+  );
+}
+
+/**
+ * @description Picks the translation for a locale,
+ *              falling back to the default locale.
+ * @param {object[]} translations - Translation rows
+ * @param {string} locale - Requested language code
+ * @returns {object|null} Translation or null
+ * @update 2026-10-19
+ */
+export function pickTranslation(translations, locale)
+{
+  const rows = Array.isArray(translations)
+    ? translations
+    : [];
+
+  return (
+    rows.find((t) => t.languages_code === locale) ||
+    rows.find((t) => t.languages_code === DEFAULT_LOCALE) ||
+    null
+  );
+}
+
+/**
+ * @description Reads the language codes from the
+ *              languages collection, in sort order.
+ * @param {object} services - Directus services
+ * @param {object} schema - Current schema overview
+ * @returns {Promise<string[]>} Language codes
+ * @update 2026-10-19
+ */
+export async function loadLanguageCodes(services, schema)
+{
+  const languagesService = new services.ItemsService(
+    'languages',
+    {
+      schema,
+      accountability: { admin: true },
+    }
+  );
+
+  const languages = await languagesService.readByQuery(
+  {
+    fields: ['code'],
+    sort: ['sort'],
+    limit: -1,
+  });
+
+  return languages.map((lang) => lang.code);
+}
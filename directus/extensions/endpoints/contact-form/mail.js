@@ -0,0 +1,256 @@
+/**
+ * @file mail.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Sends template emails as multipart
+ *              HTML + plain text. "<name>.liquid" is
+ *              the HTML part and "<name>.text.liquid"
+ *              the text part; without a text template
+ *              the text is derived from the HTML. Both
+ *              get the project branding used by the
+ *              shared partials/layout templates.
+ *              Rendered with liquidjs from
+ *              EMAIL_TEMPLATES_PATH, like the Directus
+ *              MailService, then sent with its public
+ *              send(). Message-IDs for threading a
+ *              conversation are built on the sender
+ *              domain.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Own Liquid engine instead of the
+ *                private MailService.renderTemplate
+ *   2026-10-19 - Message-ID, In-Reply-To and
+ *                References headers
+ *   2026-10-19 - liquidjs loaded on first render
+ */
+
+import { existsSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Template folder: EMAIL_TEMPLATES_PATH (relative to
+ * the Directus working directory), else the repo's
+ * directus/templates/email next to the extensions.
+ */
+export const EMAIL_TEMPLATES_PATH =
+  process.env.EMAIL_TEMPLATES_PATH
+    ? resolve(process.env.EMAIL_TEMPLATES_PATH)
+    : fileURLToPath(
+      new URL('../../../templates/email', import.meta.url)
+    );
+
+/**
+ * Promise of the liquidjs engine, set on first use.
+ */
+let liquidLoader = null;
+
+/**
+ * @description Loads liquidjs, declared in package.json,
+ *              and creates the engine configured as in
+ *              the Directus MailService. A failed load
+ *              is retried on the next email.
+ * @returns {Promise<object>} Liquid engine
+ * @throws {Error} With status 503 when liquidjs cannot
+ *         be loaded
+ * @update 2026-10-19
+ */
+export function loadLiquid()
+{
+  if (!liquidLoader)
+  {
+    liquidLoader = import('liquidjs')
+      .then(({ Liquid }) => new Liquid(
+      {
+        root: [EMAIL_TEMPLATES_PATH],
+        extname: '.liquid',
+      }))
+      .catch((err) =>
+      {
+        liquidLoader = null;
+
+        const error = new Error(
+          'Email templates unavailable: cannot load ' +
+          `liquidjs (${err.message})`
+        );
+        error.status = 503;
+        throw error;
+      });
+  }
+
+  return liquidLoader;
+}
+
+/**
+ * Branding passed to every template (PROJECT_NAME and
+ * PROJECT_COLOR, as for the Directus app).
+ */
+export const EMAIL_BRANDING =
+{
+  project_name: process.env.PROJECT_NAME || 'Lares Cohousing',
+  project_color: process.env.PROJECT_COLOR || '#2d5016',
+};
+
+/**
+ * Entities decoded when deriving text from HTML.
+ */
+const ENTITIES =
+{
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  '#39': '\'',
+  nbsp: ' ',
+  middot: '·',
+  ndash: '–',
+};
+
+/**
+ * @description Derives a plain-text part from rendered
+ *              HTML: links keep their URL, block
+ *              elements become line breaks.
+ * @param {string} html - Rendered HTML
+ * @returns {string} Plain text
+ * @update 2026-10-19
+ */
+export function htmlToText(html)
+{
+  return String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(
+      /<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi,
+      (match, href, label) =>
+      {
+        const text = label.replace(/<[^>]+>/g, '').trim();
+        return text && text !== href ? `${text} (${href})` : href;
+      }
+    )
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h\d|tr|table|blockquote|li)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#?\w+);/g, (match, name) =>
+      ENTITIES[name] ?? match
+    )
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * @description Renders both parts of a template email.
+ *              Errors in an existing text template are
+ *              raised, not replaced by derived text.
+ * @param {object} template - { name, data }
+ * @returns {Promise<object>} { html, text }
+ * @update 2026-10-19
+ */
+export async function renderEmail(template)
+{
+  const liquid = await loadLiquid();
+  const data = { ...EMAIL_BRANDING, ...template.data };
+  const html = await liquid.renderFile(template.name, data);
+  // Full file name: ".text" would count as extension
+  const textFile = `${template.name}.text.liquid`;
+
+  const text = existsSync(join(EMAIL_TEMPLATES_PATH, textFile))
+    ? await liquid.renderFile(textFile, data)
+    : htmlToText(html);
+
+  return { html, text: text.trim() };
+}
+
+/**
+ * @description Returns the domain for Message-IDs: the
+ *              EMAIL_FROM domain, else the PUBLIC_URL
+ *              host.
+ * @param {string} [from] - Sender address, may be
+ *                 "Name <address>"
+ * @param {string} [publicUrl] - Directus public URL
+ * @returns {string} Domain
+ * @update 2026-10-19
+ */
+export function messageIdDomain(
+  from = process.env.EMAIL_FROM,
+  publicUrl = process.env.PUBLIC_URL
+)
+{
+  const domain = /@([^\s>]+)>?\s*$/.exec(from || '')?.[1];
+
+  if (domain)
+  {
+    return domain.toLowerCase();
+  }
+
+  try
+  {
+    return new URL(publicUrl).hostname || 'localhost';
+  }
+  catch
+  {
+    return 'localhost';
+  }
+}
+
+/**
+ * @description Builds a Message-ID for a contact
+ *              conversation item.
+ * @param {string} kind - submission or reply
+ * @param {number|string} id - Item id
+ * @param {string} [domain] - Message-ID domain
+ * @returns {string} "<kind-id@domain>"
+ * @update 2026-10-19
+ */
+export function contactMessageId(
+  kind,
+  id,
+  domain = messageIdDomain()
+)
+{
+  return `<${kind}-${id}@${domain}>`;
+}
+
+/**
+ * @description Sends a template email with HTML and
+ *              text parts.
+ * @param {object} mailService - Directus MailService
+ * @param {object} email
+ * @param {string|string[]} email.to - Recipients
+ * @param {string|string[]} [email.cc] - CC recipients
+ * @param {string|string[]} [email.bcc] - BCC recipients
+ * @param {string|string[]} [email.replyTo] - Reply-To
+ * @param {string} email.subject - Subject line
+ * @param {object} email.template - { name, data }
+ * @param {string} [email.messageId] - Message-ID
+ * @param {string} [email.inReplyTo] - Message-ID of
+ *                 the message answered
+ * @param {string[]} [email.references] - Message-IDs
+ *                   of the thread, oldest first
+ * @returns {Promise<void>}
+ * @update 2026-10-19
+ */
+export async function sendTemplateEmail(mailService, email)
+{
+  const { html, text } = await renderEmail(email.template);
+
+  await mailService.send(
+  {
+    to: email.to,
+    cc: email.cc || undefined,
+    bcc: email.bcc || undefined,
+    replyTo: email.replyTo || undefined,
+    subject: email.subject,
+    html,
+    text,
+    messageId: email.messageId || undefined,
+    inReplyTo: email.inReplyTo || undefined,
+    references: email.references?.length
+      ? email.references
+      : undefined,
+  });
+}
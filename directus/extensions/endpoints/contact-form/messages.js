@@ -0,0 +1,100 @@
+/**
+ * @file messages.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Localized messages for contact form
+ *              validation error codes (it/en/de/fr).
+ *              {min} and {max} are filled from
+ *              FIELD_RULES.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Attachment messages
+ *   2026-10-19 - Outdated privacy notice message
+ */
+
+import { FIELD_RULES } from './validation.js';
+import { DEFAULT_LOCALE } from './locale.js';
+
+/**
+ * Messages per locale and error code.
+ */
+export const VALIDATION_MESSAGES =
+{
+  it:
+  {
+    required: 'Campo obbligatorio.',
+    too_short: 'Inserisci almeno {min} caratteri.',
+    too_long: 'Inserisci al massimo {max} caratteri.',
+    invalid_format: 'Formato non valido.',
+    invalid_option: 'Seleziona un\'opzione valida.',
+    too_many: 'Hai allegato troppi file.',
+    too_large: 'Un file allegato è troppo grande.',
+    outdated: 'L\'informativa è cambiata: ricarica la pagina '
+      + 'e accettala di nuovo.',
+  },
+  en:
+  {
+    required: 'This field is required.',
+    too_short: 'Enter at least {min} characters.',
+    too_long: 'Enter at most {max} characters.',
+    invalid_format: 'Invalid format.',
+    invalid_option: 'Select a valid option.',
+    too_many: 'Too many files attached.',
+    too_large: 'An attached file is too large.',
+    outdated: 'The privacy notice has changed. Reload the '
+      + 'page and accept it again.',
+  },
+  de:
+  {
+    required: 'Dieses Feld ist erforderlich.',
+    too_short: 'Bitte mindestens {min} Zeichen eingeben.',
+    too_long: 'Bitte höchstens {max} Zeichen eingeben.',
+    invalid_format: 'Ungültiges Format.',
+    invalid_option: 'Bitte eine gültige Option wählen.',
+    too_many: 'Zu viele Dateien angehängt.',
+    too_large: 'Eine angehängte Datei ist zu groß.',
+    outdated: 'Die Datenschutzerklärung hat sich geändert. '
+      + 'Bitte die Seite neu laden und erneut zustimmen.',
+  },
+  fr:
+  {
+    required: 'Ce champ est obligatoire.',
+    too_short: 'Saisissez au moins {min} caractères.',
+    too_long: 'Saisissez au maximum {max} caractères.',
+    invalid_format: 'Format non valide.',
+    invalid_option: 'Sélectionnez une option valide.',
+    too_many: 'Trop de fichiers joints.',
+    too_large: 'Un fichier joint est trop volumineux.',
+    outdated: 'La politique de confidentialité a changé. '
+      + 'Rechargez la page et acceptez-la à nouveau.',
+  },
+};
+
+/**
+ * @description Resolves localized messages for a map
+ *              of field error codes.
+ * @param {object} errors - { field: code }
+ * @param {string} locale - Language code
+ * @returns {object} { field: message }
+ * @update 2026-10-19
+ */
+export function localizeErrors(errors, locale)
+{
+  const dictionary =
+    VALIDATION_MESSAGES[locale] ||
+    VALIDATION_MESSAGES[DEFAULT_LOCALE];
+  const messages = {};
+
+  for (const [field, code] of Object.entries(errors))
+  {
+    const rule = FIELD_RULES[field] || {};
+    const template = dictionary[code] || code;
+
+    messages[field] = template
+      .replace('{min}', rule.minLength)
+      .replace('{max}', rule.maxLength);
+  }
+
+  return messages;
+}
@@ -0,0 +1,206 @@
+/**
+ * @file multipart.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Parses multipart/form-data contact form
+ *              posts (fields plus "attachments" files)
+ *              with busboy, from the Directus runtime.
+ *              Files are kept in memory within the
+ *              attachment limits; checks happen in
+ *              attachments.js. busboy is loaded on
+ *              first use, so a runtime without it only
+ *              fails multipart posts.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Load busboy lazily with a clear error
+ *   2026-10-19 - Malformed bodies rejected with status
+ *                400
+ */
+
+/**
+ * Form field carrying the files.
+ */
+export const ATTACHMENT_FIELD = 'attachments';
+
+/**
+ * Upper bound on non-file fields.
+ */
+const MAX_FIELDS = 20;
+
+/**
+ * Promise of the busboy factory, set on first use.
+ */
+let busboyLoader = null;
+
+/**
+ * @description Loads busboy, declared in package.json
+ *              and shipped with Directus. A failed load
+ *              is retried on the next post.
+ * @returns {Promise<Function>} busboy factory
+ * @throws {Error} With status 503 when busboy cannot be
+ *         loaded
+ * @update 2026-10-19
+ */
+export function loadBusboy()
+{
+  if (!busboyLoader)
+  {
+    busboyLoader = import('busboy')
+      .then(({ default: busboy }) => busboy)
+      .catch((err) =>
+      {
+        busboyLoader = null;
+
+        const error = new Error(
+          'Multipart parser unavailable: cannot load ' +
+          `busboy (${err.message})`
+        );
+        error.status = 503;
+        throw error;
+      });
+  }
+
+  return busboyLoader;
+}
+
+/**
+ * @description Reads a multipart body. Repeated fields
+ *              keep their first value; files over the
+ *              size limit are cut and flagged, files
+ *              over the count limit are dropped.
+ * @param {object} req - Express request
+ * @param {object} limits
+ * @param {number} limits.fieldBytes - Max field size
+ * @param {number} limits.maxFiles - Max files
+ * @param {number} limits.maxBytes - Max size per file
+ * @returns {Promise<object>} { fields, files, tooMany }
+ *          files: { filename, mimeType, buffer,
+ *          truncated }
+ * @throws {Error} With status 413 when fields exceed
+ *         their limits, 400 when the body is malformed,
+ *         503 without busboy
+ * @update 2026-10-19
+ */
+export async function readMultipartBody(
+  req,
+  { fieldBytes, maxFiles, maxBytes }
+)
+{
+  const busboy = await loadBusboy();
+
+  return new Promise((resolve, reject) =>
+  {
+    const fields = new Map();
+    const files = [];
+    let tooMany = false;
+    let tooLarge = false;
+
+    const malformed = (err) =>
+    {
+      const error = new Error(
+        `Malformed multipart body (${err.message})`
+      );
+      error.status = 400;
+      reject(error);
+    };
+
+    let parser;
+
+    try
+    {
+      parser = busboy(
+      {
+        headers: req.headers,
+        limits:
+        {
+          fieldSize: fieldBytes,
+          fields: MAX_FIELDS,
+          files: maxFiles,
+          fileSize: maxBytes,
+        },
+      });
+    }
+    catch (err)
+    {
+      // Missing or invalid boundary
+      malformed(err);
+      return;
+    }
+
+    parser.on('field', (name, value, info) =>
+    {
+      if (info.valueTruncated)
+      {
+        tooLarge = true;
+      }
+      else if (!fields.has(name))
+      {
+        fields.set(name, value);
+      }
+    });
+
+    parser.on('file', (name, stream, info) =>
+    {
+      const chunks = [];
+      const file =
+      {
+        filename: info.filename,
+        mimeType: info.mimeType,
+        buffer: null,
+        truncated: false,
+      };
+
+      stream.on('data', (chunk) => chunks.push(chunk));
+      // A cut body also fails the open file
+      stream.on('error', malformed);
+      stream.on('limit', () =>
+      {
+        file.truncated = true;
+      });
+      stream.on('close', () =>
+      {
+        file.buffer = Buffer.concat(chunks);
+
+        // Empty file inputs are sent without a name
+        if (
+          name === ATTACHMENT_FIELD &&
+          (file.filename || file.buffer.length > 0)
+        )
+        {
+          files.push(file);
+        }
+      });
+    });
+
+    parser.on('filesLimit', () =>
+    {
+      tooMany = true;
+    });
+    parser.on('fieldsLimit', () =>
+    {
+      tooLarge = true;
+    });
+
+    parser.on('error', malformed);
+    parser.on('close', () =>
+    {
+      if (tooLarge)
+      {
+        const err = new Error('Form fields too large');
+        err.status = 413;
+        reject(err);
+        return;
+      }
+
+      resolve(
+      {
+        fields: Object.fromEntries(fields),
+        files,
+        tooMany,
+      });
+    });
+
+    req.pipe(parser);
+  });
+}
@@ -0,0 +1,303 @@
+/**
+ * @file notification.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Admin notification for new contact
+ *              submissions, in each recipient's
+ *              language. Recipients with a Directus
+ *              account get their profile language;
+ *              other addresses get
+ *              CONTACT_NOTIFICATION_LOCALE. One email
+ *              is queued per language, with Reply-To
+ *              set to the visitor.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - BCC-only languages get one copy per
+ *                address
+ */
+
+import { DEFAULT_LOCALE, pickTranslation } from './locale.js';
+import { toAddressList } from './routing.js';
+
+/**
+ * Notification wording per locale.
+ */
+export const NOTIFICATION_EMAILS =
+{
+  it:
+  {
+    title: 'Nuovo messaggio dal modulo di contatto',
+    subject_prefix: 'Nuovo contatto',
+    name: 'Nome',
+    email: 'Email',
+    phone: 'Telefono',
+    subject: 'Argomento',
+    language: 'Lingua',
+    message: 'Messaggio',
+    attachments: 'Allegati',
+    login_required: 'Accesso a Directus richiesto',
+    reply_hint: 'Rispondi a questa email per scrivere '
+      + 'direttamente al mittente.',
+    footer: 'Notifica automatica',
+  },
+  en:
+  {
+    title: 'New Contact Form Submission',
+    subject_prefix: 'New contact',
+    name: 'Name',
+    email: 'Email',
+    phone: 'Phone',
+    subject: 'Subject',
+    language: 'Language',
+    message: 'Message',
+    attachments: 'Attachments',
+    login_required: 'Directus login required',
+    reply_hint: 'Reply to this email to write to the '
+      + 'sender directly.',
+    footer: 'Automated notification',
+  },
+  de:
+  {
+    title: 'Neue Nachricht über das Kontaktformular',
+    subject_prefix: 'Neuer Kontakt',
+    name: 'Name',
+    email: 'E-Mail',
+    phone: 'Telefon',
+    subject: 'Thema',
+    language: 'Sprache',
+    message: 'Nachricht',
+    attachments: 'Anhänge',
+    login_required: 'Directus-Anmeldung erforderlich',
+    reply_hint: 'Antworten Sie auf diese E-Mail, um dem '
+      + 'Absender direkt zu schreiben.',
+    footer: 'Automatische Benachrichtigung',
+  },
+  fr:
+  {
+    title: 'Nouveau message du formulaire de contact',
+    subject_prefix: 'Nouveau contact',
+    name: 'Nom',
+    email: 'E-mail',
+    phone: 'Téléphone',
+    subject: 'Sujet',
+    language: 'Langue',
+    message: 'Message',
+    attachments: 'Pièces jointes',
+    login_required: 'Connexion à Directus requise',
+    reply_hint: 'Répondez à cet e-mail pour écrire '
+      + 'directement à l\'expéditeur.',
+    footer: 'Notification automatique',
+  },
+};
+
+/**
+ * Language for recipients without a Directus account.
+ */
+export const NOTIFICATION_LOCALE =
+  process.env.CONTACT_NOTIFICATION_LOCALE || DEFAULT_LOCALE;
+
+/**
+ * @description Maps a Directus user language (e.g.
+ *              "en-US") to a notification locale.
+ * @param {string|null} language - directus_users.language
+ * @returns {string|null} Locale or null if unsupported
+ * @update 2026-10-19
+ */
+export function notificationLocale(language)
+{
+  const base = String(language || '')
+    .toLowerCase()
+    .split(/[-_]/)[0];
+
+  return base in NOTIFICATION_EMAILS ? base : null;
+}
+
+/**
+ * @description Splits To/CC/BCC into recipient sets per
+ *              language, keeping each address in its
+ *              field. A set without To recipients sends
+ *              to its CC addresses; with BCC only, each
+ *              address gets its own copy so none is
+ *              disclosed.
+ * @param {object} recipients - { to, cc, bcc } arrays
+ * @param {Function} localeOf - Address to locale
+ * @returns {object[]} [{ locale, to, cc, bcc }]
+ * @update 2026-10-19
+ */
+export function splitByLocale(recipients, localeOf)
+{
+  const groups = new Map();
+
+  for (const field of ['to', 'cc', 'bcc'])
+  {
+    for (const address of toAddressList(recipients[field]))
+    {
+      const locale = localeOf(address);
+
+      if (!groups.has(locale))
+      {
+        groups.set(locale, { locale, to: [], cc: [], bcc: [] });
+      }
+
+      groups.get(locale)[field].push(address);
+    }
+  }
+
+  return [...groups.values()].flatMap((group) =>
+  {
+    if (group.to.length > 0)
+    {
+      return [group];
+    }
+
+    if (group.cc.length > 0)
+    {
+      return [{ ...group, to: group.cc, cc: [] }];
+    }
+
+    return group.bcc.map((address) => (
+    {
+      ...group,
+      to: [address],
+      bcc: [],
+    }));
+  });
+}
+
+/**
+ * @description Builds the notification email for one
+ *              language.
+ * @param {object} options
+ * @param {object} options.recipients - { locale, to,
+ *                 cc, bcc } from splitByLocale
+ * @param {object} options.submission - Sanitized data
+ * @param {string} [options.subjectLabel] - Translated
+ *                 subject, defaults to its code
+ * @param {object[]} [options.attachments] - { filename,
+ *                   url }
+ * @returns {object} Email for the outbox
+ * @update 2026-10-19
+ */
+export function notificationEmail(
+  { recipients, submission, subjectLabel, attachments = [] }
+)
+{
+  const labels =
+    NOTIFICATION_EMAILS[recipients.locale] ||
+    NOTIFICATION_EMAILS[DEFAULT_LOCALE];
+  const subject = subjectLabel || submission.subject;
+
+  return {
+    to: recipients.to,
+    cc: recipients.cc,
+    bcc: recipients.bcc,
+    replyTo: submission.email,
+    subject: `[Lares] ${labels.subject_prefix}: ${subject}`,
+    template:
+    {
+      name: 'contact-notification',
+      data:
+      {
+        locale: recipients.locale,
+        labels,
+        name: submission.name,
+        email: submission.email,
+        phone: submission.phone,
+        subject,
+        message: submission.message,
+        submission_locale: submission.locale,
+        attachments,
+      },
+    },
+  };
+}
+
+/**
+ * @description Builds the notification emails for all
+ *              recipients, one per language.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Schema overview
+ * @param {object} options.recipients - { to, cc, bcc }
+ * @param {object} options.submission - Sanitized data
+ * @param {object[]} [options.subjects] - Subject items
+ *                   with translations
+ * @param {object[]} [options.attachments] - { filename,
+ *                   url }
+ * @returns {Promise<object[]>} Emails for the outbox
+ * @update 2026-10-19
+ */
+export async function buildNotifications(
+  {
+    services,
+    schema,
+    recipients,
+    submission,
+    subjects = [],
+    attachments = [],
+  }
+)
+{
+  const addresses = ['to', 'cc', 'bcc'].flatMap(
+    (field) => toAddressList(recipients[field])
+  );
+
+  if (addresses.length === 0)
+  {
+    return [];
+  }
+
+  const usersService = new services.UsersService(
+  {
+    schema,
+    accountability: { admin: true },
+  });
+
+  let users = [];
+
+  // Without profiles everyone gets the default language
+  try
+  {
+    users = await usersService.readByQuery(
+    {
+      fields: ['email', 'language'],
+      filter: { email: { _in: addresses } },
+      limit: -1,
+    });
+  }
+  catch (err)
+  {
+    console.error(
+      'Notification languages unavailable:',
+      err.message
+    );
+  }
+
+  const languages = new Map(
+    users.map((user) => [
+      String(user.email).toLowerCase(),
+      notificationLocale(user.language),
+    ])
+  );
+  const subjectItem = subjects.find(
+    (item) => item.code === submission.subject
+  );
+
+  return splitByLocale(
+    recipients,
+    (address) =>
+      languages.get(address.toLowerCase()) ||
+      notificationLocale(NOTIFICATION_LOCALE) ||
+      DEFAULT_LOCALE
+  ).map((group) => notificationEmail(
+  {
+    recipients: group,
+    submission,
+    subjectLabel: pickTranslation(
+      subjectItem?.translations,
+      group.locale
+    )?.label,
+    attachments,
+  }));
+}
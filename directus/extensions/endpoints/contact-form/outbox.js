@@ -0,0 +1,325 @@
+/**
+ * @file outbox.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Persisted email outbox. Every outgoing
+ *              contact email is recorded in the
+ *              email_outbox collection before sending;
+ *              failed deliveries are retried with
+ *              exponential backoff by the email-outbox
+ *              hook until MAX_ATTEMPTS is reached.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - CC/BCC recipients
+ *   2026-10-19 - Reply-To, HTML + text parts
+ *   2026-10-19 - Message-ID kept across retries
+ *   2026-10-19 - Data request link
+ *   2026-10-19 - Delivery started in the background
+ */
+
+import { sendTemplateEmail } from './mail.js';
+
+/**
+ * Outbox collection name.
+ */
+export const OUTBOX_COLLECTION = 'email_outbox';
+
+/**
+ * Delivery attempts before an email is marked failed.
+ */
+const MAX_ATTEMPTS =
+  Number(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 6;
+
+/**
+ * Backoff: base delay doubled per attempt, capped.
+ */
+const RETRY_BASE_MS =
+  Number(process.env.EMAIL_OUTBOX_RETRY_BASE_MS) ||
+  60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * How long a claimed item stays reserved for the
+ * sender before another worker may pick it up again.
+ */
+const SEND_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * @description Returns the delay before the next
+ *              attempt, doubling per failed attempt.
+ * @param {number} attempts - Failed attempts so far
+ * @param {number} [baseMs] - Delay after first failure
+ * @param {number} [maxMs] - Upper bound
+ * @returns {number} Delay in ms
+ * @update 2026-10-19
+ */
+export function retryDelay(
+  attempts,
+  baseMs = RETRY_BASE_MS,
+  maxMs = RETRY_MAX_MS
+)
+{
+  return Math.min(
+    baseMs * 2 ** Math.max(attempts - 1, 0),
+    maxMs
+  );
+}
+
+/**
+ * @description Builds the outbox update after a failed
+ *              delivery: schedules a retry or marks
+ *              the item failed.
+ * @param {number} attempts - Attempts before this one
+ * @param {Error} error - Delivery error
+ * @param {Date} [now] - Current time
+ * @param {number} [maxAttempts] - Attempt limit
+ * @returns {object} Fields to update
+ * @update 2026-10-19
+ */
+export function failureUpdate(
+  attempts,
+  error,
+  now = new Date(),
+  maxAttempts = MAX_ATTEMPTS
+)
+{
+  const made = attempts + 1;
+  const lastError = String(error?.message || error);
+
+  if (made >= maxAttempts)
+  {
+    return {
+      status: 'failed',
+      attempts: made,
+      last_error: lastError,
+      next_attempt_at: null,
+    };
+  }
+
+  return {
+    status: 'pending',
+    attempts: made,
+    last_error: lastError,
+    next_attempt_at: new Date(
+      now.getTime() + retryDelay(made)
+    ).toISOString(),
+  };
+}
+
+/**
+ * @description Joins a recipient list for storage.
+ * @param {string[]|string} value - Addresses
+ * @returns {string|null} Comma-separated addresses
+ * @update 2026-10-19
+ */
+function joinAddresses(value)
+{
+  const list = Array.isArray(value) ? value : [value];
+  const joined = list.filter(Boolean).join(', ');
+  return joined || null;
+}
+
+/**
+ * @description Creates an outbox bound to the current
+ *              schema.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Schema overview
+ * @param {object} options.database - Knex instance
+ * @returns {object} { enqueue, deliver, processDue }
+ * @update 2026-10-19
+ */
+export function createOutbox({ services, schema, database })
+{
+  const itemsService = new services.ItemsService(
+    OUTBOX_COLLECTION,
+    {
+      schema,
+      accountability: { admin: true },
+    }
+  );
+
+  const mailService = new services.MailService(
+  {
+    schema,
+    accountability: { admin: true },
+  });
+
+  /**
+   * Internal updates skip hooks so the resend filter
+   * only reacts to changes made from the app.
+   */
+  const update = (id, data) =>
+    itemsService.updateOne(id, data, { emitEvents: false });
+
+  /**
+   * Reserves an item for sending. The conditional
+   * update guarantees one sender per item across
+   * workers and instances.
+   */
+  async function claim(item)
+  {
+    const now = new Date();
+    const claimed = await database(OUTBOX_COLLECTION)
+      .where({ id: item.id, status: item.status })
+      .andWhere('next_attempt_at', '<=', now)
+      .update(
+      {
+        status: 'sending',
+        next_attempt_at: new Date(
+          now.getTime() + SEND_LEASE_MS
+        ),
+      });
+
+    return claimed === 1;
+  }
+
+  /**
+   * @description Sends one outbox item and records
+   *              the outcome.
+   * @param {object} item - Outbox item
+   * @returns {Promise<boolean>} True if sent
+   * @update 2026-10-19
+   */
+  async function deliver(item)
+  {
+    if (!(await claim(item)))
+    {
+      return false;
+    }
+
+    try
+    {
+      await sendTemplateEmail(mailService,
+      {
+        to: item.recipient,
+        cc: item.cc,
+        bcc: item.bcc,
+        replyTo: item.reply_to,
+        messageId: item.message_id,
+        subject: item.subject,
+        template:
+        {
+          name: item.template,
+          data: item.payload,
+        },
+      });
+    }
+    catch (err)
+    {
+      console.error(
+        `Email ${item.id} delivery failed:`,
+        err.message
+      );
+      await update(
+        item.id,
+        failureUpdate(item.attempts, err)
+      );
+      return false;
+    }
+
+    await update(item.id,
+    {
+      status: 'sent',
+      attempts: item.attempts + 1,
+      last_error: null,
+      next_attempt_at: null,
+      sent_at: new Date().toISOString(),
+    });
+    return true;
+  }
+
+  /**
+   * @description Records an email in the outbox and
+   *              starts delivery in the background;
+   *              the email-outbox hook retries.
+   * @param {object} email
+   * @param {string|string[]} email.to - Recipients
+   * @param {string[]} [email.cc] - CC recipients
+   * @param {string[]} [email.bcc] - BCC recipients
+   * @param {string} [email.replyTo] - Reply-To address
+   * @param {string} [email.messageId] - Message-ID
+   * @param {string} email.subject - Subject line
+   * @param {object} email.template - { name, data }
+   * @param {number} [email.submission] - Related
+   *                 contact_submissions id
+   * @param {number} [email.dataRequest] - Related
+   *                 data_subject_requests id
+   * @returns {Promise<number>} Outbox item id
+   * @update 2026-10-19
+   */
+  async function enqueue(email)
+  {
+    const id = await itemsService.createOne(
+    {
+      status: 'pending',
+      recipient: joinAddresses(email.to),
+      cc: joinAddresses(email.cc),
+      bcc: joinAddresses(email.bcc),
+      reply_to: email.replyTo || null,
+      message_id: email.messageId || null,
+      subject: email.subject,
+      template: email.template.name,
+      payload: email.template.data,
+      submission: email.submission ?? null,
+      data_request: email.dataRequest ?? null,
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+    });
+
+    const item = await itemsService.readOne(id);
+
+    // SMTP must not delay the visitor
+    deliver(item).catch((err) =>
+    {
+      console.error(
+        `Email ${id} dispatch failed:`,
+        err.message
+      );
+    });
+
+    return id;
+  }
+
+  /**
+   * @description Delivers items whose retry time has
+   *              come, including items whose send
+   *              lease expired.
+   * @param {object} [options]
+   * @param {number} [options.limit] - Batch size
+   * @returns {Promise<object>} { processed, sent }
+   * @update 2026-10-19
+   */
+  async function processDue({ limit = 20 } = {})
+  {
+    const now = new Date().toISOString();
+    const due = await itemsService.readByQuery(
+    {
+      filter:
+      {
+        _and:
+        [
+          { status: { _in: ['pending', 'sending'] } },
+          { next_attempt_at: { _lte: now } },
+        ],
+      },
+      sort: ['next_attempt_at'],
+      limit,
+    });
+
+    let sent = 0;
+
+    for (const item of due)
+    {
+      if (await deliver(item))
+      {
+        sent += 1;
+      }
+    }
+
+    return { processed: due.length, sent };
+  }
+
+  return { enqueue, deliver, processDue };
+}
@@ -0,0 +1,87 @@
+/**
+ * @file phone.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Phone number parsing for the contact
+ *              form. Normalizes visitor input to E.164
+ *              ("+390612345678"), assuming the default
+ *              country (Italy) for national numbers.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+/**
+ * Calling code assumed for numbers without an
+ * international prefix.
+ */
+export const DEFAULT_COUNTRY_CODE =
+  process.env.CONTACT_PHONE_DEFAULT_COUNTRY_CODE || '39';
+
+/**
+ * Italy keeps the leading 0 of landline numbers in
+ * international format; elsewhere it is a trunk
+ * prefix dropped after the country code.
+ */
+const KEEPS_LEADING_ZERO = ['39'];
+
+/**
+ * E.164 limits on the digits after "+".
+ */
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+/**
+ * @description Parses a phone number into E.164.
+ * @param {string} input - Visitor input, e.g.
+ *                 "06 1234 5678", "+49 (30) 123456",
+ *                 "0041 44 123 45 67"
+ * @param {string} [countryCode] - Default calling code
+ * @returns {string|null} E.164 number or null if the
+ *          input is not a plausible phone number
+ * @update 2026-10-19
+ */
+export function toE164(input, countryCode = DEFAULT_COUNTRY_CODE)
+{
+  if (typeof input !== 'string')
+  {
+    return null;
+  }
+
+  const trimmed = input.trim();
+
+  if (!/^\+?[\d\s\-().\/]+$/.test(trimmed))
+  {
+    return null;
+  }
+
+  let digits = trimmed.replace(/\D/g, '');
+
+  if (!trimmed.startsWith('+') && digits.startsWith('00'))
+  {
+    digits = digits.slice(2);
+  }
+  else if (!trimmed.startsWith('+'))
+  {
+    if (
+      digits.startsWith('0') &&
+      !KEEPS_LEADING_ZERO.includes(countryCode)
+    )
+    {
+      digits = digits.slice(1);
+    }
+
+    digits = `${countryCode}${digits}`;
+  }
+
+  if (
+    digits.startsWith('0') ||
+    digits.length < MIN_DIGITS ||
+    digits.length > MAX_DIGITS
+  )
+  {
+    return null;
+  }
+
+  return `+${digits}`;
+}
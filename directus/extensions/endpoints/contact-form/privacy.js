@@ -0,0 +1,116 @@
+/**
+ * @file privacy.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description GDPR consent for contact submissions.
+ *              Privacy notice versions live in the
+ *              translated privacy_policies collection;
+ *              each submission records which published
+ *              version and translation was accepted.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - No fallback for unknown versions
+ */
+
+import { pickTranslation } from './locale.js';
+
+/**
+ * Values a checkbox or JSON flag may carry to mean
+ * "accepted".
+ */
+const CONSENT_VALUES = [true, 'true', 'on', '1', 'yes'];
+
+/**
+ * @description Checks an explicit consent flag.
+ * @param {*} value - Submitted privacy_consent
+ * @returns {boolean} True only for explicit consent
+ * @update 2026-10-19
+ */
+export function hasConsent(value)
+{
+  return CONSENT_VALUES.includes(value);
+}
+
+/**
+ * @description Reads the published privacy notice
+ *              versions, newest first.
+ * @param {object} services - Directus services
+ * @param {object} schema - Current schema overview
+ * @returns {Promise<object[]>} Policies with
+ *          translations (languages_code, title)
+ * @update 2026-10-19
+ */
+export async function loadPrivacyPolicies(services, schema)
+{
+  const policiesService = new services.ItemsService(
+    'privacy_policies',
+    {
+      schema,
+      accountability: { admin: true },
+    }
+  );
+
+  return policiesService.readByQuery(
+  {
+    fields: [
+      'id',
+      'version',
+      'date_published',
+      'translations.languages_code',
+      'translations.title',
+    ],
+    filter: { status: { _eq: 'published' } },
+    sort: ['-date_published'],
+    limit: -1,
+  });
+}
+
+/**
+ * @description Picks a published policy: the version
+ *              the visitor accepted, or the current
+ *              one when no version is asked for (form
+ *              config). Never substitutes another
+ *              version for the one accepted.
+ * @param {object[]} policies - From loadPrivacyPolicies
+ * @param {*} [version] - Version shown to the visitor
+ * @returns {object|null} Policy, or null if the version
+ *          is unknown or unpublished, or none exists
+ * @update 2026-10-19
+ */
+export function pickPolicy(policies, version)
+{
+  if (version === undefined)
+  {
+    return policies[0] || null;
+  }
+
+  return policies.find((p) => p.version === version) || null;
+}
+
+/**
+ * @description Builds the consent fields stored on
+ *              the submission.
+ * @param {object} options
+ * @param {object|null} options.policy - Accepted policy
+ * @param {string} options.locale - Visitor locale
+ * @param {Date} [options.now] - Consent time
+ * @returns {object} consent_* fields
+ * @update 2026-10-19
+ */
+export function consentRecord(
+  { policy, locale, now = new Date() }
+)
+{
+  const translation = pickTranslation(
+    policy?.translations,
+    locale
+  );
+
+  return {
+    consent_at: now.toISOString(),
+    consent_policy: policy?.id ?? null,
+    consent_version: policy?.version ?? null,
+    consent_locale: translation?.languages_code || locale,
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * @file proof-of-work.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Self-hosted proof-of-work challenge used
+ *              instead of a third-party captcha. The
+ *              client must find a solution such that
+ *              SHA-256("<challenge>:<solution>") starts
+ *              with <difficulty> zero bits. Challenges
+ *              are stateless and HMAC-signed with the
+ *              Directus SECRET:
+ *              "<issuedAt>.<difficulty>.<id>.<signature>"
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import {
+  createHash,
+  createHmac,
+  randomBytes,
+  timingSafeEqual,
+} from 'node:crypto';
+
+/**
+ * Hash algorithm name as exposed to the client
+ * (Web Crypto naming).
+ */
+export const POW_ALGORITHM = 'SHA-256';
+
+/**
+ * Upper bound on difficulty, keeps challenges solvable
+ * in a browser.
+ */
+const MAX_DIFFICULTY = 32;
+
+/**
+ * @description Signs the challenge payload.
+ * @param {string} payload - "<issuedAt>.<difficulty>.<id>"
+ * @param {string} secret - Signing secret
+ * @returns {string} base64url HMAC-SHA256
+ * @update 2026-10-19
+ */
+function sign(payload, secret)
+{
+  return createHmac('sha256', secret)
+    .update(`contact-pow:${payload}`)
+    .digest('base64url');
+}
+
+/**
+ * @description Counts the leading zero bits of a
+ *              buffer.
+ * @param {Buffer} buffer - Hash digest
+ * @returns {number} Leading zero bits
+ * @update 2026-10-19
+ */
+export function leadingZeroBits(buffer)
+{
+  let bits = 0;
+
+  for (const byte of buffer)
+  {
+    if (byte === 0)
+    {
+      bits += 8;
+      continue;
+    }
+
+    return bits + Math.clz32(byte) - 24;
+  }
+
+  return bits;
+}
+
+/**
+ * @description Issues a new challenge.
+ * @param {string} secret - Signing secret
+ * @param {number} difficulty - Required zero bits
+ * @param {number} [now] - Issue time in ms
+ * @returns {string} Signed challenge
+ * @update 2026-10-19
+ */
+export function issueChallenge(
+  secret,
+  difficulty,
+  now = Date.now()
+)
+{
+  if (!secret)
+  {
+    throw new Error('Challenge secret is not configured');
+  }
+
+  const bits = Math.min(
+    Math.max(Math.floor(difficulty) || 1, 1),
+    MAX_DIFFICULTY
+  );
+  const id = randomBytes(12).toString('base64url');
+  const payload = `${now}.${bits}.${id}`;
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * @description Verifies a challenge's signature and
+ *              age, and that the solution meets its
+ *              difficulty. Does not check replay; the
+ *              returned id is meant for a nonce store.
+ * @param {*} challenge - Challenge from issueChallenge()
+ * @param {*} solution - Client solution (digits)
+ * @param {string} secret - Signing secret
+ * @param {object} options
+ * @param {number} options.maxAgeMs - Challenge lifetime
+ * @param {number} [options.now] - Current time in ms
+ * @returns {object} { valid, reason, id }
+ * @update 2026-10-19
+ */
+export function verifySolution(
+  challenge,
+  solution,
+  secret,
+  { maxAgeMs, now = Date.now() }
+)
+{
+  if (typeof challenge !== 'string' || !challenge)
+  {
+    return { valid: false, reason: 'missing' };
+  }
+
+  const parts = challenge.split('.');
+
+  if (
+    parts.length !== 4 ||
+    !/^\d+$/.test(parts[0]) ||
+    !/^\d+$/.test(parts[1])
+  )
+  {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [issuedAt, difficulty, id, signature] = parts;
+  const expected = Buffer.from(
+    sign(`${issuedAt}.${difficulty}.${id}`, secret)
+  );
+  const actual = Buffer.from(signature);
+
+  if (
+    actual.length !== expected.length ||
+    !timingSafeEqual(actual, expected)
+  )
+  {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  if (now - Number(issuedAt) > maxAgeMs)
+  {
+    return { valid: false, reason: 'expired', id };
+  }
+
+  const answer = typeof solution === 'number'
+    ? String(solution)
+    : solution;
+
+  if (typeof answer !== 'string' || !/^\d{1,16}$/.test(answer))
+  {
+    return { valid: false, reason: 'malformed', id };
+  }
+
+  const hash = createHash('sha256')
+    .update(`${challenge}:${answer}`)
+    .digest();
+
+  if (leadingZeroBits(hash) < Number(difficulty))
+  {
+    return { valid: false, reason: 'wrong_solution', id };
+  }
+
+  return { valid: true, reason: null, id };
+}
@@ -0,0 +1,211 @@
+/**
+ * @file rate-limiter.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Sliding-window rate limiter for the
+ *              contact-form endpoint. Uses the Redis
+ *              instance shared with the Directus core
+ *              rate limiter so limits hold across
+ *              restarts and instances, and falls back
+ *              to a bounded in-memory store when Redis
+ *              is not configured or unreachable.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Redis connection shared via redis.js
+ */
+
+import { getRedisClient } from './redis.js';
+
+/**
+ * Prefix for rate limit keys in Redis.
+ */
+const REDIS_KEY_PREFIX = 'lares:contact-form:rate:';
+
+/**
+ * Upper bound on keys held by the in-memory store.
+ */
+const MEMORY_MAX_KEYS = 10000;
+
+/**
+ * @description Creates an in-memory sliding-window
+ *              store. Expired keys are swept once per
+ *              window and the oldest key is evicted
+ *              when maxKeys is reached.
+ * @param {object} [options]
+ * @param {number} [options.maxKeys] - Key capacity
+ * @returns {object} Store with hit() and size()
+ * @update 2026-10-19
+ */
+export function createMemoryStore(
+  { maxKeys = MEMORY_MAX_KEYS } = {}
+)
+{
+  /**
+   * Key: client key, Value: accepted hit timestamps
+   */
+  const hits = new Map();
+  let lastSweep = 0;
+
+  function sweep(since)
+  {
+    for (const [key, timestamps] of hits)
+    {
+      if (timestamps[timestamps.length - 1] <= since)
+      {
+        hits.delete(key);
+      }
+    }
+  }
+
+  return {
+    async hit(key, max, windowMs, now)
+    {
+      const since = now - windowMs;
+
+      if (now - lastSweep >= windowMs)
+      {
+        sweep(since);
+        lastSweep = now;
+      }
+
+      const timestamps = (hits.get(key) || [])
+        .filter((t) => t > since);
+
+      // Re-insert to keep Map order = least recent first
+      hits.delete(key);
+
+      if (timestamps.length >= max)
+      {
+        hits.set(key, timestamps);
+        return true;
+      }
+
+      timestamps.push(now);
+      hits.set(key, timestamps);
+
+      if (hits.size > maxKeys)
+      {
+        hits.delete(hits.keys().next().value);
+      }
+
+      return false;
+    },
+
+    size()
+    {
+      return hits.size;
+    },
+  };
+}
+
+/**
+ * @description Creates a Redis sliding-window store
+ *              backed by one sorted set per key.
+ * @param {object} client - ioredis client
+ * @returns {object} Store with hit()
+ * @update 2026-10-19
+ */
+export function createRedisStore(client)
+{
+  return {
+    async hit(key, max, windowMs, now)
+    {
+      const redisKey = `${REDIS_KEY_PREFIX}${key}`;
+      const member = `${now}:${Math.random()}`;
+
+      const results = await client
+        .multi()
+        .zremrangebyscore(redisKey, 0, now - windowMs)
+        .zadd(redisKey, now, member)
+        .zcard(redisKey)
+        .pexpire(redisKey, windowMs)
+        .exec();
+
+      const [err, count] = results[2];
+
+      if (err)
+      {
+        throw err;
+      }
+
+      if (count > max)
+      {
+        // Rejected hits do not extend the window
+        await client.zrem(redisKey, member);
+        return true;
+      }
+
+      return false;
+    },
+  };
+}
+
+/**
+ * @description Creates the contact-form rate limiter.
+ *              Redis is connected lazily on first use;
+ *              any Redis failure falls back to the
+ *              in-memory store for that request.
+ * @param {object} options
+ * @param {number} options.max - Max hits per window
+ * @param {number} options.windowMs - Window length
+ * @param {string} [options.redisUrl] - Redis URL
+ * @returns {object} Limiter with isRateLimited()
+ * @update 2026-10-19
+ */
+export function createRateLimiter(
+  { max, windowMs, redisUrl }
+)
+{
+  const memoryStore = createMemoryStore();
+  let redisStorePromise = null;
+
+  function getRedisStore()
+  {
+    if (!redisStorePromise)
+    {
+      redisStorePromise = getRedisClient(redisUrl).then(
+        (client) => (client ? createRedisStore(client) : null)
+      );
+    }
+
+    return redisStorePromise;
+  }
+
+  return {
+    /**
+     * @description Records a hit for the key and
+     *              reports whether it is over limit.
+     * @param {string} key - Client key (e.g. IP)
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<boolean>} True if rate limited
+     * @update 2026-10-19
+     */
+    async isRateLimited(key, now = Date.now())
+    {
+      const redisStore = await getRedisStore();
+
+      if (redisStore)
+      {
+        try
+        {
+          return await redisStore.hit(
+            key,
+            max,
+            windowMs,
+            now
+          );
+        }
+        catch (err)
+        {
+          console.error(
+            'Contact rate limiter Redis fallback:',
+            err.message
+          );
+        }
+      }
+
+      return memoryStore.hit(key, max, windowMs, now);
+    },
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * @file redis.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Lazy connection to the Redis instance
+ *              shared with the Directus core (REDIS
+ *              env). One client per URL is reused by
+ *              the contact-form rate limiter and form
+ *              token replay and idempotency stores.
+ *              ioredis is declared in package.json.
+ *              Resolves to null when Redis is not
+ *              configured or the client cannot be
+ *              loaded, so callers fall back to memory.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation, extracted from
+ *                rate-limiter.js
+ *   2026-10-19 - ioredis declared as a dependency
+ */
+
+/**
+ * Key: Redis URL, Value: Promise of client or null
+ */
+const clients = new Map();
+
+/**
+ * @description Returns the shared Redis client for a
+ *              URL, connecting on first use.
+ * @param {string} [url] - Redis URL
+ * @returns {Promise<object|null>} ioredis client
+ * @update 2026-10-19
+ */
+export function getRedisClient(url)
+{
+  if (!url)
+  {
+    return Promise.resolve(null);
+  }
+
+  if (!clients.has(url))
+  {
+    clients.set(url, import('ioredis')
+      .then(({ default: Redis }) =>
+      {
+        const client = new Redis(url,
+        {
+          maxRetriesPerRequest: 1,
+          enableOfflineQueue: false,
+        });
+
+        client.on('error', (err) =>
+        {
+          console.error(
+            'Contact form Redis error:',
+            err.message
+          );
+        });
+
+        return client;
+      })
+      .catch((err) =>
+      {
+        console.error(
+          'Contact form Redis unavailable:',
+          err.message
+        );
+        return null;
+      }));
+  }
+
+  return clients.get(url);
+}
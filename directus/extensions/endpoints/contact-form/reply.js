@@ -0,0 +1,294 @@
+/**
+ * @file reply.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Replies to contact submissions from
+ *              Directus. The reply is stored in
+ *              contact_messages, emailed to the
+ *              visitor through MailService in the
+ *              thread of the submission, and the
+ *              submission is marked "replied". Runs
+ *              with the staff member's accountability,
+ *              so Directus permissions apply. Used by
+ *              the /contact-form/submissions/:id/reply
+ *              route and the contact-reply operation.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - HTML + text parts
+ *   2026-10-19 - Stored before sending with a delivery
+ *                status; threading headers and Reply-To
+ *                the routed staff
+ */
+
+import { ERROR_CODES, sanitizeText } from './validation.js';
+import { canTransition } from './triage.js';
+import { contactMessageId, sendTemplateEmail } from './mail.js';
+import { resolveRecipients } from './routing.js';
+
+export const MESSAGES_COLLECTION = 'contact_messages';
+
+/**
+ * Limits for the reply fields.
+ */
+export const REPLY_RULES =
+{
+  subject: { maxLength: 200 },
+  message: { maxLength: 10000 },
+};
+
+/**
+ * @description Creates an error carrying the HTTP
+ *              status for the route.
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with status
+ * @update 2026-10-19
+ */
+function replyError(message, status)
+{
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * @description Sanitizes and checks a reply.
+ * @param {object} input - { subject, message }
+ * @returns {object} { valid, errors, reply } with the
+ *          cleaned subject and message
+ * @update 2026-10-19
+ */
+export function validateReply(input)
+{
+  const reply =
+  {
+    subject: sanitizeText(input?.subject),
+    message: sanitizeText(input?.message, { multiline: true }),
+  };
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(REPLY_RULES))
+  {
+    if (!reply[field])
+    {
+      errors[field] = ERROR_CODES.required;
+    }
+    else if (reply[field].length > rule.maxLength)
+    {
+      errors[field] = ERROR_CODES.tooLong;
+    }
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+    reply,
+  };
+}
+
+/**
+ * @description Builds the threading headers of a
+ *              reply: it answers the last message of
+ *              the conversation, which starts with the
+ *              submission (the auto-reply carries its
+ *              Message-ID).
+ * @param {object} options
+ * @param {number|string} options.submissionId - Item id
+ * @param {number|string} options.messageId - New
+ *                        contact_messages id
+ * @param {string[]} options.earlier - Message-IDs of
+ *                   earlier replies, oldest first
+ * @param {string} [options.domain] - Message-ID domain
+ * @returns {object} { messageId, inReplyTo, references }
+ * @update 2026-10-19
+ */
+export function replyThread(
+  { submissionId, messageId, earlier, domain }
+)
+{
+  const references = [
+    contactMessageId('submission', submissionId, domain),
+    ...earlier,
+  ];
+
+  return {
+    messageId: contactMessageId('reply', messageId, domain),
+    inReplyTo: references[references.length - 1],
+    references,
+  };
+}
+
+/**
+ * @description Sends a reply to the submitter. The
+ *              message is recorded first with the
+ *              staff member's permissions, then sent
+ *              and marked sent or failed. Answers to
+ *              the reply go to the staff routed for
+ *              the submission's subject.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Directus schema
+ * @param {object} options.accountability - Staff user
+ * @param {number|string} options.submissionId - Item id
+ * @param {object} options.reply - Validated reply
+ * @returns {Promise<object>} { message, status }
+ * @throws {Error} With status 404 (not found), 409
+ *         (no address), 403 (not allowed) or 502
+ *         (delivery failed)
+ * @update 2026-10-19
+ */
+export async function sendReply(
+  { services, schema, accountability, submissionId, reply }
+)
+{
+  const submissions = new services.ItemsService(
+    'contact_submissions',
+    { schema, accountability }
+  );
+
+  const [submission] = await submissions.readByQuery(
+  {
+    fields: [
+      'id',
+      'name',
+      'email',
+      'subject',
+      'message',
+      'locale',
+      'status',
+    ],
+    filter: { id: { _eq: submissionId } },
+    limit: 1,
+  });
+
+  if (!submission)
+  {
+    throw replyError('Submission not found.', 404);
+  }
+
+  if (!submission.email)
+  {
+    throw replyError(
+      'Submission has no email address.',
+      409
+    );
+  }
+
+  // Fails before sending if the user may not reply
+  const messages = new services.ItemsService(
+    MESSAGES_COLLECTION,
+    { schema, accountability }
+  );
+
+  const message = await messages.createOne(
+  {
+    submission: submission.id,
+    direction: 'outbound',
+    status: 'sending',
+    recipient: submission.email,
+    subject: reply.subject,
+    body: reply.message,
+  });
+
+  // Delivery outcome is recorded whatever the user's
+  // update permissions
+  const adminOptions =
+  {
+    schema,
+    accountability: { admin: true },
+  };
+  const messageLog = new services.ItemsService(
+    MESSAGES_COLLECTION,
+    adminOptions
+  );
+
+  const earlier = await messageLog.readByQuery(
+  {
+    fields: ['message_id'],
+    filter:
+    {
+      _and: [
+        { submission: { _eq: submission.id } },
+        { status: { _eq: 'sent' } },
+        { message_id: { _nnull: true } },
+      ],
+    },
+    sort: ['date_created', 'id'],
+    limit: -1,
+  });
+
+  const thread = replyThread(
+  {
+    submissionId: submission.id,
+    messageId: message,
+    earlier: earlier.map((item) => item.message_id),
+  });
+
+  const recipients = await resolveRecipients(
+  {
+    services,
+    schema,
+    subject: submission.subject,
+    fallbackEmail: process.env.ADMIN_EMAIL,
+  });
+
+  const mailService = new services.MailService(adminOptions);
+
+  try
+  {
+    await sendTemplateEmail(mailService,
+    {
+      to: submission.email,
+      replyTo: recipients.to,
+      subject: reply.subject,
+      ...thread,
+      template:
+      {
+        name: 'contact-reply',
+        data:
+        {
+          locale: submission.locale,
+          name: submission.name,
+          reply: reply.message,
+          message: submission.message,
+        },
+      },
+    });
+  }
+  catch (err)
+  {
+    console.error(
+      `Reply to submission ${submission.id} failed:`,
+      err.message
+    );
+    await messageLog.updateOne(
+      message,
+      { status: 'failed' },
+      { emitEvents: false }
+    );
+    throw replyError('Email could not be sent.', 502);
+  }
+
+  await messageLog.updateOne(
+    message,
+    {
+      status: 'sent',
+      message_id: thread.messageId,
+    },
+    { emitEvents: false }
+  );
+
+  let status = submission.status;
+
+  if (status !== 'replied' && canTransition(status, 'replied'))
+  {
+    await submissions.updateOne(submission.id,
+    {
+      status: 'replied',
+    });
+    status = 'replied';
+  }
+
+  return { message, status };
+}
@@ -0,0 +1,171 @@
+/**
+ * @file request-guard.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Request checks run before the contact
+ *              form pipeline: allowed Origin (against
+ *              cross-site form posts), body size, and
+ *              the accepted fields and their types.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - privacy_consent, privacy_version
+ */
+
+/**
+ * Accepted body fields and their allowed typeof
+ * values. null is treated like an absent field.
+ */
+export const FIELD_TYPES =
+{
+  name: ['string'],
+  email: ['string'],
+  phone: ['string'],
+  subject: ['string'],
+  message: ['string'],
+  locale: ['string'],
+  honeypot: ['string'],
+  form_token: ['string'],
+  pow_challenge: ['string'],
+  pow_solution: ['string', 'number'],
+  privacy_consent: ['boolean', 'string'],
+  privacy_version: ['string'],
+};
+
+/**
+ * @description Builds the allowed origins from the
+ *              CORS_ORIGIN list and FRONTEND_URL.
+ *              Non-URL CORS values ("true", "*",
+ *              regular expressions) are ignored.
+ * @param {string} [corsOrigin] - CORS_ORIGIN
+ * @param {string} [frontendUrl] - FRONTEND_URL
+ * @returns {string[]} Origins like "https://host"
+ * @update 2026-10-19
+ */
+export function parseAllowedOrigins(corsOrigin, frontendUrl)
+{
+  const origins = new Set();
+  const values = [
+    ...String(corsOrigin || '').split(','),
+    frontendUrl || '',
+  ];
+
+  for (const value of values)
+  {
+    try
+    {
+      const url = new URL(value.trim());
+
+      if (url.protocol === 'http:' || url.protocol === 'https:')
+      {
+        origins.add(url.origin);
+      }
+    }
+    catch
+    {
+      // Not a URL
+    }
+  }
+
+  return [...origins];
+}
+
+/**
+ * @description Checks the request origin, taken from
+ *              the Origin header or else the Referer.
+ *              Requests with neither (server-side or
+ *              non-browser clients) are allowed, as
+ *              they cannot be cross-site forgeries.
+ * @param {object} headers - Request headers
+ * @param {string[]} allowed - Allowed origins
+ * @returns {boolean} True if allowed
+ * @update 2026-10-19
+ */
+export function isAllowedOrigin(headers, allowed)
+{
+  const { origin, referer } = headers;
+
+  if (origin !== undefined)
+  {
+    return allowed.includes(origin);
+  }
+
+  if (referer === undefined)
+  {
+    return true;
+  }
+
+  try
+  {
+    return allowed.includes(new URL(referer).origin);
+  }
+  catch
+  {
+    return false;
+  }
+}
+
+/**
+ * @description Returns the body size in bytes from
+ *              Content-Length, or from the parsed body
+ *              when the header is missing.
+ * @param {object} req - Express request
+ * @returns {number} Size in bytes
+ * @update 2026-10-19
+ */
+export function bodySize(req)
+{
+  const length = Number(req.headers['content-length']);
+
+  if (Number.isFinite(length) && length >= 0)
+  {
+    return length;
+  }
+
+  return req.body
+    ? Buffer.byteLength(JSON.stringify(req.body))
+    : 0;
+}
+
+/**
+ * @description Checks body fields against FIELD_TYPES.
+ * @param {*} body - Parsed request body
+ * @returns {object} { valid, unexpected, invalid }
+ *          with the offending field names
+ * @update 2026-10-19
+ */
+export function checkFields(body)
+{
+  if (
+    !body ||
+    typeof body !== 'object' ||
+    Array.isArray(body)
+  )
+  {
+    return { valid: false, unexpected: [], invalid: [] };
+  }
+
+  const unexpected = [];
+  const invalid = [];
+
+  for (const [field, value] of Object.entries(body))
+  {
+    if (!Object.hasOwn(FIELD_TYPES, field))
+    {
+      unexpected.push(field);
+    }
+    else if (
+      value !== null &&
+      !FIELD_TYPES[field].includes(typeof value)
+    )
+    {
+      invalid.push(field);
+    }
+  }
+
+  return {
+    valid: unexpected.length === 0 && invalid.length === 0,
+    unexpected,
+    invalid,
+  };
+}
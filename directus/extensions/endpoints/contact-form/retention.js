@@ -0,0 +1,422 @@
+/**
+ * @file retention.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Data retention for contact_submissions,
+ *              run by the contact-retention hook. IPs
+ *              are truncated to their network prefix
+ *              after ip_retention_days; submissions
+ *              older than retention_days are
+ *              anonymized or deleted together with
+ *              their outbox emails, replies, files and
+ *              webhook deliveries. Submissions flagged
+ *              "keep" are left as they are. Data
+ *              subject requests still pending when
+ *              their link expires are expired with
+ *              email and IP cleared and their
+ *              verification email deleted, and IPs of
+ *              older requests are cleared. Settings
+ *              come from env, overridden by the
+ *              contact_retention singleton.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Staff replies removed with expired
+ *                submissions
+ *   2026-10-19 - Attachments deleted with expired
+ *                submissions
+ *   2026-10-19 - Webhook deliveries deleted with expired
+ *                submissions
+ *   2026-10-19 - IPs of submissions flagged keep are not
+ *                truncated
+ *   2026-10-19 - Pending data subject requests expired,
+ *                request IPs cleared
+ *   2026-10-19 - Verification emails of expired requests
+ *                deleted
+ */
+
+import { truncateIp } from './client-ip.js';
+import { OUTBOX_COLLECTION } from './outbox.js';
+import { MESSAGES_COLLECTION } from './reply.js';
+import { deleteAttachments } from './attachments.js';
+import { DELIVERIES_COLLECTION } from './webhooks.js';
+import {
+  DATA_REQUEST_COLLECTION,
+  DATA_REQUEST_MAX_AGE_MS,
+  deleteVerificationEmails,
+} from './data-subject.js';
+
+export const RETENTION_ACTIONS = ['anonymize', 'delete'];
+
+/**
+ * Defaults from env.
+ */
+export const RETENTION_DEFAULTS =
+{
+  enabled: process.env.CONTACT_RETENTION_ENABLED !== 'false',
+  ip_retention_days:
+    Number(process.env.CONTACT_IP_RETENTION_DAYS) || 30,
+  retention_days:
+    Number(process.env.CONTACT_RETENTION_DAYS) || 730,
+  retention_action:
+    process.env.CONTACT_RETENTION_ACTION || 'anonymize',
+};
+
+/**
+ * Values written over personal data on anonymization.
+ */
+export const ANONYMIZED_VALUES =
+{
+  name: null,
+  email: null,
+  phone: null,
+  phone_original: null,
+  message: null,
+  ip_address: null,
+  content_hash: null,
+  spam_reasons: null,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @description Merges the settings singleton over the
+ *              env defaults, ignoring empty or invalid
+ *              values.
+ * @param {object|null} row - contact_retention item
+ * @param {object} [defaults] - Env defaults
+ * @returns {object} Effective settings
+ * @update 2026-10-19
+ */
+export function resolveRetentionSettings(
+  row,
+  defaults = RETENTION_DEFAULTS
+)
+{
+  const settings = { ...defaults };
+
+  if (typeof row?.enabled === 'boolean')
+  {
+    settings.enabled = row.enabled;
+  }
+
+  for (const field of ['ip_retention_days', 'retention_days'])
+  {
+    if (Number.isInteger(row?.[field]) && row[field] > 0)
+    {
+      settings[field] = row[field];
+    }
+  }
+
+  if (RETENTION_ACTIONS.includes(row?.retention_action))
+  {
+    settings.retention_action = row.retention_action;
+  }
+
+  if (!RETENTION_ACTIONS.includes(settings.retention_action))
+  {
+    settings.retention_action = 'anonymize';
+  }
+
+  return settings;
+}
+
+/**
+ * @description Returns the cutoff date for a number
+ *              of days before now.
+ * @param {number} days - Retention in days
+ * @param {number} now - Current time in ms
+ * @returns {string} ISO timestamp
+ * @update 2026-10-19
+ */
+export function cutoffDate(days, now)
+{
+  return new Date(now - days * DAY_MS).toISOString();
+}
+
+/**
+ * @description Creates the retention job.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Directus schema
+ * @returns {object} { run }
+ * @update 2026-10-19
+ */
+export function createRetentionJob({ services, schema })
+{
+  const serviceOptions =
+  {
+    schema,
+    accountability: { admin: true },
+  };
+  const submissions = new services.ItemsService(
+    'contact_submissions',
+    serviceOptions
+  );
+
+  async function loadSettings()
+  {
+    try
+    {
+      const settingsService = new services.ItemsService(
+        'contact_retention',
+        serviceOptions
+      );
+      return resolveRetentionSettings(
+        await settingsService.readSingleton({})
+      );
+    }
+    catch (err)
+    {
+      console.error(
+        'Contact retention settings unavailable:',
+        err.message
+      );
+      return resolveRetentionSettings(null);
+    }
+  }
+
+  async function truncateIps(cutoff)
+  {
+    const items = await submissions.readByQuery(
+    {
+      fields: ['id', 'ip_address'],
+      filter:
+      {
+        _and: [
+          { date_created: { _lt: cutoff } },
+          { keep: { _neq: true } },
+          { ip_address: { _nnull: true } },
+          { ip_address: { _ncontains: '/' } },
+        ],
+      },
+      limit: -1,
+    });
+
+    for (const item of items)
+    {
+      await submissions.updateOne(
+        item.id,
+        { ip_address: truncateIp(item.ip_address) },
+        { emitEvents: false }
+      );
+    }
+
+    return items.map((item) => item.id);
+  }
+
+  async function expireSubmissions(cutoff, action)
+  {
+    const filter =
+    {
+      _and: [
+        { date_created: { _lt: cutoff } },
+        { keep: { _neq: true } },
+      ],
+    };
+
+    if (action === 'anonymize')
+    {
+      filter._and.push({ anonymized_at: { _null: true } });
+    }
+
+    const ids = (await submissions.readByQuery(
+    {
+      fields: ['id'],
+      filter,
+      limit: -1,
+    })).map((item) => item.id);
+
+    if (ids.length === 0)
+    {
+      return { ids, emails: 0 };
+    }
+
+    // Queued emails carry the visitor's message
+    const outbox = new services.ItemsService(
+      OUTBOX_COLLECTION,
+      serviceOptions
+    );
+    const emails = await outbox.readByQuery(
+    {
+      fields: ['id'],
+      filter: { submission: { _in: ids } },
+      limit: -1,
+    });
+
+    if (emails.length > 0)
+    {
+      await outbox.deleteMany(
+        emails.map((email) => email.id),
+        { emitEvents: false }
+      );
+    }
+
+    // Replies quote the visitor by name and address
+    const messages = new services.ItemsService(
+      MESSAGES_COLLECTION,
+      serviceOptions
+    );
+    const replies = await messages.readByQuery(
+    {
+      fields: ['id'],
+      filter: { submission: { _in: ids } },
+      limit: -1,
+    });
+
+    if (replies.length > 0)
+    {
+      await messages.deleteMany(
+        replies.map((reply) => reply.id),
+        { emitEvents: false }
+      );
+    }
+
+    // Delivery payloads are copies of the submission
+    const deliveries = new services.ItemsService(
+      DELIVERIES_COLLECTION,
+      serviceOptions
+    );
+    const sent = await deliveries.readByQuery(
+    {
+      fields: ['id'],
+      filter: { submission: { _in: ids } },
+      limit: -1,
+    });
+
+    if (sent.length > 0)
+    {
+      await deliveries.deleteMany(
+        sent.map((delivery) => delivery.id),
+        { emitEvents: false }
+      );
+    }
+
+    await deleteAttachments({ services, schema, submissionIds: ids });
+
+    if (action === 'delete')
+    {
+      await submissions.deleteMany(ids, { emitEvents: false });
+    }
+    else
+    {
+      await submissions.updateMany(
+        ids,
+        {
+          ...ANONYMIZED_VALUES,
+          anonymized_at: new Date().toISOString(),
+        },
+        { emitEvents: false }
+      );
+    }
+
+    return { ids, emails: emails.length };
+  }
+
+  // Unconfirmed requests hold an address the person
+  // never proved to own
+  async function expireDataRequests(now, ipCutoff)
+  {
+    const requests = new services.ItemsService(
+      DATA_REQUEST_COLLECTION,
+      serviceOptions
+    );
+
+    const pending = (await requests.readByQuery(
+    {
+      fields: ['id'],
+      filter:
+      {
+        _and: [
+          { status: { _eq: 'pending' } },
+          {
+            date_created:
+            {
+              _lt: new Date(now - DATA_REQUEST_MAX_AGE_MS)
+                .toISOString(),
+            },
+          },
+        ],
+      },
+      limit: -1,
+    })).map((item) => item.id);
+
+    if (pending.length > 0)
+    {
+      await requests.updateMany(
+        pending,
+        {
+          status: 'expired',
+          email: null,
+          ip_address: null,
+        },
+        { emitEvents: false }
+      );
+      await deleteVerificationEmails(
+      {
+        services,
+        schema,
+        requestIds: pending,
+      });
+    }
+
+    const withIp = (await requests.readByQuery(
+    {
+      fields: ['id'],
+      filter:
+      {
+        _and: [
+          { date_created: { _lt: ipCutoff } },
+          { ip_address: { _nnull: true } },
+        ],
+      },
+      limit: -1,
+    })).map((item) => item.id);
+
+    if (withIp.length > 0)
+    {
+      await requests.updateMany(
+        withIp,
+        { ip_address: null },
+        { emitEvents: false }
+      );
+    }
+
+    return { expired: pending, cleared: withIp };
+  }
+
+  return {
+    /**
+     * @description Applies the retention settings.
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<object|null>} Summary, or null
+     *          when retention is disabled
+     * @update 2026-10-19
+     */
+    async run(now = Date.now())
+    {
+      const settings = await loadSettings();
+
+      if (!settings.enabled)
+      {
+        return null;
+      }
+
+      const ipCutoff = cutoffDate(settings.ip_retention_days, now);
+      const truncated = await truncateIps(ipCutoff);
+      const expired = await expireSubmissions(
+        cutoffDate(settings.retention_days, now),
+        settings.retention_action
+      );
+      const requests = await expireDataRequests(now, ipCutoff);
+
+      return {
+        settings,
+        truncated,
+        expired: expired.ids,
+        emails: expired.emails,
+        requests,
+      };
+    },
+  };
+}
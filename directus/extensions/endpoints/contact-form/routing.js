@@ -0,0 +1,105 @@
+/**
+ * @file routing.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Subject-based routing of admin
+ *              notifications. Recipients are read from
+ *              the contact_routing collection at send
+ *              time, so routing changes apply without a
+ *              redeploy. A route without subject is the
+ *              fallback; ADMIN_EMAIL is the last resort.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+/**
+ * @description Normalizes a recipient list stored as a
+ *              tags array or a comma-separated string.
+ * @param {string[]|string|null} value - Recipients
+ * @returns {string[]} Trimmed, de-duplicated addresses
+ * @update 2026-10-19
+ */
+export function toAddressList(value)
+{
+  const list = Array.isArray(value)
+    ? value
+    : String(value || '').split(',');
+
+  return [
+    ...new Set(
+      list
+        .map((address) => String(address).trim())
+        .filter((address) => address.includes('@'))
+    ),
+  ];
+}
+
+/**
+ * @description Picks the active route for a subject,
+ *              or the fallback route (empty subject).
+ * @param {object[]} routes - contact_routing items
+ * @param {string} subject - Submission subject
+ * @returns {object|null} Route or null
+ * @update 2026-10-19
+ */
+export function pickRoute(routes, subject)
+{
+  const active = routes.filter(
+    (route) => route.active !== false &&
+      toAddressList(route.recipients).length > 0
+  );
+
+  return (
+    active.find((route) => route.subject === subject) ||
+    active.find((route) => !route.subject) ||
+    null
+  );
+}
+
+/**
+ * @description Resolves To/CC/BCC for a subject.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Schema overview
+ * @param {string} options.subject - Submission subject
+ * @param {string} [options.fallbackEmail] - Used when
+ *                 no route matches
+ * @returns {Promise<object>} { to, cc, bcc } arrays
+ * @update 2026-10-19
+ */
+export async function resolveRecipients(
+  { services, schema, subject, fallbackEmail }
+)
+{
+  const routingService = new services.ItemsService(
+    'contact_routing',
+    {
+      schema,
+      accountability: { admin: true },
+    }
+  );
+
+  const routes = await routingService.readByQuery(
+  {
+    fields: ['subject', 'recipients', 'cc', 'bcc', 'active'],
+    limit: -1,
+  });
+
+  const route = pickRoute(routes, subject);
+
+  if (!route)
+  {
+    return {
+      to: toAddressList(fallbackEmail),
+      cc: [],
+      bcc: [],
+    };
+  }
+
+  return {
+    to: toAddressList(route.recipients),
+    cc: toAddressList(route.cc),
+    bcc: toAddressList(route.bcc),
+  };
+}
@@ -0,0 +1,201 @@
+/**
+ * @file spam-score.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Content-based spam scoring for contact
+ *              submissions. Each rule returns points
+ *              and a reason; rules are plain objects so
+ *              new ones can be added to SPAM_RULES or
+ *              passed to scoreSubmission(). Submissions
+ *              at or above the threshold are stored
+ *              with status "spam".
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { DISPOSABLE_DOMAINS } from './disposable-domains.js';
+
+/**
+ * Score at which a submission is treated as spam.
+ */
+export const SPAM_THRESHOLD =
+  Number(process.env.CONTACT_SPAM_THRESHOLD) || 5;
+
+/**
+ * Phrases typical of contact form spam. Extended via
+ * CONTACT_SPAM_BLOCKLIST (comma-separated).
+ */
+export const BLOCKLISTED_PHRASES = [
+  'backlinks',
+  'bitcoin',
+  'casino',
+  'click here',
+  'crypto investment',
+  'forex',
+  'guest post',
+  'loan offer',
+  'seo services',
+  'viagra',
+  'work from home',
+  ...String(process.env.CONTACT_SPAM_BLOCKLIST || '')
+    .split(',')
+    .map((phrase) => phrase.trim().toLowerCase())
+    .filter(Boolean),
+];
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+/**
+ * @description Escapes a string for use in a RegExp.
+ * @param {string} str - Literal text
+ * @returns {string} Escaped text
+ * @update 2026-10-19
+ */
+function escapeRegExp(str)
+{
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Built-in rules. Each: { name, score(submission) }
+ * returning { points, reason } or null.
+ */
+export const SPAM_RULES = [
+  {
+    name: 'urls',
+    score({ name, message })
+    {
+      if ((name.match(URL_PATTERN) || []).length > 0)
+      {
+        return { points: 5, reason: 'URL in name' };
+      }
+
+      const count = (message.match(URL_PATTERN) || []).length;
+
+      if (count <= 1)
+      {
+        return null;
+      }
+
+      return {
+        points: 2 * (count - 1),
+        reason: `${count} URLs in message`,
+      };
+    },
+  },
+  {
+    name: 'blocklist',
+    score({ name, message })
+    {
+      const text = `${name} ${message}`.toLowerCase();
+      const found = BLOCKLISTED_PHRASES.filter((phrase) =>
+        new RegExp(`\\b${escapeRegExp(phrase)}\\b`).test(text)
+      );
+
+      if (found.length === 0)
+      {
+        return null;
+      }
+
+      return {
+        points: 3 * found.length,
+        reason: `Blocklisted phrases: ${found.join(', ')}`,
+      };
+    },
+  },
+  {
+    name: 'repeated_characters',
+    score({ message })
+    {
+      if (!/(\S)\1{9,}/u.test(message))
+      {
+        return null;
+      }
+
+      return {
+        points: 2,
+        reason: 'Long runs of repeated characters',
+      };
+    },
+  },
+  {
+    name: 'script_mixing',
+    score({ name, message })
+    {
+      // Words mixing Latin with Cyrillic or Greek letters
+      // are typical homoglyph tricks against filters
+      const words = `${name} ${message}`.split(/\s+/);
+      const mixed = words.filter((word) =>
+        /\p{Script=Latin}/u.test(word) &&
+        /[\p{Script=Cyrillic}\p{Script=Greek}]/u.test(word)
+      );
+
+      if (mixed.length === 0)
+      {
+        return null;
+      }
+
+      return {
+        points: 3,
+        reason: 'Words mixing Latin and Cyrillic/Greek',
+      };
+    },
+  },
+  {
+    name: 'disposable_email',
+    score({ email })
+    {
+      const domain = email.split('@').pop().toLowerCase();
+      const disposable = DISPOSABLE_DOMAINS.some(
+        (d) => domain === d || domain.endsWith(`.${d}`)
+      );
+
+      if (!disposable)
+      {
+        return null;
+      }
+
+      return {
+        points: 4,
+        reason: `Disposable email domain: ${domain}`,
+      };
+    },
+  },
+];
+
+/**
+ * @description Runs the rules against a sanitized
+ *              submission.
+ * @param {object} submission - { name, email, message }
+ * @param {object[]} [rules] - Rules to apply
+ * @param {number} [threshold] - Spam threshold
+ * @returns {object} { score, reasons, isSpam }
+ * @update 2026-10-19
+ */
+export function scoreSubmission(
+  submission,
+  rules = SPAM_RULES,
+  threshold = SPAM_THRESHOLD
+)
+{
+  let score = 0;
+  const reasons = [];
+
+  for (const rule of rules)
+  {
+    const result = rule.score(submission);
+
+    if (result && result.points > 0)
+    {
+      score += result.points;
+      reasons.push({ rule: rule.name, ...result });
+    }
+  }
+
+  return {
+    score,
+    reasons,
+    isSpam: score >= threshold,
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * @file subjects.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Contact subjects managed in the
+ *              contact_subjects collection (translated
+ *              labels, sort order, active flag). Active
+ *              subjects are cached in memory so form
+ *              validation does not hit the database on
+ *              every submission.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+/**
+ * How long the active subject list is cached.
+ */
+const SUBJECTS_CACHE_TTL_MS =
+  Number(process.env.CONTACT_SUBJECTS_CACHE_TTL_MS) ||
+  60 * 1000;
+
+/**
+ * @description Reads active subjects with their
+ *              translated labels, in sort order.
+ * @param {object} services - Directus services
+ * @param {object} schema - Current schema overview
+ * @returns {Promise<object[]>} Subject items
+ * @update 2026-10-19
+ */
+export async function loadSubjects(services, schema)
+{
+  const subjectsService = new services.ItemsService(
+    'contact_subjects',
+    {
+      schema,
+      accountability: { admin: true },
+    }
+  );
+
+  return subjectsService.readByQuery(
+  {
+    fields:
+    [
+      'code',
+      'sort',
+      'translations.languages_code',
+      'translations.label',
+    ],
+    filter: { active: { _eq: true } },
+    sort: ['sort', 'code'],
+    limit: -1,
+  });
+}
+
+/**
+ * @description Extracts subject codes.
+ * @param {object[]} subjects - Subject items
+ * @returns {string[]} Codes
+ * @update 2026-10-19
+ */
+export function subjectCodes(subjects)
+{
+  return subjects.map((subject) => subject.code);
+}
+
+/**
+ * @description Creates a TTL cache around a subject
+ *              loader. Concurrent misses share one
+ *              load; if a reload fails the previous
+ *              list keeps being served.
+ * @param {object} options
+ * @param {Function} options.load - Returns subjects
+ * @param {number} [options.ttlMs] - Cache lifetime
+ * @returns {object} { get, clear }
+ * @update 2026-10-19
+ */
+export function createSubjectCache(
+  { load, ttlMs = SUBJECTS_CACHE_TTL_MS }
+)
+{
+  let cached = null;
+  let expiresAt = 0;
+  let pending = null;
+
+  return {
+    async get(now = Date.now())
+    {
+      if (cached && now < expiresAt)
+      {
+        return cached;
+      }
+
+      if (!pending)
+      {
+        pending = Promise.resolve()
+          .then(load)
+          .then((subjects) =>
+          {
+            cached = subjects;
+            expiresAt = now + ttlMs;
+            return subjects;
+          })
+          .catch((err) =>
+          {
+            if (!cached)
+            {
+              throw err;
+            }
+            console.error(
+              'Contact subjects reload failed:',
+              err.message
+            );
+            return cached;
+          })
+          .finally(() =>
+          {
+            pending = null;
+          });
+      }
+
+      return pending;
+    },
+
+    clear()
+    {
+      cached = null;
+      expiresAt = 0;
+    },
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * @file triage.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Triage lifecycle for contact_submissions.
+ *              Defines the allowed statuses and the
+ *              transitions between them. Shared by the
+ *              contact-form endpoint and the
+ *              contact-triage hook that enforces it.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Spam-scored submissions created as spam
+ */
+
+/**
+ * All statuses a submission can be in.
+ */
+export const SUBMISSION_STATUSES = [
+  'new',
+  'in_progress',
+  'replied',
+  'archived',
+  'spam',
+];
+
+/**
+ * Statuses a submission may be created with. The
+ * first is the default; "spam" is set by the spam
+ * scorer.
+ */
+export const INITIAL_STATUSES = ['new', 'spam'];
+
+/**
+ * Allowed transitions. Key: current status,
+ * Value: statuses it may move to.
+ */
+export const STATUS_TRANSITIONS =
+{
+  new: ['in_progress', 'replied', 'archived', 'spam'],
+  in_progress: ['new', 'replied', 'archived', 'spam'],
+  replied: ['in_progress', 'archived'],
+  archived: ['in_progress'],
+  spam: ['new', 'archived'],
+};
+
+/**
+ * @description Checks whether a submission may move
+ *              from one status to another. Keeping
+ *              the same status is always allowed.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ * @update 2026-10-19
+ */
+export function canTransition(from, to)
+{
+  if (!SUBMISSION_STATUSES.includes(to))
+  {
+    return false;
+  }
+
+  if (from === to)
+  {
+    return true;
+  }
+
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * @description Returns the timestamp fields to set
+ *              alongside a status change.
+ * @param {string} to - Requested status
+ * @param {Date} now - Current time
+ * @returns {object} Extra fields for the update payload
+ * @update 2026-10-19
+ */
+export function transitionTimestamps(to, now = new Date())
+{
+  if (to === 'replied')
+  {
+    return { replied_at: now.toISOString() };
+  }
+
+  return {};
+}
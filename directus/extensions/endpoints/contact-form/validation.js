@@ -0,0 +1,301 @@
+/**
+ * @file validation.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Server-side validation and sanitizing
+ *              of contact form data. Whitelist
+ *              validation against ALLOWED_PATTERNS and
+ *              the active contact subjects.
+ *
+ * @update_history
+ *   2026-10-19 - Extracted from index.js, subjects
+ *                passed in from contact_subjects
+ *   2026-10-19 - FIELD_RULES as single source for
+ *                patterns and the public form config
+ *   2026-10-19 - Error codes instead of messages
+ *   2026-10-19 - Unicode names, internationalized
+ *                email domains, E.164 phone check
+ *   2026-10-19 - sanitizeText() replaces stripHTML():
+ *                plain text is kept, HTML is escaped
+ *                when rendered
+ *   2026-10-19 - Required privacy_consent
+ *   2026-10-19 - Optional attachments, too_many and
+ *                too_large codes
+ *   2026-10-19 - outdated error code for privacy
+ *                consent
+ *   2026-10-19 - Email length checked after punycode
+ *                conversion
+ */
+
+import { domainToASCII } from 'node:url';
+import { toE164 } from './phone.js';
+import { hasConsent } from './privacy.js';
+
+/**
+ * Field rules shared by validation and the public
+ * form config (GET /contact-form/config).
+ */
+export const FIELD_RULES =
+{
+  name: { required: true, minLength: 2, maxLength: 100 },
+  email: { required: true, maxLength: 200 },
+  phone: { required: false, maxLength: 20 },
+  subject: { required: true },
+  message: { required: true, minLength: 10, maxLength: 2000 },
+  privacy_consent: { required: true },
+  attachments: { required: false },
+};
+
+/**
+ * Whitelist patterns for allowed input values.
+ * Only values matching these patterns are accepted.
+ * Names allow letters of any script (with combining
+ * marks), spaces, apostrophes, hyphens and dots;
+ * email domains may be internationalized.
+ */
+export const ALLOWED_PATTERNS =
+{
+  name: new RegExp(
+    "^[\\p{L}\\p{M}\\s'’.\\-]" +
+    `{${FIELD_RULES.name.minLength},` +
+    `${FIELD_RULES.name.maxLength}}$`,
+    'u'
+  ),
+  email:
+    /^[a-zA-Z0-9._%+\-]+@[\p{L}\p{N}.\-]+\.[\p{L}\p{N}\-]{2,63}$/u,
+  phone: new RegExp(
+    `^[\\d\\s+\\-().\\/]{0,${FIELD_RULES.phone.maxLength}}$`
+  ),
+  message: new RegExp(
+    '^[\\s\\S]' +
+    `{${FIELD_RULES.message.minLength},` +
+    `${FIELD_RULES.message.maxLength}}$`
+  ),
+};
+
+/**
+ * Control characters except tab and newline, and
+ * bidirectional marks/overrides/isolates that can
+ * disguise text ("Trojan Source").
+ */
+const CONTROL_CHARS =
+  /[\u0000-\u0008\u000B-\u001F\u007F-\u009F\uFEFF]/g;
+const BIDI_CHARS = /[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+
+/**
+ * Free-text fields cleaned by sanitizeFormData().
+ */
+const TEXT_FIELDS = ['name', 'email', 'phone', 'message'];
+
+/**
+ * @description Cleans visitor text without altering
+ *              its meaning: NFC normalization, unified
+ *              line breaks, control and bidi characters
+ *              removed, trimmed. "<" and ">" are kept;
+ *              HTML is escaped at render time.
+ * @param {*} str - Input value
+ * @param {object} [options]
+ * @param {boolean} [options.multiline] - Keep line
+ *                  breaks and tabs (else become spaces)
+ * @returns {string} Clean text ('' for non-strings)
+ * @update 2026-10-19
+ */
+export function sanitizeText(str, { multiline = false } = {})
+{
+  if (typeof str !== 'string')
+  {
+    return '';
+  }
+
+  const text = str
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(CONTROL_CHARS, '')
+    .replace(BIDI_CHARS, '');
+
+  return (multiline ? text : text.replace(/[\t\n]+/g, ' '))
+    .trim();
+}
+
+/**
+ * @description Returns a copy of the form data with
+ *              the free-text fields sanitized, so they
+ *              are validated as they will be stored.
+ * @param {object} data - Form data
+ * @returns {object} Sanitized copy
+ * @update 2026-10-19
+ */
+export function sanitizeFormData(data)
+{
+  const clean = { ...data };
+
+  for (const field of TEXT_FIELDS)
+  {
+    if (typeof clean[field] === 'string')
+    {
+      clean[field] = sanitizeText(clean[field],
+      {
+        multiline: field === 'message',
+      });
+    }
+  }
+
+  return clean;
+}
+
+/**
+ * @description Normalizes an email address: trimmed,
+ *              lowercased, domain converted to its
+ *              ASCII (punycode) form for delivery.
+ * @param {string} email - Validated email address
+ * @returns {string|null} Normalized address or null
+ *          if the domain is not a valid IDN
+ * @update 2026-10-19
+ */
+export function normalizeEmail(email)
+{
+  const address = String(email).trim().toLowerCase();
+  const at = address.lastIndexOf('@');
+  const domain = domainToASCII(address.slice(at + 1));
+
+  if (at < 1 || !domain)
+  {
+    return null;
+  }
+
+  return `${address.slice(0, at)}@${domain}`;
+}
+
+/**
+ * Machine-readable validation error codes.
+ */
+export const ERROR_CODES =
+{
+  required: 'required',
+  tooShort: 'too_short',
+  tooLong: 'too_long',
+  invalidFormat: 'invalid_format',
+  invalidOption: 'invalid_option',
+  tooMany: 'too_many',
+  tooLarge: 'too_large',
+  outdated: 'outdated',
+};
+
+/**
+ * @description Checks one text field against its rule
+ *              and optional pattern.
+ * @param {*} value - Submitted value
+ * @param {object} rule - Entry of FIELD_RULES
+ * @param {RegExp} [pattern] - Whitelist pattern
+ * @returns {string|null} Error code or null if valid
+ * @update 2026-10-19
+ */
+function checkTextField(value, rule, pattern)
+{
+  if (
+    value === undefined ||
+    value === null ||
+    (typeof value === 'string' && !value.trim())
+  )
+  {
+    return rule.required ? ERROR_CODES.required : null;
+  }
+
+  if (typeof value !== 'string')
+  {
+    return ERROR_CODES.invalidFormat;
+  }
+
+  const text = value.trim();
+
+  if (rule.minLength && text.length < rule.minLength)
+  {
+    return ERROR_CODES.tooShort;
+  }
+
+  if (rule.maxLength && text.length > rule.maxLength)
+  {
+    return ERROR_CODES.tooLong;
+  }
+
+  if (pattern && !pattern.test(text))
+  {
+    return ERROR_CODES.invalidFormat;
+  }
+
+  return null;
+}
+
+/**
+ * @description Validates form data against whitelist
+ *              patterns. Returns an error code for
+ *              any field that fails validation.
+ * @param {object} data - Form data to validate
+ * @param {string[]} allowedSubjects - Active subject
+ *                   codes from contact_subjects
+ * @returns {object} { valid: boolean, errors: object }
+ *                   errors: { field: ERROR_CODES value }
+ * @update 2026-10-19
+ */
+export function validateFormData(data, allowedSubjects)
+{
+  const errors = {};
+
+  for (const field of ['name', 'email', 'phone', 'message'])
+  {
+    const code = checkTextField(
+      data[field],
+      FIELD_RULES[field],
+      ALLOWED_PATTERNS[field]
+    );
+
+    if (code)
+    {
+      errors[field] = code;
+    }
+  }
+
+  if (!errors.email)
+  {
+    const email = normalizeEmail(data.email);
+
+    if (!email)
+    {
+      errors.email = ERROR_CODES.invalidFormat;
+    }
+    // The punycode domain can outgrow the typed one
+    else if (email.length > FIELD_RULES.email.maxLength)
+    {
+      errors.email = ERROR_CODES.tooLong;
+    }
+  }
+
+  if (
+    !errors.phone &&
+    typeof data.phone === 'string' &&
+    data.phone.trim() &&
+    !toE164(data.phone)
+  )
+  {
+    errors.phone = ERROR_CODES.invalidFormat;
+  }
+
+  if (!data.subject)
+  {
+    errors.subject = ERROR_CODES.required;
+  }
+  else if (!allowedSubjects.includes(data.subject))
+  {
+    errors.subject = ERROR_CODES.invalidOption;
+  }
+
+  if (!hasConsent(data.privacy_consent))
+  {
+    errors.privacy_consent = ERROR_CODES.required;
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
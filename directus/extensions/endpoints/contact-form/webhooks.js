@@ -0,0 +1,467 @@
+/**
+ * @file webhooks.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Outbound webhooks for new contact
+ *              submissions. Each active contact_webhooks
+ *              entry matching the subject gets a JSON
+ *              POST signed with its secret. Deliveries
+ *              are recorded in webhook_deliveries with
+ *              a log of every attempt and retried with
+ *              the outbox backoff by the contact-webhooks
+ *              hook.
+ *
+ *              Signature header:
+ *              X-Lares-Signature: t=<unix ms>,v1=<hex>
+ *              where v1 = HMAC-SHA256(secret,
+ *              "<t>.<raw body>").
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Webhooks without a secret are skipped;
+ *                only the start of a response is read
+ */
+
+import { createHmac } from 'node:crypto';
+import { failureUpdate } from './outbox.js';
+
+export const WEBHOOKS_COLLECTION = 'contact_webhooks';
+export const DELIVERIES_COLLECTION = 'webhook_deliveries';
+
+export const WEBHOOK_EVENT = 'submission.created';
+
+/**
+ * Attempts before a delivery is marked failed, and
+ * request timeout.
+ */
+const MAX_ATTEMPTS =
+  Number(process.env.CONTACT_WEBHOOK_MAX_ATTEMPTS) || 8;
+const TIMEOUT_MS =
+  Number(process.env.CONTACT_WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+/**
+ * Response body characters kept in the attempt log.
+ */
+const RESPONSE_LOG_CHARS = 500;
+
+/**
+ * Attempts kept in a delivery's log.
+ */
+const MAX_LOG_ENTRIES = 20;
+
+/**
+ * How long a claimed delivery stays reserved.
+ */
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * @description Checks whether a webhook wants a
+ *              submission: active with a URL and a
+ *              secret, and either no subject filter or
+ *              a matching subject.
+ * @param {object} webhook - contact_webhooks item
+ * @param {string} subject - Submission subject code
+ * @returns {boolean} True if it should be delivered
+ * @update 2026-10-19
+ */
+export function matchesSubject(webhook, subject)
+{
+  if (webhook.active === false || !webhook.url || !webhook.secret)
+  {
+    return false;
+  }
+
+  const subjects = Array.isArray(webhook.subjects)
+    ? webhook.subjects
+    : [];
+
+  return subjects.length === 0 || subjects.includes(subject);
+}
+
+/**
+ * @description Builds the JSON payload for a new
+ *              submission.
+ * @param {number} submissionId - Submission id
+ * @param {object} submission - Stored submission data
+ * @param {Date} [now] - Event time
+ * @returns {object} Payload
+ * @update 2026-10-19
+ */
+export function buildPayload(
+  submissionId,
+  submission,
+  now = new Date()
+)
+{
+  return {
+    event: WEBHOOK_EVENT,
+    created_at: now.toISOString(),
+    data:
+    {
+      id: submissionId,
+      name: submission.name,
+      email: submission.email,
+      phone: submission.phone || null,
+      subject: submission.subject,
+      message: submission.message,
+      locale: submission.locale,
+    },
+  };
+}
+
+/**
+ * @description Signs a raw request body.
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Webhook secret
+ * @param {number} [timestamp] - Unix time in ms
+ * @returns {string} X-Lares-Signature header value
+ * @update 2026-10-19
+ */
+export function signPayload(
+  body,
+  secret,
+  timestamp = Date.now()
+)
+{
+  const signature = createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * @description Appends an attempt to a delivery log,
+ *              keeping the most recent entries.
+ * @param {object[]|null} log - Current log
+ * @param {object} entry - Attempt outcome
+ * @returns {object[]} New log
+ * @update 2026-10-19
+ */
+export function appendLog(log, entry)
+{
+  return [...(Array.isArray(log) ? log : []), entry]
+    .slice(-MAX_LOG_ENTRIES);
+}
+
+/**
+ * @description Reads the start of a response body for
+ *              the attempt log and drops the rest
+ *              unread.
+ * @param {Response} response - Fetch response
+ * @param {number} maxChars - Characters to keep
+ * @returns {Promise<string>} Body start
+ * @update 2026-10-19
+ */
+async function readResponseStart(response, maxChars)
+{
+  if (!response.body)
+  {
+    return '';
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+
+  try
+  {
+    while (text.length < maxChars)
+    {
+      const { done, value } = await reader.read();
+
+      if (done)
+      {
+        break;
+      }
+
+      text += decoder.decode(value, { stream: true });
+    }
+  }
+  finally
+  {
+    reader.cancel().catch(() => {});
+  }
+
+  return text.slice(0, maxChars);
+}
+
+/**
+ * @description Creates the webhook dispatcher bound to
+ *              the current schema.
+ * @param {object} options
+ * @param {object} options.services - Directus services
+ * @param {object} options.schema - Schema overview
+ * @param {object} options.database - Knex instance
+ * @returns {object} { enqueue, deliver, processDue }
+ * @update 2026-10-19
+ */
+export function createWebhooks({ services, schema, database })
+{
+  const serviceOptions =
+  {
+    schema,
+    accountability: { admin: true },
+  };
+  const webhooksService = new services.ItemsService(
+    WEBHOOKS_COLLECTION,
+    serviceOptions
+  );
+  const deliveriesService = new services.ItemsService(
+    DELIVERIES_COLLECTION,
+    serviceOptions
+  );
+
+  const update = (id, data) =>
+    deliveriesService.updateOne(id, data, { emitEvents: false });
+
+  /**
+   * Reserves a delivery for one sender, as in the
+   * email outbox.
+   */
+  async function claim(item)
+  {
+    const now = new Date();
+    const claimed = await database(DELIVERIES_COLLECTION)
+      .where({ id: item.id, status: item.status })
+      .andWhere('next_attempt_at', '<=', now)
+      .update(
+      {
+        status: 'sending',
+        next_attempt_at: new Date(
+          now.getTime() + SEND_LEASE_MS
+        ),
+      });
+
+    return claimed === 1;
+  }
+
+  /**
+   * @description Posts one delivery and records the
+   *              attempt.
+   * @param {object} item - Delivery with webhook.url
+   *                 and webhook.secret
+   * @returns {Promise<boolean>} True if delivered
+   * @update 2026-10-19
+   */
+  async function deliver(item)
+  {
+    if (!(await claim(item)))
+    {
+      return false;
+    }
+
+    const body = JSON.stringify(item.payload);
+    const started = Date.now();
+    let responseStatus = null;
+    let responseBody = '';
+    let error = null;
+
+    try
+    {
+      // An empty key would sign with a known value
+      if (!item.webhook.secret)
+      {
+        throw new Error('Webhook has no secret');
+      }
+
+      const url = new URL(item.webhook.url);
+
+      if (!['https:', 'http:'].includes(url.protocol))
+      {
+        throw new Error(
+          `Unsupported protocol ${url.protocol}`
+        );
+      }
+
+      const response = await fetch(url,
+      {
+        method: 'POST',
+        headers:
+        {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Lares-Webhooks/1.0',
+          'X-Lares-Event': WEBHOOK_EVENT,
+          'X-Lares-Delivery': String(item.id),
+          'X-Lares-Signature':
+            signPayload(body, item.webhook.secret),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+
+      responseStatus = response.status;
+      responseBody = await readResponseStart(
+        response,
+        RESPONSE_LOG_CHARS
+      );
+
+      if (!response.ok)
+      {
+        error = new Error(`HTTP ${response.status}`);
+      }
+    }
+    catch (err)
+    {
+      error = err;
+    }
+
+    const log = appendLog(item.log,
+    {
+      at: new Date(started).toISOString(),
+      duration_ms: Date.now() - started,
+      status: responseStatus,
+      response: responseBody || null,
+      error: error ? String(error.message || error) : null,
+    });
+
+    if (error)
+    {
+      console.error(
+        `Webhook delivery ${item.id} failed:`,
+        error.message
+      );
+      await update(item.id,
+      {
+        ...failureUpdate(
+          item.attempts,
+          error,
+          new Date(),
+          MAX_ATTEMPTS
+        ),
+        response_status: responseStatus,
+        log,
+      });
+      return false;
+    }
+
+    await update(item.id,
+    {
+      status: 'delivered',
+      attempts: item.attempts + 1,
+      last_error: null,
+      next_attempt_at: null,
+      response_status: responseStatus,
+      delivered_at: new Date().toISOString(),
+      log,
+    });
+    return true;
+  }
+
+  /**
+   * @description Reads deliveries with their webhook.
+   * @param {object} query - Filter, sort and limit
+   * @returns {Promise<object[]>} Deliveries
+   * @update 2026-10-19
+   */
+  function readDeliveries(query)
+  {
+    return deliveriesService.readByQuery(
+    {
+      fields: ['*', 'webhook.url', 'webhook.secret'],
+      ...query,
+    });
+  }
+
+  /**
+   * @description Records a delivery for every matching
+   *              webhook and starts sending in the
+   *              background; the worker retries.
+   * @param {number} submissionId - Submission id
+   * @param {object} submission - Stored submission data
+   * @returns {Promise<number>} Deliveries queued
+   * @update 2026-10-19
+   */
+  async function enqueue(submissionId, submission)
+  {
+    const active = await webhooksService.readByQuery(
+    {
+      fields: ['id', 'url', 'secret', 'subjects', 'active'],
+      filter: { active: { _eq: true } },
+      limit: -1,
+    });
+
+    for (const webhook of active.filter((item) => !item.secret))
+    {
+      console.error(
+        `Webhook ${webhook.id} skipped: no secret configured`
+      );
+    }
+
+    const webhooks = active.filter((webhook) =>
+      matchesSubject(webhook, submission.subject)
+    );
+
+    if (webhooks.length === 0)
+    {
+      return 0;
+    }
+
+    const payload = buildPayload(submissionId, submission);
+    const ids = await deliveriesService.createMany(
+      webhooks.map((webhook) => ({
+        webhook: webhook.id,
+        submission: submissionId,
+        event: WEBHOOK_EVENT,
+        status: 'pending',
+        payload,
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+      }))
+    );
+
+    // Slow receivers must not delay the visitor
+    readDeliveries({ filter: { id: { _in: ids } } })
+      .then((items) => Promise.all(items.map(deliver)))
+      .catch((err) =>
+      {
+        console.error(
+          'Webhook dispatch failed:',
+          err.message
+        );
+      });
+
+    return ids.length;
+  }
+
+  /**
+   * @description Delivers items whose retry time has
+   *              come, including expired leases.
+   * @param {object} [options]
+   * @param {number} [options.limit] - Batch size
+   * @returns {Promise<object>} { processed, delivered }
+   * @update 2026-10-19
+   */
+  async function processDue({ limit = 20 } = {})
+  {
+    const now = new Date().toISOString();
+    const due = await readDeliveries(
+    {
+      filter:
+      {
+        _and:
+        [
+          { status: { _in: ['pending', 'sending'] } },
+          { next_attempt_at: { _lte: now } },
+        ],
+      },
+      sort: ['next_attempt_at'],
+      limit,
+    });
+
+    let delivered = 0;
+
+    for (const item of due)
+    {
+      if (await deliver(item))
+      {
+        delivered += 1;
+      }
+    }
+
+    return { processed: due.length, delivered };
+  }
+
+  return { enqueue, deliver, processDue };
+}
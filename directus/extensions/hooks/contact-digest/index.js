@@ -0,0 +1,61 @@
+/**
+ * @file index.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Directus hook sending the contact
+ *              activity digests on a schedule and
+ *              logging who received them.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import {
+  createDigestJob,
+} from '../../endpoints/contact-form/digest.js';
+
+/**
+ * Job schedule (cron syntax), daily at 07:00 by
+ * default. Weekly digests go out on the configured
+ * weekday's run.
+ */
+const DIGEST_SCHEDULE =
+  process.env.CONTACT_DIGEST_SCHEDULE || '0 7 * * *';
+
+/**
+ * @description Registers the digest job with Directus.
+ * @param {object} hooks - Directus hook registrars
+ * @param {object} context - Directus extension context
+ * @returns {void}
+ * @update 2026-10-19
+ */
+export default ({ schedule }, context) =>
+{
+  const { services, getSchema, database } = context;
+
+  schedule(DIGEST_SCHEDULE, async () =>
+  {
+    try
+    {
+      const schema = await getSchema();
+      const job = createDigestJob({ services, schema, database });
+      const results = await job.run();
+
+      for (const result of results || [])
+      {
+        console.log(
+          `Contact digest (${result.frequency}): ` +
+          `${result.total} new, ${result.unanswered} ` +
+          `waiting, ${result.recipients} recipient(s)`
+        );
+      }
+    }
+    catch (err)
+    {
+      console.error(
+        'Contact digest job failed:',
+        err.message
+      );
+    }
+  });
+};
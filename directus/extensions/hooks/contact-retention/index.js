@@ -0,0 +1,109 @@
+/**
+ * @file index.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Directus hook running the retention job
+ *              for contact_submissions on a schedule
+ *              and logging what it changed.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Expired data subject requests logged
+ */
+
+import {
+  createRetentionJob,
+} from '../../endpoints/contact-form/retention.js';
+
+/**
+ * Job schedule (cron syntax), daily at 03:00 by
+ * default.
+ */
+const RETENTION_SCHEDULE =
+  process.env.CONTACT_RETENTION_SCHEDULE || '0 3 * * *';
+
+/**
+ * @description Registers the retention job with
+ *              Directus.
+ * @param {object} hooks - Directus hook registrars
+ * @param {object} context - Directus extension context
+ * @returns {void}
+ * @update 2026-10-19
+ */
+export default ({ schedule }, context) =>
+{
+  const { services, getSchema } = context;
+
+  schedule(RETENTION_SCHEDULE, async () =>
+  {
+    try
+    {
+      const schema = await getSchema();
+      const job = createRetentionJob({ services, schema });
+      const result = await job.run();
+
+      if (!result)
+      {
+        return;
+      }
+
+      const {
+        settings,
+        truncated,
+        expired,
+        emails,
+        requests,
+      } = result;
+
+      if (truncated.length > 0)
+      {
+        console.log(
+          `Contact retention: truncated IP of ` +
+          `${truncated.length} submission(s) ` +
+          `older than ${settings.ip_retention_days} ` +
+          `days: ${truncated.join(', ')}`
+        );
+      }
+
+      if (expired.length > 0)
+      {
+        const verb = settings.retention_action === 'delete'
+          ? 'deleted'
+          : 'anonymized';
+
+        console.log(
+          `Contact retention: ${verb} ${expired.length} ` +
+          `submission(s) older than ` +
+          `${settings.retention_days} days ` +
+          `(${emails} outbox email(s) removed): ` +
+          expired.join(', ')
+        );
+      }
+
+      if (requests.expired.length > 0)
+      {
+        console.log(
+          `Contact retention: expired ` +
+          `${requests.expired.length} unconfirmed data ` +
+          `request(s): ${requests.expired.join(', ')}`
+        );
+      }
+
+      if (requests.cleared.length > 0)
+      {
+        console.log(
+          `Contact retention: cleared IP of ` +
+          `${requests.cleared.length} data request(s): ` +
+          requests.cleared.join(', ')
+        );
+      }
+    }
+    catch (err)
+    {
+      console.error(
+        'Contact retention job failed:',
+        err.message
+      );
+    }
+  });
+};
@@ -0,0 +1,175 @@
+/**
+ * @file index.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Directus hook enforcing the triage
+ *              lifecycle of contact_submissions:
+ *              validates status transitions, stamps
+ *              replied_at and restricts assignment
+ *              to Content Manager users.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Errors built without @directus/errors;
+ *                replied_at stamped on change only
+ */
+
+import {
+  INITIAL_STATUSES,
+  canTransition,
+  transitionTimestamps,
+} from '../../endpoints/contact-form/triage.js';
+
+/**
+ * Role whose users may be assigned a submission.
+ */
+const ASSIGNEE_ROLE = 'Content Manager';
+
+/**
+ * @description Creates an invalid payload error. Named
+ *              like the Directus errors, so Directus
+ *              answers 400 INVALID_PAYLOAD as for
+ *              InvalidPayloadError.
+ * @param {string} reason - Why the payload is refused
+ * @returns {Error} Error with status
+ * @update 2026-10-19
+ */
+function invalidPayload(reason)
+{
+  const err = new Error(`Invalid payload. ${reason}.`);
+  err.name = 'DirectusError';
+  err.code = 'INVALID_PAYLOAD';
+  err.status = 400;
+  err.extensions = { reason };
+  return err;
+}
+
+/**
+ * @description Ensures the given user belongs to the
+ *              assignee role.
+ * @param {object} services - Directus services
+ * @param {object} schema - Current schema overview
+ * @param {string} userId - Directus user id
+ * @returns {Promise<void>}
+ * @update 2026-10-19
+ */
+async function assertAssignable(services, schema, userId)
+{
+  const usersService = new services.UsersService(
+  {
+    schema,
+    accountability: { admin: true },
+  });
+
+  const users = await usersService.readByQuery(
+  {
+    fields: ['id'],
+    filter:
+    {
+      id: { _eq: userId },
+      role: { name: { _eq: ASSIGNEE_ROLE } },
+    },
+    limit: 1,
+  });
+
+  if (users.length === 0)
+  {
+    throw invalidPayload(
+      `assigned_to must be a ${ASSIGNEE_ROLE} user`
+    );
+  }
+}
+
+/**
+ * @description Registers the triage filters with
+ *              Directus.
+ * @param {object} hooks - Directus hook registrars
+ * @param {object} context - Directus extension context
+ * @returns {void}
+ * @update 2026-10-19
+ */
+export default ({ filter }, context) =>
+{
+  const { services } = context;
+
+  filter(
+    'contact_submissions.items.create',
+    async (payload, meta, { schema }) =>
+    {
+      const status = payload.status || INITIAL_STATUSES[0];
+
+      if (!INITIAL_STATUSES.includes(status))
+      {
+        throw invalidPayload(
+          `Cannot create submission as "${status}"`
+        );
+      }
+
+      if (payload.assigned_to)
+      {
+        await assertAssignable(
+          services,
+          schema,
+          payload.assigned_to
+        );
+      }
+
+      return { ...payload, status };
+    }
+  );
+
+  filter(
+    'contact_submissions.items.update',
+    async (payload, meta, { schema }) =>
+    {
+      if (payload.assigned_to)
+      {
+        await assertAssignable(
+          services,
+          schema,
+          payload.assigned_to
+        );
+      }
+
+      if (!('status' in payload))
+      {
+        return payload;
+      }
+
+      const itemsService = new services.ItemsService(
+        'contact_submissions',
+        {
+          schema,
+          accountability: { admin: true },
+        }
+      );
+
+      const current = await itemsService.readMany(
+        meta.keys,
+        { fields: ['id', 'status'] }
+      );
+
+      for (const item of current)
+      {
+        if (!canTransition(item.status, payload.status))
+        {
+          throw invalidPayload(
+            `Submission ${item.id} cannot move from ` +
+            `"${item.status}" to "${payload.status}"`
+          );
+        }
+      }
+
+      // Saving the same status keeps the original time
+      if (current.every((item) => item.status === payload.status))
+      {
+        return payload;
+      }
+
+      return {
+        ...payload,
+        ...transitionTimestamps(payload.status),
+      };
+    }
+  );
+};
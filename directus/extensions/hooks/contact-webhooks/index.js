@@ -0,0 +1,83 @@
+/**
+ * @file index.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Directus hook running the webhook
+ *              deliveries: a scheduled worker retries
+ *              pending deliveries, and setting one back
+ *              to "pending" from the app (Redeliver
+ *              webhook flow) resets its attempts.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import {
+  DELIVERIES_COLLECTION,
+  createWebhooks,
+} from '../../endpoints/contact-form/webhooks.js';
+
+/**
+ * Worker schedule (cron syntax).
+ */
+const WEBHOOK_SCHEDULE =
+  process.env.CONTACT_WEBHOOK_SCHEDULE || '* * * * *';
+
+/**
+ * @description Registers the delivery worker and the
+ *              redeliver filter with Directus.
+ * @param {object} hooks - Directus hook registrars
+ * @param {object} context - Directus extension context
+ * @returns {void}
+ * @update 2026-10-19
+ */
+export default ({ filter, schedule }, context) =>
+{
+  const { services, getSchema, database } = context;
+
+  filter(`${DELIVERIES_COLLECTION}.items.update`, (payload) =>
+  {
+    if (payload.status !== 'pending')
+    {
+      return payload;
+    }
+
+    return {
+      ...payload,
+      attempts: 0,
+      last_error: null,
+      next_attempt_at: new Date().toISOString(),
+    };
+  });
+
+  schedule(WEBHOOK_SCHEDULE, async () =>
+  {
+    try
+    {
+      const schema = await getSchema();
+      const webhooks = createWebhooks(
+      {
+        services,
+        schema,
+        database,
+      });
+
+      const { processed, delivered } =
+        await webhooks.processDue();
+
+      if (processed > 0)
+      {
+        console.log(
+          `Webhooks: ${delivered}/${processed} delivered`
+        );
+      }
+    }
+    catch (err)
+    {
+      console.error(
+        'Webhook worker failed:',
+        err.message
+      );
+    }
+  });
+};
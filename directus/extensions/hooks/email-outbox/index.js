@@ -0,0 +1,82 @@
+/**
+ * @file index.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Directus hook running the email outbox:
+ *              a scheduled worker retries pending
+ *              emails, and setting an item back to
+ *              "pending" from the app (Resend email
+ *              flow) resets its attempts.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import {
+  OUTBOX_COLLECTION,
+  createOutbox,
+} from '../../endpoints/contact-form/outbox.js';
+
+/**
+ * Worker schedule (cron syntax).
+ */
+const OUTBOX_SCHEDULE =
+  process.env.EMAIL_OUTBOX_SCHEDULE || '* * * * *';
+
+/**
+ * @description Registers the outbox worker and the
+ *              resend filter with Directus.
+ * @param {object} hooks - Directus hook registrars
+ * @param {object} context - Directus extension context
+ * @returns {void}
+ * @update 2026-10-19
+ */
+export default ({ filter, schedule }, context) =>
+{
+  const { services, getSchema, database } = context;
+
+  filter(`${OUTBOX_COLLECTION}.items.update`, (payload) =>
+  {
+    if (payload.status !== 'pending')
+    {
+      return payload;
+    }
+
+    return {
+      ...payload,
+      attempts: 0,
+      last_error: null,
+      next_attempt_at: new Date().toISOString(),
+    };
+  });
+
+  schedule(OUTBOX_SCHEDULE, async () =>
+  {
+    try
+    {
+      const schema = await getSchema();
+      const outbox = createOutbox(
+      {
+        services,
+        schema,
+        database,
+      });
+
+      const { processed, sent } = await outbox.processDue();
+
+      if (processed > 0)
+      {
+        console.log(
+          `Email outbox: ${sent}/${processed} sent`
+        );
+      }
+    }
+    catch (err)
+    {
+      console.error(
+        'Email outbox worker failed:',
+        err.message
+      );
+    }
+  });
+};
@@ -0,0 +1,66 @@
+/**
+ * @file api.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Directus flow operation replying to the
+ *              selected contact submissions (see
+ *              reply.js). Used by the "Reply to
+ *              visitor" manual flow on
+ *              contact_submissions.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import {
+  sendReply,
+  validateReply,
+} from '../../endpoints/contact-form/reply.js';
+
+export default {
+  id: 'contact-reply',
+
+  /**
+   * @description Sends the reply to each submission.
+   * @param {object} options - Operation options
+   * @param {string|string[]} options.keys - Submission
+   *                          ids ($trigger.body.keys)
+   * @param {string} options.subject - Email subject
+   * @param {string} options.message - Reply text
+   * @param {object} context - Directus operation context
+   * @returns {Promise<object[]>} Results per submission
+   * @update 2026-10-19
+   */
+  handler: async (
+    { keys, subject, message },
+    { services, getSchema, accountability }
+  ) =>
+  {
+    const check = validateReply({ subject, message });
+
+    if (!check.valid)
+    {
+      throw new Error(
+        'Invalid reply: ' +
+        Object.keys(check.errors).join(', ')
+      );
+    }
+
+    const schema = await getSchema();
+    const results = [];
+
+    for (const submissionId of [].concat(keys ?? []))
+    {
+      results.push(await sendReply(
+      {
+        services,
+        schema,
+        accountability,
+        submissionId,
+        reply: check.reply,
+      }));
+    }
+
+    return results;
+  },
+};
@@ -0,0 +1,57 @@
+/**
+ * @file app.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description App side of the contact-reply flow
+ *              operation: options shown in the flow
+ *              editor.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+export default {
+  id: 'contact-reply',
+  name: 'Reply to Contact',
+  icon: 'reply',
+  description: 'Email a reply to contact form '
+    + 'submitters and mark them replied.',
+
+  overview: ({ subject }) => [
+    {
+      label: 'Subject',
+      text: subject,
+    },
+  ],
+
+  options: [
+    {
+      field: 'keys',
+      name: 'Submissions',
+      type: 'csv',
+      meta: {
+        width: 'full',
+        interface: 'tags',
+        note: 'Submission ids, e.g. {{$trigger.body.keys}}',
+      },
+    },
+    {
+      field: 'subject',
+      name: 'Subject',
+      type: 'string',
+      meta: {
+        width: 'full',
+        interface: 'input',
+      },
+    },
+    {
+      field: 'message',
+      name: 'Message',
+      type: 'text',
+      meta: {
+        width: 'full',
+        interface: 'input-multiline',
+      },
+    },
+  ],
+};
@@ -15,6 +15,20 @@
  *   2026-02-11 - Initial creation
  *   2026-02-20 - Updated for Directus 11 policies,
  *                added sample content seeding
+ *   2026-10-19 - Content Manager triage permission
+ *                on contact_submissions
+ *   2026-10-19 - Contact auto-reply wording
+ *   2026-10-19 - Content Manager access to
+ *                contact_routing
+ *   2026-10-19 - Contact subjects
+ *   2026-10-19 - Initial privacy notice version
+ *   2026-10-19 - Content Manager may flag submissions
+ *                to keep
+ *   2026-10-19 - Content Manager replies
+ *                (contact_messages)
+ *   2026-10-19 - Content Manager contact digest opt-in
+ *   2026-10-19 - Auto-reply wording without
+ *                message_label
  */
 
 const DIRECTUS_URL =
@@ -206,6 +220,13 @@ async function seedRoles()
       'seo_metadata',
       'seo_metadata_translations',
       'languages',
+      'contact_autoreply',
+      'contact_autoreply_translations',
+      'contact_routing',
+      'contact_subjects',
+      'contact_subjects_translations',
+      'privacy_policies',
+      'privacy_policies_translations',
     ];
 
     for (const collection of collections)
@@ -235,7 +256,7 @@ async function seedRoles()
       }
     }
 
-    // Contact submissions: read only
+    // Contact submissions: read, triage and keep only
     await directusRequest(
       '/permissions',
       'POST',
@@ -247,6 +268,48 @@ async function seedRoles()
       }
     );
 
+    await directusRequest(
+      '/permissions',
+      'POST',
+      {
+        policy: policyId,
+        collection: 'contact_submissions',
+        action: 'update',
+        fields: ['status', 'assigned_to', 'keep'],
+      }
+    );
+
+    // Replies: sent and read, never edited
+    for (const action of ['create', 'read'])
+    {
+      await directusRequest(
+        '/permissions',
+        'POST',
+        {
+          policy: policyId,
+          collection: 'contact_messages',
+          action,
+          fields: ['*'],
+        }
+      );
+    }
+
+    // Digest opt-in on their own profile
+    for (const action of ['read', 'update'])
+    {
+      await directusRequest(
+        '/permissions',
+        'POST',
+        {
+          policy: policyId,
+          collection: 'directus_users',
+          action,
+          permissions: { id: { _eq: '$CURRENT_USER' } },
+          fields: ['contact_digest'],
+        }
+      );
+    }
+
     // File access
     for (const action of
       ['create', 'read', 'update', 'delete']
@@ -483,6 +546,214 @@ async function seedSiteSettings()
   }
 }
 
+/**
+ * @description Seeds the contact form subjects.
+ */
+async function seedContactSubjects()
+{
+  console.log('\nSeeding contact subjects...');
+
+  const subjects =
+  [
+    {
+      code: 'info',
+      labels: {
+        it: 'Informazioni',
+        en: 'Information',
+        de: 'Informationen',
+        fr: 'Informations',
+      },
+    },
+    {
+      code: 'visit',
+      labels: {
+        it: 'Prenotare una visita',
+        en: 'Book a visit',
+        de: 'Besuch vereinbaren',
+        fr: 'Réserver une visite',
+      },
+    },
+    {
+      code: 'partnership',
+      labels: {
+        it: 'Collaborazioni',
+        en: 'Partnership',
+        de: 'Partnerschaft',
+        fr: 'Partenariat',
+      },
+    },
+    {
+      code: 'other',
+      labels: {
+        it: 'Altro',
+        en: 'Other',
+        de: 'Sonstiges',
+        fr: 'Autre',
+      },
+    },
+  ];
+
+  for (const [index, subject] of subjects.entries())
+  {
+    try
+    {
+      await directusRequest(
+        '/items/contact_subjects',
+        'POST',
+        {
+          code: subject.code,
+          active: true,
+          sort: index + 1,
+          translations: Object.entries(subject.labels)
+            .map(([languages_code, label]) => ({
+              languages_code,
+              label,
+            })),
+        }
+      );
+      console.log(`  Created subject: ${subject.code}`);
+    }
+    catch (err)
+    {
+      console.log(
+        `  Subject ${subject.code}: ` +
+        `${err.message.substring(0, 60)}`
+      );
+    }
+  }
+}
+
+/**
+ * @description Seeds the contact auto-reply wording.
+ */
+async function seedContactAutoReply()
+{
+  console.log('\nSeeding contact auto-reply...');
+
+  try
+  {
+    await directusRequest(
+      '/items/contact_autoreply',
+      'POST',
+      {
+        enabled: true,
+        translations: [
+          {
+            languages_code: 'it',
+            email_subject: 'Abbiamo ricevuto il tuo '
+              + 'messaggio - Lares Cohousing',
+            greeting: 'Ciao',
+            body: '<p>Grazie per averci scritto. '
+              + 'Ti risponderemo il prima '
+              + 'possibile.</p>',
+            signature: 'Il team di Lares Cohousing',
+          },
+          {
+            languages_code: 'en',
+            email_subject: 'We received your '
+              + 'message - Lares Cohousing',
+            greeting: 'Hello',
+            body: '<p>Thank you for writing to us. '
+              + 'We will get back to you as soon '
+              + 'as possible.</p>',
+            signature: 'The Lares Cohousing team',
+          },
+          {
+            languages_code: 'de',
+            email_subject: 'Wir haben Ihre '
+              + 'Nachricht erhalten - Lares Cohousing',
+            greeting: 'Hallo',
+            body: '<p>Vielen Dank für Ihre '
+              + 'Nachricht. Wir melden uns so '
+              + 'bald wie möglich.</p>',
+            signature: 'Das Lares Cohousing Team',
+          },
+          {
+            languages_code: 'fr',
+            email_subject: 'Nous avons reçu votre '
+              + 'message - Lares Cohousing',
+            greeting: 'Bonjour',
+            body: '<p>Merci de nous avoir écrit. '
+              + 'Nous vous répondrons dès que '
+              + 'possible.</p>',
+            signature: "L'équipe Lares Cohousing",
+          },
+        ],
+      }
+    );
+    console.log('  Contact auto-reply created.');
+  }
+  catch (err)
+  {
+    console.log(
+      `  Contact auto-reply: ${err.message.substring(0, 60)}`
+    );
+  }
+}
+
+/**
+ * @description Seeds the first privacy notice version
+ *              accepted through the contact form. The
+ *              text is a placeholder to be replaced by
+ *              the actual notice before going live.
+ */
+async function seedPrivacyPolicy()
+{
+  console.log('\nSeeding privacy policy...');
+
+  try
+  {
+    await directusRequest(
+      '/items/privacy_policies',
+      'POST',
+      {
+        version: '1.0',
+        status: 'published',
+        date_published: new Date().toISOString(),
+        translations: [
+          {
+            languages_code: 'it',
+            title: 'Informativa sulla privacy',
+            content: '<p>I dati inviati tramite il '
+              + 'modulo di contatto sono usati solo '
+              + 'per rispondere alla tua richiesta.</p>',
+          },
+          {
+            languages_code: 'en',
+            title: 'Privacy notice',
+            content: '<p>Data sent through the contact '
+              + 'form is only used to answer your '
+              + 'request.</p>',
+          },
+          {
+            languages_code: 'de',
+            title: 'Datenschutzhinweis',
+            content: '<p>Die über das Kontaktformular '
+              + 'gesendeten Daten werden nur zur '
+              + 'Beantwortung Ihrer Anfrage '
+              + 'verwendet.</p>',
+          },
+          {
+            languages_code: 'fr',
+            title: 'Politique de confidentialité',
+            content: '<p>Les données envoyées via le '
+              + 'formulaire de contact servent '
+              + 'uniquement à répondre à votre '
+              + 'demande.</p>',
+          },
+        ],
+      }
+    );
+    console.log('  Privacy policy 1.0 created.');
+  }
+  catch (err)
+  {
+    console.log(
+      `  Privacy policy: ${err.message.substring(0, 60)}`
+    );
+  }
+}
+
 /**
  * @description Seeds SEO metadata for pages.
  */
@@ -643,6 +914,9 @@ async function main()
     await seedPages();
     await seedSiteSettings();
     await seedSeoMetadata();
+    await seedContactSubjects();
+    await seedContactAutoReply();
+    await seedPrivacyPolicy();
     console.log('\nSeed completed successfully.');
   }
   catch (err)
@@ -6,7 +6,15 @@
  *              for the Lares Cohousing project.
  *              Collections: pages, services, gallery,
  *              site_settings, seo_metadata,
- *              contact_submissions (+ translations).
+ *              contact_submissions, contact_subjects,
+ *              contact_autoreply (+ translations),
+ *              contact_routing, email_outbox,
+ *              privacy_policies (+ translations),
+ *              contact_retention, data_subject_requests,
+ *              contact_messages, contact_submissions_files,
+ *              contact_webhooks, webhook_deliveries,
+ *              contact_digest (+ opt-in field on
+ *              directus_users).
  *
  * Usage: node scripts/setup-schema.js
  *
@@ -15,6 +23,36 @@
  *
  * @update_history
  *   2026-02-20 - Initial creation
+ *   2026-10-19 - contact_submissions triage fields
+ *   2026-10-19 - Submission locale, contact_autoreply
+ *   2026-10-19 - email_outbox and Resend email flow
+ *   2026-10-19 - contact_routing, outbox CC/BCC
+ *   2026-10-19 - contact_subjects (+ public read),
+ *                routing subject as relation
+ *   2026-10-19 - contact_submissions spam score fields
+ *   2026-10-19 - contact_submissions content_hash
+ *   2026-10-19 - contact_submissions phone_original
+ *   2026-10-19 - privacy_policies, consent fields on
+ *                contact_submissions
+ *   2026-10-19 - contact_retention, submission keep
+ *                and anonymized_at
+ *   2026-10-19 - data_subject_requests audit log
+ *   2026-10-19 - contact_messages and Reply to
+ *                visitor flow
+ *   2026-10-19 - Submission attachments in a private
+ *                file folder
+ *   2026-10-19 - contact_webhooks, webhook_deliveries
+ *                and Redeliver webhook flow
+ *   2026-10-19 - contact_digest and per-user digest
+ *                opt-in
+ *   2026-10-19 - email_outbox reply_to
+ *   2026-10-19 - Auto-reply translations without
+ *                message_label
+ *   2026-10-19 - data_subject_requests expired status
+ *   2026-10-19 - contact_messages status and message_id,
+ *                email_outbox message_id
+ *   2026-10-19 - email_outbox data_request
+ *   2026-10-19 - contact_webhooks secret validated
  */
 
 const DIRECTUS_URL =
@@ -987,89 +1025,1990 @@ async function createSeoMetadata()
   });
 }
 
+async function createPrivacyPolicies()
+{
+  console.log('\n--- Privacy Policies ---');
+
+  await createCollection('privacy_policies', {
+    icon: 'policy',
+    note: 'Privacy notice versions accepted in the '
+      + 'contact form. Publish a new version instead '
+      + 'of editing a published one.',
+    singleton: false,
+    display_template: '{{version}}',
+  });
+
+  await createField('privacy_policies', {
+    field: 'version',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      note: 'Version label (e.g. 2026-10)',
+      required: true,
+      width: 'half',
+    },
+    schema: {
+      is_unique: true,
+      max_length: 50,
+    },
+  });
+
+  await createField('privacy_policies', {
+    field: 'status',
+    type: 'string',
+    meta: {
+      interface: 'select-dropdown',
+      options: {
+        choices: [
+          { text: 'Published', value: 'published' },
+          { text: 'Draft', value: 'draft' },
+          { text: 'Archived', value: 'archived' },
+        ],
+      },
+      width: 'half',
+    },
+    schema: {
+      default_value: 'draft',
+      max_length: 20,
+    },
+  });
+
+  await createField('privacy_policies', {
+    field: 'date_published',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      note: 'Newest published version is current',
+      required: true,
+      width: 'half',
+    },
+    schema: {},
+  });
+
+  await createCollection('privacy_policies_translations', {
+    icon: 'translate',
+    hidden: true,
+  });
+
+  await createField('privacy_policies_translations', {
+    field: 'privacy_policies_id',
+    type: 'integer',
+    meta: { hidden: true },
+    schema: {},
+  });
+
+  await createField('privacy_policies_translations', {
+    field: 'languages_code',
+    type: 'string',
+    meta: { hidden: true },
+    schema: { max_length: 5 },
+  });
+
+  await createField('privacy_policies_translations', {
+    field: 'title',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      required: true,
+    },
+    schema: { max_length: 200 },
+  });
+
+  await createField('privacy_policies_translations', {
+    field: 'content',
+    type: 'text',
+    meta: {
+      interface: 'input-rich-text-html',
+      note: 'Privacy notice text (HTML)',
+      required: true,
+    },
+    schema: {},
+  });
+
+  await createRelation({
+    collection: 'privacy_policies_translations',
+    field: 'privacy_policies_id',
+    related_collection: 'privacy_policies',
+    meta: {
+      one_field: 'translations',
+      junction_field: 'languages_code',
+    },
+    schema: { on_delete: 'CASCADE' },
+  });
+
+  await createRelation({
+    collection: 'privacy_policies_translations',
+    field: 'languages_code',
+    related_collection: 'languages',
+    meta: {
+      one_field: null,
+      junction_field: 'privacy_policies_id',
+    },
+    schema: { on_delete: 'SET NULL' },
+  });
+
+  await createField('privacy_policies', {
+    field: 'translations',
+    type: 'alias',
+    meta: {
+      interface: 'translations',
+      special: ['translations'],
+      options: { languageField: 'name' },
+    },
+  });
+}
+
 async function createContactSubmissions()
 {
-  console.log('\n--- Contact Submissions ---');
+  console.log('\n--- Contact Submissions ---');
+
+  await createCollection('contact_submissions', {
+    icon: 'mail',
+    note: 'Contact form submissions with triage status',
+    singleton: false,
+    archive_field: 'status',
+    archive_value: 'archived',
+    unarchive_value: 'in_progress',
+  });
+
+  await createField('contact_submissions', {
+    field: 'name',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      width: 'half',
+      readonly: true,
+    },
+    schema: { max_length: 100 },
+  });
+
+  await createField('contact_submissions', {
+    field: 'email',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      width: 'half',
+      readonly: true,
+    },
+    schema: { max_length: 200 },
+  });
+
+  await createField('contact_submissions', {
+    field: 'phone',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      note: 'Normalized (E.164)',
+      width: 'half',
+      readonly: true,
+    },
+    schema: {
+      max_length: 30,
+      is_nullable: true,
+    },
+  });
+
+  await createField('contact_submissions', {
+    field: 'phone_original',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      note: 'Phone as entered by the visitor',
+      width: 'half',
+      readonly: true,
+    },
+    schema: {
+      max_length: 30,
+      is_nullable: true,
+    },
+  });
+
+  await createField('contact_submissions', {
+    field: 'subject',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      width: 'half',
+      readonly: true,
+    },
+    schema: { max_length: 50 },
+  });
+
+  await createField('contact_submissions', {
+    field: 'message',
+    type: 'text',
+    meta: {
+      interface: 'input-multiline',
+      readonly: true,
+    },
+    schema: {},
+  });
+
+  await createField('contact_submissions', {
+    field: 'ip_address',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      width: 'half',
+      readonly: true,
+      hidden: true,
+    },
+    schema: {
+      max_length: 45,
+      is_nullable: true,
+    },
+  });
+
+  // Triage lifecycle (enforced by contact-triage hook)
+  await createField('contact_submissions', {
+    field: 'status',
+    type: 'string',
+    meta: {
+      interface: 'select-dropdown',
+      display: 'labels',
+      options: {
+        choices: [
+          { text: 'New', value: 'new' },
+          { text: 'In progress', value: 'in_progress' },
+          { text: 'Replied', value: 'replied' },
+          { text: 'Archived', value: 'archived' },
+          { text: 'Spam', value: 'spam' },
+        ],
+      },
+      width: 'half',
+    },
+    schema: {
+      default_value: 'new',
+      max_length: 20,
+      is_nullable: false,
+    },
+  });
+
+  await createField('contact_submissions', {
+    field: 'assigned_to',
+    type: 'uuid',
+    meta: {
+      interface: 'select-dropdown-m2o',
+      note: 'Content Manager handling this request',
+      special: ['m2o'],
+      options: {
+        template: '{{first_name}} {{last_name}}',
+        filter: {
+          role: { name: { _eq: 'Content Manager' } },
+        },
+      },
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('contact_submissions', {
+    field: 'date_created',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      special: ['date-created'],
+      readonly: true,
+      width: 'half',
+    },
+    schema: {},
+  });
+
+  await createField('contact_submissions', {
+    field: 'date_updated',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      special: ['date-updated'],
+      readonly: true,
+      hidden: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('contact_submissions', {
+    field: 'replied_at',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      note: 'Set automatically when marked as replied',
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createRelation({
+    collection: 'contact_submissions',
+    field: 'assigned_to',
+    related_collection: 'directus_users',
+    schema: { on_delete: 'SET NULL' },
+  });
+
+  await createField('contact_submissions', {
+    field: 'locale',
+    type: 'string',
+    meta: {
+      interface: 'select-dropdown-m2o',
+      note: 'Visitor language',
+      special: ['m2o'],
+      options: { template: '{{name}}' },
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 5,
+      is_nullable: true,
+    },
+  });
+
+  await createRelation({
+    collection: 'contact_submissions',
+    field: 'locale',
+    related_collection: 'languages',
+    schema: { on_delete: 'SET NULL' },
+  });
+
+  // Content-based spam scoring (spam-score.js)
+  await createField('contact_submissions', {
+    field: 'spam_score',
+    type: 'integer',
+    meta: {
+      interface: 'input',
+      note: 'Spam score at submission time',
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      default_value: 0,
+      is_nullable: true,
+    },
+  });
+
+  await createField('contact_submissions', {
+    field: 'spam_reasons',
+    type: 'json',
+    meta: {
+      interface: 'input-code',
+      note: 'Spam rules that matched',
+      special: ['cast-json'],
+      options: { language: 'JSON' },
+      readonly: true,
+    },
+    schema: { is_nullable: true },
+  });
+
+  // Email + message hash for duplicate detection
+  await createField('contact_submissions', {
+    field: 'content_hash',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+      hidden: true,
+    },
+    schema: {
+      max_length: 64,
+      is_nullable: true,
+      is_indexed: true,
+    },
+  });
+
+  // GDPR consent (privacy notice accepted)
+  await createField('contact_submissions', {
+    field: 'consent_at',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      note: 'When the privacy notice was accepted',
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('contact_submissions', {
+    field: 'consent_policy',
+    type: 'integer',
+    meta: {
+      interface: 'select-dropdown-m2o',
+      note: 'Privacy notice version accepted',
+      special: ['m2o'],
+      options: { template: '{{version}}' },
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  // Kept as text too, as proof independent of the row
+  await createField('contact_submissions', {
+    field: 'consent_version',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 50,
+      is_nullable: true,
+    },
+  });
+
+  await createField('contact_submissions', {
+    field: 'consent_locale',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      note: 'Language of the accepted notice',
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 5,
+      is_nullable: true,
+    },
+  });
+
+  // Accepted versions cannot be deleted
+  await createRelation({
+    collection: 'contact_submissions',
+    field: 'consent_policy',
+    related_collection: 'privacy_policies',
+    schema: { on_delete: 'NO ACTION' },
+  });
+
+  // Retention (see contact_retention)
+  await createField('contact_submissions', {
+    field: 'keep',
+    type: 'boolean',
+    meta: {
+      interface: 'boolean',
+      note: 'Exclude from retention clean-up',
+      width: 'half',
+    },
+    schema: { default_value: false },
+  });
+
+  await createField('contact_submissions', {
+    field: 'anonymized_at',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      note: 'Personal data removed by retention',
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+}
+
+async function createContactSubjects()
+{
+  console.log('\n--- Contact Subjects ---');
+
+  // Create with 'code' as primary key field
+  console.log('  Creating collection: contact_subjects');
+  await api('/collections', 'POST', {
+    collection: 'contact_subjects',
+    meta: {
+      icon: 'label',
+      note: 'Subjects offered in the contact form',
+      singleton: false,
+      sort_field: 'sort',
+      display_template: '{{code}}',
+    },
+    schema: {},
+    fields: [
+      {
+        field: 'code',
+        type: 'string',
+        meta: {
+          interface: 'input',
+          note: 'Stable subject code (e.g. visit)',
+          width: 'half',
+        },
+        schema: {
+          is_primary_key: true,
+          max_length: 50,
+          has_auto_increment: false,
+        },
+      },
+    ],
+  });
+
+  await createField('contact_subjects', {
+    field: 'active',
+    type: 'boolean',
+    meta: {
+      interface: 'boolean',
+      note: 'Offer this subject in the form',
+      width: 'half',
+    },
+    schema: { default_value: true },
+  });
+
+  await createField('contact_subjects', {
+    field: 'sort',
+    type: 'integer',
+    meta: {
+      interface: 'input',
+      hidden: true,
+    },
+    schema: {},
+  });
+
+  await createCollection('contact_subjects_translations', {
+    icon: 'translate',
+    hidden: true,
+  });
+
+  await createField('contact_subjects_translations', {
+    field: 'contact_subjects_code',
+    type: 'string',
+    meta: { hidden: true },
+    schema: { max_length: 50 },
+  });
+
+  await createField('contact_subjects_translations', {
+    field: 'languages_code',
+    type: 'string',
+    meta: { hidden: true },
+    schema: { max_length: 5 },
+  });
+
+  await createField('contact_subjects_translations', {
+    field: 'label',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      note: 'Label shown in the form',
+      required: true,
+    },
+    schema: { max_length: 100 },
+  });
+
+  await createRelation({
+    collection: 'contact_subjects_translations',
+    field: 'contact_subjects_code',
+    related_collection: 'contact_subjects',
+    meta: {
+      one_field: 'translations',
+      junction_field: 'languages_code',
+    },
+    schema: { on_delete: 'CASCADE' },
+  });
+
+  await createRelation({
+    collection: 'contact_subjects_translations',
+    field: 'languages_code',
+    related_collection: 'languages',
+    meta: {
+      one_field: null,
+      junction_field: 'contact_subjects_code',
+    },
+    schema: { on_delete: 'SET NULL' },
+  });
+
+  await createField('contact_subjects', {
+    field: 'translations',
+    type: 'alias',
+    meta: {
+      interface: 'translations',
+      special: ['translations'],
+      options: { languageField: 'name' },
+    },
+  });
+}
+
+async function createContactAutoReply()
+{
+  console.log('\n--- Contact Auto-Reply ---');
+
+  await createCollection('contact_autoreply', {
+    icon: 'forward_to_inbox',
+    note: 'Confirmation email sent to visitors '
+      + 'after a contact form submission',
+    singleton: true,
+  });
+
+  await createField('contact_autoreply', {
+    field: 'enabled',
+    type: 'boolean',
+    meta: {
+      interface: 'boolean',
+      note: 'Send a confirmation email to visitors',
+      width: 'half',
+    },
+    schema: { default_value: true },
+  });
+
+  await createCollection('contact_autoreply_translations', {
+    icon: 'translate',
+    hidden: true,
+  });
+
+  await createField('contact_autoreply_translations', {
+    field: 'contact_autoreply_id',
+    type: 'integer',
+    meta: { hidden: true },
+    schema: {},
+  });
+
+  await createField('contact_autoreply_translations', {
+    field: 'languages_code',
+    type: 'string',
+    meta: { hidden: true },
+    schema: { max_length: 5 },
+  });
+
+  await createField('contact_autoreply_translations', {
+    field: 'email_subject',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      note: 'Email subject line',
+      required: true,
+    },
+    schema: { max_length: 200 },
+  });
+
+  await createField('contact_autoreply_translations', {
+    field: 'greeting',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      note: 'Greeting line (the visitor name is not '
+        + 'included)',
+    },
+    schema: { max_length: 100 },
+  });
+
+  await createField('contact_autoreply_translations', {
+    field: 'body',
+    type: 'text',
+    meta: {
+      interface: 'input-rich-text-html',
+      note: 'Email body (HTML)',
+    },
+    schema: {},
+  });
+
+  await createField('contact_autoreply_translations', {
+    field: 'signature',
+    type: 'text',
+    meta: {
+      interface: 'input-multiline',
+      note: 'Closing signature',
+    },
+    schema: {},
+  });
+
+  await createRelation({
+    collection: 'contact_autoreply_translations',
+    field: 'contact_autoreply_id',
+    related_collection: 'contact_autoreply',
+    meta: {
+      one_field: 'translations',
+      junction_field: 'languages_code',
+    },
+    schema: { on_delete: 'CASCADE' },
+  });
+
+  await createRelation({
+    collection: 'contact_autoreply_translations',
+    field: 'languages_code',
+    related_collection: 'languages',
+    meta: {
+      one_field: null,
+      junction_field: 'contact_autoreply_id',
+    },
+    schema: { on_delete: 'SET NULL' },
+  });
+
+  await createField('contact_autoreply', {
+    field: 'translations',
+    type: 'alias',
+    meta: {
+      interface: 'translations',
+      special: ['translations'],
+      options: { languageField: 'name' },
+    },
+  });
+}
+
+async function createContactRouting()
+{
+  console.log('\n--- Contact Routing ---');
+
+  await createCollection('contact_routing', {
+    icon: 'alt_route',
+    note: 'Who receives contact notifications per '
+      + 'subject. A route without subject is the '
+      + 'fallback.',
+    singleton: false,
+    display_template: '{{subject}} -> {{recipients}}',
+  });
+
+  await createField('contact_routing', {
+    field: 'subject',
+    type: 'string',
+    meta: {
+      interface: 'select-dropdown-m2o',
+      note: 'Leave empty for the fallback route',
+      special: ['m2o'],
+      options: { template: '{{code}}' },
+      width: 'half',
+    },
+    schema: {
+      is_unique: true,
+      is_nullable: true,
+      max_length: 50,
+    },
+  });
+
+  await createRelation({
+    collection: 'contact_routing',
+    field: 'subject',
+    related_collection: 'contact_subjects',
+    schema: { on_delete: 'CASCADE' },
+  });
+
+  await createField('contact_routing', {
+    field: 'active',
+    type: 'boolean',
+    meta: {
+      interface: 'boolean',
+      width: 'half',
+    },
+    schema: { default_value: true },
+  });
+
+  for (const field of ['recipients', 'cc', 'bcc'])
+  {
+    await createField('contact_routing', {
+      field,
+      type: 'json',
+      meta: {
+        interface: 'tags',
+        note: field === 'recipients'
+          ? 'Email addresses (To)'
+          : `Email addresses (${field.toUpperCase()})`,
+        special: ['cast-json'],
+        required: field === 'recipients',
+        options: { placeholder: 'name@example.org' },
+      },
+      schema: { is_nullable: true },
+    });
+  }
+}
+
+async function createEmailOutbox()
+{
+  console.log('\n--- Email Outbox ---');
+
+  await createCollection('email_outbox', {
+    icon: 'outbox',
+    note: 'Outgoing emails with delivery status '
+      + '(retried automatically)',
+    singleton: false,
+    display_template: '{{status}} - {{recipient}}: '
+      + '{{subject}}',
+  });
+
+  await createField('email_outbox', {
+    field: 'status',
+    type: 'string',
+    meta: {
+      interface: 'select-dropdown',
+      display: 'labels',
+      note: 'Set to Pending to resend',
+      options: {
+        choices: [
+          { text: 'Pending', value: 'pending' },
+          { text: 'Sending', value: 'sending' },
+          { text: 'Sent', value: 'sent' },
+          { text: 'Failed', value: 'failed' },
+        ],
+      },
+      width: 'half',
+    },
+    schema: {
+      default_value: 'pending',
+      max_length: 20,
+      is_nullable: false,
+    },
+  });
+
+  await createField('email_outbox', {
+    field: 'attempts',
+    type: 'integer',
+    meta: {
+      interface: 'input',
+      readonly: true,
+      width: 'half',
+    },
+    schema: { default_value: 0 },
+  });
+
+  await createField('email_outbox', {
+    field: 'recipient',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+      width: 'half',
+    },
+    schema: { max_length: 500 },
+  });
+
+  await createField('email_outbox', {
+    field: 'cc',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 500,
+      is_nullable: true,
+    },
+  });
+
+  await createField('email_outbox', {
+    field: 'bcc',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+      width: 'half',
+      hidden: true,
+    },
+    schema: {
+      max_length: 500,
+      is_nullable: true,
+    },
+  });
+
+  await createField('email_outbox', {
+    field: 'reply_to',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 255,
+      is_nullable: true,
+    },
+  });
+
+  // Lets replies thread under the auto-reply
+  await createField('email_outbox', {
+    field: 'message_id',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      note: 'Message-ID header',
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 255,
+      is_nullable: true,
+    },
+  });
+
+  await createField('email_outbox', {
+    field: 'template',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      note: 'Liquid template name',
+      readonly: true,
+      width: 'half',
+    },
+    schema: { max_length: 100 },
+  });
+
+  await createField('email_outbox', {
+    field: 'subject',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+    },
+    schema: { max_length: 300 },
+  });
+
+  await createField('email_outbox', {
+    field: 'payload',
+    type: 'json',
+    meta: {
+      interface: 'input-code',
+      note: 'Template data',
+      special: ['cast-json'],
+      options: { language: 'JSON' },
+      readonly: true,
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('email_outbox', {
+    field: 'last_error',
+    type: 'text',
+    meta: {
+      interface: 'input-multiline',
+      readonly: true,
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('email_outbox', {
+    field: 'next_attempt_at',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('email_outbox', {
+    field: 'sent_at',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('email_outbox', {
+    field: 'submission',
+    type: 'integer',
+    meta: {
+      interface: 'select-dropdown-m2o',
+      note: 'Related contact submission',
+      special: ['m2o'],
+      options: { template: '{{name}} - {{subject}}' },
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('email_outbox', {
+    field: 'date_created',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      special: ['date-created'],
+      readonly: true,
+      width: 'half',
+    },
+    schema: {},
+  });
+
+  await createRelation({
+    collection: 'email_outbox',
+    field: 'submission',
+    related_collection: 'contact_submissions',
+    schema: { on_delete: 'SET NULL' },
+  });
+}
+
+// ============================================
+// Flows
+// ============================================
+
+async function createContactRetention()
+{
+  console.log('\n--- Contact Retention ---');
+
+  await createCollection('contact_retention', {
+    icon: 'auto_delete',
+    note: 'Retention of contact submissions '
+      + '(empty fields use the env defaults)',
+    singleton: true,
+  });
+
+  await createField('contact_retention', {
+    field: 'enabled',
+    type: 'boolean',
+    meta: {
+      interface: 'boolean',
+      note: 'Run the daily retention job',
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('contact_retention', {
+    field: 'retention_action',
+    type: 'string',
+    meta: {
+      interface: 'select-dropdown',
+      note: 'What happens to expired submissions',
+      options: {
+        choices: [
+          { text: 'Anonymize', value: 'anonymize' },
+          { text: 'Delete', value: 'delete' },
+        ],
+      },
+      width: 'half',
+    },
+    schema: {
+      max_length: 20,
+      is_nullable: true,
+    },
+  });
+
+  await createField('contact_retention', {
+    field: 'ip_retention_days',
+    type: 'integer',
+    meta: {
+      interface: 'input',
+      note: 'Days before IP addresses are truncated',
+      options: { min: 1 },
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('contact_retention', {
+    field: 'retention_days',
+    type: 'integer',
+    meta: {
+      interface: 'input',
+      note: 'Days before submissions expire',
+      options: { min: 1 },
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+}
+
+async function createDataSubjectRequests()
+{
+  console.log('\n--- Data Subject Requests ---');
+
+  await createCollection('data_subject_requests', {
+    icon: 'policy',
+    note: 'Audit log of data access and erasure '
+      + 'requests (email cleared once completed)',
+    singleton: false,
+    display_template: '{{action}} - {{status}}',
+  });
+
+  await createField('data_subject_requests', {
+    field: 'action',
+    type: 'string',
+    meta: {
+      interface: 'select-dropdown',
+      display: 'labels',
+      options: {
+        choices: [
+          { text: 'Export', value: 'export' },
+          { text: 'Erase', value: 'erase' },
+        ],
+      },
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 20,
+      is_nullable: false,
+    },
+  });
+
+  await createField('data_subject_requests', {
+    field: 'status',
+    type: 'string',
+    meta: {
+      interface: 'select-dropdown',
+      display: 'labels',
+      note: 'Pending until the emailed link is confirmed; '
+        + 'expired when the link lifetime passes',
+      options: {
+        choices: [
+          { text: 'Pending', value: 'pending' },
+          { text: 'Completed', value: 'completed' },
+          { text: 'Expired', value: 'expired' },
+        ],
+      },
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      default_value: 'pending',
+      max_length: 20,
+      is_nullable: false,
+    },
+  });
+
+  await createField('data_subject_requests', {
+    field: 'email',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 200,
+      is_nullable: true,
+    },
+  });
+
+  // Identifies the requester after the email is cleared
+  await createField('data_subject_requests', {
+    field: 'email_hash',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      note: 'SHA-256 of the email address',
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 64,
+      is_nullable: false,
+      is_indexed: true,
+    },
+  });
+
+  await createField('data_subject_requests', {
+    field: 'locale',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 5,
+      is_nullable: true,
+    },
+  });
+
+  await createField('data_subject_requests', {
+    field: 'ip_address',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 45,
+      is_nullable: true,
+    },
+  });
+
+  await createField('data_subject_requests', {
+    field: 'result',
+    type: 'json',
+    meta: {
+      interface: 'input-code',
+      note: 'Records exported or erased',
+      special: ['cast-json'],
+      options: { language: 'JSON' },
+      readonly: true,
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('data_subject_requests', {
+    field: 'date_created',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      special: ['date-created'],
+      readonly: true,
+      width: 'half',
+    },
+    schema: {},
+  });
+
+  await createField('data_subject_requests', {
+    field: 'completed_at',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  // Verification emails are deleted with the request's
+  // email, once completed or expired
+  await createField('email_outbox', {
+    field: 'data_request',
+    type: 'integer',
+    meta: {
+      interface: 'select-dropdown-m2o',
+      note: 'Related data subject request',
+      special: ['m2o'],
+      options: { template: '{{action}} - {{status}}' },
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createRelation({
+    collection: 'email_outbox',
+    field: 'data_request',
+    related_collection: 'data_subject_requests',
+    schema: { on_delete: 'CASCADE' },
+  });
+}
+
+async function createContactMessages()
+{
+  console.log('\n--- Contact Messages ---');
+
+  await createCollection('contact_messages', {
+    icon: 'forum',
+    note: 'Replies sent to contact form submitters',
+    singleton: false,
+    display_template: '{{subject}}',
+    sort_field: 'date_created',
+  });
+
+  await createField('contact_messages', {
+    field: 'submission',
+    type: 'integer',
+    meta: {
+      interface: 'select-dropdown-m2o',
+      special: ['m2o'],
+      options: { template: '{{name}} - {{subject}}' },
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: false },
+  });
+
+  await createField('contact_messages', {
+    field: 'direction',
+    type: 'string',
+    meta: {
+      interface: 'select-dropdown',
+      display: 'labels',
+      options: {
+        choices: [
+          { text: 'Outbound', value: 'outbound' },
+        ],
+      },
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      default_value: 'outbound',
+      max_length: 20,
+    },
+  });
+
+  await createField('contact_messages', {
+    field: 'recipient',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+      width: 'half',
+    },
+    schema: { max_length: 200 },
+  });
+
+  await createField('contact_messages', {
+    field: 'subject',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      readonly: true,
+    },
+    schema: { max_length: 200 },
+  });
+
+  await createField('contact_messages', {
+    field: 'body',
+    type: 'text',
+    meta: {
+      interface: 'input-multiline',
+      readonly: true,
+    },
+    schema: {},
+  });
+
+  // Recorded before sending, so permissions are
+  // checked before any email goes out
+  await createField('contact_messages', {
+    field: 'status',
+    type: 'string',
+    meta: {
+      interface: 'select-dropdown',
+      display: 'labels',
+      options: {
+        choices: [
+          { text: 'Sending', value: 'sending' },
+          { text: 'Sent', value: 'sent' },
+          { text: 'Failed', value: 'failed' },
+        ],
+      },
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      default_value: 'sending',
+      max_length: 20,
+    },
+  });
+
+  // Threads later replies in the visitor's mail client
+  await createField('contact_messages', {
+    field: 'message_id',
+    type: 'string',
+    meta: {
+      interface: 'input',
+      note: 'Message-ID header',
+      readonly: true,
+      width: 'half',
+    },
+    schema: {
+      max_length: 255,
+      is_nullable: true,
+    },
+  });
+
+  await createField('contact_messages', {
+    field: 'user_created',
+    type: 'uuid',
+    meta: {
+      interface: 'select-dropdown-m2o',
+      note: 'Sent by',
+      special: ['user-created'],
+      options: { template: '{{first_name}} {{last_name}}' },
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('contact_messages', {
+    field: 'date_created',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      special: ['date-created'],
+      readonly: true,
+      width: 'half',
+    },
+    schema: {},
+  });
+
+  await createRelation({
+    collection: 'contact_messages',
+    field: 'submission',
+    related_collection: 'contact_submissions',
+    meta: { one_field: 'messages' },
+    schema: { on_delete: 'CASCADE' },
+  });
+
+  await createRelation({
+    collection: 'contact_messages',
+    field: 'user_created',
+    related_collection: 'directus_users',
+    schema: { on_delete: 'SET NULL' },
+  });
+
+  // Conversation shown on the submission
+  await createField('contact_submissions', {
+    field: 'messages',
+    type: 'alias',
+    meta: {
+      interface: 'list-o2m',
+      special: ['o2m'],
+      options: { template: '{{date_created}} {{subject}}' },
+      readonly: true,
+    },
+  });
+}
+
+async function createContactAttachments()
+{
+  console.log('\n--- Contact Attachments ---');
 
-  await createCollection('contact_submissions', {
-    icon: 'mail',
-    note: 'Contact form submissions (read-only)',
-    singleton: false,
+  // Private folder: excluded from public file access
+  const folder = process.env.CONTACT_ATTACHMENT_FOLDER
+    || 'Contact attachments';
+  console.log(`  Creating folder: ${folder}`);
+  await api('/folders', 'POST', { name: folder });
+
+  await createCollection('contact_submissions_files', {
+    icon: 'attach_file',
+    hidden: true,
+  });
+
+  await createField('contact_submissions_files', {
+    field: 'contact_submissions_id',
+    type: 'integer',
+    meta: { hidden: true },
+    schema: {},
+  });
+
+  await createField('contact_submissions_files', {
+    field: 'directus_files_id',
+    type: 'uuid',
+    meta: { hidden: true },
+    schema: {},
+  });
+
+  await createRelation({
+    collection: 'contact_submissions_files',
+    field: 'contact_submissions_id',
+    related_collection: 'contact_submissions',
+    meta: {
+      one_field: 'attachments',
+      junction_field: 'directus_files_id',
+    },
+    schema: { on_delete: 'CASCADE' },
+  });
+
+  await createRelation({
+    collection: 'contact_submissions_files',
+    field: 'directus_files_id',
+    related_collection: 'directus_files',
+    meta: {
+      one_field: null,
+      junction_field: 'contact_submissions_id',
+    },
+    schema: { on_delete: 'CASCADE' },
   });
 
   await createField('contact_submissions', {
+    field: 'attachments',
+    type: 'alias',
+    meta: {
+      interface: 'files',
+      special: ['files'],
+      note: 'Files sent with the form',
+      readonly: true,
+    },
+  });
+}
+
+async function createContactWebhooks()
+{
+  console.log('\n--- Contact Webhooks ---');
+
+  await createCollection('contact_webhooks', {
+    icon: 'webhook',
+    note: 'Endpoints receiving new contact submissions '
+      + 'as signed JSON',
+    singleton: false,
+    display_template: '{{name}} ({{url}})',
+  });
+
+  await createField('contact_webhooks', {
     field: 'name',
     type: 'string',
     meta: {
       interface: 'input',
+      required: true,
       width: 'half',
-      readonly: true,
     },
     schema: { max_length: 100 },
   });
 
-  await createField('contact_submissions', {
-    field: 'email',
+  await createField('contact_webhooks', {
+    field: 'active',
+    type: 'boolean',
+    meta: {
+      interface: 'boolean',
+      width: 'half',
+    },
+    schema: { default_value: true },
+  });
+
+  await createField('contact_webhooks', {
+    field: 'url',
     type: 'string',
     meta: {
       interface: 'input',
-      width: 'half',
-      readonly: true,
+      note: 'Receives a POST per new submission',
+      required: true,
+      options: { placeholder: 'https://' },
     },
-    schema: { max_length: 200 },
+    schema: { max_length: 500 },
   });
 
-  await createField('contact_submissions', {
-    field: 'phone',
+  await createField('contact_webhooks', {
+    field: 'subjects',
+    type: 'json',
+    meta: {
+      interface: 'tags',
+      note: 'Subject codes to send (empty = all)',
+      special: ['cast-json'],
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('contact_webhooks', {
+    field: 'secret',
     type: 'string',
     meta: {
       interface: 'input',
-      width: 'half',
-      readonly: true,
+      note: 'Key for the X-Lares-Signature HMAC '
+        + '(at least 32 characters, e.g. openssl rand -hex 32)',
+      required: true,
+      options: { masked: true },
+      validation: { secret: { _regex: '^\\S{32,}$' } },
+      validation_message: 'Use a random key of at least '
+        + '32 characters without spaces.',
     },
     schema: {
-      max_length: 30,
-      is_nullable: true,
+      max_length: 200,
+      is_nullable: false,
     },
   });
 
-  await createField('contact_submissions', {
-    field: 'subject',
+  await createCollection('webhook_deliveries', {
+    icon: 'send_time_extension',
+    note: 'Webhook deliveries with attempt log '
+      + '(retried automatically)',
+    singleton: false,
+    display_template: '{{status}} - {{webhook.name}}',
+  });
+
+  await createField('webhook_deliveries', {
+    field: 'status',
     type: 'string',
+    meta: {
+      interface: 'select-dropdown',
+      display: 'labels',
+      note: 'Set to Pending to redeliver',
+      options: {
+        choices: [
+          { text: 'Pending', value: 'pending' },
+          { text: 'Sending', value: 'sending' },
+          { text: 'Delivered', value: 'delivered' },
+          { text: 'Failed', value: 'failed' },
+        ],
+      },
+      width: 'half',
+    },
+    schema: {
+      default_value: 'pending',
+      max_length: 20,
+      is_nullable: false,
+    },
+  });
+
+  await createField('webhook_deliveries', {
+    field: 'attempts',
+    type: 'integer',
     meta: {
       interface: 'input',
+      readonly: true,
       width: 'half',
+    },
+    schema: { default_value: 0 },
+  });
+
+  for (const [field, template] of [
+    ['webhook', '{{name}}'],
+    ['submission', '{{name}} - {{subject}}'],
+  ])
+  {
+    await createField('webhook_deliveries', {
+      field,
+      type: 'integer',
+      meta: {
+        interface: 'select-dropdown-m2o',
+        special: ['m2o'],
+        options: { template },
+        readonly: true,
+        width: 'half',
+      },
+      schema: { is_nullable: true },
+    });
+  }
+
+  await createField('webhook_deliveries', {
+    field: 'event',
+    type: 'string',
+    meta: {
+      interface: 'input',
       readonly: true,
+      width: 'half',
     },
     schema: { max_length: 50 },
   });
 
-  await createField('contact_submissions', {
-    field: 'message',
+  await createField('webhook_deliveries', {
+    field: 'response_status',
+    type: 'integer',
+    meta: {
+      interface: 'input',
+      note: 'HTTP status of the last attempt',
+      readonly: true,
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('webhook_deliveries', {
+    field: 'payload',
+    type: 'json',
+    meta: {
+      interface: 'input-code',
+      special: ['cast-json'],
+      options: { language: 'JSON' },
+      readonly: true,
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('webhook_deliveries', {
+    field: 'log',
+    type: 'json',
+    meta: {
+      interface: 'input-code',
+      note: 'Attempts with status, response and error',
+      special: ['cast-json'],
+      options: { language: 'JSON' },
+      readonly: true,
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('webhook_deliveries', {
+    field: 'last_error',
     type: 'text',
     meta: {
       interface: 'input-multiline',
       readonly: true,
     },
+    schema: { is_nullable: true },
+  });
+
+  for (const field of ['next_attempt_at', 'delivered_at'])
+  {
+    await createField('webhook_deliveries', {
+      field,
+      type: 'timestamp',
+      meta: {
+        interface: 'datetime',
+        readonly: true,
+        width: 'half',
+      },
+      schema: { is_nullable: true },
+    });
+  }
+
+  await createField('webhook_deliveries', {
+    field: 'date_created',
+    type: 'timestamp',
+    meta: {
+      interface: 'datetime',
+      special: ['date-created'],
+      readonly: true,
+      width: 'half',
+    },
     schema: {},
   });
 
-  await createField('contact_submissions', {
-    field: 'ip_address',
+  await createRelation({
+    collection: 'webhook_deliveries',
+    field: 'webhook',
+    related_collection: 'contact_webhooks',
+    schema: { on_delete: 'CASCADE' },
+  });
+
+  // Deliveries carry a copy of the submission
+  await createRelation({
+    collection: 'webhook_deliveries',
+    field: 'submission',
+    related_collection: 'contact_submissions',
+    schema: { on_delete: 'CASCADE' },
+  });
+}
+
+async function createContactDigest()
+{
+  console.log('\n--- Contact Digest ---');
+
+  await createCollection('contact_digest', {
+    icon: 'summarize',
+    note: 'Daily or weekly summary of contact activity '
+      + '(empty fields use the env defaults)',
+    singleton: true,
+  });
+
+  await createField('contact_digest', {
+    field: 'enabled',
+    type: 'boolean',
+    meta: {
+      interface: 'boolean',
+      note: 'Send the digests',
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('contact_digest', {
+    field: 'frequency',
     type: 'string',
+    meta: {
+      interface: 'select-dropdown',
+      note: 'How often the recipients below get it',
+      options: {
+        choices: [
+          { text: 'Daily', value: 'daily' },
+          { text: 'Weekly', value: 'weekly' },
+        ],
+      },
+      width: 'half',
+    },
+    schema: {
+      max_length: 20,
+      is_nullable: true,
+    },
+  });
+
+  await createField('contact_digest', {
+    field: 'recipients',
+    type: 'json',
+    meta: {
+      interface: 'tags',
+      note: 'Addresses without a Directus account '
+        + '(users opt in on their profile)',
+      special: ['cast-json'],
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('contact_digest', {
+    field: 'stale_days',
+    type: 'integer',
     meta: {
       interface: 'input',
+      note: 'Open submissions older than this are '
+        + 'highlighted',
+      options: { min: 1 },
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  await createField('contact_digest', {
+    field: 'weekday',
+    type: 'integer',
+    meta: {
+      interface: 'select-dropdown',
+      note: 'Day the weekly digest goes out',
+      options: {
+        choices: [
+          'Sunday',
+          'Monday',
+          'Tuesday',
+          'Wednesday',
+          'Thursday',
+          'Friday',
+          'Saturday',
+        ].map((text, value) => ({ text, value })),
+      },
+      width: 'half',
+    },
+    schema: { is_nullable: true },
+  });
+
+  // Opt-in on the user profile
+  await createField('directus_users', {
+    field: 'contact_digest',
+    type: 'string',
+    meta: {
+      interface: 'select-dropdown',
+      note: 'Summary of contact form activity by email',
+      options: {
+        choices: [
+          { text: 'Off', value: null },
+          { text: 'Daily', value: 'daily' },
+          { text: 'Weekly', value: 'weekly' },
+        ],
+      },
       width: 'half',
-      readonly: true,
-      hidden: true,
     },
     schema: {
-      max_length: 45,
+      max_length: 20,
       is_nullable: true,
     },
   });
 }
 
+async function createResendEmailFlow()
+{
+  console.log('\n--- Resend Email Flow ---');
+
+  // Manual flow: puts selected outbox items back to
+  // pending; the email-outbox hook resets attempts
+  // and the worker picks them up.
+  const flow = await api('/flows', 'POST', {
+    name: 'Resend email',
+    icon: 'send',
+    status: 'active',
+    trigger: 'manual',
+    accountability: 'all',
+    options: {
+      collections: ['email_outbox'],
+      location: 'both',
+      requireConfirmation: true,
+      confirmationDescription:
+        'Queue the selected emails for delivery again?',
+    },
+  });
+
+  const flowId = flow.data?.id;
+  if (!flowId)
+  {
+    return;
+  }
+
+  const operation = await api('/operations', 'POST', {
+    flow: flowId,
+    name: 'Mark as pending',
+    key: 'mark_pending',
+    type: 'item-update',
+    position_x: 19,
+    position_y: 1,
+    options: {
+      collection: 'email_outbox',
+      key: '{{$trigger.body.keys}}',
+      payload: { status: 'pending' },
+      permissions: '$trigger',
+    },
+  });
+
+  await api(`/flows/${flowId}`, 'PATCH', {
+    operation: operation.data?.id,
+  });
+}
+
+async function createContactReplyFlow()
+{
+  console.log('\n--- Reply to Visitor Flow ---');
+
+  // Manual flow on a submission: asks for subject and
+  // message, then the contact-reply operation emails
+  // the visitor with the user's permissions.
+  const flow = await api('/flows', 'POST', {
+    name: 'Reply to visitor',
+    icon: 'reply',
+    status: 'active',
+    trigger: 'manual',
+    accountability: 'all',
+    options: {
+      collections: ['contact_submissions'],
+      location: 'item',
+      requireConfirmation: true,
+      confirmationDescription: 'Reply to the visitor',
+      fields: [
+        {
+          field: 'subject',
+          type: 'string',
+          name: 'Subject',
+          meta: { interface: 'input', required: true },
+        },
+        {
+          field: 'message',
+          type: 'text',
+          name: 'Message',
+          meta: { interface: 'input-multiline', required: true },
+        },
+      ],
+    },
+  });
+
+  const flowId = flow.data?.id;
+  if (!flowId)
+  {
+    return;
+  }
+
+  const operation = await api('/operations', 'POST', {
+    flow: flowId,
+    name: 'Send reply',
+    key: 'send_reply',
+    type: 'contact-reply',
+    position_x: 19,
+    position_y: 1,
+    options: {
+      keys: '{{$trigger.body.keys}}',
+      subject: '{{$trigger.body.subject}}',
+      message: '{{$trigger.body.message}}',
+    },
+  });
+
+  await api(`/flows/${flowId}`, 'PATCH', {
+    operation: operation.data?.id,
+  });
+}
+
+async function createRedeliverWebhookFlow()
+{
+  console.log('\n--- Redeliver Webhook Flow ---');
+
+  // Same pattern as Resend email: the contact-webhooks
+  // hook resets attempts and the worker sends again.
+  const flow = await api('/flows', 'POST', {
+    name: 'Redeliver webhook',
+    icon: 'replay',
+    status: 'active',
+    trigger: 'manual',
+    accountability: 'all',
+    options: {
+      collections: ['webhook_deliveries'],
+      location: 'both',
+      requireConfirmation: true,
+      confirmationDescription:
+        'Queue the selected deliveries again?',
+    },
+  });
+
+  const flowId = flow.data?.id;
+  if (!flowId)
+  {
+    return;
+  }
+
+  const operation = await api('/operations', 'POST', {
+    flow: flowId,
+    name: 'Mark as pending',
+    key: 'mark_pending',
+    type: 'item-update',
+    position_x: 19,
+    position_y: 1,
+    options: {
+      collection: 'webhook_deliveries',
+      key: '{{$trigger.body.keys}}',
+      payload: { status: 'pending' },
+      permissions: '$trigger',
+    },
+  });
+
+  await api(`/flows/${flowId}`, 'PATCH', {
+    operation: operation.data?.id,
+  });
+}
+
 // ============================================
 // Public read permissions
 // ============================================
@@ -1106,6 +3045,9 @@ async function setPublicPermissions()
     'seo_metadata',
     'seo_metadata_translations',
     'languages',
+    'contact_subjects',
+    'contact_subjects_translations',
+    'privacy_policies_translations',
   ];
 
   for (const collection of collections)
@@ -1121,12 +3063,36 @@ async function setPublicPermissions()
     });
   }
 
-  // Public read for directus_files (assets)
+  // Published privacy notices only
+  console.log('  Public read: privacy_policies');
+  await api('/permissions', 'POST', {
+    policy: policyId,
+    collection: 'privacy_policies',
+    action: 'read',
+    permissions: { status: { _eq: 'published' } },
+    fields: ['*'],
+  });
+
+  // Public read for directus_files (assets), except
+  // contact form attachments
   console.log('  Public read: directus_files');
   await api('/permissions', 'POST', {
     policy: policyId,
     collection: 'directus_files',
     action: 'read',
+    permissions: {
+      _or: [
+        { folder: { _null: true } },
+        {
+          folder: {
+            name: {
+              _neq: process.env.CONTACT_ATTACHMENT_FOLDER
+                || 'Contact attachments',
+            },
+          },
+        },
+      ],
+    },
     fields: ['*'],
   });
 }
@@ -1148,7 +3114,21 @@ async function main()
     await createGallery();
     await createSiteSettings();
     await createSeoMetadata();
+    await createPrivacyPolicies();
     await createContactSubmissions();
+    await createContactSubjects();
+    await createContactAutoReply();
+    await createContactRouting();
+    await createEmailOutbox();
+    await createContactRetention();
+    await createDataSubjectRequests();
+    await createContactMessages();
+    await createContactAttachments();
+    await createContactWebhooks();
+    await createContactDigest();
+    await createResendEmailFlow();
+    await createContactReplyFlow();
+    await createRedeliverWebhookFlow();
     await setPublicPermissions();
 
     console.log(
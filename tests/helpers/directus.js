@@ -0,0 +1,634 @@
+/**
+ * @file directus.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description In-memory stand-ins for the Directus
+ *              extension context used by behavioral
+ *              tests: ItemsService and friends over
+ *              plain arrays, a Knex-like query builder
+ *              for conditional updates, a recording
+ *              MailService, and an Express-like router,
+ *              request and response.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { Readable } from 'node:stream';
+
+/**
+ * @description Turns dates and ISO strings into
+ *              comparable numbers; other values pass.
+ * @param {*} value - Field or filter value
+ * @returns {*} Comparable value
+ * @update 2026-10-19
+ */
+function comparable(value)
+{
+  if (value instanceof Date)
+  {
+    return value.getTime();
+  }
+
+  if (
+    typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}T/.test(value)
+  )
+  {
+    return Date.parse(value);
+  }
+
+  return value;
+}
+
+/**
+ * Filter operators; like SQL, a null field matches
+ * none of them.
+ */
+const OPERATORS =
+{
+  _eq: (value, arg) => comparable(value) === comparable(arg),
+  _neq: (value, arg) => comparable(value) !== comparable(arg),
+  _in: (value, arg) => arg.includes(value),
+  _nin: (value, arg) => !arg.includes(value),
+  _lt: (value, arg) => comparable(value) < comparable(arg),
+  _lte: (value, arg) => comparable(value) <= comparable(arg),
+  _gt: (value, arg) => comparable(value) > comparable(arg),
+  _gte: (value, arg) => comparable(value) >= comparable(arg),
+  _contains: (value, arg) => String(value).includes(arg),
+  _ncontains: (value, arg) => !String(value).includes(arg),
+};
+
+/**
+ * @description Checks an item against a Directus
+ *              filter object.
+ * @param {object} item - Stored item
+ * @param {object} [filter] - Directus filter
+ * @returns {boolean} True if the item matches
+ * @update 2026-10-19
+ */
+export function matchesFilter(item, filter)
+{
+  if (!filter)
+  {
+    return true;
+  }
+
+  return Object.entries(filter).every(([key, condition]) =>
+  {
+    if (key === '_and')
+    {
+      return condition.every((part) => matchesFilter(item, part));
+    }
+
+    if (key === '_or')
+    {
+      return condition.some((part) => matchesFilter(item, part));
+    }
+
+    const value = item?.[key];
+
+    return Object.entries(condition).every(([op, arg]) =>
+    {
+      if (op === '_null')
+      {
+        return (value == null) === Boolean(arg);
+      }
+
+      if (op === '_nnull')
+      {
+        return (value != null) === Boolean(arg);
+      }
+
+      if (op in OPERATORS)
+      {
+        return value != null && OPERATORS[op](value, arg);
+      }
+
+      // Relational filter on a nested item
+      return matchesFilter(value, { [op]: arg });
+    });
+  });
+}
+
+/**
+ * @description Sorts items by Directus sort fields
+ *              ("-field" for descending).
+ * @param {object[]} items - Items to sort
+ * @param {string[]} [sort] - Sort fields
+ * @returns {object[]} Sorted copy
+ * @update 2026-10-19
+ */
+function sortItems(items, sort = [])
+{
+  return [...items].sort((a, b) =>
+  {
+    for (const entry of sort)
+    {
+      const desc = entry.startsWith('-');
+      const field = desc ? entry.slice(1) : entry;
+      const x = comparable(a[field]);
+      const y = comparable(b[field]);
+
+      if (x !== y)
+      {
+        return (x < y ? -1 : 1) * (desc ? -1 : 1);
+      }
+    }
+
+    return 0;
+  });
+}
+
+/**
+ * @description Copies the requested fields of an item;
+ *              "a.b" keeps the whole relation "a" and
+ *              "*" keeps every field.
+ * @param {object} item - Stored item
+ * @param {string[]} [fields] - Directus fields
+ * @returns {object} Copy
+ * @update 2026-10-19
+ */
+function pickFields(item, fields)
+{
+  if (!fields || fields.includes('*'))
+  {
+    return { ...item };
+  }
+
+  const copy = {};
+
+  for (const field of fields)
+  {
+    const key = field.split('.')[0];
+
+    if (key in item)
+    {
+      copy[key] = item[key];
+    }
+  }
+
+  return copy;
+}
+
+/**
+ * @description Builds a Directus error with status.
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with status
+ * @update 2026-10-19
+ */
+function directusError(message, status)
+{
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * @description Creates a fake Directus extension
+ *              context over in-memory collections.
+ * @param {object} [options]
+ * @param {object} [options.data] - Initial items per
+ *                 collection (singletons: one item)
+ * @param {object} [options.denied] - Actions refused to
+ *                 non-admins per collection, e.g.
+ *                 { contact_messages: ['create'] }
+ * @returns {object} { services, getSchema, database,
+ *          logger, env, items, mail }
+ * @update 2026-10-19
+ */
+export function createDirectus({ data = {}, denied = {} } = {})
+{
+  const collections = new Map(
+    Object.entries(data).map(([name, items]) => [
+      name,
+      items.map((item) => ({ ...item })),
+    ])
+  );
+  let nextId = 1000;
+
+  const items = (name) =>
+  {
+    if (!collections.has(name))
+    {
+      collections.set(name, []);
+    }
+
+    return collections.get(name);
+  };
+
+  const mail = { sent: [], error: null };
+  const logs = [];
+
+  class ItemsService
+  {
+    constructor(collection, { accountability } = {})
+    {
+      this.collection = collection;
+      this.accountability = accountability;
+    }
+
+    check(action)
+    {
+      if (
+        !this.accountability?.admin &&
+        denied[this.collection]?.includes(action)
+      )
+      {
+        throw directusError(
+          'You don\'t have permission to access this.',
+          403
+        );
+      }
+    }
+
+    async readByQuery(query = {})
+    {
+      this.check('read');
+
+      const matched = sortItems(
+        items(this.collection).filter(
+          (item) => matchesFilter(item, query.filter)
+        ),
+        query.sort
+      );
+
+      if (query.aggregate?.count)
+      {
+        return [{ count: { id: matched.length } }];
+      }
+
+      const limited = query.limit > 0
+        ? matched.slice(0, query.limit)
+        : matched;
+
+      return limited.map((item) => pickFields(item, query.fields));
+    }
+
+    async readOne(id)
+    {
+      this.check('read');
+
+      const item = items(this.collection)
+        .find((entry) => entry.id === id);
+
+      if (!item)
+      {
+        throw directusError(
+          'You don\'t have permission to access this.',
+          403
+        );
+      }
+
+      return { ...item };
+    }
+
+    async readMany(ids)
+    {
+      this.check('read');
+
+      return items(this.collection)
+        .filter((item) => ids.includes(item.id))
+        .map((item) => ({ ...item }));
+    }
+
+    async readSingleton()
+    {
+      this.check('read');
+      return { ...(items(this.collection)[0] || {}) };
+    }
+
+    async createOne(values)
+    {
+      this.check('create');
+
+      const item =
+      {
+        id: nextId++,
+        date_created: new Date().toISOString(),
+        ...values,
+      };
+
+      items(this.collection).push(item);
+      return item.id;
+    }
+
+    async createMany(list)
+    {
+      const ids = [];
+
+      for (const values of list)
+      {
+        ids.push(await this.createOne(values));
+      }
+
+      return ids;
+    }
+
+    async updateOne(id, values)
+    {
+      this.check('update');
+
+      const item = items(this.collection)
+        .find((entry) => entry.id === id);
+
+      if (item)
+      {
+        Object.assign(item, values);
+      }
+
+      return id;
+    }
+
+    async updateMany(ids, values)
+    {
+      for (const id of ids)
+      {
+        await this.updateOne(id, values);
+      }
+
+      return ids;
+    }
+
+    async deleteOne(id)
+    {
+      return (await this.deleteMany([id]))[0];
+    }
+
+    async deleteMany(ids)
+    {
+      this.check('delete');
+      collections.set(
+        this.collection,
+        items(this.collection)
+          .filter((item) => !ids.includes(item.id))
+      );
+      return ids;
+    }
+  }
+
+  class FilesService extends ItemsService
+  {
+    constructor(options)
+    {
+      super('directus_files', options);
+    }
+
+    async uploadOne(stream, values)
+    {
+      const chunks = [];
+
+      for await (const chunk of stream)
+      {
+        chunks.push(chunk);
+      }
+
+      return this.createOne(
+      {
+        ...values,
+        filesize: Buffer.concat(chunks).length,
+      });
+    }
+  }
+
+  class FoldersService extends ItemsService
+  {
+    constructor(options)
+    {
+      super('directus_folders', options);
+    }
+  }
+
+  class UsersService extends ItemsService
+  {
+    constructor(options)
+    {
+      super('directus_users', options);
+    }
+  }
+
+  class MailService
+  {
+    async send(options)
+    {
+      if (mail.error)
+      {
+        throw mail.error;
+      }
+
+      mail.sent.push(options);
+    }
+  }
+
+  /**
+   * Knex-like builder: where(), andWhere() and update()
+   * returning the number of changed rows.
+   */
+  const database = (collection) =>
+  {
+    const conditions = [];
+    const builder =
+    {
+      where(values)
+      {
+        for (const [field, value] of Object.entries(values))
+        {
+          conditions.push(
+            (item) => comparable(item[field]) === comparable(value)
+          );
+        }
+
+        return builder;
+      },
+      andWhere(field, op, value)
+      {
+        const compare =
+          { '<=': OPERATORS._lte, '<': OPERATORS._lt }[op];
+
+        conditions.push(
+          (item) => item[field] != null &&
+            compare(item[field], value)
+        );
+        return builder;
+      },
+      async update(values)
+      {
+        const matched = items(collection).filter(
+          (item) => conditions.every((check) => check(item))
+        );
+
+        for (const item of matched)
+        {
+          Object.assign(item, values);
+        }
+
+        return matched.length;
+      },
+    };
+
+    return builder;
+  };
+
+  const record = (level) => (...args) =>
+    logs.push({ level, message: args.join(' ') });
+
+  return {
+    services:
+    {
+      ItemsService,
+      FilesService,
+      FoldersService,
+      UsersService,
+      MailService,
+    },
+    getSchema: async () => ({}),
+    database,
+    logger:
+    {
+      info: record('info'),
+      warn: record('warn'),
+      error: record('error'),
+      logs,
+    },
+    env: {},
+    items,
+    mail,
+  };
+}
+
+/**
+ * @description Creates a router that records handlers
+ *              per method and path.
+ * @returns {object} Router with get(), post() and
+ *          handler(method, path)
+ * @update 2026-10-19
+ */
+export function createRouter()
+{
+  const routes = new Map();
+
+  return {
+    get(path, handler)
+    {
+      routes.set(`GET ${path}`, handler);
+    },
+    post(path, handler)
+    {
+      routes.set(`POST ${path}`, handler);
+    },
+    handler(method, path)
+    {
+      return routes.get(`${method} ${path}`);
+    },
+    paths()
+    {
+      return [...routes.keys()];
+    },
+  };
+}
+
+/**
+ * @description Creates a request; a raw body becomes
+ *              the readable stream of the request.
+ * @param {object} [options]
+ * @param {object} [options.headers] - Lower-case headers
+ * @param {object} [options.body] - Parsed JSON body
+ * @param {string|Buffer} [options.raw] - Unparsed body
+ * @param {object} [options.params] - Route params
+ * @param {object} [options.query] - Query params
+ * @param {object} [options.accountability] - Directus
+ *                 accountability
+ * @param {string} [options.ip] - Remote address
+ * @returns {object} Request
+ * @update 2026-10-19
+ */
+export function createRequest(
+  {
+    headers = {},
+    body,
+    raw,
+    params = {},
+    query = {},
+    accountability = null,
+    ip = '203.0.113.7',
+  } = {}
+)
+{
+  const req = raw === undefined
+    ? Readable.from([])
+    : Readable.from([Buffer.from(raw)]);
+  const type = String(headers['content-type'] || '')
+    .split(';')[0]
+    .trim();
+
+  return Object.assign(req,
+  {
+    headers,
+    body,
+    params,
+    query,
+    accountability,
+    socket: { remoteAddress: ip },
+    is: (expected) => (type === expected ? type : false),
+    accepts: (types) =>
+    {
+      const accept = String(headers.accept || '');
+      const html = accept.indexOf('text/html');
+      const json = accept.indexOf('application/json');
+
+      return html !== -1 && (json === -1 || html < json)
+        ? 'html'
+        : types[0];
+    },
+  });
+}
+
+/**
+ * @description Creates a response recording status,
+ *              headers, body and redirects.
+ * @returns {object} Response
+ * @update 2026-10-19
+ */
+export function createResponse()
+{
+  const res =
+  {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    location: null,
+    status(code)
+    {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value)
+    {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    type(value)
+    {
+      return res.set('Content-Type', value);
+    },
+    json(body)
+    {
+      res.body = body;
+      return res;
+    },
+    send(body)
+    {
+      res.body = body;
+      return res;
+    },
+    redirect(code, url)
+    {
+      res.statusCode = code;
+      res.location = url;
+      return res;
+    },
+  };
+
+  return res;
+}
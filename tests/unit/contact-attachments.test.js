@@ -0,0 +1,119 @@
+/**
+ * @file contact-attachments.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for contact form attachment
+ *              checks.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  checkAttachments,
+  safeFilename,
+  sniffMimeType,
+} from '../../directus/extensions/endpoints/contact-form/attachments.js';
+
+/**
+ * Limits used by the tests.
+ */
+const LIMITS =
+{
+  enabled: true,
+  types: ['application/pdf', 'image/png', 'text/plain'],
+  maxBytes: 64,
+  maxFiles: 2,
+};
+
+const PDF = Buffer.from('%PDF-1.7\n%test');
+const PNG = Buffer.from('89504e470d0a1a0a0000000d', 'hex');
+
+/**
+ * A parsed PDF upload unless the test overrides it.
+ */
+const file = (overrides = {}) => ({
+  filename: 'plan.pdf',
+  mimeType: 'application/pdf',
+  buffer: PDF,
+  truncated: false,
+  ...overrides,
+});
+
+describe('Contact attachment checks', () =>
+{
+  it('detects types from their content', () =>
+  {
+    expect(sniffMimeType(PDF)).toBe('application/pdf');
+    expect(sniffMimeType(PNG)).toBe('image/png');
+    expect(sniffMimeType(Buffer.from('hello'))).toBeNull();
+  });
+
+  it('accepts whitelisted files within the limits', () =>
+  {
+    expect(checkAttachments([], { limits: LIMITS })).toBeNull();
+    expect(checkAttachments(
+      [file(), file({ mimeType: 'image/png', buffer: PNG })],
+      { limits: LIMITS }
+    )).toBeNull();
+  });
+
+  it('rejects too many files', () =>
+  {
+    expect(checkAttachments(
+      [file(), file(), file()],
+      { limits: LIMITS }
+    )).toBe('too_many');
+    expect(checkAttachments(
+      [file()],
+      { tooMany: true, limits: LIMITS }
+    )).toBe('too_many');
+  });
+
+  it('rejects files over the size limit', () =>
+  {
+    expect(checkAttachments(
+      [file({ truncated: true })],
+      { limits: LIMITS }
+    )).toBe('too_large');
+    expect(checkAttachments(
+      [file({ buffer: Buffer.concat([PDF, Buffer.alloc(64)]) })],
+      { limits: LIMITS }
+    )).toBe('too_large');
+  });
+
+  it('rejects types outside the whitelist', () =>
+  {
+    expect(checkAttachments(
+      [file({ mimeType: 'application/zip' })],
+      { limits: LIMITS }
+    )).toBe('invalid_format');
+  });
+
+  it('rejects content that does not match the type', () =>
+  {
+    expect(checkAttachments(
+      [file({ mimeType: 'image/png' })],
+      { limits: LIMITS }
+    )).toBe('invalid_format');
+  });
+
+  it('accepts types without a known signature', () =>
+  {
+    expect(checkAttachments(
+      [file({ mimeType: 'text/plain', buffer: Buffer.from('hi') })],
+      { limits: LIMITS }
+    )).toBeNull();
+  });
+
+  it('keeps only a safe base name', () =>
+  {
+    expect(safeFilename('C:\\Users\\ada\\Grundriss Küche.pdf'))
+      .toBe('Grundriss Küche.pdf');
+    expect(safeFilename('../../etc/passwd')).toBe('passwd');
+    expect(safeFilename('.htaccess')).toBe('htaccess');
+    expect(safeFilename('<plan>.pdf')).toBe('_plan_.pdf');
+    expect(safeFilename('')).toBe('attachment');
+  });
+});
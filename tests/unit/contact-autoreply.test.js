@@ -0,0 +1,114 @@
+/**
+ * @file contact-autoreply.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for the visitor auto-reply:
+ *              settings and wording per locale, and
+ *              that nothing the visitor typed is sent
+ *              to the unverified address.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildAutoReply,
+} from '../../directus/extensions/endpoints/contact-form/autoreply.js';
+import {
+  renderEmail,
+} from '../../directus/extensions/endpoints/contact-form/mail.js';
+import { createDirectus } from '../helpers/directus.js';
+
+const SETTINGS =
+{
+  enabled: true,
+  translations: [
+    {
+      languages_code: 'it',
+      email_subject: 'Abbiamo ricevuto il tuo messaggio',
+      greeting: 'Ciao',
+      body: '<p>Grazie per averci scritto.</p>',
+      signature: 'Il team',
+    },
+    {
+      languages_code: 'en',
+      email_subject: 'We received your message',
+      greeting: 'Hello',
+      body: '<p>Thank you for writing to us.</p>',
+      signature: 'The team',
+    },
+  ],
+};
+
+const submission =
+{
+  name: 'Buy cheap pills',
+  email: 'victim@example.com',
+  message: 'Visit https://spam.example now',
+  locale: 'en',
+};
+
+/** Builds the auto-reply against a settings row. */
+const build = (settings, overrides = {}) =>
+{
+  const directus = createDirectus(
+  {
+    data: { contact_autoreply: settings ? [settings] : [] },
+  });
+
+  return buildAutoReply(
+  {
+    services: directus.services,
+    schema: {},
+    submission: { ...submission, ...overrides },
+  });
+};
+
+describe('buildAutoReply', () =>
+{
+  it('uses the wording of the visitor locale', async () =>
+  {
+    const email = await build(SETTINGS);
+
+    expect(email.to).toBe('victim@example.com');
+    expect(email.subject).toBe('We received your message');
+    expect(email.template).toEqual(
+    {
+      name: 'contact-autoreply',
+      data:
+      {
+        locale: 'en',
+        greeting: 'Hello',
+        body: '<p>Thank you for writing to us.</p>',
+        signature: 'The team',
+      },
+    });
+  });
+
+  it('sends no visitor name or message', async () =>
+  {
+    const email = await build(SETTINGS);
+    const { html, text } = await renderEmail(email.template);
+
+    for (const part of [html, text])
+    {
+      expect(part).not.toContain('pills');
+      expect(part).not.toContain('spam.example');
+    }
+  });
+
+  it('falls back to the default locale', async () =>
+  {
+    const email = await build(SETTINGS, { locale: 'fr' });
+
+    expect(email.template.data.greeting).toBe('Ciao');
+  });
+
+  it('returns null when disabled or missing', async () =>
+  {
+    expect(await build({ ...SETTINGS, enabled: false }))
+      .toBeNull();
+    expect(await build(null)).toBeNull();
+  });
+});
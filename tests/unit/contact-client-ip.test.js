@@ -0,0 +1,138 @@
+/**
+ * @file contact-client-ip.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for contact-form client IP
+ *              resolution: trusted proxies, spoofed
+ *              X-Forwarded-For, IPv6 normalization and
+ *              prefix-based rate limit keys.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createProxyMatcher,
+  normalizeIp,
+  parseCidr,
+  rateLimitKey,
+  resolveClientIp,
+} from '../../directus/extensions/endpoints/contact-form/client-ip.js';
+
+const isTrustedProxy = createProxyMatcher(
+  '127.0.0.0/8,::1,172.16.0.0/12'
+);
+
+describe('Contact form client IP', () =>
+{
+  describe('normalizeIp', () =>
+  {
+    it('keeps plain IPv4', () =>
+    {
+      expect(normalizeIp('203.0.113.7')).toBe('203.0.113.7');
+    });
+
+    it('strips IPv4 ports', () =>
+    {
+      expect(normalizeIp('203.0.113.7:5123'))
+        .toBe('203.0.113.7');
+    });
+
+    it('unwraps IPv4-mapped IPv6', () =>
+    {
+      expect(normalizeIp('::ffff:203.0.113.7'))
+        .toBe('203.0.113.7');
+      expect(normalizeIp('::FFFF:cb00:7107'))
+        .toBe('203.0.113.7');
+    });
+
+    it('canonicalizes IPv6', () =>
+    {
+      expect(normalizeIp('2001:0DB8:0000:0000:0000:0000:0000:0001'))
+        .toBe('2001:db8::1');
+      expect(normalizeIp('[2001:db8::1]:443'))
+        .toBe('2001:db8::1');
+      expect(normalizeIp('fe80::1%eth0')).toBe('fe80::1');
+    });
+
+    it('rejects garbage', () =>
+    {
+      expect(normalizeIp('not-an-ip')).toBeNull();
+      expect(normalizeIp('1.2.3.4; DROP TABLE')).toBeNull();
+      expect(normalizeIp(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseCidr', () =>
+  {
+    it('parses ranges and bare addresses', () =>
+    {
+      expect(parseCidr('10.0.0.0/8').prefix).toBe(8);
+      expect(parseCidr('::1').prefix).toBe(128);
+    });
+
+    it('rejects invalid prefixes', () =>
+    {
+      expect(parseCidr('10.0.0.0/33')).toBeNull();
+      expect(parseCidr('10.0.0.0/abc')).toBeNull();
+    });
+  });
+
+  describe('resolveClientIp', () =>
+  {
+    it('ignores XFF from untrusted peers', () =>
+    {
+      expect(resolveClientIp(
+      {
+        remoteAddress: '198.51.100.1',
+        forwardedFor: '1.1.1.1',
+        isTrustedProxy,
+      })).toBe('198.51.100.1');
+    });
+
+    it('takes the rightmost untrusted hop', () =>
+    {
+      expect(resolveClientIp(
+      {
+        remoteAddress: '::ffff:172.18.0.2',
+        forwardedFor: '6.6.6.6, 203.0.113.7, 172.18.0.5',
+        isTrustedProxy,
+      })).toBe('203.0.113.7');
+    });
+
+    it('stops at a malformed hop', () =>
+    {
+      expect(resolveClientIp(
+      {
+        remoteAddress: '127.0.0.1',
+        forwardedFor: '203.0.113.7, bogus',
+        isTrustedProxy,
+      })).toBe('127.0.0.1');
+    });
+
+    it('returns unknown without a peer', () =>
+    {
+      expect(resolveClientIp({ isTrustedProxy }))
+        .toBe('unknown');
+    });
+  });
+
+  describe('rateLimitKey', () =>
+  {
+    it('groups IPv6 by prefix', () =>
+    {
+      expect(rateLimitKey('2001:db8:1:2:aaaa::1', 64))
+        .toBe('2001:db8:1:2::/64');
+      expect(rateLimitKey('2001:db8:1:2:bbbb::9', 64))
+        .toBe('2001:db8:1:2::/64');
+    });
+
+    it('leaves IPv4 and unset prefix alone', () =>
+    {
+      expect(rateLimitKey('203.0.113.7', 64))
+        .toBe('203.0.113.7');
+      expect(rateLimitKey('2001:db8::1')).toBe('2001:db8::1');
+    });
+  });
+});
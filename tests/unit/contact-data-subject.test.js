@@ -0,0 +1,315 @@
+/**
+ * @file contact-data-subject.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for data subject request
+ *              links, verification emails, confirmation
+ *              pages, and the export and erasure of a
+ *              person's records.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Confirmation pages, export and erasure
+ *   2026-10-19 - Webhook endpoints left out of the export
+ *   2026-10-19 - Staff fields left out of the export
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createDataSubjectRecords,
+  dataRequestPage,
+  emailHash,
+  issueRequestToken,
+  verificationEmail,
+  verifyRequestToken,
+} from '../../directus/extensions/endpoints/contact-form/data-subject.js';
+import { createDirectus } from '../helpers/directus.js';
+
+const SECRET = 'test-secret';
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+describe('Data subject request links', () =>
+{
+  it('accepts a fresh token and returns the request', () =>
+  {
+    const now = Date.now();
+    const token = issueRequestToken(42, SECRET, now);
+
+    expect(verifyRequestToken(token, SECRET,
+    {
+      maxAgeMs: MAX_AGE_MS,
+      now: now + 1000,
+    })).toEqual({ valid: true, reason: null, requestId: 42 });
+  });
+
+  it('rejects expired tokens', () =>
+  {
+    const now = Date.now();
+    const token = issueRequestToken(42, SECRET, now);
+
+    expect(verifyRequestToken(token, SECRET,
+    {
+      maxAgeMs: MAX_AGE_MS,
+      now: now + MAX_AGE_MS + 1,
+    }).reason).toBe('expired');
+  });
+
+  it('rejects tokens for another request id', () =>
+  {
+    const [, issuedAt, signature] =
+      issueRequestToken(42, SECRET).split('.');
+
+    expect(verifyRequestToken(
+      `43.${issuedAt}.${signature}`,
+      SECRET,
+      { maxAgeMs: MAX_AGE_MS }
+    ).reason).toBe('bad_signature');
+  });
+
+  it('rejects missing and malformed tokens', () =>
+  {
+    const options = { maxAgeMs: MAX_AGE_MS };
+
+    expect(verifyRequestToken(undefined, SECRET, options).reason)
+      .toBe('missing');
+    expect(verifyRequestToken('abc.1.x', SECRET, options).reason)
+      .toBe('malformed');
+  });
+
+  it('requires a secret', () =>
+  {
+    expect(() => issueRequestToken(1, '')).toThrow();
+  });
+});
+
+describe('Data subject request emails', () =>
+{
+  it('hashes the email address', () =>
+  {
+    expect(emailHash('ada@example.com')).toMatch(/^[0-9a-f]{64}$/);
+    expect(emailHash('ada@example.com'))
+      .not.toBe(emailHash('bob@example.com'));
+  });
+
+  it('builds the verification email in the locale', () =>
+  {
+    const email = verificationEmail(
+    {
+      email: 'ada@example.com',
+      action: 'erase',
+      locale: 'en',
+      link: 'https://cms.example.com/contact-form/data-request/t',
+      expiresInHours: 24,
+      requestId: 51,
+    });
+
+    expect(email.to).toBe('ada@example.com');
+    expect(email.dataRequest).toBe(51);
+    expect(email.subject).toBe('Confirm your data erasure request');
+    expect(email.template.name).toBe('data-request-verify');
+    expect(email.template.data.link)
+      .toBe('https://cms.example.com/contact-form/data-request/t');
+  });
+
+  it('falls back to the default locale', () =>
+  {
+    const email = verificationEmail(
+    {
+      email: 'ada@example.com',
+      action: 'export',
+      locale: 'es',
+      link: 'x',
+      expiresInHours: 24,
+    });
+
+    expect(email.subject)
+      .toBe('Conferma la richiesta di accesso ai tuoi dati');
+  });
+});
+
+describe('Data subject request pages', () =>
+{
+  it('asks for confirmation with a form posting to the link', () =>
+  {
+    const html = dataRequestPage(
+    {
+      locale: 'en',
+      page: 'erase',
+      link: 'https://cms.example.com/contact-form/data-request/1.2.x',
+    });
+
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('<h1>Erase your data</h1>');
+    expect(html).toContain(
+      '<form method="post" '
+      + 'action="https://cms.example.com/contact-form/data-request/1.2.x">'
+    );
+  });
+
+  it('has no form on result pages', () =>
+  {
+    const html = dataRequestPage({ locale: 'de', page: 'used' });
+
+    expect(html).toContain('Link bereits verwendet');
+    expect(html).not.toContain('<form');
+  });
+
+  it('escapes the link and falls back to the default locale', () =>
+  {
+    const html = dataRequestPage(
+    {
+      locale: 'xx',
+      page: 'export',
+      link: '"><script>',
+    });
+
+    expect(html).toContain('<html lang="it">');
+    expect(html).toContain('action="&quot;&gt;&lt;script&gt;"');
+  });
+});
+
+/** Webhook delivery of a submission to a CRM. */
+const delivery = (id, submission) => (
+{
+  id,
+  submission,
+  webhook:
+  {
+    name: 'CRM',
+    url: 'https://crm.example.com/hooks/lares?key=s3cret',
+  },
+  event: 'submission.created',
+  status: 'delivered',
+  date_created: '2026-10-01T10:00:00.000Z',
+  delivered_at: '2026-10-01T10:00:01.000Z',
+});
+
+/** Fake context holding records of two people. */
+const setup = () => createDirectus(
+{
+  data:
+  {
+    contact_submissions: [
+      {
+        id: 1,
+        email: 'anna@example.com',
+        message: 'Hello',
+        spam_score: 12,
+        ip_address: '203.0.113.0/24',
+      },
+      { id: 2, email: 'bob@example.com', message: 'Hi' },
+    ],
+    email_outbox: [
+      { id: 11, recipient: 'staff@example.com', submission: 1 },
+      { id: 12, recipient: 'anna@example.com', submission: null },
+      { id: 13, recipient: 'staff@example.com', submission: 2 },
+    ],
+    webhook_deliveries: [
+      delivery(31, 1),
+      delivery(32, 2),
+    ],
+    contact_submissions_files: [
+      { id: 41, contact_submissions_id: 1, directus_files_id: 'f1' },
+    ],
+    directus_files: [{ id: 'f1' }, { id: 'f2' }],
+    data_subject_requests: [
+      {
+        id: 51,
+        action: 'export',
+        status: 'pending',
+        email_hash: emailHash('anna@example.com'),
+      },
+      {
+        id: 52,
+        action: 'export',
+        status: 'pending',
+        email_hash: emailHash('bob@example.com'),
+      },
+    ],
+  },
+});
+
+/** Records helper bound to a fake context. */
+const recordsOf = (directus) => createDataSubjectRecords(
+{
+  services: directus.services,
+  schema: {},
+});
+
+/** Ids of the items in a collection. */
+const ids = (directus, collection) =>
+  directus.items(collection).map((item) => item.id);
+
+describe('Data subject records', () =>
+{
+  it('exports the records of one address only', async () =>
+  {
+    const directus = setup();
+
+    const data = await recordsOf(directus)
+      .exportRecords('anna@example.com');
+
+    expect(data.email).toBe('anna@example.com');
+    expect(data.contact_submissions).toEqual(
+      [{ id: 1, email: 'anna@example.com', message: 'Hello' }]
+    );
+    expect(data.emails.map((item) => item.id)).toEqual([11, 12]);
+    expect(data.data_requests.map((item) => item.id))
+      .toEqual([51]);
+  });
+
+  it('exports webhook deliveries without the endpoints', async () =>
+  {
+    const directus = setup();
+
+    const data = await recordsOf(directus)
+      .exportRecords('anna@example.com');
+
+    expect(data.webhook_deliveries).toEqual(
+    [
+      {
+        submission: 1,
+        status: 'delivered',
+        date_created: '2026-10-01T10:00:00.000Z',
+        delivered_at: '2026-10-01T10:00:01.000Z',
+      },
+    ]);
+    expect(data.data_requests.map((item) => item.id))
+      .toEqual([51]);
+  });
+
+  it('erases submissions, emails and files of one address', async () =>
+  {
+    const directus = setup();
+
+    const erased = await recordsOf(directus)
+      .eraseRecords('anna@example.com');
+
+    expect(erased).toEqual(
+    {
+      contact_submissions: 1,
+      emails: 2,
+      attachments: 1,
+    });
+    expect(ids(directus, 'contact_submissions')).toEqual([2]);
+    expect(ids(directus, 'email_outbox')).toEqual([13]);
+    expect(ids(directus, 'directus_files')).toEqual(['f2']);
+    // Audit entries outlive the erasure
+    expect(ids(directus, 'data_subject_requests'))
+      .toEqual([51, 52]);
+  });
+
+  it('erases nothing for an unknown address', async () =>
+  {
+    const directus = setup();
+
+    expect(await recordsOf(directus)
+      .eraseRecords('nobody@example.com')).toEqual(
+    {
+      contact_submissions: 0,
+      emails: 0,
+      attachments: 0,
+    });
+    expect(ids(directus, 'contact_submissions')).toEqual([1, 2]);
+  });
+});
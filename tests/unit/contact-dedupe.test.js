@@ -0,0 +1,126 @@
+/**
+ * @file contact-dedupe.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for contact submission
+ *              duplicate detection and idempotency keys.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Request hashes
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  contentHash,
+  createIdempotencyStore,
+  isValidIdempotencyKey,
+  requestHash,
+} from '../../directus/extensions/endpoints/contact-form/dedupe.js';
+
+describe('Contact duplicate detection', () =>
+{
+  describe('contentHash', () =>
+  {
+    it('ignores casing and whitespace', () =>
+    {
+      expect(contentHash(
+      {
+        email: 'Mario@Example.it ',
+        message: 'Ciao,\n  vorrei  visitare.',
+      })).toBe(contentHash(
+      {
+        email: 'mario@example.it',
+        message: 'ciao, vorrei visitare.',
+      }));
+    });
+
+    it('differs for another sender or message', () =>
+    {
+      const base = { email: 'a@example.it', message: 'Ciao' };
+
+      expect(contentHash(base)).not.toBe(contentHash(
+        { ...base, email: 'b@example.it' }
+      ));
+      expect(contentHash(base)).not.toBe(contentHash(
+        { ...base, message: 'Ciao!' }
+      ));
+    });
+  });
+
+  describe('isValidIdempotencyKey', () =>
+  {
+    it('accepts UUIDs and rejects bad values', () =>
+    {
+      expect(isValidIdempotencyKey(
+        '2f1c6a5e-8b1d-4b7a-9d3e-1a2b3c4d5e6f'
+      )).toBe(true);
+      expect(isValidIdempotencyKey('')).toBe(false);
+      expect(isValidIdempotencyKey('has space')).toBe(false);
+      expect(isValidIdempotencyKey('x'.repeat(256)))
+        .toBe(false);
+      expect(isValidIdempotencyKey(['a'])).toBe(false);
+    });
+  });
+
+  describe('requestHash', () =>
+  {
+    it('ignores the field order', () =>
+    {
+      expect(requestHash({ name: 'Anna', message: 'Hi' }))
+        .toBe(requestHash({ message: 'Hi', name: 'Anna' }));
+      expect(requestHash({ name: 'Anna', message: 'Hi' }))
+        .not.toBe(requestHash({ name: 'Anna', message: 'Hello' }));
+    });
+
+    it('covers the file contents', () =>
+    {
+      const file = (content) => (
+      {
+        filename: 'plan.pdf',
+        buffer: Buffer.from(content),
+      });
+
+      expect(requestHash({}, [file('a')]))
+        .toBe(requestHash({}, [file('a')]));
+      expect(requestHash({}, [file('a')]))
+        .not.toBe(requestHash({}, [file('b')]));
+    });
+  });
+
+  describe('createIdempotencyStore (memory)', () =>
+  {
+    it('claims a key once and replays the response', async () =>
+    {
+      const store = createIdempotencyStore({ ttlMs: 1000 });
+
+      expect(await store.begin('key-1', 0)).toBeNull();
+      expect(await store.begin('key-1', 10))
+        .toEqual({ pending: true });
+
+      await store.complete('key-1',
+        { status: 200, body: { ok: true }, requestHash: 'abc' },
+        20
+      );
+
+      expect(await store.begin('key-1', 30)).toEqual(
+      {
+        status: 200,
+        body: { ok: true },
+        requestHash: 'abc',
+      });
+    });
+
+    it('frees released and expired keys', async () =>
+    {
+      const store = createIdempotencyStore({ ttlMs: 1000 });
+
+      await store.begin('key-1', 0);
+      await store.release('key-1');
+      expect(await store.begin('key-1', 10)).toBeNull();
+
+      await store.complete('key-1', { status: 200, body: {} }, 20);
+      expect(await store.begin('key-1', 2000)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,417 @@
+/**
+ * @file contact-digest.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for the contact activity
+ *              digest: settings, schedule, recipients
+ *              and counts, and the localized digest
+ *              emails queued by the job.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Recipient languages, digestEmail and
+ *                the job run
+ *   2026-10-19 - Open submissions listed without names
+ *   2026-10-19 - Digests sent in the background
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DIGEST_EMAILS,
+  ageInDays,
+  createDigestJob,
+  digestEmail,
+  digestRecipients,
+  dueFrequencies,
+  periodStart,
+  resolveDigestSettings,
+  summarizeSubmissions,
+} from '../../directus/extensions/endpoints/contact-form/digest.js';
+import { createDirectus } from '../helpers/directus.js';
+
+/**
+ * Env defaults used by the tests.
+ */
+const DEFAULTS =
+{
+  enabled: true,
+  frequency: 'weekly',
+  recipients: ['board@example.com'],
+  stale_days: 3,
+  weekday: 1,
+};
+
+/**
+ * Monday 19 October 2026, 07:00 local time.
+ */
+const MONDAY = new Date(2026, 9, 19, 7, 0, 0);
+
+describe('resolveDigestSettings', () =>
+{
+  it('uses the env defaults without a settings row', () =>
+  {
+    expect(resolveDigestSettings(null, DEFAULTS))
+      .toEqual(DEFAULTS);
+  });
+
+  it('applies valid singleton values', () =>
+  {
+    const settings = resolveDigestSettings(
+      {
+        enabled: false,
+        frequency: 'daily',
+        recipients: ['a@example.com', ' b@example.com '],
+        stale_days: 7,
+        weekday: 5,
+      },
+      DEFAULTS
+    );
+
+    expect(settings).toEqual(
+    {
+      enabled: false,
+      frequency: 'daily',
+      recipients: ['a@example.com', 'b@example.com'],
+      stale_days: 7,
+      weekday: 5,
+    });
+  });
+
+  it('ignores empty and invalid values', () =>
+  {
+    const settings = resolveDigestSettings(
+      {
+        enabled: null,
+        frequency: 'hourly',
+        recipients: [],
+        stale_days: 0,
+        weekday: 7,
+      },
+      DEFAULTS
+    );
+
+    expect(settings).toEqual(DEFAULTS);
+  });
+});
+
+describe('dueFrequencies', () =>
+{
+  it('adds the weekly digest on its weekday', () =>
+  {
+    expect(dueFrequencies(1, MONDAY)).toEqual(['daily', 'weekly']);
+  });
+
+  it('sends only the daily digest on other days', () =>
+  {
+    expect(dueFrequencies(5, MONDAY)).toEqual(['daily']);
+  });
+});
+
+describe('periodStart', () =>
+{
+  it('covers one day or one week', () =>
+  {
+    expect(periodStart('daily', MONDAY))
+      .toEqual(new Date(MONDAY.getTime() - 24 * 3600 * 1000));
+    expect(periodStart('weekly', MONDAY))
+      .toEqual(new Date(MONDAY.getTime() - 7 * 24 * 3600 * 1000));
+  });
+});
+
+describe('digestRecipients', () =>
+{
+  const users = [
+    {
+      email: 'Anna@example.com',
+      status: 'active',
+      language: 'en-US',
+      contact_digest: 'daily',
+    },
+    {
+      email: 'marco@example.com',
+      status: 'active',
+      language: null,
+      contact_digest: 'weekly',
+    },
+    {
+      email: 'old@example.com',
+      status: 'suspended',
+      contact_digest: 'daily',
+    },
+    {
+      email: 'board@example.com',
+      status: 'active',
+      language: 'de-DE',
+      contact_digest: null,
+    },
+  ];
+
+  it('adds the configured list at its frequency', () =>
+  {
+    expect(digestRecipients(DEFAULTS, users, 'weekly')).toEqual(
+    [
+      { email: 'board@example.com', locale: 'de' },
+      { email: 'marco@example.com', locale: 'it' },
+    ]);
+  });
+
+  it('includes only active users opted in to the frequency', () =>
+  {
+    expect(digestRecipients(DEFAULTS, users, 'daily'))
+      .toEqual([{ email: 'anna@example.com', locale: 'en' }]);
+  });
+});
+
+describe('digestEmail', () =>
+{
+  const data = { total: 4, unanswered_count: 2 };
+  const subjects = [
+  {
+    code: 'visit',
+    translations: [
+      { languages_code: 'it', label: 'Visita' },
+      { languages_code: 'fr', label: 'Visite' },
+    ],
+  }];
+
+  it('uses the recipient language', () =>
+  {
+    const email = digestEmail(
+    {
+      recipient: { email: 'marie@example.com', locale: 'fr' },
+      frequency: 'daily',
+      data,
+      subjects,
+    });
+
+    expect(email.to).toBe('marie@example.com');
+    expect(email.subject).toBe(
+      'Récapitulatif quotidien des contacts: '
+      + '4 nouveaux, 2 en attente'
+    );
+    expect(email.template.data).toMatchObject(
+    {
+      locale: 'fr',
+      labels: DIGEST_EMAILS.fr,
+      subject_labels: { visit: 'Visite' },
+      total: 4,
+    });
+  });
+
+  it('falls back to the default wording', () =>
+  {
+    const email = digestEmail(
+    {
+      recipient: { email: 'a@example.com', locale: 'ja' },
+      frequency: 'weekly',
+      data,
+      subjects,
+    });
+
+    expect(email.template.data.labels).toBe(DIGEST_EMAILS.it);
+    expect(email.template.data.subject_labels.visit)
+      .toBe('Visita');
+  });
+});
+
+describe('DIGEST_EMAILS', () =>
+{
+  it('has the same labels in every language', () =>
+  {
+    const keys = Object.keys(DIGEST_EMAILS.en).sort();
+    const statuses = Object.keys(DIGEST_EMAILS.en.statuses).sort();
+
+    for (const labels of Object.values(DIGEST_EMAILS))
+    {
+      expect(Object.keys(labels).sort()).toEqual(keys);
+      expect(Object.keys(labels.statuses).sort())
+        .toEqual(statuses);
+    }
+  });
+});
+
+describe('createDigestJob', () =>
+{
+  it('queues one digest per recipient in their language', async () =>
+  {
+    const directus = createDirectus(
+    {
+      data:
+      {
+        contact_digest: [
+        {
+          enabled: true,
+          frequency: 'weekly',
+          recipients: 'board@example.com',
+          weekday: 1,
+          stale_days: 3,
+        }],
+        directus_users: [
+        {
+          email: 'hans@example.com',
+          status: 'active',
+          language: 'de-DE',
+          contact_digest: 'weekly',
+        }],
+        contact_subjects: [
+        {
+          code: 'visit',
+          active: true,
+          translations: [
+            { languages_code: 'de', label: 'Besichtigung' },
+          ],
+        }],
+        contact_submissions: [
+        {
+          id: 1,
+          name: 'Anna',
+          subject: 'visit',
+          status: 'new',
+          date_created: new Date(
+            MONDAY.getTime() - 24 * 3600 * 1000
+          ).toISOString(),
+        }],
+      },
+    });
+
+    const results = await createDigestJob(
+    {
+      services: directus.services,
+      schema: {},
+      database: directus.database,
+    }).run(MONDAY);
+
+    expect(results).toEqual(
+    [
+      {
+        frequency: 'weekly',
+        total: 1,
+        unanswered: 0,
+        recipients: 2,
+      },
+    ]);
+
+    const queued = directus.items('email_outbox');
+
+    expect(queued.map((email) => email.recipient))
+      .toEqual(['board@example.com', 'hans@example.com']);
+    expect(queued[0].payload.locale).toBe('it');
+    expect(queued[1].subject).toBe(
+      'Wöchentliche Kontaktübersicht: 1 neu, 0 offen'
+    );
+    expect(queued[1].payload.subject_labels)
+      .toEqual({ visit: 'Besichtigung' });
+    await vi.waitFor(() =>
+      expect(queued.map((email) => email.status))
+        .toEqual(['sent', 'sent'])
+    );
+    expect(directus.mail.sent
+      .find((mail) => mail.to === 'hans@example.com').text)
+      .toContain('Besichtigung: 1, Neu 1');
+  });
+
+  it('lists open submissions by id and link only', async () =>
+  {
+    const directus = createDirectus(
+    {
+      data:
+      {
+        contact_digest: [
+        {
+          enabled: true,
+          frequency: 'daily',
+          recipients: 'board@example.com',
+          stale_days: 3,
+        }],
+        contact_submissions: [
+        {
+          id: 7,
+          name: 'Anna Rossi',
+          email: 'anna@example.com',
+          subject: 'visit',
+          status: 'new',
+          date_created: new Date(
+            MONDAY.getTime() - 5 * 24 * 3600 * 1000
+          ).toISOString(),
+        }],
+      },
+    });
+
+    await createDigestJob(
+    {
+      services: directus.services,
+      schema: {},
+      database: directus.database,
+    }).run(MONDAY);
+
+    const [email] = directus.items('email_outbox');
+
+    expect(email.payload.unanswered).toEqual(
+    [
+      {
+        id: 7,
+        subject: 'visit',
+        status: 'new',
+        age_days: 5,
+        url: expect.stringMatching(
+          /\/admin\/content\/contact_submissions\/7$/
+        ),
+      },
+    ]);
+    expect(JSON.stringify(email.payload)).not.toContain('Anna');
+    await vi.waitFor(() =>
+      expect(directus.mail.sent[0].text).toContain('#7')
+    );
+  });
+});
+
+describe('summarizeSubmissions', () =>
+{
+  it('counts by subject and status, busiest first', () =>
+  {
+    const summary = summarizeSubmissions(
+    [
+      { subject: 'visit', status: 'new' },
+      { subject: 'info', status: 'replied' },
+      { subject: 'info', status: 'new' },
+      { subject: null, status: 'spam' },
+    ]);
+
+    expect(summary.total).toBe(4);
+    expect(summary.statuses).toEqual(
+    {
+      new: 2,
+      in_progress: 0,
+      replied: 1,
+      archived: 0,
+      spam: 1,
+    });
+    expect(summary.subjects.map((group) => group.subject))
+      .toEqual(['info', 'other', 'visit']);
+    expect(summary.subjects[0]).toMatchObject(
+    {
+      total: 2,
+      statuses: { new: 1, replied: 1 },
+    });
+  });
+
+  it('returns empty counts without submissions', () =>
+  {
+    const summary = summarizeSubmissions([]);
+
+    expect(summary.total).toBe(0);
+    expect(summary.subjects).toEqual([]);
+    expect(summary.statuses.new).toBe(0);
+  });
+});
+
+describe('ageInDays', () =>
+{
+  it('counts whole days', () =>
+  {
+    const now = new Date('2026-10-19T12:00:00.000Z');
+
+    expect(ageInDays('2026-10-16T13:00:00.000Z', now)).toBe(2);
+    expect(ageInDays('2026-10-16T11:00:00.000Z', now)).toBe(3);
+  });
+});
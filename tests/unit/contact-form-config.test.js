@@ -0,0 +1,153 @@
+/**
+ * @file contact-form-config.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for the public contact form
+ *              config returned by GET /contact-form/config.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Privacy consent field
+ *   2026-10-19 - Attachment limits
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildFormConfig,
+} from '../../directus/extensions/endpoints/contact-form/form-config.js';
+import {
+  ALLOWED_PATTERNS,
+} from '../../directus/extensions/endpoints/contact-form/validation.js';
+
+const SUBJECTS = [
+  {
+    code: 'info',
+    translations: [
+      { languages_code: 'it', label: 'Informazioni' },
+      { languages_code: 'de', label: 'Informationen' },
+    ],
+  },
+  {
+    code: 'visit',
+    translations: [
+      { languages_code: 'it', label: 'Visita' },
+    ],
+  },
+  {
+    code: 'other',
+    translations: [],
+  },
+];
+
+const POLICY = {
+  id: 2,
+  version: '2026-10',
+  translations: [
+    { languages_code: 'it', title: 'Informativa privacy' },
+    { languages_code: 'de', title: 'Datenschutzhinweis' },
+  ],
+};
+
+describe('Contact form config', () =>
+{
+  const config = buildFormConfig(
+  {
+    subjects: SUBJECTS,
+    locale: 'de',
+    policy: POLICY,
+  });
+
+  it('has a stable top-level shape', () =>
+  {
+    expect(config.version).toBe(1);
+    expect(config.locale).toBe('de');
+    expect(Object.keys(config.fields)).toEqual(
+      [
+        'name',
+        'email',
+        'phone',
+        'subject',
+        'message',
+        'privacy_consent',
+        'attachments',
+      ]
+    );
+  });
+
+  it('exposes lengths and required flags', () =>
+  {
+    expect(config.fields.name).toMatchObject(
+    {
+      required: true,
+      minLength: 2,
+      maxLength: 100,
+    });
+    expect(config.fields.phone.required).toBe(false);
+    expect(config.fields.message).toMatchObject(
+    {
+      minLength: 10,
+      maxLength: 2000,
+    });
+  });
+
+  it('exposes the validation patterns', () =>
+  {
+    const { source, flags } = config.fields.name.pattern;
+    const pattern = new RegExp(source, flags);
+
+    expect(source).toBe(ALLOWED_PATTERNS.name.source);
+    expect(pattern.test('Anna Schmidt')).toBe(true);
+    expect(pattern.test('<script>')).toBe(false);
+  });
+
+  it('localizes subject labels with fallback', () =>
+  {
+    expect(config.fields.subject.options).toEqual(
+    [
+      { value: 'info', label: 'Informationen' },
+      { value: 'visit', label: 'Visita' },
+      { value: 'other', label: 'other' },
+    ]);
+  });
+
+  it('describes the current privacy policy', () =>
+  {
+    expect(config.fields.privacy_consent).toEqual(
+    {
+      required: true,
+      policy: { version: '2026-10', title: 'Datenschutzhinweis' },
+    });
+    expect(buildFormConfig({ subjects: [], locale: 'it' })
+      .fields.privacy_consent.policy).toBeNull();
+  });
+
+  it('describes the attachment limits', () =>
+  {
+    const limits =
+    {
+      enabled: true,
+      types: ['application/pdf'],
+      maxBytes: 1024,
+      maxFiles: 2,
+    };
+
+    expect(buildFormConfig(
+    {
+      subjects: [],
+      locale: 'it',
+      attachments: limits,
+    }).fields.attachments).toEqual(
+    {
+      required: false,
+      maxFiles: 2,
+      maxBytes: 1024,
+      types: ['application/pdf'],
+    });
+    expect(buildFormConfig(
+    {
+      subjects: [],
+      locale: 'it',
+      attachments: { ...limits, enabled: false },
+    }).fields.attachments).toBeNull();
+  });
+});
@@ -0,0 +1,835 @@
+/**
+ * @file contact-form-endpoint.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Behavioral tests for the /contact-form
+ *              endpoint: the module loads and registers
+ *              its routes, and requests run through the
+ *              routes against a fake Directus context.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Data subject request routes
+ *   2026-10-19 - Auto-reply as the thread root
+ *   2026-10-19 - Staff reply route
+ *   2026-10-19 - Verification email dropped on completion
+ *   2026-10-19 - Malformed multipart posts
+ *   2026-10-19 - Emails checked in the outbox
+ *   2026-10-19 - Idempotency-Key bound to the request and
+ *                the client
+ *   2026-10-19 - Challenge check route
+ */
+
+import { createHash } from 'node:crypto';
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createDirectus,
+  createRequest,
+  createResponse,
+  createRouter,
+} from '../helpers/directus.js';
+
+const SECRET = 'test-secret-at-least-32-characters';
+const FORM_POST_SECRET = 'form-post-secret-at-least-32-chars';
+
+process.env.SECRET = SECRET;
+process.env.CONTACT_FORM_POST_SECRET = FORM_POST_SECRET;
+process.env.ADMIN_EMAIL = 'admin@example.com';
+process.env.CONTACT_POW_DIFFICULTY = '4';
+
+// Constants are read from env when the module loads
+const { default: registerEndpoint } = await import(
+  '../../directus/extensions/endpoints/contact-form/index.js'
+);
+const { issueToken, verifyToken } = await import(
+  '../../directus/extensions/endpoints/contact-form/form-token.js'
+);
+const { issueChallenge, leadingZeroBits } = await import(
+  '../../directus/extensions/endpoints/contact-form/proof-of-work.js'
+);
+const { issueRequestToken } = await import(
+  '../../directus/extensions/endpoints/contact-form/data-subject.js'
+);
+
+/**
+ * Content every test starts from.
+ */
+const BASE_DATA =
+{
+  languages: [{ code: 'it', sort: 1 }, { code: 'en', sort: 2 }],
+  contact_subjects: [
+  {
+    code: 'visit',
+    sort: 1,
+    active: true,
+    translations: [{ languages_code: 'en', label: 'Visit' }],
+  }],
+  privacy_policies: [
+  {
+    id: 1,
+    version: '2026-01',
+    status: 'published',
+    date_published: '2026-01-01T00:00:00.000Z',
+    translations: [],
+  }],
+};
+
+/** Registers the endpoint on a fresh fake context. */
+const setup = (data = {}, options = {}) =>
+{
+  const directus = createDirectus(
+  {
+    data: { ...BASE_DATA, ...data },
+    ...options,
+  });
+  const router = createRouter();
+
+  registerEndpoint(router, directus);
+  return { directus, router };
+};
+
+/** Runs a route handler and returns the response. */
+const call = async (router, method, path, request) =>
+{
+  const res = createResponse();
+
+  await router.handler(method, path)(createRequest(request), res);
+  return res;
+};
+
+/** Brute-forces a proof-of-work solution. */
+const solve = (challenge) =>
+{
+  for (let n = 0; ; n++)
+  {
+    const hash = createHash('sha256')
+      .update(`${challenge}:${n}`)
+      .digest();
+
+    if (leadingZeroBits(hash) >= 4)
+    {
+      return String(n);
+    }
+  }
+};
+
+/** Valid submission fields with token and solution. */
+const submission = (overrides = {}) =>
+{
+  const challenge = issueChallenge(SECRET, 4);
+
+  return {
+    name: 'Anna Rossi',
+    email: 'anna@example.com',
+    subject: 'visit',
+    message: 'We would like to visit the house next month.',
+    privacy_consent: 'true',
+    privacy_version: '2026-01',
+    locale: 'en',
+    form_token: issueToken(SECRET, Date.now() - 5000),
+    pow_challenge: challenge,
+    pow_solution: solve(challenge),
+    ...overrides,
+  };
+};
+
+const BOUNDARY = 'lares-endpoint-boundary';
+
+/** Encodes fields and one PDF as multipart/form-data. */
+const multipart = (fields, file) =>
+  Object.entries(fields).map(([name, value]) =>
+    `--${BOUNDARY}\r\n`
+    + `Content-Disposition: form-data; name="${name}"\r\n\r\n`
+    + `${value}\r\n`
+  ).join('')
+  + `--${BOUNDARY}\r\n`
+  + 'Content-Disposition: form-data; name="attachments"; '
+  + `filename="${file.filename}"\r\n`
+  + 'Content-Type: application/pdf\r\n\r\n'
+  + `${file.content}\r\n`
+  + `--${BOUNDARY}--\r\n`;
+
+describe('Contact form endpoint', () =>
+{
+  it('loads and registers its routes', () =>
+  {
+    const { router } = setup();
+
+    expect(router.paths()).toEqual(expect.arrayContaining(
+    [
+      'GET /config',
+      'GET /token',
+      'GET /challenge',
+      'POST /challenge/verify',
+      'POST /',
+      'POST /data-request',
+      'GET /data-request/:token',
+      'POST /data-request/:token',
+      'POST /submissions/:id/reply',
+    ]));
+  });
+
+  describe('GET /token', () =>
+  {
+    it('issues form post tokens only for the frontend key', async () =>
+    {
+      const { router } = setup();
+
+      const browser = await call(router, 'GET', '/token', {});
+      const frontend = await call(router, 'GET', '/token',
+      {
+        headers: { 'x-contact-form-key': FORM_POST_SECRET },
+      });
+      const verify = (token, secret) => verifyToken(token, secret,
+      {
+        minFillMs: 0,
+        maxAgeMs: 60000,
+      }).valid;
+
+      expect(verify(browser.body.token, SECRET)).toBe(true);
+      expect(verify(browser.body.token, FORM_POST_SECRET))
+        .toBe(false);
+      expect(verify(frontend.body.token, FORM_POST_SECRET))
+        .toBe(true);
+    });
+  });
+
+  describe('POST /challenge/verify', () =>
+  {
+    const verify = (router) =>
+    {
+      const challenge = issueChallenge(SECRET, 4);
+
+      return call(router, 'POST', '/challenge/verify',
+      {
+        headers: { 'content-type': 'application/json' },
+        body: { challenge, solution: solve(challenge) },
+      });
+    };
+
+    it('checks a solution without consuming it', async () =>
+    {
+      const { router } = setup();
+
+      expect((await verify(router)).body).toEqual(
+        { valid: true, reason: null }
+      );
+    });
+
+    it('answers 500 when the check fails', async () =>
+    {
+      const { router } = setup();
+      const log = vi.spyOn(console, 'error')
+        .mockImplementation(() => {});
+      delete process.env.SECRET;
+
+      try
+      {
+        const res = await verify(router);
+
+        expect(res.statusCode).toBe(500);
+        expect(res.body).toEqual({ message: 'Internal server error.' });
+      }
+      finally
+      {
+        process.env.SECRET = SECRET;
+        log.mockRestore();
+      }
+    });
+  });
+
+  describe('POST / as a plain form post', () =>
+  {
+    /** Posts urlencoded fields like a browser form. */
+    const formPost = (router, fields) => call(router, 'POST', '/',
+    {
+      headers:
+      {
+        'content-type': 'application/x-www-form-urlencoded',
+        accept: 'text/html',
+      },
+      raw: new URLSearchParams(fields).toString(),
+    });
+
+    it('accepts a frontend-issued token without proof-of-work', async () =>
+    {
+      const { directus, router } = setup();
+
+      const res = await formPost(router, submission(
+      {
+        form_token: issueToken(FORM_POST_SECRET, Date.now() - 5000),
+        pow_challenge: '',
+        pow_solution: '',
+      }));
+
+      expect(res.statusCode).toBe(303);
+      expect(res.location)
+        .toBe('http://localhost:4321/en/contact/thank-you');
+      expect(directus.items('contact_submissions')).toHaveLength(1);
+    });
+
+    it('stores nothing with a public token', async () =>
+    {
+      const { directus, router } = setup();
+
+      const res = await formPost(router, submission(
+      {
+        pow_challenge: '',
+        pow_solution: '',
+      }));
+
+      // Same redirect as a success, so bots learn nothing
+      expect(res.statusCode).toBe(303);
+      expect(directus.items('contact_submissions')).toEqual([]);
+    });
+
+    it('redirects validation errors to the error page', async () =>
+    {
+      const { router } = setup();
+
+      const res = await formPost(router, submission(
+      {
+        form_token: issueToken(FORM_POST_SECRET, Date.now() - 5000),
+        email: 'not-an-email',
+      }));
+
+      expect(res.statusCode).toBe(303);
+      expect(res.location).toBe(
+        'http://localhost:4321/en/contact/error'
+        + '?reason=validation&email=invalid_format'
+      );
+    });
+  });
+
+  describe('POST /', () =>
+  {
+    it('stores a JSON submission and queues emails', async () =>
+    {
+      const { directus, router } = setup();
+
+      const res = await call(router, 'POST', '/',
+      {
+        headers: { 'content-type': 'application/json' },
+        body: submission(),
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(directus.items('contact_submissions')).toEqual(
+      [
+        expect.objectContaining(
+        {
+          name: 'Anna Rossi',
+          email: 'anna@example.com',
+          status: 'new',
+          consent_version: '2026-01',
+        }),
+      ]);
+      expect(directus.items('email_outbox')[0]).toMatchObject(
+      {
+        recipient: 'admin@example.com',
+        template: 'contact-notification',
+      });
+    });
+
+    it('sends the auto-reply as the root of the thread', async () =>
+    {
+      const { directus, router } = setup(
+      {
+        contact_autoreply: [
+        {
+          enabled: true,
+          translations: [
+          {
+            languages_code: 'en',
+            email_subject: 'We received your message',
+            greeting: 'Hello',
+            body: '<p>Thanks.</p>',
+            signature: 'The team',
+          }],
+        }],
+      });
+
+      await call(router, 'POST', '/',
+      {
+        headers: { 'content-type': 'application/json' },
+        body: submission(),
+      });
+
+      const [item] = directus.items('contact_submissions');
+      const autoReply = directus.items('email_outbox')
+        .find((email) => email.template === 'contact-autoreply');
+
+      expect(autoReply.message_id)
+        .toMatch(new RegExp(`^<submission-${item.id}@`));
+    });
+
+    it('stores multipart attachments', async () =>
+    {
+      const { directus, router } = setup();
+      const raw = multipart(submission(),
+      {
+        filename: 'plan.pdf',
+        content: '%PDF-1.7 test',
+      });
+
+      const res = await call(router, 'POST', '/',
+      {
+        headers:
+        {
+          'content-type':
+            `multipart/form-data; boundary=${BOUNDARY}`,
+          'content-length': String(Buffer.byteLength(raw)),
+          accept: 'application/json',
+        },
+        raw,
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(directus.items('directus_files')).toEqual(
+      [
+        expect.objectContaining(
+        {
+          filename_download: 'plan.pdf',
+          type: 'application/pdf',
+        }),
+      ]);
+      expect(directus.items('contact_submissions_files'))
+        .toHaveLength(1);
+    });
+
+    it('answers malformed multipart posts with 400', async () =>
+    {
+      const { directus, router } = setup();
+      const raw = multipart(submission(),
+      {
+        filename: 'plan.pdf',
+        content: '%PDF-1.7 test',
+      }).replace(`--${BOUNDARY}--\r\n`, '');
+
+      const res = await call(router, 'POST', '/',
+      {
+        headers:
+        {
+          'content-type':
+            `multipart/form-data; boundary=${BOUNDARY}`,
+          accept: 'application/json',
+        },
+        raw,
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ message: 'Invalid request body.' });
+      expect(directus.items('contact_submissions')).toEqual([]);
+    });
+
+    it('rejects unknown privacy policy versions', async () =>
+    {
+      const { directus, router } = setup();
+
+      const res = await call(router, 'POST', '/',
+      {
+        headers: { 'content-type': 'application/json' },
+        body: submission({ privacy_version: '2025-01' }),
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors)
+        .toEqual({ privacy_consent: 'outdated' });
+      expect(directus.items('contact_submissions')).toEqual([]);
+    });
+
+    it('closes without a published privacy policy', async () =>
+    {
+      const { directus, router } = setup({ privacy_policies: [] });
+
+      const res = await call(router, 'POST', '/',
+      {
+        headers: { 'content-type': 'application/json' },
+        body: submission(),
+      });
+
+      expect(res.statusCode).toBe(503);
+      expect(directus.items('contact_submissions')).toEqual([]);
+    });
+
+    it('rate limits before reading the body', async () =>
+    {
+      const { router } = setup();
+      const post = () => call(router, 'POST', '/',
+      {
+        headers: { 'content-type': 'application/json' },
+        body: submission(),
+      });
+
+      for (let i = 0; i < 3; i++)
+      {
+        expect((await post()).statusCode).toBe(200);
+      }
+
+      const req = createRequest(
+      {
+        headers:
+        {
+          'content-type':
+            `multipart/form-data; boundary=${BOUNDARY}`,
+          accept: 'application/json',
+        },
+        raw: multipart(submission(),
+        {
+          filename: 'plan.pdf',
+          content: '%PDF-1.7 test',
+        }),
+      });
+      const res = createResponse();
+
+      await router.handler('POST', '/')(req, res);
+
+      expect(res.statusCode).toBe(429);
+      expect(req.readableEnded).toBe(false);
+    });
+
+    describe('with an Idempotency-Key', () =>
+    {
+      const headers =
+      {
+        'content-type': 'application/x-www-form-urlencoded',
+        accept: 'text/html',
+        'accept-language': 'en',
+        'idempotency-key': 'a1b2c3d4e5f6a7b8c9d0',
+      };
+      const fields = submission(
+      {
+        form_token: issueToken(FORM_POST_SECRET, Date.now() - 5000),
+      });
+      const post = (router, raw, ip) => call(router, 'POST', '/',
+      {
+        headers,
+        raw,
+        ip,
+      });
+
+      it('replays the response to the same request', async () =>
+      {
+        const { directus, router } = setup();
+        const raw = new URLSearchParams(fields).toString();
+
+        const first = await post(router, raw);
+        const replay = await post(router, raw);
+
+        expect(first.statusCode).toBe(303);
+        expect(replay.statusCode).toBe(303);
+        expect(replay.location).toBe(first.location);
+        expect(replay.headers['idempotent-replayed']).toBe('true');
+        expect(directus.items('contact_submissions')).toHaveLength(1);
+      });
+
+      it('refuses the key for a different request', async () =>
+      {
+        const { directus, router } = setup();
+
+        await post(router, new URLSearchParams(fields).toString());
+        const reused = await post(router, new URLSearchParams(
+          { ...fields, message: 'Something else entirely' }
+        ).toString());
+
+        expect(reused.statusCode).toBe(303);
+        expect(reused.location).toContain('reason=key_reused');
+        expect(reused.headers['idempotent-replayed']).toBeUndefined();
+        expect(directus.items('contact_submissions')).toHaveLength(1);
+      });
+
+      it('keeps keys apart per client', async () =>
+      {
+        const { directus, router } = setup();
+        const raw = new URLSearchParams(fields).toString();
+
+        await post(router, raw, '203.0.113.1');
+        const other = await post(router, raw, '198.51.100.7');
+
+        expect(other.headers['idempotent-replayed']).toBeUndefined();
+        expect(directus.items('contact_submissions')).toHaveLength(1);
+      });
+    });
+
+    it('rejects unsupported content types', async () =>
+    {
+      const { router } = setup();
+
+      const res = await call(router, 'POST', '/',
+      {
+        headers: { 'content-type': 'text/plain' },
+        body: {},
+      });
+
+      expect(res.statusCode).toBe(415);
+    });
+  });
+
+  describe('POST /data-request', () =>
+  {
+    /** Posts a data request with token and solution. */
+    const request = (router, overrides = {}) =>
+    {
+      const challenge = issueChallenge(SECRET, 4);
+
+      return call(router, 'POST', '/data-request',
+      {
+        headers: { 'content-type': 'application/json' },
+        body:
+        {
+          email: 'anna@example.com',
+          action: 'erase',
+          locale: 'en',
+          form_token: issueToken(SECRET, Date.now() - 5000),
+          pow_challenge: challenge,
+          pow_solution: solve(challenge),
+          ...overrides,
+        },
+      });
+    };
+
+    it('records the request and emails the link', async () =>
+    {
+      const { directus, router } = setup();
+
+      const res = await request(router);
+
+      expect(res.statusCode).toBe(202);
+      expect(directus.items('data_subject_requests')).toEqual(
+      [
+        expect.objectContaining(
+        {
+          action: 'erase',
+          status: 'pending',
+          email: 'anna@example.com',
+        }),
+      ]);
+      expect(directus.items('email_outbox')[0].recipient)
+        .toBe('anna@example.com');
+      expect(directus.items('email_outbox')[0].data_request)
+        .toBe(directus.items('data_subject_requests')[0].id);
+    });
+
+    it('sends nothing without a valid form token', async () =>
+    {
+      const { directus, router } = setup();
+
+      const res = await request(router, { form_token: 'forged' });
+
+      expect(res.statusCode).toBe(202);
+      expect(directus.items('data_subject_requests')).toEqual([]);
+      expect(directus.items('email_outbox')).toEqual([]);
+    });
+
+    it('requires the proof-of-work', async () =>
+    {
+      const { directus, router } = setup();
+
+      const res = await request(router, { pow_solution: '' });
+
+      expect(res.statusCode).toBe(403);
+      expect(directus.items('email_outbox')).toEqual([]);
+    });
+
+    it('caps verification emails per address', async () =>
+    {
+      const { directus, router } = setup();
+
+      // From different IPs, within the IP limit each
+      for (const ip of ['203.0.113.1', '203.0.113.2'])
+      {
+        for (let i = 0; i < 2; i++)
+        {
+          const challenge = issueChallenge(SECRET, 4);
+          const res = await call(router, 'POST', '/data-request',
+          {
+            headers: { 'content-type': 'application/json' },
+            ip,
+            body:
+            {
+              email: 'anna@example.com',
+              action: 'export',
+              form_token: issueToken(SECRET, Date.now() - 5000),
+              pow_challenge: challenge,
+              pow_solution: solve(challenge),
+            },
+          });
+
+          expect(res.statusCode).toBe(202);
+        }
+      }
+
+      expect(directus.items('email_outbox')).toHaveLength(3);
+      expect(directus.items('data_subject_requests')).toHaveLength(3);
+    });
+  });
+
+  describe('/data-request/:token', () =>
+  {
+    /** Fake context with one pending request. */
+    const pending = (action = 'erase') => setup(
+    {
+      contact_submissions: [
+        { id: 1, email: 'anna@example.com', message: 'Hello' },
+      ],
+      email_outbox: [
+      {
+        id: 61,
+        recipient: 'anna@example.com',
+        template: 'data-request-verify',
+        data_request: 51,
+      }],
+      data_subject_requests: [
+      {
+        id: 51,
+        action,
+        status: 'pending',
+        email: 'anna@example.com',
+        locale: 'en',
+      }],
+    });
+    const token = () => issueRequestToken(51, SECRET);
+
+    it('shows a confirmation page and changes nothing', async () =>
+    {
+      const { directus, router } = pending();
+
+      const res = await call(router, 'GET', '/data-request/:token',
+      {
+        params: { token: token() },
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('html');
+      expect(res.body).toContain('<form method="post"');
+      expect(directus.items('contact_submissions')).toHaveLength(1);
+      expect(directus.items('data_subject_requests')[0].status)
+        .toBe('pending');
+    });
+
+    it('erases the records on confirmation', async () =>
+    {
+      const { directus, router } = pending();
+      const params = { token: token() };
+
+      const res = await call(router, 'POST', '/data-request/:token',
+      {
+        params,
+      });
+      const again = await call(router, 'POST',
+        '/data-request/:token', { params });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toContain('Your data has been erased.');
+      expect(directus.items('contact_submissions')).toEqual([]);
+      expect(directus.items('data_subject_requests')[0])
+        .toMatchObject({ status: 'completed', email: null });
+      expect(directus.logger.logs).toEqual(
+      [
+        expect.objectContaining({ level: 'info' }),
+      ]);
+      expect(again.statusCode).toBe(410);
+    });
+
+    it('exports the records and drops the verification email',
+      async () =>
+      {
+        const { directus, router } = pending('export');
+
+        const res = await call(router, 'POST', '/data-request/:token',
+        {
+          params: { token: token() },
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.contact_submissions).toEqual(
+          [{ id: 1, email: 'anna@example.com', message: 'Hello' }]
+        );
+        expect(directus.items('email_outbox')).toEqual([]);
+        expect(directus.items('data_subject_requests')[0])
+          .toMatchObject({ status: 'completed', email: null });
+      });
+
+    it('rejects invalid links', async () =>
+    {
+      const { router } = pending();
+
+      const res = await call(router, 'GET', '/data-request/:token',
+      {
+        params: { token: '51.1.forged' },
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).not.toContain('<form');
+    });
+  });
+
+  describe('POST /submissions/:id/reply', () =>
+  {
+    /** Fake context with one submission to answer. */
+    const replySetup = () => setup(
+    {
+      contact_submissions: [
+      {
+        id: 7,
+        email: 'anna@example.com',
+        subject: 'visit',
+        locale: 'en',
+        status: 'new',
+      }],
+    });
+    const body = { subject: 'Re: Visit', message: 'Saturday works.' };
+
+    it('requires a signed-in user', async () =>
+    {
+      const { directus, router } = replySetup();
+
+      const res = await call(router, 'POST',
+        '/submissions/:id/reply', { params: { id: 7 }, body });
+
+      expect(res.statusCode).toBe(401);
+      expect(directus.mail.sent).toEqual([]);
+    });
+
+    it('sends the reply for staff', async () =>
+    {
+      const { directus, router } = replySetup();
+
+      const res = await call(router, 'POST',
+        '/submissions/:id/reply',
+        {
+          params: { id: 7 },
+          body,
+          accountability: { user: 'staff-1', admin: false },
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.status).toBe('replied');
+      expect(directus.mail.sent[0]).toMatchObject(
+      {
+        to: 'anna@example.com',
+        replyTo: ['admin@example.com'],
+      });
+    });
+
+    it('rejects an empty reply', async () =>
+    {
+      const { router } = replySetup();
+
+      const res = await call(router, 'POST',
+        '/submissions/:id/reply',
+        {
+          params: { id: 7 },
+          body: { subject: '' },
+          accountability: { user: 'staff-1', admin: false },
+        });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.errors).toEqual(
+      {
+        subject: 'required',
+        message: 'required',
+      });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @file contact-form-post.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for no-JavaScript contact
+ *              form posts: body parsing and redirects.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { Readable } from 'node:stream';
+import { describe, it, expect } from 'vitest';
+import {
+  readFormBody,
+  redirectUrl,
+} from '../../directus/extensions/endpoints/contact-form/form-post.js';
+
+const PAGES = {
+  frontendUrl: 'https://larescohousing.it',
+  successPath: '/{locale}/contact/thank-you',
+  errorPath: '/{locale}/contact/error',
+  locale: 'de',
+};
+
+describe('Contact form posts', () =>
+{
+  describe('readFormBody', () =>
+  {
+    it('parses urlencoded fields', async () =>
+    {
+      const req = Readable.from([
+        Buffer.from('name=Anna+M%C3%BCller&email=a%40b.de'),
+        Buffer.from('&name=ignored&__proto__=x'),
+      ]);
+
+      const fields = await readFormBody(req, 1024);
+
+      expect(fields.name).toBe('Anna Müller');
+      expect(fields.email).toBe('a@b.de');
+      expect(Object.getPrototypeOf(fields))
+        .toBe(Object.prototype);
+    });
+
+    it('uses an already parsed body', async () =>
+    {
+      const req = Readable.from([]);
+      req.body = { name: 'Anna' };
+
+      expect(await readFormBody(req, 1024))
+        .toEqual({ name: 'Anna' });
+    });
+
+    it('rejects bodies over the limit', async () =>
+    {
+      const req = Readable.from([Buffer.alloc(2048, 'a')]);
+
+      await expect(readFormBody(req, 1024)).rejects
+        .toMatchObject({ status: 413 });
+    });
+  });
+
+  describe('redirectUrl', () =>
+  {
+    it('redirects successes to the thank-you page', () =>
+    {
+      expect(redirectUrl({ ...PAGES, status: 200 })).toBe(
+        'https://larescohousing.it/de/contact/thank-you'
+      );
+    });
+
+    it('carries only known fields and codes', () =>
+    {
+      const url = new URL(redirectUrl(
+      {
+        ...PAGES,
+        status: 400,
+        body:
+        {
+          errors:
+          {
+            email: 'invalid_format',
+            message: 'too_short',
+            evil: 'required',
+            name: '<script>',
+          },
+        },
+      }));
+
+      expect(url.pathname).toBe('/de/contact/error');
+      expect(Object.fromEntries(url.searchParams)).toEqual(
+      {
+        reason: 'validation',
+        email: 'invalid_format',
+        message: 'too_short',
+      });
+    });
+
+    it('maps other statuses to a reason', () =>
+    {
+      const reason = (status) => new URL(
+        redirectUrl({ ...PAGES, status })
+      ).searchParams.get('reason');
+
+      expect(reason(429)).toBe('rate_limited');
+      expect(reason(403)).toBe('challenge');
+      expect(reason(500)).toBe('server');
+    });
+  });
+});
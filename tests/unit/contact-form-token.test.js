@@ -0,0 +1,135 @@
+/**
+ * @file contact-form-token.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for signed contact form
+ *              tokens: signature, fill time, expiry
+ *              and replay detection.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Form post key
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createNonceStore,
+  isFormPostKey,
+  issueToken,
+  verifyToken,
+} from '../../directus/extensions/endpoints/contact-form/form-token.js';
+
+const SECRET = 'test-secret-at-least-32-characters';
+const OPTIONS = { minFillMs: 3000, maxAgeMs: 60000 };
+
+describe('Contact form token', () =>
+{
+  describe('verifyToken', () =>
+  {
+    it('accepts a token after the minimum fill time', () =>
+    {
+      const token = issueToken(SECRET, 1000);
+      const result = verifyToken(token, SECRET,
+      {
+        ...OPTIONS,
+        now: 5000,
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.nonce).toBeTruthy();
+    });
+
+    it('rejects missing and malformed tokens', () =>
+    {
+      expect(verifyToken(undefined, SECRET, OPTIONS).reason)
+        .toBe('missing');
+      expect(verifyToken(['a'], SECRET, OPTIONS).reason)
+        .toBe('missing');
+      expect(verifyToken('abc', SECRET, OPTIONS).reason)
+        .toBe('malformed');
+    });
+
+    it('rejects forged signatures', () =>
+    {
+      const token = issueToken('another-secret', 1000);
+      expect(verifyToken(token, SECRET,
+      {
+        ...OPTIONS,
+        now: 5000,
+      }).reason).toBe('bad_signature');
+    });
+
+    it('rejects a tampered issue time', () =>
+    {
+      const [, nonce, signature] =
+        issueToken(SECRET, 1000).split('.');
+      const tampered = `0.${nonce}.${signature}`;
+
+      expect(verifyToken(tampered, SECRET,
+      {
+        ...OPTIONS,
+        now: 5000,
+      }).reason).toBe('bad_signature');
+    });
+
+    it('rejects too fast submissions', () =>
+    {
+      const token = issueToken(SECRET, 1000);
+      expect(verifyToken(token, SECRET,
+      {
+        ...OPTIONS,
+        now: 2000,
+      }).reason).toBe('too_fast');
+    });
+
+    it('rejects expired tokens', () =>
+    {
+      const token = issueToken(SECRET, 1000);
+      expect(verifyToken(token, SECRET,
+      {
+        ...OPTIONS,
+        now: 100000,
+      }).reason).toBe('expired');
+    });
+
+    it('refuses to issue without a secret', () =>
+    {
+      expect(() => issueToken(undefined)).toThrow();
+    });
+  });
+
+  describe('isFormPostKey', () =>
+  {
+    it('accepts only the configured key', () =>
+    {
+      expect(isFormPostKey(SECRET, SECRET)).toBe(true);
+      expect(isFormPostKey('guess', SECRET)).toBe(false);
+      expect(isFormPostKey(undefined, SECRET)).toBe(false);
+    });
+
+    it('accepts nothing without a configured key', () =>
+    {
+      expect(isFormPostKey('', '')).toBe(false);
+    });
+  });
+
+  describe('Nonce store', () =>
+  {
+    it('detects replays', async () =>
+    {
+      const store = createNonceStore({});
+
+      expect(await store.markUsed('n1', 1000, 0)).toBe(true);
+      expect(await store.markUsed('n1', 1000, 10)).toBe(false);
+      expect(await store.markUsed('n2', 1000, 10)).toBe(true);
+    });
+
+    it('forgets nonces after their lifetime', async () =>
+    {
+      const store = createNonceStore({});
+
+      await store.markUsed('n1', 1000, 0);
+      expect(await store.markUsed('n1', 1000, 2000)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @file contact-locale.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for contact form visitor
+ *              locale resolution and translation
+ *              fallback.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  matchLocale,
+  pickTranslation,
+  resolveLocale,
+} from '../../directus/extensions/endpoints/contact-form/locale.js';
+
+const SUPPORTED = ['it', 'en', 'de', 'fr'];
+
+describe('Contact form locale', () =>
+{
+  describe('matchLocale', () =>
+  {
+    it('matches exact codes', () =>
+    {
+      expect(matchLocale('de', SUPPORTED)).toBe('de');
+    });
+
+    it('matches regional variants', () =>
+    {
+      expect(matchLocale('fr-CH', SUPPORTED)).toBe('fr');
+      expect(matchLocale('en_GB', SUPPORTED)).toBe('en');
+    });
+
+    it('honours Accept-Language quality', () =>
+    {
+      expect(
+        matchLocale('es;q=1, de;q=0.5, en;q=0.9', SUPPORTED)
+      ).toBe('en');
+    });
+
+    it('returns null for unsupported or bad input', () =>
+    {
+      expect(matchLocale('es', SUPPORTED)).toBeNull();
+      expect(matchLocale(['de'], SUPPORTED)).toBeNull();
+      expect(matchLocale('', SUPPORTED)).toBeNull();
+    });
+  });
+
+  describe('resolveLocale', () =>
+  {
+    it('prefers the body locale', () =>
+    {
+      expect(resolveLocale(
+      {
+        requested: 'fr',
+        acceptLanguage: 'de',
+        supported: SUPPORTED,
+      })).toBe('fr');
+    });
+
+    it('falls back to Accept-Language', () =>
+    {
+      expect(resolveLocale(
+      {
+        requested: 'xx',
+        acceptLanguage: 'de-DE,de;q=0.9',
+        supported: SUPPORTED,
+      })).toBe('de');
+    });
+
+    it('defaults to Italian', () =>
+    {
+      expect(resolveLocale({ supported: SUPPORTED }))
+        .toBe('it');
+    });
+  });
+
+  describe('pickTranslation', () =>
+  {
+    const translations = [
+      { languages_code: 'it', email_subject: 'Ciao' },
+      { languages_code: 'en', email_subject: 'Hello' },
+    ];
+
+    it('picks the requested locale', () =>
+    {
+      expect(pickTranslation(translations, 'en')
+        .email_subject).toBe('Hello');
+    });
+
+    it('falls back to the default locale', () =>
+    {
+      expect(pickTranslation(translations, 'fr')
+        .email_subject).toBe('Ciao');
+    });
+
+    it('returns null without translations', () =>
+    {
+      expect(pickTranslation(undefined, 'it')).toBeNull();
+    });
+  });
+});
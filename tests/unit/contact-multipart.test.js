@@ -0,0 +1,162 @@
+/**
+ * @file contact-multipart.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for multipart contact form
+ *              bodies: fields, attachments and the
+ *              field, file size and file count limits.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Malformed bodies
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ATTACHMENT_FIELD,
+  loadBusboy,
+  readMultipartBody,
+} from '../../directus/extensions/endpoints/contact-form/multipart.js';
+import { createRequest } from '../helpers/directus.js';
+
+const BOUNDARY = 'lares-test-boundary';
+
+/** Encodes fields and files as multipart/form-data. */
+const multipart = (fields, files = []) =>
+{
+  const parts = Object.entries(fields).map(([name, value]) =>
+    `--${BOUNDARY}\r\n`
+    + `Content-Disposition: form-data; name="${name}"\r\n\r\n`
+    + `${value}\r\n`
+  );
+
+  for (const file of files)
+  {
+    parts.push(
+      `--${BOUNDARY}\r\n`
+      + 'Content-Disposition: form-data; '
+      + `name="${file.field || ATTACHMENT_FIELD}"; `
+      + `filename="${file.filename}"\r\n`
+      + `Content-Type: ${file.type || 'application/pdf'}\r\n\r\n`
+      + `${file.content}\r\n`
+    );
+  }
+
+  return parts.join('') + `--${BOUNDARY}--\r\n`;
+};
+
+/** Request carrying a multipart body. */
+const request = (raw) => createRequest(
+{
+  headers:
+  {
+    'content-type': `multipart/form-data; boundary=${BOUNDARY}`,
+  },
+  raw,
+});
+
+const LIMITS = { fieldBytes: 64, maxFiles: 2, maxBytes: 16 };
+
+describe('loadBusboy', () =>
+{
+  it('loads the parser from the dependencies', async () =>
+  {
+    expect(typeof (await loadBusboy())).toBe('function');
+  });
+});
+
+describe('readMultipartBody', () =>
+{
+  it('reads fields and attachments', async () =>
+  {
+    const upload = await readMultipartBody(request(multipart(
+      { name: 'Anna', message: 'Hello' },
+      [{ filename: 'plan.pdf', content: '%PDF-1.7' }]
+    )), LIMITS);
+
+    expect(upload.fields).toEqual({ name: 'Anna', message: 'Hello' });
+    expect(upload.tooMany).toBe(false);
+    expect(upload.files).toHaveLength(1);
+    expect(upload.files[0]).toMatchObject(
+    {
+      filename: 'plan.pdf',
+      mimeType: 'application/pdf',
+      truncated: false,
+    });
+    expect(upload.files[0].buffer.toString()).toBe('%PDF-1.7');
+  });
+
+  it('keeps the first value of repeated fields', async () =>
+  {
+    const raw = multipart({ name: 'Anna' })
+      .replace(`--${BOUNDARY}--`, multipart({ name: 'Bob' })
+        .replace(/\r\n$/, ''));
+
+    const upload = await readMultipartBody(request(raw), LIMITS);
+
+    expect(upload.fields.name).toBe('Anna');
+  });
+
+  it('flags files over the size limit', async () =>
+  {
+    const upload = await readMultipartBody(request(multipart(
+      {},
+      [{ filename: 'big.pdf', content: 'x'.repeat(40) }]
+    )), LIMITS);
+
+    expect(upload.files[0].truncated).toBe(true);
+    expect(upload.files[0].buffer.length).toBe(16);
+  });
+
+  it('drops files over the count limit', async () =>
+  {
+    const upload = await readMultipartBody(request(multipart(
+      {},
+      ['a', 'b', 'c'].map((name) => (
+      {
+        filename: `${name}.pdf`,
+        content: name,
+      }))
+    )), LIMITS);
+
+    expect(upload.tooMany).toBe(true);
+    expect(upload.files).toHaveLength(2);
+  });
+
+  it('ignores files of other fields and empty inputs', async () =>
+  {
+    const upload = await readMultipartBody(request(multipart(
+      {},
+      [
+        { field: 'avatar', filename: 'a.png', content: 'png' },
+        { filename: '', content: '' },
+      ]
+    )), LIMITS);
+
+    expect(upload.files).toEqual([]);
+  });
+
+  it('rejects oversized fields with 413', async () =>
+  {
+    await expect(readMultipartBody(
+      request(multipart({ message: 'x'.repeat(100) })),
+      LIMITS
+    )).rejects.toMatchObject({ status: 413 });
+  });
+
+  it('rejects malformed bodies with 400', async () =>
+  {
+    const cut = multipart(
+      { name: 'Anna' },
+      [{ filename: 'plan.pdf', content: '%PDF-1.7' }]
+    ).replace(`\r\n--${BOUNDARY}--\r\n`, '');
+
+    await expect(readMultipartBody(request(cut), LIMITS))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(readMultipartBody(createRequest(
+    {
+      headers: { 'content-type': 'multipart/form-data' },
+      raw: multipart({ name: 'Anna' }),
+    }), LIMITS)).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * @file contact-notification.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for the localized admin
+ *              notification: recipient languages,
+ *              grouping and the email built per
+ *              language.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - BCC-only languages
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  NOTIFICATION_EMAILS,
+  notificationEmail,
+  notificationLocale,
+  splitByLocale,
+} from '../../directus/extensions/endpoints/contact-form/notification.js';
+
+/**
+ * Locale per address used by the tests; others are
+ * Italian.
+ */
+const LOCALES =
+{
+  'anna@example.com': 'en',
+  'hans@example.com': 'de',
+};
+const localeOf = (address) => LOCALES[address] || 'it';
+
+const submission =
+{
+  name: 'Marie Curie',
+  email: 'marie@example.com',
+  phone: null,
+  subject: 'visit',
+  message: 'Bonjour',
+  locale: 'fr',
+};
+
+describe('notificationLocale', () =>
+{
+  it('maps Directus user languages to their base', () =>
+  {
+    expect(notificationLocale('en-US')).toBe('en');
+    expect(notificationLocale('de_CH')).toBe('de');
+    expect(notificationLocale('it')).toBe('it');
+  });
+
+  it('returns null for unsupported or missing languages', () =>
+  {
+    expect(notificationLocale('ja-JP')).toBeNull();
+    expect(notificationLocale(null)).toBeNull();
+  });
+});
+
+describe('splitByLocale', () =>
+{
+  it('groups each field by recipient language', () =>
+  {
+    const groups = splitByLocale(
+      {
+        to: ['info@example.com', 'anna@example.com'],
+        cc: ['board@example.com'],
+        bcc: ['archive@example.com'],
+      },
+      localeOf
+    );
+
+    expect(groups).toEqual(
+    [
+      {
+        locale: 'it',
+        to: ['info@example.com'],
+        cc: ['board@example.com'],
+        bcc: ['archive@example.com'],
+      },
+      {
+        locale: 'en',
+        to: ['anna@example.com'],
+        cc: [],
+        bcc: [],
+      },
+    ]);
+  });
+
+  it('sends to CC when a language has no To recipient', () =>
+  {
+    const groups = splitByLocale(
+      {
+        to: ['info@example.com'],
+        cc: ['hans@example.com'],
+        bcc: [],
+      },
+      localeOf
+    );
+
+    expect(groups[1]).toEqual(
+    {
+      locale: 'de',
+      to: ['hans@example.com'],
+      cc: [],
+      bcc: [],
+    });
+  });
+
+  it('sends BCC-only languages one copy per address', () =>
+  {
+    const groups = splitByLocale(
+      {
+        to: ['info@example.com'],
+        cc: [],
+        bcc: ['anna@example.com', 'ann@example.org'],
+      },
+      (address) => (address === 'info@example.com' ? 'it' : 'en')
+    );
+
+    expect(groups.slice(1)).toEqual(
+    [
+      {
+        locale: 'en',
+        to: ['anna@example.com'],
+        cc: [],
+        bcc: [],
+      },
+      {
+        locale: 'en',
+        to: ['ann@example.org'],
+        cc: [],
+        bcc: [],
+      },
+    ]);
+  });
+
+  it('returns nothing without recipients', () =>
+  {
+    expect(splitByLocale({ to: [], cc: null }, localeOf))
+      .toEqual([]);
+  });
+});
+
+describe('notificationEmail', () =>
+{
+  const recipients =
+  {
+    locale: 'de',
+    to: ['hans@example.com'],
+    cc: [],
+    bcc: [],
+  };
+
+  it('uses the recipient language and Reply-To', () =>
+  {
+    const email = notificationEmail(
+    {
+      recipients,
+      submission,
+      subjectLabel: 'Besichtigung',
+    });
+
+    expect(email.to).toEqual(['hans@example.com']);
+    expect(email.replyTo).toBe('marie@example.com');
+    expect(email.subject)
+      .toBe('[Lares] Neuer Kontakt: Besichtigung');
+    expect(email.template.name).toBe('contact-notification');
+    expect(email.template.data).toMatchObject(
+    {
+      locale: 'de',
+      labels: NOTIFICATION_EMAILS.de,
+      subject: 'Besichtigung',
+      submission_locale: 'fr',
+      attachments: [],
+    });
+  });
+
+  it('falls back to the subject code and default wording', () =>
+  {
+    const email = notificationEmail(
+    {
+      recipients: { ...recipients, locale: 'ja' },
+      submission,
+    });
+
+    expect(email.subject).toBe('[Lares] Nuovo contatto: visit');
+    expect(email.template.data.labels)
+      .toBe(NOTIFICATION_EMAILS.it);
+  });
+});
+
+describe('NOTIFICATION_EMAILS', () =>
+{
+  it('has the same labels in every language', () =>
+  {
+    const keys = Object.keys(NOTIFICATION_EMAILS.en).sort();
+
+    for (const labels of Object.values(NOTIFICATION_EMAILS))
+    {
+      expect(Object.keys(labels).sort()).toEqual(keys);
+    }
+  });
+});
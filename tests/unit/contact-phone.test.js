@@ -0,0 +1,46 @@
+/**
+ * @file contact-phone.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for contact form phone
+ *              normalization to E.164.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  toE164,
+} from '../../directus/extensions/endpoints/contact-form/phone.js';
+
+describe('Contact phone normalization', () =>
+{
+  it('assumes Italy for national numbers', () =>
+  {
+    expect(toE164('06 1234 5678')).toBe('+390612345678');
+    expect(toE164('347-123.4567')).toBe('+393471234567');
+  });
+
+  it('keeps international numbers', () =>
+  {
+    expect(toE164('+39 06 1234567')).toBe('+39061234567');
+    expect(toE164('+49 (30) 1234567')).toBe('+49301234567');
+    expect(toE164('0041 44 123 45 67')).toBe('+41441234567');
+  });
+
+  it('drops the trunk prefix for other defaults', () =>
+  {
+    expect(toE164('030 1234567', '49')).toBe('+49301234567');
+  });
+
+  it('rejects implausible input', () =>
+  {
+    expect(toE164('call me')).toBeNull();
+    expect(toE164('12')).toBeNull();
+    expect(toE164('+0123456789')).toBeNull();
+    expect(toE164('+1234567890123456')).toBeNull();
+    expect(toE164('++39 06 1234')).toBeNull();
+    expect(toE164(123)).toBeNull();
+  });
+});
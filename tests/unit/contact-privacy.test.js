@@ -0,0 +1,107 @@
+/**
+ * @file contact-privacy.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for GDPR consent on contact
+ *              submissions.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - No fallback for unknown versions
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  consentRecord,
+  hasConsent,
+  pickPolicy,
+} from '../../directus/extensions/endpoints/contact-form/privacy.js';
+
+/**
+ * Published policies, newest first.
+ */
+const POLICIES = [
+  {
+    id: 2,
+    version: '2.0',
+    translations: [
+      { languages_code: 'it', title: 'Informativa' },
+      { languages_code: 'de', title: 'Datenschutz' },
+    ],
+  },
+  {
+    id: 1,
+    version: '1.0',
+    translations: [
+      { languages_code: 'it', title: 'Informativa' },
+    ],
+  },
+];
+
+describe('Contact privacy consent', () =>
+{
+  it('accepts only explicit consent values', () =>
+  {
+    expect(hasConsent(true)).toBe(true);
+    expect(hasConsent('on')).toBe(true);
+    expect(hasConsent(false)).toBe(false);
+    expect(hasConsent(undefined)).toBe(false);
+    expect(hasConsent('false')).toBe(false);
+  });
+
+  it('picks the version shown to the visitor', () =>
+  {
+    expect(pickPolicy(POLICIES, '1.0').id).toBe(1);
+  });
+
+  it('picks the current version for the form config', () =>
+  {
+    expect(pickPolicy(POLICIES).id).toBe(2);
+    expect(pickPolicy([])).toBeNull();
+  });
+
+  it('never substitutes another version', () =>
+  {
+    expect(pickPolicy(POLICIES, '0.9')).toBeNull();
+    expect(pickPolicy(POLICIES, null)).toBeNull();
+    expect(pickPolicy([], '1.0')).toBeNull();
+  });
+
+  it('records version, time and notice language', () =>
+  {
+    const now = new Date('2026-10-19T10:00:00Z');
+
+    expect(consentRecord(
+    {
+      policy: POLICIES[0],
+      locale: 'de',
+      now,
+    })).toEqual(
+    {
+      consent_at: '2026-10-19T10:00:00.000Z',
+      consent_policy: 2,
+      consent_version: '2.0',
+      consent_locale: 'de',
+    });
+  });
+
+  it('records the fallback language actually shown', () =>
+  {
+    expect(consentRecord(
+    {
+      policy: POLICIES[1],
+      locale: 'fr',
+    }).consent_locale).toBe('it');
+  });
+
+  it('records consent without a policy', () =>
+  {
+    expect(consentRecord({ policy: null, locale: 'en' }))
+      .toMatchObject(
+      {
+        consent_policy: null,
+        consent_version: null,
+        consent_locale: 'en',
+      });
+  });
+});
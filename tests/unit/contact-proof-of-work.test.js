@@ -0,0 +1,133 @@
+/**
+ * @file contact-proof-of-work.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for the contact form
+ *              proof-of-work challenge.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { createHash } from 'node:crypto';
+import { describe, it, expect } from 'vitest';
+import {
+  issueChallenge,
+  leadingZeroBits,
+  verifySolution,
+} from '../../directus/extensions/endpoints/contact-form/proof-of-work.js';
+
+const SECRET = 'test-secret-at-least-32-characters';
+const OPTIONS = { maxAgeMs: 60000, now: 2000 };
+
+/**
+ * Brute-forces a solution the way the frontend does.
+ */
+function solve(challenge, difficulty)
+{
+  for (let n = 0; ; n++)
+  {
+    const hash = createHash('sha256')
+      .update(`${challenge}:${n}`)
+      .digest();
+
+    if (leadingZeroBits(hash) >= difficulty)
+    {
+      return String(n);
+    }
+  }
+}
+
+describe('Contact proof-of-work', () =>
+{
+  it('counts leading zero bits', () =>
+  {
+    expect(leadingZeroBits(Buffer.from([0x80]))).toBe(0);
+    expect(leadingZeroBits(Buffer.from([0x01]))).toBe(7);
+    expect(leadingZeroBits(Buffer.from([0, 0x1f]))).toBe(11);
+    expect(leadingZeroBits(Buffer.from([0, 0]))).toBe(16);
+  });
+
+  it('accepts a valid solution', () =>
+  {
+    const challenge = issueChallenge(SECRET, 8, 1000);
+    const result = verifySolution(
+      challenge,
+      solve(challenge, 8),
+      SECRET,
+      OPTIONS
+    );
+
+    expect(result.valid).toBe(true);
+    expect(result.id).toBeTruthy();
+  });
+
+  it('rejects a wrong solution', () =>
+  {
+    const challenge = issueChallenge(SECRET, 8, 1000);
+    let wrong = 0;
+
+    while (verifySolution(
+      challenge,
+      String(wrong),
+      SECRET,
+      OPTIONS
+    ).valid)
+    {
+      wrong++;
+    }
+
+    expect(verifySolution(
+      challenge,
+      String(wrong),
+      SECRET,
+      OPTIONS
+    ).reason).toBe('wrong_solution');
+  });
+
+  it('rejects missing and malformed input', () =>
+  {
+    const challenge = issueChallenge(SECRET, 8, 1000);
+
+    expect(verifySolution(undefined, '1', SECRET, OPTIONS)
+      .reason).toBe('missing');
+    expect(verifySolution('a.b.c', '1', SECRET, OPTIONS)
+      .reason).toBe('malformed');
+    expect(verifySolution(challenge, 'abc', SECRET, OPTIONS)
+      .reason).toBe('malformed');
+    expect(verifySolution(challenge, null, SECRET, OPTIONS)
+      .reason).toBe('malformed');
+  });
+
+  it('rejects a challenge with lowered difficulty', () =>
+  {
+    const challenge = issueChallenge(SECRET, 20, 1000);
+    const parts = challenge.split('.');
+    parts[1] = '1';
+    const forged = parts.join('.');
+
+    expect(verifySolution(
+      forged,
+      solve(forged, 1),
+      SECRET,
+      OPTIONS
+    ).reason).toBe('bad_signature');
+  });
+
+  it('rejects expired challenges', () =>
+  {
+    const challenge = issueChallenge(SECRET, 4, 1000);
+
+    expect(verifySolution(
+      challenge,
+      solve(challenge, 4),
+      SECRET,
+      { maxAgeMs: 60000, now: 100000 }
+    ).reason).toBe('expired');
+  });
+
+  it('requires a secret to issue challenges', () =>
+  {
+    expect(() => issueChallenge('', 8)).toThrow();
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * @file contact-rate-limit.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for the contact-form
+ *              sliding-window rate limiter and its
+ *              bounded in-memory fallback store.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createMemoryStore,
+  createRateLimiter,
+} from '../../directus/extensions/endpoints/contact-form/rate-limiter.js';
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+describe('Contact form rate limiter', () =>
+{
+  describe('Sliding window', () =>
+  {
+    it('allows up to max hits per window', async () =>
+    {
+      const limiter = createRateLimiter(
+      {
+        max: 3,
+        windowMs: WINDOW_MS,
+      });
+
+      expect(await limiter.isRateLimited('1.1.1.1', 0))
+        .toBe(false);
+      expect(await limiter.isRateLimited('1.1.1.1', 1))
+        .toBe(false);
+      expect(await limiter.isRateLimited('1.1.1.1', 2))
+        .toBe(false);
+      expect(await limiter.isRateLimited('1.1.1.1', 3))
+        .toBe(true);
+    });
+
+    it('limits keys independently', async () =>
+    {
+      const limiter = createRateLimiter(
+      {
+        max: 1,
+        windowMs: WINDOW_MS,
+      });
+
+      expect(await limiter.isRateLimited('a', 0)).toBe(false);
+      expect(await limiter.isRateLimited('b', 0)).toBe(false);
+      expect(await limiter.isRateLimited('a', 1)).toBe(true);
+    });
+
+    it('frees slots as old hits leave the window',
+      async () =>
+      {
+        const limiter = createRateLimiter(
+        {
+          max: 2,
+          windowMs: 1000,
+        });
+
+        await limiter.isRateLimited('ip', 0);
+        await limiter.isRateLimited('ip', 600);
+        expect(await limiter.isRateLimited('ip', 900))
+          .toBe(true);
+
+        // First hit expired, second still counts
+        expect(await limiter.isRateLimited('ip', 1001))
+          .toBe(false);
+        expect(await limiter.isRateLimited('ip', 1100))
+          .toBe(true);
+      });
+
+    it('does not count rejected hits', async () =>
+    {
+      const limiter = createRateLimiter(
+      {
+        max: 1,
+        windowMs: 1000,
+      });
+
+      await limiter.isRateLimited('ip', 0);
+      await limiter.isRateLimited('ip', 500);
+      await limiter.isRateLimited('ip', 900);
+      expect(await limiter.isRateLimited('ip', 1001))
+        .toBe(false);
+    });
+  });
+
+  describe('Memory store bounds', () =>
+  {
+    it('evicts expired keys', async () =>
+    {
+      const store = createMemoryStore();
+
+      await store.hit('a', 3, 1000, 0);
+      await store.hit('b', 3, 1000, 10);
+      expect(store.size()).toBe(2);
+
+      await store.hit('c', 3, 1000, 5000);
+      expect(store.size()).toBe(1);
+    });
+
+    it('caps the number of keys', async () =>
+    {
+      const store = createMemoryStore({ maxKeys: 2 });
+
+      await store.hit('a', 3, 1000, 0);
+      await store.hit('b', 3, 1000, 1);
+      await store.hit('c', 3, 1000, 2);
+      expect(store.size()).toBe(2);
+    });
+  });
+});
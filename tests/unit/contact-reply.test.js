@@ -0,0 +1,227 @@
+/**
+ * @file contact-reply.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for staff replies to contact
+ *              submissions: validation, and sending
+ *              against a fake Directus context.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - sendReply: record first, delivery
+ *                status, threading and Reply-To
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  REPLY_RULES,
+  replyThread,
+  sendReply,
+  validateReply,
+} from '../../directus/extensions/endpoints/contact-form/reply.js';
+import { createDirectus } from '../helpers/directus.js';
+
+describe('Contact reply validation', () =>
+{
+  it('accepts a subject and message', () =>
+  {
+    const result = validateReply(
+    {
+      subject: 'Re: Visit',
+      message: 'Hello,\nSaturday works for us.',
+    });
+
+    expect(result.valid).toBe(true);
+    expect(result.reply.message)
+      .toBe('Hello,\nSaturday works for us.');
+  });
+
+  it('requires both fields', () =>
+  {
+    expect(validateReply({ subject: '  ' }).errors).toEqual(
+    {
+      subject: 'required',
+      message: 'required',
+    });
+    expect(validateReply(undefined).valid).toBe(false);
+  });
+
+  it('rejects overlong fields', () =>
+  {
+    const result = validateReply(
+    {
+      subject: 'x'.repeat(REPLY_RULES.subject.maxLength + 1),
+      message: 'ok',
+    });
+
+    expect(result.errors).toEqual({ subject: 'too_long' });
+  });
+
+  it('sanitizes the subject to a single line', () =>
+  {
+    expect(validateReply(
+    {
+      subject: 'Re:\nVisit\u202E',
+      message: 'ok',
+    }).reply.subject).toBe('Re: Visit');
+  });
+});
+
+describe('replyThread', () =>
+{
+  it('answers the last message of the conversation', () =>
+  {
+    expect(replyThread(
+    {
+      submissionId: 7,
+      messageId: 21,
+      earlier: ['<reply-20@lares.example>'],
+      domain: 'lares.example',
+    })).toEqual(
+    {
+      messageId: '<reply-21@lares.example>',
+      inReplyTo: '<reply-20@lares.example>',
+      references: [
+        '<submission-7@lares.example>',
+        '<reply-20@lares.example>',
+      ],
+    });
+  });
+
+  it('answers the submission first', () =>
+  {
+    const thread = replyThread(
+    {
+      submissionId: 7,
+      messageId: 21,
+      earlier: [],
+      domain: 'lares.example',
+    });
+
+    expect(thread.inReplyTo).toBe('<submission-7@lares.example>');
+    expect(thread.references).toEqual(['<submission-7@lares.example>']);
+  });
+});
+
+/** Fake context with one submission and its routing. */
+const setup = (options = {}) => createDirectus(
+{
+  data:
+  {
+    contact_submissions: [
+    {
+      id: 7,
+      name: 'Anna Rossi',
+      email: 'anna@example.com',
+      subject: 'visit',
+      message: 'Can we visit?',
+      locale: 'en',
+      status: 'new',
+    }],
+    contact_routing: [
+      { subject: 'visit', recipients: ['visits@example.com'] },
+      { subject: null, recipients: ['office@example.com'] },
+    ],
+    contact_messages: [],
+  },
+  ...options,
+});
+
+/** Sends a reply as a staff member. */
+const reply = (directus, submissionId = 7) => sendReply(
+{
+  services: directus.services,
+  schema: {},
+  accountability: { user: 'staff-1', admin: false },
+  submissionId,
+  reply: { subject: 'Re: Visit', message: 'Saturday works.' },
+});
+
+describe('sendReply', () =>
+{
+  it('sends in the thread and marks the message sent', async () =>
+  {
+    const directus = setup();
+
+    const result = await reply(directus);
+
+    expect(result.status).toBe('replied');
+    const [message] = directus.items('contact_messages');
+    expect(message).toMatchObject(
+    {
+      id: result.message,
+      submission: 7,
+      status: 'sent',
+      recipient: 'anna@example.com',
+    });
+    expect(directus.mail.sent[0]).toMatchObject(
+    {
+      to: 'anna@example.com',
+      replyTo: ['visits@example.com'],
+      messageId: message.message_id,
+      inReplyTo: expect.stringMatching(/^<submission-7@/),
+    });
+    expect(directus.items('contact_submissions')[0].status)
+      .toBe('replied');
+  });
+
+  it('threads a second reply under the first', async () =>
+  {
+    const directus = setup();
+
+    await reply(directus);
+    await reply(directus);
+
+    const [first, second] = directus.items('contact_messages');
+    expect(directus.mail.sent[1]).toMatchObject(
+    {
+      messageId: second.message_id,
+      inReplyTo: first.message_id,
+      references: [
+        expect.stringMatching(/^<submission-7@/),
+        first.message_id,
+      ],
+    });
+  });
+
+  it('marks the message failed when sending fails', async () =>
+  {
+    const directus = setup();
+    const log = vi.spyOn(console, 'error')
+      .mockImplementation(() => {});
+    directus.mail.error = new Error('SMTP down');
+
+    await expect(reply(directus)).rejects.toMatchObject(
+    {
+      status: 502,
+    });
+    const [message] = directus.items('contact_messages');
+    expect(message.status).toBe('failed');
+    expect(message.message_id).toBeUndefined();
+    expect(directus.items('contact_submissions')[0].status)
+      .toBe('new');
+    log.mockRestore();
+  });
+
+  it('sends nothing when the user may not record replies', async () =>
+  {
+    const directus = setup(
+    {
+      denied: { contact_messages: ['create'] },
+    });
+
+    await expect(reply(directus)).rejects.toMatchObject(
+    {
+      status: 403,
+    });
+    expect(directus.mail.sent).toEqual([]);
+  });
+
+  it('rejects unknown submissions', async () =>
+  {
+    await expect(reply(setup(), 99)).rejects.toMatchObject(
+    {
+      status: 404,
+    });
+  });
+});
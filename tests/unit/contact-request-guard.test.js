@@ -0,0 +1,136 @@
+/**
+ * @file contact-request-guard.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for contact endpoint origin,
+ *              body size and field checks.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  bodySize,
+  checkFields,
+  isAllowedOrigin,
+  parseAllowedOrigins,
+} from '../../directus/extensions/endpoints/contact-form/request-guard.js';
+
+const ALLOWED = ['https://larescohousing.it'];
+
+describe('Contact request guard', () =>
+{
+  describe('parseAllowedOrigins', () =>
+  {
+    it('combines CORS_ORIGIN and FRONTEND_URL', () =>
+    {
+      expect(parseAllowedOrigins(
+        'https://larescohousing.it, http://localhost:4321/',
+        'https://larescohousing.it/it/'
+      )).toEqual([
+        'https://larescohousing.it',
+        'http://localhost:4321',
+      ]);
+    });
+
+    it('ignores non-URL CORS values', () =>
+    {
+      expect(parseAllowedOrigins('true', 'https://a.test'))
+        .toEqual(['https://a.test']);
+      expect(parseAllowedOrigins('*', '')).toEqual([]);
+    });
+  });
+
+  describe('isAllowedOrigin', () =>
+  {
+    it('checks the Origin header', () =>
+    {
+      expect(isAllowedOrigin(
+        { origin: 'https://larescohousing.it' },
+        ALLOWED
+      )).toBe(true);
+      expect(isAllowedOrigin(
+        { origin: 'https://evil.test' },
+        ALLOWED
+      )).toBe(false);
+      expect(isAllowedOrigin({ origin: 'null' }, ALLOWED))
+        .toBe(false);
+    });
+
+    it('falls back to the Referer', () =>
+    {
+      expect(isAllowedOrigin(
+        { referer: 'https://larescohousing.it/it/contatti' },
+        ALLOWED
+      )).toBe(true);
+      expect(isAllowedOrigin(
+        { referer: 'https://evil.test/form' },
+        ALLOWED
+      )).toBe(false);
+    });
+
+    it('allows requests without browser headers', () =>
+    {
+      expect(isAllowedOrigin({}, ALLOWED)).toBe(true);
+    });
+  });
+
+  describe('bodySize', () =>
+  {
+    it('prefers Content-Length', () =>
+    {
+      expect(bodySize(
+      {
+        headers: { 'content-length': '120' },
+        body: {},
+      })).toBe(120);
+    });
+
+    it('measures the parsed body otherwise', () =>
+    {
+      expect(bodySize({ headers: {}, body: { a: 'é' } }))
+        .toBe(10);
+    });
+  });
+
+  describe('checkFields', () =>
+  {
+    it('accepts known fields with the right types', () =>
+    {
+      expect(checkFields(
+      {
+        name: 'Anna',
+        phone: null,
+        pow_solution: 42,
+      }).valid).toBe(true);
+    });
+
+    it('reports unexpected fields', () =>
+    {
+      expect(checkFields({ name: 'Anna', admin: true }))
+        .toEqual(
+        {
+          valid: false,
+          unexpected: ['admin'],
+          invalid: [],
+        });
+    });
+
+    it('reports non-string subject and honeypot', () =>
+    {
+      expect(checkFields(
+      {
+        subject: ['info'],
+        honeypot: ['x'],
+      }).invalid).toEqual(['subject', 'honeypot']);
+    });
+
+    it('rejects non-object bodies', () =>
+    {
+      expect(checkFields([]).valid).toBe(false);
+      expect(checkFields(undefined).valid).toBe(false);
+      expect(checkFields('name=x').valid).toBe(false);
+    });
+  });
+});
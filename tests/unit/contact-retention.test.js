@@ -0,0 +1,299 @@
+/**
+ * @file contact-retention.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for contact submission
+ *              retention settings and IP truncation.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Retention job run against a fake
+ *                ItemsService
+ *   2026-10-19 - Expiry of data subject requests
+ *   2026-10-19 - Verification emails of expired requests
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  truncateIp,
+} from '../../directus/extensions/endpoints/contact-form/client-ip.js';
+import {
+  createRetentionJob,
+  cutoffDate,
+  resolveRetentionSettings,
+} from '../../directus/extensions/endpoints/contact-form/retention.js';
+import { createDirectus } from '../helpers/directus.js';
+
+/**
+ * Env defaults used by the settings tests.
+ */
+const DEFAULTS =
+{
+  enabled: true,
+  ip_retention_days: 30,
+  retention_days: 730,
+  retention_action: 'anonymize',
+};
+
+describe('Contact IP truncation', () =>
+{
+  it('keeps the /24 network of IPv4 addresses', () =>
+  {
+    expect(truncateIp('203.0.113.57')).toBe('203.0.113.0/24');
+    expect(truncateIp('203.0.113.57', { ipv4Prefix: 16 }))
+      .toBe('203.0.0.0/16');
+    expect(truncateIp('203.0.113.57', { ipv4Prefix: 20 }))
+      .toBe('203.0.112.0/20');
+  });
+
+  it('keeps the /48 network of IPv6 addresses', () =>
+  {
+    expect(truncateIp('2001:db8:1:2:3:4:5:6'))
+      .toBe('2001:db8:1::/48');
+  });
+
+  it('returns null for non-IP values', () =>
+  {
+    expect(truncateIp('unknown')).toBeNull();
+    expect(truncateIp('')).toBeNull();
+  });
+});
+
+describe('Contact retention settings', () =>
+{
+  it('uses the env defaults without a settings row', () =>
+  {
+    expect(resolveRetentionSettings(null, DEFAULTS))
+      .toEqual(DEFAULTS);
+  });
+
+  it('lets the settings row override the defaults', () =>
+  {
+    expect(resolveRetentionSettings(
+    {
+      enabled: false,
+      ip_retention_days: 7,
+      retention_days: 365,
+      retention_action: 'delete',
+    }, DEFAULTS)).toEqual(
+    {
+      enabled: false,
+      ip_retention_days: 7,
+      retention_days: 365,
+      retention_action: 'delete',
+    });
+  });
+
+  it('ignores empty and invalid values', () =>
+  {
+    expect(resolveRetentionSettings(
+    {
+      enabled: null,
+      ip_retention_days: 0,
+      retention_days: null,
+      retention_action: 'archive',
+    }, DEFAULTS)).toEqual(DEFAULTS);
+  });
+
+  it('falls back to anonymize for an invalid env action', () =>
+  {
+    expect(resolveRetentionSettings(
+      null,
+      { ...DEFAULTS, retention_action: 'purge' }
+    ).retention_action).toBe('anonymize');
+  });
+
+  it('computes the cutoff date', () =>
+  {
+    const now = Date.parse('2026-10-19T03:00:00Z');
+
+    expect(cutoffDate(30, now))
+      .toBe('2026-09-19T03:00:00.000Z');
+  });
+});
+
+const NOW = Date.parse('2026-10-19T03:00:00Z');
+
+/** ISO timestamp a number of days before NOW. */
+const daysAgo = (days) =>
+  new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+
+/** Submission with personal data, created days ago. */
+const submissionRow = (id, days, overrides = {}) => (
+{
+  id,
+  date_created: daysAgo(days),
+  name: 'Anna Rossi',
+  email: 'anna@example.com',
+  message: 'Hello',
+  ip_address: '203.0.113.57',
+  keep: false,
+  anonymized_at: null,
+  ...overrides,
+});
+
+/** Data subject request row. */
+const dataRequestRow = (id, status, dateCreated, overrides = {}) => (
+{
+  id,
+  action: 'erase',
+  status,
+  email: 'anna@example.com',
+  ip_address: '203.0.113.57',
+  date_created: dateCreated,
+  ...overrides,
+});
+
+/** Fake context with one old, one kept and one recent row. */
+const setup = (action) => createDirectus(
+{
+  data:
+  {
+    contact_retention: [
+    {
+      enabled: true,
+      ip_retention_days: 30,
+      retention_days: 730,
+      retention_action: action,
+    }],
+    contact_submissions: [
+      submissionRow(1, 800),
+      submissionRow(2, 800, { keep: true }),
+      submissionRow(3, 60),
+      submissionRow(4, 5),
+    ],
+    email_outbox: [
+      { id: 11, submission: 1 },
+      { id: 12, submission: 2 },
+    ],
+    contact_messages: [{ id: 21, submission: 1 }],
+    webhook_deliveries: [{ id: 31, submission: 1 }],
+    contact_submissions_files: [
+      { id: 41, contact_submissions_id: 1, directus_files_id: 'f1' },
+    ],
+    directus_files: [{ id: 'f1' }, { id: 'f2' }],
+    data_subject_requests: [
+      dataRequestRow(51, 'pending', daysAgo(2)),
+      dataRequestRow(52, 'pending', daysAgo(0.5)),
+      dataRequestRow(53, 'completed', daysAgo(40),
+        { email: null }),
+    ],
+  },
+});
+
+/** Runs the retention job on a fake context. */
+const run = (directus) => createRetentionJob(
+{
+  services: directus.services,
+  schema: {},
+}).run(NOW);
+
+/** Submission row by id. */
+const row = (directus, id) => directus.items('contact_submissions')
+  .find((item) => item.id === id);
+
+describe('Contact retention job', () =>
+{
+  it('anonymizes expired submissions', async () =>
+  {
+    const directus = setup('anonymize');
+
+    const summary = await run(directus);
+
+    expect(summary.expired).toEqual([1]);
+    expect(summary.emails).toBe(1);
+    expect(row(directus, 1)).toMatchObject(
+    {
+      name: null,
+      email: null,
+      message: null,
+      ip_address: null,
+    });
+    expect(row(directus, 1).anonymized_at).toEqual(expect.any(String));
+    expect(directus.items('email_outbox')).toEqual(
+      [{ id: 12, submission: 2 }]
+    );
+    expect(directus.items('contact_messages')).toEqual([]);
+    expect(directus.items('webhook_deliveries')).toEqual([]);
+    expect(directus.items('directus_files')).toEqual([{ id: 'f2' }]);
+  });
+
+  it('deletes expired submissions', async () =>
+  {
+    const directus = setup('delete');
+
+    const summary = await run(directus);
+
+    expect(summary.expired).toEqual([1]);
+    expect(row(directus, 1)).toBeUndefined();
+    expect(directus.items('contact_messages')).toEqual([]);
+  });
+
+  it('leaves submissions flagged keep untouched', async () =>
+  {
+    for (const action of ['anonymize', 'delete'])
+    {
+      const directus = setup(action);
+
+      await run(directus);
+
+      expect(row(directus, 2)).toEqual(
+        submissionRow(2, 800, { keep: true })
+      );
+      expect(directus.items('email_outbox')).toContainEqual(
+        { id: 12, submission: 2 }
+      );
+    }
+  });
+
+  it('truncates IPs past the IP retention only', async () =>
+  {
+    const directus = setup('anonymize');
+
+    const summary = await run(directus);
+
+    expect(summary.truncated).toEqual([1, 3]);
+    expect(row(directus, 3).ip_address).toBe('203.0.113.0/24');
+    expect(row(directus, 4).ip_address).toBe('203.0.113.57');
+  });
+
+  it('expires unconfirmed data requests', async () =>
+  {
+    const directus = setup('anonymize');
+    directus.items('email_outbox').push(
+      { id: 14, data_request: 51 },
+      { id: 15, data_request: 52 }
+    );
+
+    const summary = await run(directus);
+    const requests = directus.items('data_subject_requests');
+
+    expect(summary.requests).toEqual({ expired: [51], cleared: [53] });
+    expect(requests[0]).toMatchObject(
+    {
+      status: 'expired',
+      email: null,
+      ip_address: null,
+    });
+    expect(requests[1]).toEqual(
+      dataRequestRow(52, 'pending', daysAgo(0.5))
+    );
+    expect(requests[2]).toMatchObject(
+    {
+      status: 'completed',
+      ip_address: null,
+    });
+    // The verification email holds the address too
+    expect(directus.items('email_outbox').map((item) => item.id))
+      .toEqual([12, 15]);
+  });
+
+  it('does nothing when disabled', async () =>
+  {
+    const directus = setup('delete');
+    directus.items('contact_retention')[0].enabled = false;
+
+    expect(await run(directus)).toBeNull();
+    expect(directus.items('contact_submissions')).toHaveLength(4);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @file contact-routing.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for subject-based contact
+ *              notification routing.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  pickRoute,
+  toAddressList,
+} from '../../directus/extensions/endpoints/contact-form/routing.js';
+
+const ROUTES = [
+  {
+    subject: 'partnership',
+    recipients: ['board@example.org'],
+    cc: ['chair@example.org'],
+    active: true,
+  },
+  {
+    subject: 'visit',
+    recipients: ['visits@example.org'],
+    active: false,
+  },
+  {
+    subject: null,
+    recipients: ['info@example.org'],
+    active: true,
+  },
+];
+
+describe('Contact notification routing', () =>
+{
+  describe('pickRoute', () =>
+  {
+    it('routes by subject', () =>
+    {
+      expect(pickRoute(ROUTES, 'partnership').recipients)
+        .toEqual(['board@example.org']);
+    });
+
+    it('skips inactive routes', () =>
+    {
+      expect(pickRoute(ROUTES, 'visit').recipients)
+        .toEqual(['info@example.org']);
+    });
+
+    it('uses the fallback route', () =>
+    {
+      expect(pickRoute(ROUTES, 'other').subject).toBeNull();
+    });
+
+    it('returns null without routes', () =>
+    {
+      expect(pickRoute([], 'info')).toBeNull();
+    });
+
+    it('ignores routes without recipients', () =>
+    {
+      expect(pickRoute(
+        [{ subject: 'info', recipients: [], active: true }],
+        'info'
+      )).toBeNull();
+    });
+  });
+
+  describe('toAddressList', () =>
+  {
+    it('splits and trims comma lists', () =>
+    {
+      expect(toAddressList('a@x.org, b@x.org'))
+        .toEqual(['a@x.org', 'b@x.org']);
+    });
+
+    it('drops duplicates and blanks', () =>
+    {
+      expect(toAddressList(['a@x.org', 'a@x.org', '', null]))
+        .toEqual(['a@x.org']);
+    });
+
+    it('handles empty values', () =>
+    {
+      expect(toAddressList(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * @file contact-spam-score.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for content-based spam
+ *              scoring of contact submissions.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SPAM_RULES,
+  scoreSubmission,
+} from '../../directus/extensions/endpoints/contact-form/spam-score.js';
+
+const CLEAN = {
+  name: 'Giulia Bianchi',
+  email: 'giulia@example.it',
+  message: 'Vorrei avere informazioni sulla visita di sabato.',
+};
+
+function rulesMatched(submission)
+{
+  return scoreSubmission({ ...CLEAN, ...submission })
+    .reasons.map((r) => r.rule);
+}
+
+describe('Contact spam scoring', () =>
+{
+  it('scores a normal message as zero', () =>
+  {
+    const result = scoreSubmission(CLEAN);
+
+    expect(result.score).toBe(0);
+    expect(result.reasons).toEqual([]);
+    expect(result.isSpam).toBe(false);
+  });
+
+  it('allows a single URL in the message', () =>
+  {
+    expect(rulesMatched(
+    {
+      message: 'See https://example.org for the plan.',
+    })).toEqual([]);
+  });
+
+  it('scores several URLs in the message', () =>
+  {
+    const result = scoreSubmission(
+    {
+      ...CLEAN,
+      message: 'https://a.test http://b.test www.c.test',
+    });
+
+    expect(result.score).toBe(4);
+    expect(result.reasons[0].reason).toBe(
+      '3 URLs in message'
+    );
+  });
+
+  it('scores a URL in the name as spam', () =>
+  {
+    const result = scoreSubmission(
+    {
+      ...CLEAN,
+      name: 'www.cheap-pills.test',
+    });
+
+    expect(result.isSpam).toBe(true);
+  });
+
+  it('matches blocklisted phrases as whole words', () =>
+  {
+    expect(rulesMatched(
+    {
+      message: 'We offer SEO Services and backlinks.',
+    })).toEqual(['blocklist']);
+    expect(rulesMatched(
+    {
+      message: 'Il casinoalle porte non è un problema.',
+    })).toEqual([]);
+  });
+
+  it('detects long runs of repeated characters', () =>
+  {
+    expect(rulesMatched(
+    {
+      message: 'Rispondete!!!!!!!!!!!! per favore',
+    })).toEqual(['repeated_characters']);
+  });
+
+  it('detects Latin words with Cyrillic homoglyphs', () =>
+  {
+    // "Pаypal" with a Cyrillic "а"
+    expect(rulesMatched(
+    {
+      message: 'Verify your Pаypal account now',
+    })).toEqual(['script_mixing']);
+    expect(rulesMatched(
+    {
+      message: 'Привет, I would like to visit.',
+    })).toEqual([]);
+  });
+
+  it('detects disposable email domains', () =>
+  {
+    expect(rulesMatched(
+    {
+      email: 'bot@mailinator.com',
+    })).toEqual(['disposable_email']);
+    expect(rulesMatched(
+    {
+      email: 'bot@eu.yopmail.com',
+    })).toEqual(['disposable_email']);
+    expect(rulesMatched(
+    {
+      email: 'someone@notmailinator.com',
+    })).toEqual([]);
+  });
+
+  it('adds up rules and applies the threshold', () =>
+  {
+    const result = scoreSubmission(
+    {
+      ...CLEAN,
+      email: 'x@yopmail.com',
+      message: 'Best casino bonus today, click here!',
+    });
+
+    expect(result.score).toBe(10);
+    expect(result.isSpam).toBe(true);
+  });
+
+  it('accepts custom rules and threshold', () =>
+  {
+    const rules = [
+      ...SPAM_RULES,
+      {
+        name: 'shouting',
+        score: ({ message }) =>
+          (message === message.toUpperCase()
+            ? { points: 1, reason: 'All caps' }
+            : null),
+      },
+    ];
+
+    const result = scoreSubmission(
+      { ...CLEAN, message: 'HELLO THERE FRIENDS' },
+      rules,
+      1
+    );
+
+    expect(result.reasons.map((r) => r.rule)).toEqual(
+      ['shouting']
+    );
+    expect(result.isSpam).toBe(true);
+  });
+});
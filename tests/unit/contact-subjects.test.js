@@ -0,0 +1,100 @@
+/**
+ * @file contact-subjects.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for the cached contact
+ *              subject list.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createSubjectCache,
+  subjectCodes,
+} from '../../directus/extensions/endpoints/contact-form/subjects.js';
+
+const SUBJECTS = [
+  { code: 'info', sort: 1 },
+  { code: 'visit', sort: 2 },
+];
+
+describe('Contact subjects cache', () =>
+{
+  it('loads once within the TTL', async () =>
+  {
+    let loads = 0;
+    const cache = createSubjectCache(
+    {
+      load: async () =>
+      {
+        loads += 1;
+        return SUBJECTS;
+      },
+      ttlMs: 1000,
+    });
+
+    await cache.get(0);
+    await cache.get(500);
+    expect(loads).toBe(1);
+
+    await cache.get(1500);
+    expect(loads).toBe(2);
+  });
+
+  it('shares one load between concurrent calls', async () =>
+  {
+    let loads = 0;
+    const cache = createSubjectCache(
+    {
+      load: async () =>
+      {
+        loads += 1;
+        return SUBJECTS;
+      },
+    });
+
+    await Promise.all([cache.get(), cache.get()]);
+    expect(loads).toBe(1);
+  });
+
+  it('serves the stale list when a reload fails', async () =>
+  {
+    let fail = false;
+    const cache = createSubjectCache(
+    {
+      load: async () =>
+      {
+        if (fail)
+        {
+          throw new Error('database down');
+        }
+        return SUBJECTS;
+      },
+      ttlMs: 10,
+    });
+
+    await cache.get(0);
+    fail = true;
+    expect(await cache.get(100)).toBe(SUBJECTS);
+  });
+
+  it('propagates errors without a cached list', async () =>
+  {
+    const cache = createSubjectCache(
+    {
+      load: async () =>
+      {
+        throw new Error('database down');
+      },
+    });
+
+    await expect(cache.get()).rejects.toThrow('database down');
+  });
+
+  it('extracts subject codes', () =>
+  {
+    expect(subjectCodes(SUBJECTS)).toEqual(['info', 'visit']);
+  });
+});
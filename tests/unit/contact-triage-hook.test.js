@@ -0,0 +1,133 @@
+/**
+ * @file contact-triage-hook.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Behavioral tests for the contact-triage
+ *              hook: the create and update filters run
+ *              against a fake Directus context.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createDirectus } from '../helpers/directus.js';
+
+const { default: registerHook } = await import(
+  '../../directus/extensions/hooks/contact-triage/index.js'
+);
+
+/** Registers the hook and returns its filters. */
+const setup = () =>
+{
+  const directus = createDirectus(
+  {
+    data:
+    {
+      contact_submissions: [
+        { id: 1, status: 'new', replied_at: null },
+        {
+          id: 2,
+          status: 'replied',
+          replied_at: '2026-10-01T10:00:00.000Z',
+        },
+      ],
+      directus_users: [
+        { id: 'u-cm', role: { name: 'Content Manager' } },
+        { id: 'u-editor', role: { name: 'Editor' } },
+      ],
+    },
+  });
+  const filters = {};
+
+  registerHook(
+  {
+    filter: (event, handler) =>
+    {
+      filters[event] = handler;
+    },
+  }, directus);
+
+  return {
+    create: (payload) => filters['contact_submissions.items.create'](
+      payload,
+      {},
+      { schema: {} }
+    ),
+    update: (keys, payload) =>
+      filters['contact_submissions.items.update'](
+        payload,
+        { keys },
+        { schema: {} }
+      ),
+  };
+};
+
+describe('Contact triage hook', () =>
+{
+  describe('create filter', () =>
+  {
+    it('defaults the status to new', async () =>
+    {
+      expect(await setup().create({ name: 'Anna' }))
+        .toEqual({ name: 'Anna', status: 'new' });
+    });
+
+    it('refuses other initial statuses with 400', async () =>
+    {
+      await expect(setup().create({ status: 'replied' }))
+        .rejects.toMatchObject(
+        {
+          name: 'DirectusError',
+          code: 'INVALID_PAYLOAD',
+          status: 400,
+        });
+    });
+
+    it('only assigns Content Manager users', async () =>
+    {
+      const { create } = setup();
+
+      await expect(create({ assigned_to: 'u-cm' }))
+        .resolves.toMatchObject({ assigned_to: 'u-cm' });
+      await expect(create({ assigned_to: 'u-editor' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('update filter', () =>
+  {
+    it('stamps replied_at when a submission is replied', async () =>
+    {
+      const payload = await setup().update([1], { status: 'replied' });
+
+      expect(payload.status).toBe('replied');
+      expect(payload.replied_at).toEqual(expect.any(String));
+    });
+
+    it('keeps replied_at when the status is unchanged', async () =>
+    {
+      expect(await setup().update([2], { status: 'replied' }))
+        .toEqual({ status: 'replied' });
+    });
+
+    it('refuses transitions outside the lifecycle', async () =>
+    {
+      await expect(setup().update([2], { status: 'new' }))
+        .rejects.toMatchObject(
+        {
+          status: 400,
+          extensions:
+          {
+            reason: 'Submission 2 cannot move from "replied" to "new"',
+          },
+        });
+    });
+
+    it('passes updates without a status through', async () =>
+    {
+      expect(await setup().update([1], { notes: 'Called back' }))
+        .toEqual({ notes: 'Called back' });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * @file contact-triage.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for the contact_submissions
+ *              triage lifecycle: allowed transitions
+ *              and timestamps set on status change.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SUBMISSION_STATUSES,
+  canTransition,
+  transitionTimestamps,
+} from '../../directus/extensions/endpoints/contact-form/triage.js';
+
+describe('Contact submission triage', () =>
+{
+  describe('canTransition', () =>
+  {
+    it('allows the main lifecycle', () =>
+    {
+      expect(canTransition('new', 'in_progress')).toBe(true);
+      expect(canTransition('in_progress', 'replied'))
+        .toBe(true);
+      expect(canTransition('replied', 'archived')).toBe(true);
+    });
+
+    it('allows marking new items as spam', () =>
+    {
+      expect(canTransition('new', 'spam')).toBe(true);
+    });
+
+    it('allows keeping the same status', () =>
+    {
+      for (const status of SUBMISSION_STATUSES)
+      {
+        expect(canTransition(status, status)).toBe(true);
+      }
+    });
+
+    it('rejects skipping back to new from replied', () =>
+    {
+      expect(canTransition('replied', 'new')).toBe(false);
+    });
+
+    it('rejects replying to spam', () =>
+    {
+      expect(canTransition('spam', 'replied')).toBe(false);
+    });
+
+    it('rejects unknown statuses', () =>
+    {
+      expect(canTransition('new', 'deleted')).toBe(false);
+      expect(canTransition('unknown', 'new')).toBe(false);
+    });
+  });
+
+  describe('transitionTimestamps', () =>
+  {
+    it('sets replied_at when replied', () =>
+    {
+      const now = new Date('2026-10-19T10:00:00Z');
+      expect(transitionTimestamps('replied', now)).toEqual(
+      {
+        replied_at: '2026-10-19T10:00:00.000Z',
+      });
+    });
+
+    it('sets nothing for other statuses', () =>
+    {
+      expect(transitionTimestamps('archived')).toEqual({});
+    });
+  });
+});
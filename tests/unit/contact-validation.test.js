@@ -9,23 +9,31 @@
  *
  * @update_history
  *   2026-02-11 - Initial creation
+ *   2026-10-19 - Test the endpoint's validation module
+ *                instead of an inline copy
+ *   2026-10-19 - Error codes and localized messages
+ *   2026-10-19 - Unicode names, internationalized
+ *                email domains, phone numbers
+ *   2026-10-19 - sanitizeText replaces stripHTML
+ *   2026-10-19 - Privacy consent
+ *   2026-10-19 - Email length after punycode conversion
  */
 
 import { describe, it, expect } from 'vitest';
+import {
+  ERROR_CODES,
+  normalizeEmail,
+  sanitizeFormData,
+  sanitizeText,
+  validateFormData as validate,
+} from '../../directus/extensions/endpoints/contact-form/validation.js';
+import {
+  localizeErrors,
+} from '../../directus/extensions/endpoints/contact-form/messages.js';
 
 /**
- * Inline validation functions matching the endpoint
- * logic for isolated unit testing.
+ * Active subjects as loaded from contact_subjects.
  */
-const ALLOWED_PATTERNS =
-{
-  name: /^[a-zA-ZÀ-ÿ\s'\-]{2,100}$/,
-  email:
-    /^[a-zA-Z0-9._%+\-]+@[a-zA-Z0-9.\-]+\.[a-zA-Z]{2,254}$/,
-  phone: /^[\d\s+\-()]{0,20}$/,
-  message: /^[\s\S]{10,2000}$/,
-};
-
 const ALLOWED_SUBJECTS = [
   'info',
   'visit',
@@ -33,72 +41,12 @@ const ALLOWED_SUBJECTS = [
   'other',
 ];
 
-function stripHTML(str)
-{
-  if (typeof str !== 'string') return '';
-  return str.replace(/<[^>]*>/g, '');
-}
-
-function validateFormData(data)
-{
-  const errors = {};
-
-  if (
-    !data.name ||
-    typeof data.name !== 'string' ||
-    !ALLOWED_PATTERNS.name.test(data.name.trim())
-  )
-  {
-    errors.name = 'Invalid name';
-  }
-
-  if (
-    !data.email ||
-    typeof data.email !== 'string' ||
-    !ALLOWED_PATTERNS.email.test(
-      data.email.trim()
-    )
-  )
-  {
-    errors.email = 'Invalid email';
-  }
-
-  if (
-    data.phone &&
-    typeof data.phone === 'string' &&
-    data.phone.trim() &&
-    !ALLOWED_PATTERNS.phone.test(
-      data.phone.trim()
-    )
-  )
-  {
-    errors.phone = 'Invalid phone';
-  }
-
-  if (
-    !data.subject ||
-    !ALLOWED_SUBJECTS.includes(data.subject)
-  )
-  {
-    errors.subject = 'Invalid subject';
-  }
-
-  if (
-    !data.message ||
-    typeof data.message !== 'string' ||
-    !ALLOWED_PATTERNS.message.test(
-      data.message.trim()
-    )
-  )
-  {
-    errors.message = 'Invalid message';
-  }
-
-  return {
-    valid: Object.keys(errors).length === 0,
-    errors,
-  };
-}
+/**
+ * Validates with consent given unless the test
+ * overrides it.
+ */
+const validateFormData = (data) =>
+  validate({ privacy_consent: true, ...data }, ALLOWED_SUBJECTS);
 
 describe('Server-side contact validation', () =>
 {
@@ -143,6 +91,50 @@ describe('Server-side contact validation', () =>
       });
       expect(result.valid).toBe(true);
     });
+
+    it('accepts names in other scripts', () =>
+    {
+      for (const name of [
+        'Łukasz Dvořák',
+        'Şahin Yılmaz',
+        'Γιώργος Παπαδόπουλος',
+        'Анна Иванова',
+        'Dvor\u030C\u00E1k',
+      ])
+      {
+        const result = validateFormData(
+        {
+          name,
+          email: 'test@example.com',
+          subject: 'info',
+          message: 'I want information about cohousing.',
+        });
+        expect(result.errors.name).toBeUndefined();
+      }
+    });
+
+    it('accepts internationalized email domains', () =>
+    {
+      const result = validateFormData(
+      {
+        name: 'Jörg Müller',
+        email: 'joerg@müller-bau.de',
+        subject: 'info',
+        message: 'I want information about cohousing.',
+      });
+      expect(result.valid).toBe(true);
+    });
+  });
+
+  describe('normalizeEmail', () =>
+  {
+    it('lowercases and converts the domain to ASCII', () =>
+    {
+      expect(normalizeEmail(' Joerg@Müller-Bau.de '))
+        .toBe('joerg@xn--mller-bau-q9a.de');
+      expect(normalizeEmail('anna@example.it'))
+        .toBe('anna@example.it');
+    });
   });
 
   describe('XSS prevention', () =>
@@ -292,29 +284,196 @@ describe('Server-side contact validation', () =>
       });
       expect(result.valid).toBe(false);
     });
+    it('measures the email once converted to ASCII', () =>
+    {
+      // 151 characters typed, 313 in punycode
+      const email = `anna@${'äöü-bau.'.repeat(18)}de`;
+      const result = validateFormData(
+      {
+        name: 'Test User',
+        email,
+        subject: 'info',
+        message: 'Test message content here.',
+      });
+
+      expect(email.length).toBeLessThan(200);
+      expect(result.errors.email).toBe(ERROR_CODES.tooLong);
+    });
+  });
+
+  describe('Error codes', () =>
+  {
+    const valid =
+    {
+      name: 'Test User',
+      email: 'test@example.com',
+      subject: 'info',
+      message: 'Test message content here.',
+    };
+
+    it('reports missing required fields', () =>
+    {
+      const result = validate({}, ALLOWED_SUBJECTS);
+      expect(result.errors).toEqual(
+      {
+        name: ERROR_CODES.required,
+        email: ERROR_CODES.required,
+        subject: ERROR_CODES.required,
+        message: ERROR_CODES.required,
+        privacy_consent: ERROR_CODES.required,
+      });
+    });
+
+    it('requires explicit privacy consent', () =>
+    {
+      for (const consent of [false, 'false', '', 'no', 1])
+      {
+        expect(validateFormData(
+        {
+          ...valid,
+          privacy_consent: consent,
+        }).errors.privacy_consent).toBe(ERROR_CODES.required);
+      }
+
+      for (const consent of [true, 'true', 'on'])
+      {
+        expect(validateFormData(
+        {
+          ...valid,
+          privacy_consent: consent,
+        }).valid).toBe(true);
+      }
+    });
+
+    it('reports too short and too long', () =>
+    {
+      const result = validateFormData(
+      {
+        ...valid,
+        name: 'A',
+        message: 'A'.repeat(2001),
+      });
+      expect(result.errors.name).toBe('too_short');
+      expect(result.errors.message).toBe('too_long');
+    });
+
+    it('reports invalid formats', () =>
+    {
+      const result = validateFormData(
+      {
+        ...valid,
+        email: 'not-an-email',
+        phone: 'call me',
+      });
+      expect(result.errors.email).toBe('invalid_format');
+      expect(result.errors.phone).toBe('invalid_format');
+    });
+
+    it('reports implausible phone numbers', () =>
+    {
+      const result = validateFormData(
+      {
+        ...valid,
+        phone: '12',
+      });
+      expect(result.errors.phone).toBe('invalid_format');
+    });
+
+    it('reports non-string values as invalid format', () =>
+    {
+      const result = validateFormData(
+      {
+        ...valid,
+        phone: 123,
+      });
+      expect(result.errors.phone).toBe('invalid_format');
+    });
+
+    it('reports unknown subjects', () =>
+    {
+      const result = validateFormData(
+      {
+        ...valid,
+        subject: 'hacking',
+      });
+      expect(result.errors.subject).toBe('invalid_option');
+    });
   });
 
-  describe('stripHTML', () =>
+  describe('Localized messages', () =>
   {
-    it('removes script tags', () =>
+    it('fills in length limits', () =>
+    {
+      expect(localizeErrors({ name: 'too_short' }, 'en'))
+        .toEqual({ name: 'Enter at least 2 characters.' });
+      expect(localizeErrors({ message: 'too_long' }, 'it'))
+        .toEqual(
+        {
+          message: 'Inserisci al massimo 2000 caratteri.',
+        });
+    });
+
+    it('falls back to Italian', () =>
+    {
+      expect(localizeErrors({ email: 'required' }, 'es'))
+        .toEqual({ email: 'Campo obbligatorio.' });
+    });
+  });
+
+  describe('sanitizeText', () =>
+  {
+    it('keeps angle brackets and entities as text', () =>
+    {
+      expect(sanitizeText('budget < 500 and > 300'))
+        .toBe('budget < 500 and > 300');
+      expect(sanitizeText('&lt;b&gt; <b>bold</b>'))
+        .toBe('&lt;b&gt; <b>bold</b>');
+    });
+
+    it('normalizes to NFC', () =>
+    {
+      expect(sanitizeText('Dvor\u030Ca\u0301k'))
+        .toBe('Dvořák');
+    });
+
+    it('strips control and bidi characters', () =>
     {
-      expect(
-        stripHTML('<script>alert(1)</script>text')
-      ).toBe('alert(1)text');
+      expect(sanitizeText('a\u0000b\u0007c\u202Ed\u2066e\uFEFF'))
+        .toBe('abcde');
     });
 
-    it('removes nested tags', () =>
+    it('keeps line breaks only when multiline', () =>
     {
-      expect(
-        stripHTML('<div><b>text</b></div>')
-      ).toBe('text');
+      expect(sanitizeText('one\r\ntwo\rthree', { multiline: true }))
+        .toBe('one\ntwo\nthree');
+      expect(sanitizeText('Anna\n\tRossi')).toBe('Anna Rossi');
     });
 
     it('handles non-string input', () =>
     {
-      expect(stripHTML(null)).toBe('');
-      expect(stripHTML(undefined)).toBe('');
-      expect(stripHTML(123)).toBe('');
+      expect(sanitizeText(null)).toBe('');
+      expect(sanitizeText(undefined)).toBe('');
+      expect(sanitizeText(123)).toBe('');
+    });
+  });
+
+  describe('sanitizeFormData', () =>
+  {
+    it('cleans text fields and leaves others', () =>
+    {
+      expect(sanitizeFormData(
+      {
+        name: '  Anna\u202E ',
+        message: 'Ciao\r\na tutti  ',
+        subject: 'info',
+        form_token: ' t ',
+      })).toEqual(
+      {
+        name: 'Anna',
+        message: 'Ciao\na tutti',
+        subject: 'info',
+        form_token: ' t ',
+      });
     });
   });
 });
@@ -0,0 +1,392 @@
+/**
+ * @file contact-webhooks.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for contact submission
+ *              webhooks: subject matching, payload,
+ *              signature, attempt log and delivery.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Delivery against a fake context and
+ *                receiver
+ *   2026-10-19 - Required secret, capped response read
+ */
+
+import { createHmac } from 'node:crypto';
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import {
+  WEBHOOK_EVENT,
+  appendLog,
+  buildPayload,
+  createWebhooks,
+  matchesSubject,
+  signPayload,
+} from '../../directus/extensions/endpoints/contact-form/webhooks.js';
+import { createDirectus } from '../helpers/directus.js';
+
+/**
+ * An active webhook unless the test overrides it.
+ */
+const webhook = (overrides = {}) => ({
+  url: 'https://crm.example.com/hooks/lares',
+  secret: 'whsec',
+  active: true,
+  subjects: [],
+  ...overrides,
+});
+
+describe('matchesSubject', () =>
+{
+  it('accepts every subject without a filter', () =>
+  {
+    expect(matchesSubject(webhook(), 'quote')).toBe(true);
+    expect(matchesSubject(webhook({ subjects: null }), 'quote'))
+      .toBe(true);
+  });
+
+  it('accepts only listed subjects with a filter', () =>
+  {
+    const filtered = webhook({ subjects: ['quote', 'support'] });
+
+    expect(matchesSubject(filtered, 'support')).toBe(true);
+    expect(matchesSubject(filtered, 'general')).toBe(false);
+  });
+
+  it('skips inactive webhooks and missing URLs or secrets', () =>
+  {
+    expect(matchesSubject(webhook({ active: false }), 'quote'))
+      .toBe(false);
+    expect(matchesSubject(webhook({ url: '' }), 'quote'))
+      .toBe(false);
+    expect(matchesSubject(webhook({ secret: null }), 'quote'))
+      .toBe(false);
+  });
+});
+
+describe('buildPayload', () =>
+{
+  const now = new Date('2026-10-19T10:00:00.000Z');
+
+  it('wraps the submission in an event envelope', () =>
+  {
+    const payload = buildPayload(
+      42,
+      {
+        name: 'Anna Rossi',
+        email: 'anna@example.com',
+        subject: 'quote',
+        message: 'Hello',
+        locale: 'it',
+        privacy_policy_version: '2.1',
+      },
+      now
+    );
+
+    expect(payload).toEqual(
+    {
+      event: WEBHOOK_EVENT,
+      created_at: '2026-10-19T10:00:00.000Z',
+      data:
+      {
+        id: 42,
+        name: 'Anna Rossi',
+        email: 'anna@example.com',
+        phone: null,
+        subject: 'quote',
+        message: 'Hello',
+        locale: 'it',
+      },
+    });
+  });
+});
+
+describe('signPayload', () =>
+{
+  it('signs the timestamp and raw body', () =>
+  {
+    const body = JSON.stringify({ event: WEBHOOK_EVENT });
+    const expected = createHmac('sha256', 'secret')
+      .update(`1760868000000.${body}`)
+      .digest('hex');
+
+    expect(signPayload(body, 'secret', 1760868000000))
+      .toBe(`t=1760868000000,v1=${expected}`);
+  });
+
+  it('changes with the secret or the body', () =>
+  {
+    const signature = signPayload('{}', 'secret', 1);
+
+    expect(signPayload('{}', 'other', 1)).not.toBe(signature);
+    expect(signPayload('{"a":1}', 'secret', 1))
+      .not.toBe(signature);
+  });
+});
+
+describe('appendLog', () =>
+{
+  it('starts a log when there is none', () =>
+  {
+    expect(appendLog(null, { status: 200 }))
+      .toEqual([{ status: 200 }]);
+  });
+
+  it('keeps the 20 most recent attempts', () =>
+  {
+    const log = Array.from({ length: 20 }, (_, i) => ({ n: i }));
+    const next = appendLog(log, { n: 20 });
+
+    expect(next).toHaveLength(20);
+    expect(next[0]).toEqual({ n: 1 });
+    expect(next[19]).toEqual({ n: 20 });
+    expect(log).toHaveLength(20);
+  });
+});
+
+/** Receiver answering every POST with a status. */
+const receiver = (status) =>
+{
+  const calls = [];
+
+  vi.stubGlobal('fetch', async (url, init) =>
+  {
+    calls.push({ url: String(url), ...init });
+    return new Response('ok', { status });
+  });
+
+  return calls;
+};
+
+/** Pending delivery with its webhook expanded. */
+const pendingDelivery = (id, overrides = {}) => (
+{
+  id,
+  webhook:
+  {
+    id: 1,
+    url: 'https://crm.example.com/hooks/lares',
+    secret: 'whsec',
+  },
+  submission: 7,
+  status: 'pending',
+  payload: { event: WEBHOOK_EVENT, data: { id: 7 } },
+  attempts: 0,
+  next_attempt_at: new Date(Date.now() - 1000).toISOString(),
+  ...overrides,
+});
+
+/** Dispatcher bound to a fake context. */
+const setup = (data) =>
+{
+  const directus = createDirectus({ data });
+  const webhooks = createWebhooks(
+  {
+    services: directus.services,
+    schema: {},
+    database: directus.database,
+  });
+
+  return { directus, webhooks };
+};
+
+describe('Webhook delivery', () =>
+{
+  afterEach(() =>
+  {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('posts the signed payload and marks it delivered', async () =>
+  {
+    const calls = receiver(200);
+    const { directus, webhooks } = setup(
+    {
+      webhook_deliveries: [pendingDelivery(31)],
+    });
+
+    expect(await webhooks.processDue())
+      .toEqual({ processed: 1, delivered: 1 });
+
+    const [call] = calls;
+    const [, t, v1] = /^t=(\d+),v1=([0-9a-f]+)$/
+      .exec(call.headers['X-Lares-Signature']);
+    const expected = createHmac('sha256', 'whsec')
+      .update(`${t}.${call.body}`)
+      .digest('hex');
+
+    expect(call.url).toBe('https://crm.example.com/hooks/lares');
+    expect(JSON.parse(call.body).data).toEqual({ id: 7 });
+    expect(call.headers['X-Lares-Delivery']).toBe('31');
+    expect(v1).toBe(expected);
+    expect(directus.items('webhook_deliveries')[0]).toMatchObject(
+    {
+      status: 'delivered',
+      attempts: 1,
+      response_status: 200,
+      log: [expect.objectContaining({ status: 200, error: null })],
+    });
+  });
+
+  it('schedules a retry on an error response', async () =>
+  {
+    receiver(500);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { directus, webhooks } = setup(
+    {
+      webhook_deliveries: [pendingDelivery(31)],
+    });
+
+    expect(await webhooks.processDue())
+      .toEqual({ processed: 1, delivered: 0 });
+
+    const [item] = directus.items('webhook_deliveries');
+    expect(item).toMatchObject(
+    {
+      status: 'pending',
+      attempts: 1,
+      last_error: 'HTTP 500',
+      response_status: 500,
+    });
+    expect(Date.parse(item.next_attempt_at))
+      .toBeGreaterThan(Date.now());
+  });
+
+  it('refuses URLs other than http and https', async () =>
+  {
+    const calls = receiver(200);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { directus, webhooks } = setup(
+    {
+      webhook_deliveries: [
+        pendingDelivery(31,
+        {
+          webhook:
+          {
+            id: 1,
+            url: 'file:///etc/passwd',
+            secret: 'whsec',
+          },
+        }),
+      ],
+    });
+
+    await webhooks.processDue();
+
+    expect(calls).toEqual([]);
+    expect(directus.items('webhook_deliveries')[0].last_error)
+      .toBe('Unsupported protocol file:');
+  });
+
+  it('fails deliveries of webhooks without a secret', async () =>
+  {
+    const calls = receiver(200);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { directus, webhooks } = setup(
+    {
+      webhook_deliveries: [
+        pendingDelivery(31,
+        {
+          webhook:
+          {
+            id: 1,
+            url: 'https://crm.example.com/hooks/lares',
+            secret: '',
+          },
+        }),
+      ],
+    });
+
+    await webhooks.processDue();
+
+    expect(calls).toEqual([]);
+    expect(directus.items('webhook_deliveries')[0].last_error)
+      .toBe('Webhook has no secret');
+  });
+
+  it('logs only the start of a long response', async () =>
+  {
+    let sent = 0;
+    let cancelled = false;
+    const chunk = new TextEncoder().encode('x'.repeat(100));
+
+    vi.stubGlobal('fetch', async () => new Response(
+      new ReadableStream(
+      {
+        pull(controller)
+        {
+          sent += 1;
+          controller.enqueue(chunk);
+        },
+        cancel()
+        {
+          cancelled = true;
+        },
+      }),
+      { status: 200 }
+    ));
+    const { directus, webhooks } = setup(
+    {
+      webhook_deliveries: [pendingDelivery(31)],
+    });
+
+    await webhooks.processDue();
+
+    const [item] = directus.items('webhook_deliveries');
+    expect(item.status).toBe('delivered');
+    expect(item.log[0].response).toBe('x'.repeat(500));
+    expect(cancelled).toBe(true);
+    expect(sent).toBeLessThan(10);
+  });
+
+  it('skips deliveries claimed by another worker', async () =>
+  {
+    const calls = receiver(200);
+    const { webhooks } = setup(
+    {
+      webhook_deliveries: [pendingDelivery(31)],
+    });
+
+    await webhooks.processDue();
+
+    // Stale copy read before the first worker's claim
+    expect(await webhooks.deliver(pendingDelivery(31))).toBe(false);
+    expect(calls).toHaveLength(1);
+  });
+
+  it('queues a delivery per matching webhook', async () =>
+  {
+    receiver(200);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { directus, webhooks } = setup(
+    {
+      contact_webhooks: [
+        { id: 1, ...webhook() },
+        { id: 2, ...webhook({ subjects: ['visit'] }) },
+        { id: 3, ...webhook({ subjects: ['press'] }) },
+        { id: 4, ...webhook({ active: false }) },
+        { id: 5, ...webhook({ secret: null }) },
+      ],
+    });
+
+    expect(await webhooks.enqueue(7,
+    {
+      name: 'Anna Rossi',
+      email: 'anna@example.com',
+      subject: 'visit',
+      message: 'Hello',
+      locale: 'en',
+    })).toBe(2);
+    expect(directus.items('webhook_deliveries').map(
+      (item) => item.webhook
+    )).toEqual([1, 2]);
+    expect(console.error).toHaveBeenCalledWith(
+      'Webhook 5 skipped: no secret configured'
+    );
+
+    // Let the background dispatch settle
+    await new Promise((resolve) => setImmediate(resolve));
+  });
+});
+
@@ -0,0 +1,298 @@
+/**
+ * @file email-mail.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for multipart template
+ *              emails: the text part derived from HTML
+ *              and the rendering of both parts from the
+ *              repo's templates.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Render the real templates with liquidjs
+ *   2026-10-19 - Message-IDs and threading headers
+ *   2026-10-19 - liquidjs loaded on first render
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  EMAIL_BRANDING,
+  contactMessageId,
+  htmlToText,
+  loadLiquid,
+  messageIdDomain,
+  renderEmail,
+  sendTemplateEmail,
+} from '../../directus/extensions/endpoints/contact-form/mail.js';
+import {
+  NOTIFICATION_EMAILS,
+} from '../../directus/extensions/endpoints/contact-form/notification.js';
+import {
+  DATA_REQUEST_EMAILS,
+} from '../../directus/extensions/endpoints/contact-form/data-subject.js';
+import {
+  DIGEST_EMAILS,
+} from '../../directus/extensions/endpoints/contact-form/digest.js';
+import { createDirectus } from '../helpers/directus.js';
+
+/**
+ * Sample data per template in directus/templates/email.
+ */
+const TEMPLATE_DATA =
+{
+  'contact-notification':
+  {
+    locale: 'en',
+    labels: NOTIFICATION_EMAILS.en,
+    name: 'Anna <b>Rossi</b>',
+    email: 'anna@example.com',
+    phone: '+393331234567',
+    subject: 'Visit',
+    message: 'Hello',
+    submission_locale: 'it',
+    attachments: [{ filename: 'plan.pdf', url: 'https://x.test/f' }],
+  },
+  'contact-autoreply':
+  {
+    locale: 'it',
+    greeting: 'Ciao',
+    body: 'Grazie per averci scritto.',
+    signature: 'Lares',
+  },
+  'contact-reply':
+  {
+    locale: 'en',
+    reply: 'Thanks <3',
+    message: 'Original',
+  },
+  'data-request-verify':
+  {
+    locale: 'en',
+    title: DATA_REQUEST_EMAILS.en.export,
+    intro: DATA_REQUEST_EMAILS.en.intro,
+    ignore: DATA_REQUEST_EMAILS.en.ignore,
+    link: 'https://x.test/verify',
+    expires_in_hours: 24,
+  },
+  'contact-digest':
+  {
+    locale: 'de',
+    labels: DIGEST_EMAILS.de,
+    subject_labels: { visit: 'Besichtigung' },
+    frequency: 'weekly',
+    period_start: '2026-10-12T07:00:00.000Z',
+    period_end: '2026-10-19T07:00:00.000Z',
+    total: 1,
+    subjects: [
+    {
+      subject: 'visit',
+      total: 1,
+      statuses: { new: 1, in_progress: 0 },
+    }],
+    status_names: ['new', 'in_progress'],
+    stale_days: 3,
+    unanswered: [
+    {
+      id: 1,
+      subject: 'visit',
+      status: 'new',
+      age_days: 5,
+      url: 'https://x.test/admin/1',
+    }],
+    unanswered_count: 2,
+    admin_url: 'https://x.test/admin',
+  },
+};
+
+describe('htmlToText', () =>
+{
+  it('turns blocks and breaks into lines', () =>
+  {
+    const text = htmlToText(
+      '<!-- header --><html><head><style>p{}</style></head>'
+      + '<body><h2>Hello</h2><p>First<br>line</p>'
+      + '<div>Second &amp; last</div></body></html>'
+    );
+
+    expect(text).toBe('Hello\nFirst\nline\nSecond & last');
+  });
+
+  it('keeps link targets', () =>
+  {
+    expect(htmlToText('<a href="https://x.test/a">Open</a>'))
+      .toBe('Open (https://x.test/a)');
+    expect(htmlToText(
+      '<a href="https://x.test/a">https://x.test/a</a>'
+    )).toBe('https://x.test/a');
+  });
+
+  it('puts table cells on one line', () =>
+  {
+    expect(htmlToText(
+      '<table><tr><td>Name</td><td>Anna</td></tr></table>'
+    )).toBe('Name Anna');
+  });
+
+  it('collapses blank lines', () =>
+  {
+    expect(htmlToText('<p>a</p>\n\n\n\n<p>b</p>'))
+      .toBe('a\n\nb');
+  });
+});
+
+describe('loadLiquid', () =>
+{
+  it('loads one engine from the dependencies', async () =>
+  {
+    const liquid = await loadLiquid();
+
+    expect(typeof liquid.renderFile).toBe('function');
+    expect(await loadLiquid()).toBe(liquid);
+  });
+});
+
+describe('renderEmail', () =>
+{
+  it('renders the HTML and text templates with branding', async () =>
+  {
+    const email = await renderEmail(
+    {
+      name: 'contact-reply',
+      data: TEMPLATE_DATA['contact-reply'],
+    });
+
+    expect(email.html).toContain('Thanks &lt;3');
+    expect(email.html).toContain(EMAIL_BRANDING.project_name);
+    expect(email.html).not.toContain('{%');
+    expect(email.text).toMatch(/^Thanks <3\n/);
+    expect(email.text).toContain(EMAIL_BRANDING.project_name);
+  });
+
+  it('derives the text from HTML without a text template', async () =>
+  {
+    const email = await renderEmail(
+    {
+      name: 'contact-autoreply',
+      data: TEMPLATE_DATA['contact-autoreply'],
+    });
+
+    expect(email.text).toContain('Grazie per averci scritto.');
+    expect(email.text).not.toContain('<');
+  });
+
+  it('renders every template without leftovers', async () =>
+  {
+    for (const [name, data] of Object.entries(TEMPLATE_DATA))
+    {
+      const email = await renderEmail({ name, data });
+
+      expect(email.html, name).not.toMatch(/{{|{%|}}|%}/);
+      expect(email.text, name).not.toMatch(/{{|{%|}}|%}/);
+      expect(email.text.length, name).toBeGreaterThan(0);
+    }
+  });
+
+  it('localizes the digest', async () =>
+  {
+    const email = await renderEmail(
+    {
+      name: 'contact-digest',
+      data: TEMPLATE_DATA['contact-digest'],
+    });
+
+    expect(email.html).toContain('Wöchentliche Kontaktübersicht');
+    expect(email.html).toContain('Besichtigung');
+    expect(email.html).toContain('Und 1 weitere.');
+    expect(email.text)
+      .toContain('Seit mehr als 3 Tagen unbeantwortet (2):');
+    expect(email.text).toContain('- #1 (Besichtigung, Neu, 5 Tage)');
+  });
+
+  it('fails for unknown templates', async () =>
+  {
+    await expect(renderEmail({ name: 'missing', data: {} }))
+      .rejects.toThrow();
+  });
+});
+
+describe('sendTemplateEmail', () =>
+{
+  it('sends both parts through MailService.send', async () =>
+  {
+    const directus = createDirectus();
+
+    await sendTemplateEmail(new directus.services.MailService(),
+    {
+      to: 'anna@example.com',
+      replyTo: 'team@example.com',
+      subject: 'Re: Visit',
+      template:
+      {
+        name: 'contact-reply',
+        data: TEMPLATE_DATA['contact-reply'],
+      },
+    });
+
+    expect(directus.mail.sent).toEqual(
+    [
+      expect.objectContaining(
+      {
+        to: 'anna@example.com',
+        replyTo: 'team@example.com',
+        subject: 'Re: Visit',
+        html: expect.stringContaining('Thanks &lt;3'),
+        text: expect.stringContaining('Thanks <3'),
+      }),
+    ]);
+  });
+
+  it('passes the threading headers', async () =>
+  {
+    const directus = createDirectus();
+
+    await sendTemplateEmail(new directus.services.MailService(),
+    {
+      to: 'anna@example.com',
+      subject: 'Re: Visit',
+      messageId: '<reply-2@example.com>',
+      inReplyTo: '<reply-1@example.com>',
+      references: ['<submission-7@example.com>', '<reply-1@example.com>'],
+      template:
+      {
+        name: 'contact-reply',
+        data: TEMPLATE_DATA['contact-reply'],
+      },
+    });
+
+    expect(directus.mail.sent[0]).toMatchObject(
+    {
+      messageId: '<reply-2@example.com>',
+      inReplyTo: '<reply-1@example.com>',
+      references: ['<submission-7@example.com>', '<reply-1@example.com>'],
+    });
+  });
+});
+
+describe('Message-IDs', () =>
+{
+  it('use the sender domain', () =>
+  {
+    expect(messageIdDomain('noreply@Lares.example', 'https://cms.test'))
+      .toBe('lares.example');
+    expect(messageIdDomain('Lares <info@lares.example>', ''))
+      .toBe('lares.example');
+  });
+
+  it('fall back to the public URL host', () =>
+  {
+    expect(messageIdDomain('', 'https://cms.lares.example/'))
+      .toBe('cms.lares.example');
+    expect(messageIdDomain(undefined, 'not a url')).toBe('localhost');
+  });
+
+  it('name the conversation item', () =>
+  {
+    expect(contactMessageId('submission', 7, 'lares.example'))
+      .toBe('<submission-7@lares.example>');
+  });
+});
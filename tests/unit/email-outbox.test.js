@@ -0,0 +1,241 @@
+/**
+ * @file email-outbox.test.js
+ * @author Marco De Luca
+ * @date 2026-10-19
+ * @description Unit tests for the email outbox retry
+ *              policy: exponential backoff and the
+ *              transition to failed.
+ *
+ * @update_history
+ *   2026-10-19 - Initial creation
+ *   2026-10-19 - Delivery through a fake MailService
+ *   2026-10-19 - Background delivery after enqueue
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createOutbox,
+  failureUpdate,
+  retryDelay,
+} from '../../directus/extensions/endpoints/contact-form/outbox.js';
+import { createDirectus } from '../helpers/directus.js';
+
+const MINUTE = 60 * 1000;
+
+describe('Email outbox retries', () =>
+{
+  describe('retryDelay', () =>
+  {
+    it('doubles the delay per attempt', () =>
+    {
+      expect(retryDelay(1, MINUTE)).toBe(MINUTE);
+      expect(retryDelay(2, MINUTE)).toBe(2 * MINUTE);
+      expect(retryDelay(4, MINUTE)).toBe(8 * MINUTE);
+    });
+
+    it('caps the delay', () =>
+    {
+      expect(retryDelay(30, MINUTE, 60 * MINUTE))
+        .toBe(60 * MINUTE);
+    });
+  });
+
+  describe('failureUpdate', () =>
+  {
+    const now = new Date('2026-10-19T10:00:00Z');
+
+    it('schedules a retry with backoff', () =>
+    {
+      const update = failureUpdate(
+        1,
+        new Error('SMTP timeout'),
+        now,
+        6
+      );
+
+      expect(update.status).toBe('pending');
+      expect(update.attempts).toBe(2);
+      expect(update.last_error).toBe('SMTP timeout');
+      expect(Date.parse(update.next_attempt_at))
+        .toBeGreaterThan(now.getTime());
+    });
+
+    it('marks the email failed at the limit', () =>
+    {
+      const update = failureUpdate(
+        5,
+        new Error('Mailbox unavailable'),
+        now,
+        6
+      );
+
+      expect(update.status).toBe('failed');
+      expect(update.attempts).toBe(6);
+      expect(update.next_attempt_at).toBeNull();
+    });
+  });
+});
+
+/** Outbox bound to a fake context. */
+const setup = (data = {}) =>
+{
+  const directus = createDirectus({ data });
+  const outbox = createOutbox(
+  {
+    services: directus.services,
+    schema: {},
+    database: directus.database,
+  });
+
+  return { directus, outbox };
+};
+
+const EMAIL =
+{
+  to: ['staff@example.com', 'office@example.com'],
+  bcc: ['archive@example.com'],
+  replyTo: 'anna@example.com',
+  subject: 'New contact request',
+  template:
+  {
+    name: 'contact-reply',
+    data: { locale: 'en', reply: 'Hello' },
+  },
+  submission: 7,
+};
+
+/** Outbox item by id. */
+const outboxItem = (directus, id) => directus.items('email_outbox')
+  .find((item) => item.id === id);
+
+describe('Email outbox delivery', () =>
+{
+  it('records an email and sends it in the background', async () =>
+  {
+    const { directus, outbox } = setup();
+
+    const id = await outbox.enqueue(EMAIL);
+
+    expect(outboxItem(directus, id)).toMatchObject(
+    {
+      recipient: 'staff@example.com, office@example.com',
+      submission: 7,
+    });
+    await vi.waitFor(() =>
+      expect(outboxItem(directus, id).status).toBe('sent')
+    );
+
+    const [sent] = directus.mail.sent;
+    expect(sent).toMatchObject(
+    {
+      to: 'staff@example.com, office@example.com',
+      bcc: 'archive@example.com',
+      replyTo: 'anna@example.com',
+      subject: 'New contact request',
+    });
+    expect(sent.html).toContain('Hello');
+    expect(sent.text).toContain('Hello');
+    expect(outboxItem(directus, id)).toMatchObject(
+    {
+      attempts: 1,
+      next_attempt_at: null,
+    });
+  });
+
+  it('returns without waiting for the mail server', async () =>
+  {
+    const { directus, outbox } = setup();
+    const send = vi.spyOn(
+      directus.services.MailService.prototype,
+      'send'
+    ).mockReturnValue(new Promise(() => {}));
+
+    const id = await outbox.enqueue(EMAIL);
+
+    expect(outboxItem(directus, id).status).not.toBe('sent');
+    send.mockRestore();
+  });
+
+  it('keeps the Message-ID for every attempt', async () =>
+  {
+    const { directus, outbox } = setup();
+
+    const id = await outbox.enqueue(
+      { ...EMAIL, messageId: '<submission-7@example.com>' }
+    );
+
+    expect(outboxItem(directus, id).message_id)
+      .toBe('<submission-7@example.com>');
+    await vi.waitFor(() =>
+      expect(directus.mail.sent[0].messageId)
+        .toBe('<submission-7@example.com>')
+    );
+  });
+
+  it('schedules a retry when sending fails', async () =>
+  {
+    const { directus, outbox } = setup();
+    const log = vi.spyOn(console, 'error')
+      .mockImplementation(() => {});
+    directus.mail.error = new Error('SMTP timeout');
+
+    const id = await outbox.enqueue(EMAIL);
+
+    await vi.waitFor(() =>
+      expect(outboxItem(directus, id).attempts).toBe(1)
+    );
+
+    const item = outboxItem(directus, id);
+    expect(item).toMatchObject(
+    {
+      status: 'pending',
+      last_error: 'SMTP timeout',
+    });
+    expect(Date.parse(item.next_attempt_at))
+      .toBeGreaterThan(Date.now());
+    log.mockRestore();
+  });
+
+  it('retries due emails and skips future ones', async () =>
+  {
+    const past = new Date(Date.now() - MINUTE).toISOString();
+    const future = new Date(Date.now() + MINUTE).toISOString();
+    const pending = (id, nextAttemptAt) => (
+    {
+      id,
+      status: 'pending',
+      recipient: 'staff@example.com',
+      subject: `Email ${id}`,
+      template: 'contact-reply',
+      payload: EMAIL.template.data,
+      attempts: 1,
+      next_attempt_at: nextAttemptAt,
+    });
+    const { directus, outbox } = setup(
+    {
+      email_outbox: [pending(1, past), pending(2, future)],
+    });
+
+    expect(await outbox.processDue())
+      .toEqual({ processed: 1, sent: 1 });
+    expect(directus.mail.sent.map((mail) => mail.subject))
+      .toEqual(['Email 1']);
+    expect(directus.items('email_outbox')[1].status).toBe('pending');
+  });
+
+  it('sends a claimed email only once', async () =>
+  {
+    const { directus, outbox } = setup();
+
+    const id = await outbox.enqueue(EMAIL);
+    await vi.waitFor(() =>
+      expect(outboxItem(directus, id).status).toBe('sent')
+    );
+
+    // A second worker holding the stale pending copy
+    expect(await outbox.deliver(
+      { ...outboxItem(directus, id), status: 'pending', attempts: 0 }
+    )).toBe(false);
+    expect(directus.mail.sent).toHaveLength(1);
+  });
+});